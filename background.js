@@ -15,7 +15,7 @@ chrome.action.onClicked.addListener((tab) => {
         Promise.all([
           chrome.scripting.executeScript({
             target: { tabId: tab.id },
-            files: ['utils/cache.js', 'utils/colorUtils.js', 'content.js']
+            files: ['utils/cache.js', 'utils/colorUtils.js', 'utils/colorExport.js', 'utils/typographyUtils.js', 'utils/typographyExport.js', 'utils/tokenUtils.js', 'utils/tokenAudit.js', 'utils/shadowUtils.js', 'utils/gradientUtils.js', 'utils/layoutUtils.js', 'utils/measureUtils.js', 'utils/rulerUtils.js', 'utils/captureUtils.js', 'utils/pseudoUtils.js', 'utils/stateUtils.js', 'utils/editUtils.js', 'utils/ruleUtils.js', 'utils/breakpointUtils.js', 'utils/mediaUtils.js', 'utils/assetUtils.js', 'content.js']
           }),
           chrome.scripting.insertCSS({
             target: { tabId: tab.id },
@@ -61,3 +61,104 @@ chrome.action.onClicked.addListener((tab) => {
   // Always try to send the message
   sendToggleMessage();
 });
+
+// Screenshot of the visible part of the sender's tab (eyedropper and element capture)
+// Content scripts can't call captureVisibleTab themselves
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'captureVisibleTab') return false;
+
+  const windowId = sender.tab ? sender.tab.windowId : chrome.windows.WINDOW_ID_CURRENT;
+  chrome.tabs.captureVisibleTab(windowId, { format: 'png' }, (dataUrl) => {
+    if (chrome.runtime.lastError || !dataUrl) {
+      const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Capture failed';
+      console.error('[CSS Inspector] Error capturing tab:', error);
+      sendResponse({ success: false, error });
+    } else {
+      sendResponse({ success: true, dataUrl });
+    }
+  });
+  // Keep the message channel open for the async response
+  return true;
+});
+
+// Largest asset the worker fetches for a tab; its bytes travel back as a
+// base64 data URL in a message, so whole videos are left out
+const MAX_ASSET_FETCH_BYTES = 25 * 1024 * 1024;
+
+// Fetches a cross-origin image or video for the sender's tab (asset zip) when
+// the page's CORS rules keep the content script from reading it.
+// The page picks the URL, so only http(s) URLs are fetched, without cookies,
+// and only image / video responses up to MAX_ASSET_FETCH_BYTES are handed back
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'fetchAsset') return false;
+  if (!sender.tab || typeof message.url !== 'string' || !/^https?:\/\//i.test(message.url)) {
+    sendResponse({ success: false, error: 'Only http(s) assets can be fetched' });
+    return false;
+  }
+
+  const tooLarge = () => {
+    const error = new Error(`Larger than ${MAX_ASSET_FETCH_BYTES / 1024 / 1024} MB`);
+    error.tooLarge = true;
+    return error;
+  };
+  fetch(message.url, { credentials: 'omit' })
+    .then((response) => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const type = (response.headers.get('content-type') || '').toLowerCase();
+      if (!/^(image|video)\//.test(type)) {
+        throw new Error(`Not an image or video (${type || 'no content type'})`);
+      }
+      if (parseInt(response.headers.get('content-length'), 10) > MAX_ASSET_FETCH_BYTES) {
+        throw tooLarge();
+      }
+      return response.blob();
+    })
+    .then((blob) => {
+      // Without a Content-Length the size is only known once it's read
+      if (blob.size > MAX_ASSET_FETCH_BYTES) throw tooLarge();
+      return readBlobAsDataUrl(blob);
+    })
+    .then((dataUrl) => sendResponse({ success: true, dataUrl }))
+    .catch((error) => {
+      console.error('[CSS Inspector] Error fetching asset:', message.url, error);
+      sendResponse({ success: false, error: error.message, tooLarge: Boolean(error.tooLarge) });
+    });
+  // Keep the message channel open for the async response
+  return true;
+});
+
+// Saves a file for the sender's tab with the downloads API: an http(s) asset
+// by its URL (the browser fetches it itself), or a blob: URL the content
+// script made for a file it built (inline SVG, the asset zip)
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== 'downloadFile') return false;
+  if (!sender.tab || typeof message.url !== 'string' || !/^(https?|blob):/i.test(message.url)) {
+    sendResponse({ success: false, error: 'Invalid download' });
+    return false;
+  }
+
+  // Only a plain file name, never a path
+  const filename = String(message.filename || 'download')
+    .replace(/[\u0000-\u001f\u007f/\\:*?"<>|]/g, '')
+    .replace(/^[.\s]+/, '') || 'download';
+  chrome.downloads.download({ url: message.url, filename, conflictAction: 'uniquify' }, (downloadId) => {
+    if (chrome.runtime.lastError || downloadId === undefined) {
+      const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : 'Download failed';
+      console.error('[CSS Inspector] Error saving download:', error);
+      sendResponse({ success: false, error });
+    } else {
+      sendResponse({ success: true });
+    }
+  });
+  // Keep the message channel open for the async response
+  return true;
+});
+
+function readBlobAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
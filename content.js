@@ -64,6 +64,7 @@
               });
             instance.removeOverlay("hover");
             instance.removeOverlay("selected");
+            instance.stopLocate();
             instance.selectedElement = null;
             instance.hoveredElement = null;
           } else {
@@ -93,6 +94,44 @@
       this.hoverOverlay = null;
       this.selectedOverlay = null;
       this.theme = "dark"; // Will be set properly in init()
+      this.locateState = null; // Elements highlighted by the Colors overview "Locate" mode
+      this.layoutOverlay = null; // Grid / flex overlay for the locked container { element, overlay, width, height }
+      this.layoutOverlayEnabled =
+        localStorage.getItem("css-inspector-layout-overlay") !== "false"; // Draw the layout overlay on locked containers
+      this.measureTarget = null; // Element measured against the locked one while Alt is held
+      this.measureOverlay = null; // Redline overlay for the measurement
+      this.rulerState = this.loadRulerState(); // Rulers visibility and guides { visible, guides: [{ axis, position }] } (per origin)
+      this.columnGrid = this.loadColumnGrid(); // Column grid overlay settings (per origin)
+      this.rulerElements = null; // On-page rulers { root, top, left, guides, grid, label }
+      this.eyedropper = null; // Active eyedropper { shield, loupe, canvas, label, capture, stop }
+      this.sampledColors = []; // Colors picked with the eyedropper, most recent first
+      this.captureOptions = this.loadCaptureOptions(); // Element / region screenshot { scale, overlays }
+      this.regionCapture = null; // Active region selection { shield, stop }
+      this.activePseudoElementTab = "element"; // Inspector tab: the element or one of its pseudo-elements ("before", ...)
+      this.activeInteractiveState = "hover"; // State compared with Default in the States section
+      this.stateRuleCache = null; // The page's :hover / :focus / ... rules with their selectors rewritten onto the state attribute
+      this.interactiveStateCache = null; // Computed states of the locked element { element, states }
+      this.styleRuleCache = null; // Every style rule in the page's readable stylesheets, with its context
+      this.matchedRuleCache = null; // Rules matching the locked element { element, candidates, rules, breakpoints }
+      this.stylesheetLineCache = new Map(); // Source line of each style rule per stylesheet (null when unknown)
+      this.longhandCache = new Map(); // Longhands set by each shorthand declaration ("margin:0" → margin-top, ...)
+      this.breakpointPreviewWidth = null; // Width the Breakpoints tab previews the page at (null when closed)
+      this.mediaSizeCache = new Map(); // Natural size of each background image URL (a promise while loading)
+      this.assetSourceFilter = "all"; // Assets tab: where assets come from ("image", "svg", ...) or "all"
+      this.assetTypeFilter = "all"; // Assets tab: file type ("PNG", "SVG", ...) or "all"
+      this.isZippingAssets = false; // A zip of the page's assets is being put together
+      this.styleEditMode = false; // Clicking a value in the inspector edits it instead of copying it
+      this.styleEdits = []; // Edit history across elements [{ element, selector, property, from, to, previous }]
+      this.styleEditIndex = 0; // Edits before this index are applied, the rest can be redone
+      this.colorFormat = this.getStoredColorFormat(); // HEX, RGB, HSL, ... shared by inspector and overview
+      const storedThreshold = parseFloat(
+        localStorage.getItem("css-inspector-color-cluster-threshold")
+      );
+      this.colorClusterThreshold = isNaN(storedThreshold) ? 2 : storedThreshold; // Max ΔE for grouping near-duplicate colors (0 = off)
+      this.colorClusterMetric =
+        localStorage.getItem("css-inspector-color-cluster-metric") === "oklab"
+          ? "oklab"
+          : "ciede2000";
       this.toastElement = null;
       this.toastTimeout = null;
       this.isScrolling = false;
@@ -126,6 +165,26 @@
       }
       this.colorExtractionCache = null; // Cache color extraction results
       this.typographyExtractionCache = null; // Cache typography extraction results
+      this.textStylesExtractionCache = null; // Cache text style (full font tuple) extraction results
+      this.spacingExtractionCache = null; // Cache spacing and radius values for the token audit
+      this.shadowExtractionCache = null; // Cache the page's distinct shadows
+      this.gradientExtractionCache = null; // Cache the page's distinct gradients
+      this.assetExtractionCache = null; // Cache the page's images, SVGs, icons and other assets
+      const storedFontsView = localStorage.getItem("css-inspector-fonts-view");
+      this.fontsViewMode = ["styles", "scale"].includes(storedFontsView)
+        ? storedFontsView
+        : "families"; // Fonts tab: per-family cards, full text styles or the type scale
+      this.typeScaleRatio = null; // Ratio picked in the Scale view (null = best fit)
+      this.customPropertyCache = null; // Index of custom property definitions and var() usages in the page's stylesheets
+      this.tokenUsageCache = null; // Cache custom property usage counts for the Tokens tab
+      this.tokenReferenceCache = new WeakMap(); // Cache the var() references resolved per element
+      this.tokensViewKind = "all"; // Tokens tab filter (all, color, spacing, radius, font, other)
+      this.tokensViewMode =
+        localStorage.getItem("css-inspector-tokens-view") === "audit"
+          ? "audit"
+          : "variables"; // Tokens tab: the page's variables or the audit against a token file
+      this.tokenAuditFile = null; // Imported token file { name, format, tokens }
+      this.tokenAuditError = null; // Why the last token file import failed
       this.domMutationObserver = null; // Observer for DOM changes
 
       // Debounced functions
@@ -169,6 +228,9 @@
       // Initialize theme
       this.theme = this.getInitialTheme();
 
+      // Restore the imported design token file (shared across sites)
+      this.loadTokenAuditFile();
+
       // Store reference to this instance
       const inspectorInstance = this;
 
@@ -276,6 +338,11 @@
               // Remove overlays
               instance.removeOverlay("hover");
               instance.removeOverlay("selected");
+              instance.removeMeasureOverlay();
+              instance.stopLocate();
+              instance.hideRulers();
+              instance.stopEyedropper();
+              instance.stopRegionCapture();
               instance.selectedElement = null;
               instance.hoveredElement = null;
               console.log("[CSS Inspector] Panel removed");
@@ -312,7 +379,12 @@
         } else if (message.action === "getInspectorStatus") {
           sendResponse({ isActive: instance.isActive });
         } else if (message.action === "getColors") {
-          sendResponse({ colors: instance.extractColors() });
+          // Element references can't cross the message boundary
+          sendResponse({
+            colors: instance
+              .extractColors()
+              .map(({ elements, ...color }) => color),
+          });
         } else if (message.action === "getTypography") {
           sendResponse({ typography: instance.extractTypography() });
         } else if (message.action === "getStats") {
@@ -487,16 +559,7 @@
           }
         } else {
           // Save which overview tab is active before re-rendering
-          const colorsView = this.shadowRoot
-            ? this.shadowRoot.querySelector("#overview-colors-view")
-            : null;
-          const fontsView = this.shadowRoot
-            ? this.shadowRoot.querySelector("#overview-fonts-view")
-            : null;
-          const activeTab =
-            fontsView && fontsView.style.display !== "none"
-              ? "fonts"
-              : "colors";
+          const activeTab = this.getActiveOverviewTab();
 
           this.switchPanelToOverviewMode(activeTab); // Restore scroll position after re-rendering
           if (panelContent && savedScrollTop > 0) {
@@ -616,6 +679,14 @@
       // Enable click to lock elements
       document.addEventListener("click", this.boundHandleClick, true);
 
+      // Alt (Option) shows redlines between the locked and hovered elements
+      this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+      this.boundHandleKeyUp = this.handleKeyUp.bind(this);
+      this.boundHandleWindowBlur = this.removeMeasureOverlay.bind(this);
+      window.addEventListener("keydown", this.boundHandleKeyDown, true);
+      window.addEventListener("keyup", this.boundHandleKeyUp, true);
+      window.addEventListener("blur", this.boundHandleWindowBlur);
+
       // Update overlays on scroll
       this.boundHandleScroll = this.handleScroll.bind(this);
       window.addEventListener("scroll", this.boundHandleScroll, true);
@@ -623,10 +694,16 @@
 
       // Setup MutationObserver to invalidate caches on DOM changes
       if (!this.domMutationObserver) {
-        this.domMutationObserver = new MutationObserver(() => {
+        this.domMutationObserver = new MutationObserver((mutations) => {
           // Invalidate caches when DOM changes significantly
           this.colorExtractionCache = null;
           this.typographyExtractionCache = null;
+          this.textStylesExtractionCache = null;
+          this.spacingExtractionCache = null;
+          this.shadowExtractionCache = null;
+          this.gradientExtractionCache = null;
+          this.assetExtractionCache = null;
+          this.invalidateTokenCaches(mutations);
           // Clear style cache periodically (keep it for performance but limit size)
           if (this.styleCache && this.styleCache.cache.size > 500) {
             this.styleCache.clear();
@@ -671,6 +748,12 @@
         if (this.selectedElement) {
           this.updateOverlay("selected", this.selectedElement);
         }
+        if (this.measureTarget) {
+          this.updateMeasureOverlay(this.measureTarget);
+        }
+        if (this.locateState) {
+          this.updateLocateOverlays();
+        }
         this.scrollAnimationFrame = null;
       });
     }
@@ -712,18 +795,19 @@
 
       // Force multiple reflows to ensure content is fully laid out
       // CRITICAL: Also temporarily set opacity to 1 on the views to ensure accurate measurement
-      const colorsView = this.shadowRoot.querySelector("#overview-colors-view");
-      const fontsView = this.shadowRoot.querySelector("#overview-fonts-view");
-      const originalColorsOpacity = colorsView ? colorsView.style.opacity : "";
-      const originalFontsOpacity = fontsView ? fontsView.style.opacity : "";
+      const overviewViews = Array.from(
+        this.shadowRoot.querySelectorAll("[data-overview-view]")
+      );
+      const originalViewOpacities = overviewViews.map(
+        (view) => view.style.opacity
+      );
 
       // Temporarily set opacity to 1 for accurate measurement
-      if (colorsView && colorsView.style.display !== "none") {
-        colorsView.style.setProperty("opacity", "1", "important");
-      }
-      if (fontsView && fontsView.style.display !== "none") {
-        fontsView.style.setProperty("opacity", "1", "important");
-      }
+      overviewViews.forEach((view) => {
+        if (view.style.display !== "none") {
+          view.style.setProperty("opacity", "1", "important");
+        }
+      });
 
       panelContent.offsetHeight;
       this.inspectorPanel.offsetHeight;
@@ -751,24 +835,17 @@
           : panelContent.scrollHeight;
 
       // Restore original opacity values
-      if (colorsView && originalColorsOpacity !== "") {
-        colorsView.style.setProperty(
-          "opacity",
-          originalColorsOpacity,
-          "important"
-        );
-      } else if (colorsView) {
-        colorsView.style.removeProperty("opacity");
-      }
-      if (fontsView && originalFontsOpacity !== "") {
-        fontsView.style.setProperty(
-          "opacity",
-          originalFontsOpacity,
-          "important"
-        );
-      } else if (fontsView) {
-        fontsView.style.removeProperty("opacity");
-      }
+      overviewViews.forEach((view, index) => {
+        if (originalViewOpacities[index] !== "") {
+          view.style.setProperty(
+            "opacity",
+            originalViewOpacities[index],
+            "important"
+          );
+        } else {
+          view.style.removeProperty("opacity");
+        }
+      });
 
       // Use the actual measured panelContent.scrollHeight
       const actualPanelContentHeight = panelContent.scrollHeight;
@@ -882,24 +959,19 @@
           // Force multiple reflows to ensure content is fully laid out
           // CRITICAL: Also temporarily set opacity to 1 on the views to ensure accurate measurement
           // opacity: 0 can sometimes affect layout calculations
-          const colorsView = this.shadowRoot.querySelector(
-            "#overview-colors-view"
+          const overviewViews = Array.from(
+            this.shadowRoot.querySelectorAll("[data-overview-view]")
           );
-          const fontsView = this.shadowRoot.querySelector(
-            "#overview-fonts-view"
+          const originalViewOpacities = overviewViews.map(
+            (view) => view.style.opacity
           );
-          const originalColorsOpacity = colorsView
-            ? colorsView.style.opacity
-            : "";
-          const originalFontsOpacity = fontsView ? fontsView.style.opacity : "";
 
           // Temporarily set opacity to 1 for accurate measurement
-          if (colorsView && colorsView.style.display !== "none") {
-            colorsView.style.setProperty("opacity", "1", "important");
-          }
-          if (fontsView && fontsView.style.display !== "none") {
-            fontsView.style.setProperty("opacity", "1", "important");
-          }
+          overviewViews.forEach((view) => {
+            if (view.style.display !== "none") {
+              view.style.setProperty("opacity", "1", "important");
+            }
+          });
 
           panelContent.offsetHeight;
           this.inspectorPanel.offsetHeight;
@@ -933,24 +1005,17 @@
               : panelContent.scrollHeight;
 
           // Restore original opacity values
-          if (colorsView && originalColorsOpacity !== "") {
-            colorsView.style.setProperty(
-              "opacity",
-              originalColorsOpacity,
-              "important"
-            );
-          } else if (colorsView) {
-            colorsView.style.removeProperty("opacity");
-          }
-          if (fontsView && originalFontsOpacity !== "") {
-            fontsView.style.setProperty(
-              "opacity",
-              originalFontsOpacity,
-              "important"
-            );
-          } else if (fontsView) {
-            fontsView.style.removeProperty("opacity");
-          } // Restore original styles
+          overviewViews.forEach((view, index) => {
+            if (originalViewOpacities[index] !== "") {
+              view.style.setProperty(
+                "opacity",
+                originalViewOpacities[index],
+                "important"
+              );
+            } else {
+              view.style.removeProperty("opacity");
+            }
+          }); // Restore original styles
           // CRITICAL: Don't restore height or flex - let finishHeightUpdate set them correctly
           // Restoring the old values can interfere with the measurement and cause incorrect sizing
           // Keep flex: 0 0 auto until finishHeightUpdate sets the correct height
@@ -1300,6 +1365,14 @@
         window.removeEventListener("resize", this.boundHandleScroll, true);
         this.boundHandleScroll = null;
       }
+      if (this.boundHandleKeyDown) {
+        window.removeEventListener("keydown", this.boundHandleKeyDown, true);
+        window.removeEventListener("keyup", this.boundHandleKeyUp, true);
+        window.removeEventListener("blur", this.boundHandleWindowBlur);
+        this.boundHandleKeyDown = null;
+        this.boundHandleKeyUp = null;
+        this.boundHandleWindowBlur = null;
+      }
 
       // Remove inspector active class from body
       document.body.classList.remove("css-inspector-active");
@@ -1326,6 +1399,19 @@
       }
       this.colorExtractionCache = null;
       this.typographyExtractionCache = null;
+      this.textStylesExtractionCache = null;
+      this.spacingExtractionCache = null;
+      this.shadowExtractionCache = null;
+      this.gradientExtractionCache = null;
+      this.assetExtractionCache = null;
+      this.customPropertyCache = null;
+      this.tokenUsageCache = null;
+      this.tokenReferenceCache = new WeakMap();
+      this.stateRuleCache = null;
+      this.interactiveStateCache = null;
+      this.styleRuleCache = null;
+      this.matchedRuleCache = null;
+      this.stylesheetLineCache = new Map();
 
       this.selectedElement = null;
       this.hoveredElement = null;
@@ -1334,6 +1420,8 @@
       // Remove overlays
       this.removeOverlay("hover");
       this.removeOverlay("selected");
+      this.removeMeasureOverlay();
+      this.stopLocate();
     }
 
     createOverlay(type, element) {
@@ -1344,9 +1432,20 @@
 
       const overlay = document.createElement("div");
       overlay.className = `css-inspector-overlay css-inspector-overlay-${type}`;
-      const borderColor = type === "selected" ? "#10B981" : "#10B981";
+      // "locate" overlays mark every usage of a color from the Colors overview,
+      // "layout" overlays hold the grid / flex guides of the locked container
+      const borderColor =
+        type === "locate"
+          ? "#F59E0B"
+          : type === "layout"
+          ? "#A855F7"
+          : "#10B981";
       const backgroundColor =
-        type === "selected" ? "transparent" : "rgba(16, 185, 129, 0.1)";
+        type === "selected" || type === "layout"
+          ? "transparent"
+          : type === "locate"
+          ? "rgba(245, 158, 11, 0.12)"
+          : "rgba(16, 185, 129, 0.1)";
       overlay.style.cssText = `
       position: fixed !important;
       left: ${rect.left - totalExtension}px !important;
@@ -1358,7 +1457,9 @@
       } ${borderColor} !important;
       background: ${backgroundColor} !important;
       pointer-events: none !important;
-      z-index: 2147483646 !important;
+      z-index: ${
+        type === "locate" || type === "layout" ? 2147483645 : 2147483646
+      } !important;
       box-sizing: border-box !important;
     `;
 
@@ -1392,6 +1493,9 @@
           this.hoverOverlay = newOverlay;
         }
       }
+      if (type === "selected") {
+        this.updateLayoutOverlay(element);
+      }
     }
 
     removeOverlay(type) {
@@ -1410,1300 +1514,2374 @@
         });
       if (type === "selected") {
         this.selectedOverlay = null;
+        this.removeLayoutOverlay();
       } else {
         this.hoverOverlay = null;
       }
     }
 
-    injectInspectorStyles() {
-      // Add class to body to indicate inspector is active
-      document.body.classList.add("css-inspector-active");
-
-      // Inject style element to override cursor for interactive elements
-      if (!this.inspectorStyleElement) {
-        this.inspectorStyleElement = document.createElement("style");
-        this.inspectorStyleElement.id = "css-inspector-cursor-override";
-        const cursorUrl = this.getInspectorCursor();
-        this.inspectorStyleElement.textContent = `
-        body.css-inspector-active * {
-          cursor: ${cursorUrl} !important;
-        }
-        body.css-inspector-active #css-inspector-panel,
-        body.css-inspector-active #css-inspector-panel * {
-          cursor: default !important;
-        }
-      `;
-        document.head.appendChild(this.inspectorStyleElement);
-      } else {
-        // Update existing style element
-        const cursorUrl = this.getInspectorCursor();
-        this.inspectorStyleElement.textContent = `
-        body.css-inspector-active * {
-          cursor: ${cursorUrl} !important;
-        }
-        body.css-inspector-active #css-inspector-panel,
-        body.css-inspector-active #css-inspector-panel * {
-          cursor: default !important;
-        }
-      `;
+    // Keeps the layout overlay on the locked element: moved along on scroll and
+    // redrawn when the element changes or is resized
+    updateLayoutOverlay(element) {
+      const current = this.layoutOverlay;
+      if (!this.layoutOverlayEnabled || !element) {
+        this.removeLayoutOverlay();
+        return;
       }
-    }
 
-    getShadowDOMCSS() {
-      // Return CSS for shadow DOM - this isolates panel styles from page CSS
-      // Note: #css-inspector-panel selector won't work in shadow DOM, use :host instead
-      return `
-      :host {
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        width: 380px;
-        max-height: 80vh;
-        background: #0D0D0D;
-        border: 1px solid #1F1F1F;
-        border-radius: 8px;
-        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 40px rgba(114, 65, 255, 0.15);
-        z-index: 2147483647;
-        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-        overflow: hidden;
-        display: flex;
-        flex-direction: column;
-        user-select: none;
-        color: #E5E5E5;
-        transition: height 0.45s cubic-bezier(0.88, 0, 0.12, 1);
-        animation: subtleGlow 8s ease-in-out infinite;
-        /* Explicitly hide scrollbar on host */
-        scrollbar-width: none;
-        -ms-overflow-style: none;
-        /* CRITICAL FIX: Use border-box so border is included in height calculation */
-        box-sizing: border-box;
+      const rect = element.getBoundingClientRect();
+      if (
+        current &&
+        current.element === element &&
+        current.overlay.parentNode &&
+        current.width === rect.width &&
+        current.height === rect.height
+      ) {
+        // 2px outline + 2px offset, as in createOverlay
+        const totalExtension = 4;
+        current.overlay.style.left = `${rect.left - totalExtension}px`;
+        current.overlay.style.top = `${rect.top - totalExtension}px`;
+        return;
       }
 
-      :host::-webkit-scrollbar {
-        display: none;
-        width: 0;
-        height: 0;
-      }
+      this.removeLayoutOverlay();
+      const layout = getElementLayout(this.getCachedComputedStyle(element));
+      if (!layout) return;
+      this.layoutOverlay = {
+        element,
+        overlay: this.createLayoutOverlay(element, layout),
+        width: rect.width,
+        height: rect.height,
+      };
+    }
 
-      @keyframes subtleGlow {
-        0%, 100% {
-          box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 30px rgba(114, 65, 255, 0.1);
-        }
-        50% {
-          box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 50px rgba(114, 65, 255, 0.2);
-        }
+    removeLayoutOverlay() {
+      if (this.layoutOverlay && this.layoutOverlay.overlay.parentNode) {
+        this.layoutOverlay.overlay.parentNode.removeChild(
+          this.layoutOverlay.overlay
+        );
       }
+      this.layoutOverlay = null;
+      // Also remove any orphaned layout overlays
+      document
+        .querySelectorAll(".css-inspector-overlay-layout")
+        .forEach((el) => {
+          if (el.parentNode) {
+            el.parentNode.removeChild(el);
+          }
+        });
+    }
 
-      #element-info {
-        transition: opacity 0.2s ease-out, transform 0.2s ease-out;
-        margin: 0;
-        padding: 0;
+    // Redlines between the locked element and target: edge-to-edge distances,
+    // or to the container's padding edge when one element is inside the other.
+    // Redrawn from scratch on every call (hover, scroll and resize)
+    updateMeasureOverlay(target) {
+      const selected = this.selectedElement;
+      if (!selected || !target || target === selected) {
+        this.removeMeasureOverlay();
+        return;
       }
 
-      #element-info > * {
-        margin-top: 0;
-      }
+      const selectedRect = selected.getBoundingClientRect();
+      const targetRect = target.getBoundingClientRect();
+      const container = selected.contains(target)
+        ? selected
+        : target.contains(selected)
+        ? target
+        : null;
+      const { lines, guides } = getRedlines(
+        selectedRect,
+        targetRect,
+        container ? this.getPaddingBox(container) : null
+      );
 
-      #element-info > *:first-child {
-        margin-top: 0;
+      if (!this.measureOverlay || !this.measureOverlay.parentNode) {
+        this.measureOverlay = document.createElement("div");
+        this.measureOverlay.className =
+          "css-inspector-overlay css-inspector-overlay-measure";
+        this.measureOverlay.style.cssText = `
+        position: fixed !important;
+        inset: 0 !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        pointer-events: none !important;
+        z-index: 2147483646 !important;
+      `;
+        document.body.appendChild(this.measureOverlay);
       }
+      this.measureTarget = target;
+
+      const overlay = this.measureOverlay;
+      const accent = "#F43F5E";
+      overlay.textContent = "";
+      const addPart = (left, top, width, height, css) => {
+        const part = document.createElement("div");
+        part.className = "css-inspector-overlay css-inspector-measure-part";
+        part.style.cssText = `
+        position: absolute !important;
+        left: ${left}px !important;
+        top: ${top}px !important;
+        width: ${Math.max(0, width)}px !important;
+        height: ${Math.max(0, height)}px !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        box-sizing: border-box !important;
+        ${css}
+      `;
+        overlay.appendChild(part);
+        return part;
+      };
 
-      .inspector-section {
-        transition: opacity 0.2s ease-out, transform 0.2s ease-out, margin-bottom 0.2s ease-out, max-height 0.2s ease-out;
-        overflow: hidden;
-        margin-top: 0;
-        margin-bottom: 16px;
-      }
+      addPart(
+        targetRect.left,
+        targetRect.top,
+        targetRect.width,
+        targetRect.height,
+        `border: 1px solid ${accent} !important;`
+      );
+      guides.forEach((guide) => {
+        const vertical = guide.x1 === guide.x2;
+        addPart(
+          Math.min(guide.x1, guide.x2),
+          Math.min(guide.y1, guide.y2),
+          vertical ? 0 : Math.abs(guide.x2 - guide.x1),
+          vertical ? Math.abs(guide.y2 - guide.y1) : 0,
+          `border: 0 dashed ${accent} !important; border-${
+            vertical ? "left" : "top"
+          }-width: 1px !important;`
+        );
+      });
+      lines.forEach((line) => {
+        const vertical = line.x1 === line.x2;
+        addPart(
+          Math.min(line.x1, line.x2),
+          Math.min(line.y1, line.y2),
+          vertical ? 1 : Math.abs(line.x2 - line.x1),
+          vertical ? Math.abs(line.y2 - line.y1) : 1,
+          `background: ${accent} !important;`
+        );
+        const label = addPart(
+          (line.x1 + line.x2) / 2,
+          (line.y1 + line.y2) / 2,
+          0,
+          0,
+          `width: auto !important;
+        height: auto !important;
+        padding: 1px 4px !important;
+        transform: translate(-50%, -50%) !important;
+        background: ${accent} !important;
+        color: #fff !important;
+        font: 600 11px/14px -apple-system, BlinkMacSystemFont, sans-serif !important;
+        border-radius: 3px !important;
+        white-space: nowrap !important;`
+        );
+        label.textContent = formatRedlineValue(line.value);
+      });
+    }
 
-      .inspector-section:first-child {
-        margin-top: 0;
+    removeMeasureOverlay() {
+      if (this.measureOverlay && this.measureOverlay.parentNode) {
+        this.measureOverlay.parentNode.removeChild(this.measureOverlay);
       }
+      this.measureOverlay = null;
+      this.measureTarget = null;
+    }
 
-      .inspector-section > div:first-child {
-        margin-top: 0;
-        margin-bottom: 10px;
-      }
+    // An element's padding box (border box minus borders) in viewport px
+    getPaddingBox(element) {
+      const rect = element.getBoundingClientRect();
+      const styles = this.getCachedComputedStyle(element);
+      return {
+        left: rect.left + (parseFloat(styles.borderLeftWidth) || 0),
+        top: rect.top + (parseFloat(styles.borderTopWidth) || 0),
+        right: rect.right - (parseFloat(styles.borderRightWidth) || 0),
+        bottom: rect.bottom - (parseFloat(styles.borderBottomWidth) || 0),
+      };
+    }
 
-      .inspector-section h4 {
-        margin: 0;
-        padding: 0;
-        font-size: 13px;
-        font-weight: 600;
-      }
+    // Header button that starts the pixel eyedropper
+    renderEyedropperButton(colors) {
+      return `<button id="eyedropper-button" style="background: transparent; border: none; cursor: pointer; color: ${
+        colors.textSecondary
+      }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
+        colors.bgHover
+      }'; this.style.color='${
+        colors.textPrimary
+      }'" onmouseout="this.style.background='transparent'; this.style.color='${
+        colors.textSecondary
+      }'" title="Pick a color from the screen">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
+                <path fill="currentColor" d="M20.71 3.29a3.04 3.04 0 0 0-4.3 0l-2.7 2.7-.7-.7a1 1 0 1 0-1.42 1.42l.71.7-7.6 7.6A2 2 0 0 0 4 16.4V18l-1.7 1.7a1 1 0 1 0 1.4 1.42L5.42 19.4H7a2 2 0 0 0 1.4-.58l7.6-7.6.7.7a1 1 0 0 0 1.42-1.42l-.7-.7 2.7-2.7a3.04 3.04 0 0 0 0-4.3zM7 17.4H6V16.4l7.6-7.6 1 1z"/>
+              </svg>
+            </button>`;
+    }
 
-      .inspector-section > div[style*="grid"] {
-        margin-top: 0;
-        margin-bottom: 0;
-      }
+    bindEyedropperButton() {
+      if (!this.shadowRoot) return;
+      const button = this.shadowRoot.querySelector("#eyedropper-button");
+      if (!button) return;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        e.preventDefault();
+        this.startEyedropper();
+      });
+    }
 
-      #panel-drag-handle {
-        flex-shrink: 0;
-        z-index: 1;
-      }
+    // Screenshot of the visible tab (taken by the background worker) drawn
+    // into a canvas. The panel is always hidden while capturing; overlays,
+    // redlines and rulers too unless keepOverlays is set.
+    // Resolves to { canvas, context, scale }, scale being device px per CSS px
+    async captureVisibleTab({ keepOverlays = false } = {}) {
+      const hidden = [];
+      document
+        .querySelectorAll(
+          keepOverlays
+            ? "#css-inspector-panel"
+            : "#css-inspector-panel, .css-inspector-overlay"
+        )
+        .forEach((el) => {
+          hidden.push([
+            el,
+            el.style.getPropertyValue("visibility"),
+            el.style.getPropertyPriority("visibility"),
+          ]);
+          el.style.setProperty("visibility", "hidden", "important");
+        });
+      // Let the page repaint without them
+      await new Promise((resolve) =>
+        requestAnimationFrame(() => requestAnimationFrame(resolve))
+      );
 
-      #panel-content {
-        padding: 16px;
-        overflow-y: auto;
-        overflow-x: hidden;
-        flex: 1;
-        min-height: 0; /* Allow flex item to shrink below content size */
-        /* Hide scrollbar by default, show on hover */
-        scrollbar-width: thin;
-        scrollbar-color: transparent transparent;
-      }
+      try {
+        const response = await new Promise((resolve) =>
+          chrome.runtime.sendMessage({ action: "captureVisibleTab" }, resolve)
+        );
+        if (chrome.runtime.lastError || !response || !response.success) {
+          throw new Error(
+            (chrome.runtime.lastError && chrome.runtime.lastError.message) ||
+              (response && response.error) ||
+              "Capture failed"
+          );
+        }
 
-      #panel-content:hover {
-        scrollbar-color: #ccc transparent;
+        const image = await new Promise((resolve, reject) => {
+          const img = new Image();
+          img.onload = () => resolve(img);
+          img.onerror = () => reject(new Error("Could not read the capture"));
+          img.src = response.dataUrl;
+        });
+        const canvas = document.createElement("canvas");
+        canvas.width = image.naturalWidth;
+        canvas.height = image.naturalHeight;
+        const context = canvas.getContext("2d", { willReadFrequently: true });
+        context.drawImage(image, 0, 0);
+        return {
+          canvas,
+          context,
+          scale: getCaptureScale(canvas.width, window.innerWidth),
+        };
+      } finally {
+        hidden.forEach(([el, value, priority]) => {
+          if (value) {
+            el.style.setProperty("visibility", value, priority);
+          } else {
+            el.style.removeProperty("visibility");
+          }
+        });
       }
+    }
 
-      #panel-content::-webkit-scrollbar {
-        width: 8px;
+    // Eyedropper: freezes a capture of the tab and shows a zoomed pixel loupe
+    // under the cursor. Clicking samples the exact rendered pixel (images,
+    // canvas, video and SVG included); Escape cancels
+    async startEyedropper() {
+      if (this.eyedropper) return;
+      let capture;
+      try {
+        capture = await this.captureVisibleTab();
+      } catch (error) {
+        console.warn("[CSS Inspector] Eyedropper capture failed:", error);
+        this.showToast("Screen capture is not available on this page");
+        return;
       }
 
-      #panel-content::-webkit-scrollbar-track {
-        background: transparent;
-        border-radius: 4px;
-      }
+      // Device pixels across the loupe (odd, so one sits in the middle)
+      const cells = 15;
+      const zoom = 8;
+      const size = cells * zoom;
+      const ratio = window.devicePixelRatio || 1;
+
+      const shield = document.createElement("div");
+      shield.id = "css-inspector-eyedropper";
+      shield.className = "css-inspector-overlay";
+      shield.style.cssText = `
+        position: fixed !important;
+        inset: 0 !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        background: transparent !important;
+        cursor: crosshair !important;
+        z-index: 2147483647 !important;
+      `;
+      const loupe = document.createElement("div");
+      loupe.className = "css-inspector-overlay";
+      loupe.style.cssText = `
+        position: absolute !important;
+        display: none;
+        margin: 0 !important;
+        padding: 0 !important;
+        width: ${size}px !important;
+        border-radius: 10px !important;
+        overflow: hidden !important;
+        background: #18181B !important;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4), 0 0 0 1px rgba(255, 255, 255, 0.2) !important;
+        pointer-events: none !important;
+      `;
+      const canvas = document.createElement("canvas");
+      canvas.className = "css-inspector-overlay";
+      canvas.width = size * ratio;
+      canvas.height = size * ratio;
+      canvas.style.cssText = `
+        display: block !important;
+        width: ${size}px !important;
+        height: ${size}px !important;
+      `;
+      const label = document.createElement("div");
+      label.className = "css-inspector-overlay";
+      label.style.cssText = `
+        margin: 0 !important;
+        padding: 4px 6px !important;
+        color: #fff !important;
+        font: 500 11px/14px 'Courier New', monospace !important;
+        text-align: center !important;
+        white-space: nowrap !important;
+        overflow: hidden !important;
+        text-overflow: ellipsis !important;
+      `;
+      loupe.append(canvas, label);
+      shield.appendChild(loupe);
+      document.body.appendChild(shield);
+
+      const context = canvas.getContext("2d");
+      let current = null;
+
+      const sample = (clientX, clientY) => {
+        const pixel = getCapturePixel(
+          clientX,
+          clientY,
+          capture.scale,
+          capture.canvas.width,
+          capture.canvas.height
+        );
+        const [r, g, b, a] = capture.context.getImageData(
+          pixel.x,
+          pixel.y,
+          1,
+          1
+        ).data;
+        return formatSampledColor(r, g, b, a);
+      };
 
-      #panel-content::-webkit-scrollbar-thumb {
-        background: transparent;
-        border-radius: 4px;
-        transition: background 0.2s;
-      }
+      const move = (e) => {
+        const half = Math.floor(cells / 2);
+        const pixel = getCapturePixel(
+          e.clientX,
+          e.clientY,
+          capture.scale,
+          capture.canvas.width,
+          capture.canvas.height
+        );
+        current = sample(e.clientX, e.clientY);
+
+        // Zoomed device pixels with a grid; the sampled pixel is outlined
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.imageSmoothingEnabled = false;
+        context.fillStyle = "#18181B";
+        context.fillRect(0, 0, size, size);
+        context.drawImage(
+          capture.canvas,
+          pixel.x - half,
+          pixel.y - half,
+          cells,
+          cells,
+          0,
+          0,
+          size,
+          size
+        );
+        context.strokeStyle = "rgba(0, 0, 0, 0.18)";
+        context.lineWidth = 1 / ratio;
+        context.beginPath();
+        for (let i = 1; i < cells; i++) {
+          context.moveTo(i * zoom, 0);
+          context.lineTo(i * zoom, size);
+          context.moveTo(0, i * zoom);
+          context.lineTo(size, i * zoom);
+        }
+        context.stroke();
+        context.lineWidth = 2;
+        context.strokeStyle = "#000";
+        context.strokeRect(half * zoom, half * zoom, zoom, zoom);
+        context.lineWidth = 1;
+        context.strokeStyle = "#fff";
+        context.strokeRect(
+          half * zoom + 0.5,
+          half * zoom + 0.5,
+          zoom - 1,
+          zoom - 1
+        );
 
-      #panel-content:hover::-webkit-scrollbar-thumb {
-        background: #ccc;
-      }
+        label.textContent = this.formatColorValue(current) || current;
+
+        // Keep the loupe on screen, flipping it to the other side at the edges
+        const offset = 16;
+        const loupeHeight = loupe.offsetHeight || size + 22;
+        const left =
+          e.clientX + offset + size > window.innerWidth
+            ? e.clientX - offset - size
+            : e.clientX + offset;
+        const top =
+          e.clientY + offset + loupeHeight > window.innerHeight
+            ? e.clientY - offset - loupeHeight
+            : e.clientY + offset;
+        loupe.style.display = "block";
+        loupe.style.left = `${left}px`;
+        loupe.style.top = `${top}px`;
+      };
 
-      #panel-content::-webkit-scrollbar-thumb:hover {
-        background: #999;
+      const click = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        const color = sample(e.clientX, e.clientY);
+        this.stopEyedropper();
+        this.addSampledColor(color);
+      };
+      const keydown = (e) => {
+        if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          this.stopEyedropper();
+        }
+      };
+      // The capture is a still of the viewport, so the page can't scroll
+      // under it; a resize makes it stale
+      const wheel = (e) => e.preventDefault();
+      const resize = () => this.stopEyedropper();
+
+      shield.addEventListener("mousemove", move);
+      shield.addEventListener("click", click);
+      shield.addEventListener("wheel", wheel, { passive: false });
+      window.addEventListener("keydown", keydown, true);
+      window.addEventListener("resize", resize);
+
+      this.eyedropper = {
+        shield,
+        loupe,
+        canvas,
+        label,
+        capture,
+        stop: () => {
+          window.removeEventListener("keydown", keydown, true);
+          window.removeEventListener("resize", resize);
+        },
+      };
+    }
+
+    stopEyedropper() {
+      if (!this.eyedropper) return;
+      this.eyedropper.stop();
+      if (this.eyedropper.shield.parentNode) {
+        this.eyedropper.shield.parentNode.removeChild(this.eyedropper.shield);
       }
+      this.eyedropper = null;
+    }
 
-      /* Reset all inherited styles to ensure consistency */
-      * {
-        box-sizing: border-box;
+    // Keeps a picked color (copied in the current color format) and shows it
+    // in the Colors overview
+    async addSampledColor(color) {
+      this.sampledColors = [color]
+        .concat(this.sampledColors.filter((value) => value !== color))
+        .slice(0, 12);
+
+      const value = this.formatColorValue(color) || color;
+      try {
+        await navigator.clipboard.writeText(value);
+        this.showToast(`${value} copied`);
+      } catch (err) {
+        console.error("Failed to copy:", err);
+      }
+
+      if (!this.isActive && this.getActiveOverviewTab() === "colors") {
+        this.renderColorsView();
       }
-    `;
     }
 
-    createPanel() {
-      console.log("[CSS Inspector] createPanel called"); // Ensure document.body exists
-      if (!document.body) {
-        console.warn(
-          "[CSS Inspector] document.body not available yet, waiting..."
+    // Eyedropper picks shown above the palette, in the selected color format
+    renderSampledColors(themeColors) {
+      if (this.sampledColors.length === 0) return "";
+      return `
+      <div style="margin-bottom: 12px;">
+        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 6px; font-size: 11px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">
+          <span>Picked from screen</span>
+          <button data-sampled-clear style="padding: 0; border: none; background: transparent; color: ${
+            themeColors.textSecondary
+          }; font-size: 11px; font-family: 'Inter', sans-serif; cursor: pointer;">Clear</button>
+        </div>
+        <div style="display: flex; flex-wrap: wrap; gap: 6px;">
+          ${this.sampledColors
+            .map((color) => {
+              const value = this.formatColorValue(color) || color;
+              return `
+          <div data-copy-value="${value}" data-copy-message="${value} copied" title="${value}" style="display: flex; align-items: center; gap: 6px; padding: 4px 8px 4px 4px; background: ${
+                themeColors.bgSecondary
+              }; border: 1px solid ${
+                themeColors.border
+              }; border-radius: 9999px; cursor: pointer; font-size: 11px; color: ${
+                themeColors.textPrimary
+              }; font-family: 'Courier New', monospace;">
+            <span style="width: 16px; height: 16px; border-radius: 9999px; border: 1px solid ${
+              themeColors.border
+            }; background: ${this.getColorSwatchBackground(color)};"></span>
+            ${value}
+          </div>`;
+            })
+            .join("")}
+        </div>
+      </div>`;
+    }
+
+    loadCaptureOptions() {
+      try {
+        const stored = JSON.parse(
+          localStorage.getItem("css-inspector-capture-options") || "null"
         );
-        // Wait for body to be available
-        const checkBody = setInterval(() => {
-          if (document.body) {
-            clearInterval(checkBody);
-            console.log(
-              "[CSS Inspector] document.body now available, creating panel..."
-            );
-            this.createPanel();
-          }
-        }, 50);
-        return;
+        if (stored && typeof stored === "object") {
+          return {
+            scale: stored.scale === 1 ? 1 : 2,
+            overlays: Boolean(stored.overlays),
+          };
+        }
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to load capture options:", e);
       }
+      return { scale: 2, overlays: false };
+    }
 
-      // Check if panel already exists
-      const existingPanel = document.getElementById("css-inspector-panel");
-      if (existingPanel) {
-        console.log("[CSS Inspector] Panel already exists, reusing it");
-        this.inspectorPanel = existingPanel;
-        // Get shadow root if it exists
-        this.shadowRoot = existingPanel.shadowRoot;
-        if (!this.shadowRoot) {
-          // Panel exists but no shadow root - recreate it
-          console.warn(
-            "[CSS Inspector] Panel exists but no shadow root, recreating..."
-          );
-          existingPanel.remove();
-          // Continue to create new panel below
-        } else {
-          // Ensure theme is up to date when reusing existing panel
+    saveCaptureOptions() {
+      try {
+        localStorage.setItem(
+          "css-inspector-capture-options",
+          JSON.stringify(this.captureOptions)
+        );
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to save capture options:", e);
+      }
+    }
+
+    // Capture button for the locked-element header, with the export options
+    // (1x / 2x, with or without overlays) in a row that opens below it
+    renderCaptureControls(colors) {
+      const options = this.captureOptions;
+      const pill = (attribute, value, label, active) =>
+        `<button ${attribute}="${value}" style="padding: 3px 8px; border: none; background: ${
+          active ? colors.segmentActive : "transparent"
+        }; color: ${
+          active ? colors.textPrimary : colors.textSecondary
+        }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer;">${label}</button>`;
+
+      return `
+          <button data-capture-toggle title="Capture screenshot" style="margin-left: auto; background: transparent; border: none; cursor: pointer; color: ${
+            colors.textSecondary
+          }; padding: 4px; border-radius: 4px; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
+        colors.bgHover
+      }'; this.style.color='${
+        colors.textPrimary
+      }'" onmouseout="this.style.background='transparent'; this.style.color='${
+        colors.textSecondary
+      }'">
+            <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
+              <path fill="currentColor" d="M9.4 3a2 2 0 0 0-1.66.9L6.46 6H5a3 3 0 0 0-3 3v9a3 3 0 0 0 3 3h14a3 3 0 0 0 3-3V9a3 3 0 0 0-3-3h-1.46l-1.28-2.1A2 2 0 0 0 14.6 3zM12 9a4 4 0 1 1 0 8 4 4 0 0 1 0-8m0 2a2 2 0 1 0 0 4 2 2 0 0 0 0-4"/>
+            </svg>
+          </button>
+          <div data-capture-options style="display: none; flex-basis: 100%; align-items: center; gap: 8px; flex-wrap: wrap; font-size: 11px; color: ${
+            colors.textSecondary
+          }; font-family: 'Inter', sans-serif;">
+            <div style="display: flex; padding: 2px; background: ${
+              colors.segmentBg
+            }; border-radius: 9999px;">
+              ${pill("data-capture-scale", 1, "1x", options.scale === 1)}
+              ${pill("data-capture-scale", 2, "2x", options.scale === 2)}
+            </div>
+            <label style="display: flex; align-items: center; gap: 4px; cursor: pointer;">
+              <input type="checkbox" data-capture-overlays ${
+                options.overlays ? "checked" : ""
+              } style="margin: 0; cursor: pointer;">
+              Overlays
+            </label>
+            <div style="display: flex; gap: 6px; margin-left: auto;">
+              <button data-capture-element style="padding: 4px 10px; border: 1px solid ${
+                colors.border
+              }; background: ${colors.bgSecondary}; color: ${
+        colors.textPrimary
+      }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer;">Capture element</button>
+              <button data-capture-region style="padding: 4px 10px; border: 1px solid ${
+                colors.border
+              }; background: ${colors.bgSecondary}; color: ${
+        colors.textPrimary
+      }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer;">Region</button>
+            </div>
+          </div>`;
+    }
+
+    bindCaptureControls(root, element) {
+      const toggle = root.querySelector("[data-capture-toggle]");
+      const options = root.querySelector("[data-capture-options]");
+      if (!toggle || !options) return;
+
+      toggle.addEventListener("click", (e) => {
+        e.stopPropagation();
+        options.style.display =
+          options.style.display === "none" ? "flex" : "none";
+        this.updatePanelHeight(false, true);
+      });
+
+      options.querySelectorAll("[data-capture-scale]").forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.captureOptions.scale = Number(button.dataset.captureScale);
+          this.saveCaptureOptions();
           const colors = this.getThemeColors();
-          this.inspectorPanel.style.setProperty(
-            "background",
-            colors.panelBg,
-            "important"
-          );
-          this.inspectorPanel.style.setProperty(
-            "border-color",
-            colors.border,
-            "important"
+          options.querySelectorAll("[data-capture-scale]").forEach((other) => {
+            const active = other === button;
+            other.style.background = active
+              ? colors.segmentActive
+              : "transparent";
+            other.style.color = active
+              ? colors.textPrimary
+              : colors.textSecondary;
+          });
+        });
+      });
+
+      const overlays = options.querySelector("[data-capture-overlays]");
+      if (overlays) {
+        overlays.addEventListener("change", () => {
+          this.captureOptions.overlays = overlays.checked;
+          this.saveCaptureOptions();
+        });
+      }
+
+      const captureElement = options.querySelector("[data-capture-element]");
+      if (captureElement) {
+        captureElement.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.captureElement(element);
+        });
+      }
+      const captureRegion = options.querySelector("[data-capture-region]");
+      if (captureRegion) {
+        captureRegion.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.startRegionCapture();
+        });
+      }
+    }
+
+    // Screenshot of an element's bounding box. Boxes taller than the viewport
+    // are captured slice by slice while scrolling and stitched together (fixed
+    // and sticky elements show up in every slice); anything wider than the
+    // viewport is cut at its edges
+    async captureElement(element) {
+      if (this.isCapturing || !element || !element.isConnected) return;
+      this.isCapturing = true;
+      const { scale, overlays } = this.captureOptions;
+      // Room for the selection outline (and redlines) around the box
+      const padding = overlays ? 8 : 0;
+      const startX = window.scrollX;
+      const startY = window.scrollY;
+
+      try {
+        const rect = element.getBoundingClientRect();
+        const box = {
+          left: rect.left + startX - padding,
+          top: rect.top + startY - padding,
+          width: rect.width + padding * 2,
+          height: rect.height + padding * 2,
+        };
+        const viewportHeight = window.innerHeight;
+        const fullyVisible =
+          rect.top - padding >= 0 &&
+          rect.bottom + padding <= viewportHeight;
+        const plan = fullyVisible
+          ? [
+              {
+                scrollY: startY,
+                sourceTop: rect.top - padding,
+                outputTop: 0,
+                height: box.height,
+              },
+            ]
+          : getStitchPlan(
+              box.top,
+              box.height,
+              viewportHeight,
+              Math.max(
+                0,
+                document.documentElement.scrollHeight - viewportHeight
+              )
+            );
+        if (plan.length === 0) throw new Error("Element is not on the page");
+
+        const output = document.createElement("canvas");
+        output.width = Math.max(1, Math.round(box.width * scale));
+        output.height = Math.max(1, Math.round(box.height * scale));
+        const context = output.getContext("2d");
+
+        for (let i = 0; i < plan.length; i++) {
+          const step = plan[i];
+          if (i > 0) {
+            // captureVisibleTab is limited to two calls per second
+            await new Promise((resolve) => setTimeout(resolve, 550));
+          }
+          if (window.scrollY !== step.scrollY) {
+            window.scrollTo({
+              left: startX,
+              top: step.scrollY,
+              behavior: "instant",
+            });
+          }
+          const capture = await this.captureVisibleTab({
+            keepOverlays: overlays,
+          });
+          // Measure from where the page actually ended up
+          const sourceTop = box.top + step.outputTop - window.scrollY;
+          const visible = clipRectToViewport(
+            {
+              left: box.left - window.scrollX,
+              top: sourceTop,
+              width: box.width,
+              height: step.height,
+            },
+            window.innerWidth,
+            viewportHeight
           );
-          this.inspectorPanel.style.setProperty(
-            "color",
-            colors.textPrimary,
-            "important"
+          if (!visible) continue;
+          context.drawImage(
+            capture.canvas,
+            visible.left * capture.scale,
+            visible.top * capture.scale,
+            visible.width * capture.scale,
+            visible.height * capture.scale,
+            (visible.left - (box.left - window.scrollX)) * scale,
+            (step.outputTop + visible.top - sourceTop) * scale,
+            visible.width * scale,
+            visible.height * scale
           );
-          // Re-render panel content with current theme if inspector is active
-          if (this.isActive) {
-            this.switchPanelToInspectorMode();
-            // If there's a selected element, update it with the current theme
-            if (this.selectedElement) {
-              setTimeout(() => {
-                this.updateInspectorPanel(this.selectedElement, true, true);
-              }, 0);
-            }
-          } else {
-            this.switchPanelToOverviewMode();
-          }
-          return;
         }
-      }
-
-      console.log("[CSS Inspector] Creating panel element...");
 
-      // Create panel injected into the page (like CSS Peeper)
-      const panel = document.createElement("div");
-      panel.id = "css-inspector-panel";
+        await this.exportCaptureCanvas(
+          output,
+          element.tagName.toLowerCase(),
+          scale
+        );
+      } catch (error) {
+        console.warn("[CSS Inspector] Element capture failed:", error);
+        this.showToast("Screen capture is not available on this page");
+      } finally {
+        if (window.scrollX !== startX || window.scrollY !== startY) {
+          window.scrollTo({ left: startX, top: startY, behavior: "instant" });
+        }
+        this.isCapturing = false;
+      }
+    }
 
-      // Create Shadow DOM for complete CSS isolation from page styles
-      const shadowRoot = panel.attachShadow({ mode: "open" });
-      this.shadowRoot = shadowRoot; // Store reference for later use
+    // Drag out a rectangle on the page to capture it; Escape cancels
+    startRegionCapture() {
+      if (this.regionCapture || this.isCapturing) return;
+
+      const shield = document.createElement("div");
+      shield.id = "css-inspector-region-capture";
+      shield.className = "css-inspector-overlay";
+      shield.style.cssText = `
+        position: fixed !important;
+        inset: 0 !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        background: rgba(0, 0, 0, 0.15) !important;
+        cursor: crosshair !important;
+        z-index: 2147483647 !important;
+      `;
+      const selection = document.createElement("div");
+      selection.className = "css-inspector-overlay";
+      selection.style.cssText = `
+        position: absolute !important;
+        display: none;
+        margin: 0 !important;
+        padding: 0 !important;
+        border: 1px dashed #fff !important;
+        outline: 1px dashed #000 !important;
+        background: rgba(255, 255, 255, 0.08) !important;
+        box-sizing: border-box !important;
+        pointer-events: none !important;
+      `;
+      const label = document.createElement("div");
+      label.className = "css-inspector-overlay";
+      label.style.cssText = `
+        position: absolute !important;
+        right: 0 !important;
+        bottom: -22px !important;
+        margin: 0 !important;
+        padding: 1px 4px !important;
+        background: #18181B !important;
+        color: #fff !important;
+        font: 500 11px/14px -apple-system, BlinkMacSystemFont, sans-serif !important;
+        border-radius: 3px !important;
+        white-space: nowrap !important;
+      `;
+      selection.appendChild(label);
+      shield.appendChild(selection);
+      document.body.appendChild(shield);
+
+      let start = null;
+      let region = null;
+      const down = (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        e.stopPropagation();
+        start = { x: e.clientX, y: e.clientY };
+      };
+      const move = (e) => {
+        if (!start) return;
+        region = {
+          left: Math.min(start.x, e.clientX),
+          top: Math.min(start.y, e.clientY),
+          width: Math.abs(e.clientX - start.x),
+          height: Math.abs(e.clientY - start.y),
+        };
+        selection.style.display = "block";
+        selection.style.left = `${region.left}px`;
+        selection.style.top = `${region.top}px`;
+        selection.style.width = `${region.width}px`;
+        selection.style.height = `${region.height}px`;
+        label.textContent = `${Math.round(region.width)} × ${Math.round(
+          region.height
+        )}`;
+      };
+      const up = (e) => {
+        if (!start) return;
+        e.preventDefault();
+        e.stopPropagation();
+        start = null;
+        this.stopRegionCapture();
+        if (region && region.width >= 4 && region.height >= 4) {
+          this.captureRegion(region);
+        }
+      };
+      const keydown = (e) => {
+        if (e.key === "Escape") {
+          e.preventDefault();
+          e.stopPropagation();
+          this.stopRegionCapture();
+        }
+      };
+      // Swallow the click that ends the drag so it doesn't reach the page
+      const click = (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      };
 
-      // Inject CSS into shadow root
-      const style = document.createElement("style");
-      style.textContent = this.getShadowDOMCSS();
-      shadowRoot.appendChild(style);
+      shield.addEventListener("mousedown", down);
+      shield.addEventListener("mousemove", move);
+      shield.addEventListener("mouseup", up);
+      shield.addEventListener("click", click);
+      window.addEventListener("keydown", keydown, true);
 
-      // Set panel host styles (positioning, z-index - these must be on the host element)
-      panel.style.setProperty("position", "fixed", "important");
-      panel.style.setProperty("top", "20px", "important");
-      panel.style.setProperty("right", "20px", "important");
-      panel.style.setProperty("width", "380px", "important");
-      panel.style.setProperty("max-height", "80vh", "important");
-      panel.style.setProperty("z-index", "2147483647", "important");
-      panel.style.setProperty("pointer-events", "auto", "important");
+      this.regionCapture = {
+        shield,
+        stop: () => window.removeEventListener("keydown", keydown, true),
+      };
+    }
 
-      // Position will be set via transform in initDragHandle
+    stopRegionCapture() {
+      if (!this.regionCapture) return;
+      this.regionCapture.stop();
+      if (this.regionCapture.shield.parentNode) {
+        this.regionCapture.shield.parentNode.removeChild(
+          this.regionCapture.shield
+        );
+      }
+      this.regionCapture = null;
+    }
 
-      document.body.appendChild(panel);
-      this.inspectorPanel = panel;
-      console.log(
-        "[CSS Inspector] Panel element created with Shadow DOM and appended to body"
-      );
+    // Crops a dragged viewport region out of a capture of the tab
+    async captureRegion(region) {
+      if (this.isCapturing) return;
+      this.isCapturing = true;
+      const { scale, overlays } = this.captureOptions;
+      try {
+        const capture = await this.captureVisibleTab({
+          keepOverlays: overlays,
+        });
+        const output = document.createElement("canvas");
+        output.width = Math.max(1, Math.round(region.width * scale));
+        output.height = Math.max(1, Math.round(region.height * scale));
+        output
+          .getContext("2d")
+          .drawImage(
+            capture.canvas,
+            region.left * capture.scale,
+            region.top * capture.scale,
+            region.width * capture.scale,
+            region.height * capture.scale,
+            0,
+            0,
+            output.width,
+            output.height
+          );
+        await this.exportCaptureCanvas(output, "region", scale);
+      } catch (error) {
+        console.warn("[CSS Inspector] Region capture failed:", error);
+        this.showToast("Screen capture is not available on this page");
+      } finally {
+        this.isCapturing = false;
+      }
+    }
 
-      // Set initial theme colors (background, border, text) to match current theme
-      const colors = this.getThemeColors();
-      this.inspectorPanel.style.setProperty(
-        "background",
-        colors.panelBg,
-        "important"
-      );
-      this.inspectorPanel.style.setProperty(
-        "border-color",
-        colors.border,
-        "important"
+    // Downloads a capture as "<site>-<name>@2x.png"
+    async exportCaptureCanvas(canvas, name, scale) {
+      const blob = await new Promise((resolve) =>
+        canvas.toBlob(resolve, "image/png")
       );
-      this.inspectorPanel.style.setProperty(
-        "color",
-        colors.textPrimary,
-        "important"
+      if (!blob) throw new Error("Could not encode the capture");
+      this.downloadFile(
+        `${this.getExportFileBaseName()}-${name}@${scale}x.png`,
+        blob
       );
+      this.showToast("Screenshot exported");
+    }
 
-      // Inject Inter font
-      if (!document.getElementById("inter-font-inspector")) {
-        const fontLink = document.createElement("link");
-        fontLink.id = "inter-font-inspector";
-        fontLink.rel = "stylesheet";
-        fontLink.href =
-          "https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap";
-        document.head.appendChild(fontLink);
-      }
+    // Header button that shows or hides the rulers
+    renderRulerToggle(colors) {
+      const visible = this.rulerState.visible;
+      return `<button id="ruler-toggle" style="background: ${
+        visible ? colors.segmentActive : "transparent"
+      }; border: none; cursor: pointer; color: ${
+        visible ? colors.textPrimary : colors.textSecondary
+      }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" title="${
+        visible ? "Hide rulers and guides" : "Show rulers and guides"
+      }">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
+                <path fill="currentColor" d="M3 7a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2zm4 0H5v10h14V7h-2v4a1 1 0 1 1-2 0V7h-2v2a1 1 0 1 1-2 0V7h-2v4a1 1 0 1 1-2 0V7H7v2a1 1 0 1 1-2 0V7"/>
+              </svg>
+            </button>`;
+    }
 
-      // Initialize drag functionality
-      this.initDragHandle();
+    // Column grid settings and the guide count, shown under the header while
+    // the rulers are visible
+    renderRulerSettings(colors) {
+      if (!this.rulerState.visible) return "";
+      const grid = this.columnGrid;
+      const guideCount = this.rulerState.guides.length;
+      const fields = [
+        ["columns", "Columns"],
+        ["gutter", "Gutter"],
+        ["margin", "Margin"],
+        ["maxWidth", "Max width"],
+      ];
 
-      // Prevent clicks inside panel from propagating to page
-      panel.addEventListener("click", (e) => {
-        e.stopPropagation();
-      });
+      return `
+        <div style="padding: 0 16px 12px 16px; display: flex; flex-direction: column; gap: 8px; font-family: 'Inter', sans-serif;">
+          <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+            <button data-column-grid-toggle style="padding: 3px 8px; background: ${
+              grid.enabled ? "rgba(244, 63, 94, 0.15)" : colors.segmentBg
+            }; border: 1px solid ${
+        grid.enabled ? "rgba(244, 63, 94, 0.5)" : colors.border
+      }; border-radius: 6px; font-size: 11px; color: ${
+        colors.textPrimary
+      }; font-family: 'Inter', sans-serif; cursor: pointer;">Column grid ${
+        grid.enabled ? "on" : "off"
+      }</button>
+            <button data-clear-guides style="padding: 3px 8px; background: transparent; border: 1px solid ${
+              colors.border
+            }; border-radius: 6px; font-size: 11px; color: ${
+        guideCount > 0 ? colors.textPrimary : colors.textSecondary
+      }; font-family: 'Inter', sans-serif; cursor: ${
+        guideCount > 0 ? "pointer" : "default"
+      };" ${guideCount > 0 ? "" : "disabled"}>Clear ${guideCount} guide${
+        guideCount === 1 ? "" : "s"
+      }</button>
+          </div>
+          <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px;">
+            ${fields
+              .map(
+                ([field, label]) => `
+            <label style="display: flex; flex-direction: column; gap: 2px; font-size: 10px; color: ${colors.textSecondary};">
+              ${label}
+              <input type="number" min="0" data-column-grid-field="${field}" value="${grid[field]}" style="width: 100%; box-sizing: border-box; padding: 4px 6px; background: ${colors.bgSecondary}; border: 1px solid ${colors.border}; border-radius: 6px; color: ${colors.textPrimary}; font-size: 11px; font-family: 'Inter', sans-serif; outline: none;">
+            </label>`
+              )
+              .join("")}
+          </div>
+          <div style="font-size: 10px; color: ${
+            colors.textSecondary
+          };">Drag from a ruler to add a guide, drag it back to remove it</div>
+        </div>`;
+    }
 
-      // Prevent wheel events inside panel from scrolling the page
-      panel.addEventListener(
-        "wheel",
-        (e) => {
-          const panelRect = panel.getBoundingClientRect();
-          const isMouseOverPanel =
-            e.clientX >= panelRect.left &&
-            e.clientX <= panelRect.right &&
-            e.clientY >= panelRect.top &&
-            e.clientY <= panelRect.bottom;
-          if (isMouseOverPanel) {
-            const panelContent = shadowRoot.querySelector("#panel-content");
-            if (panelContent) {
-              // Check if the panel content is scrollable
-              const isScrollable =
-                panelContent.scrollHeight > panelContent.clientHeight;
-
-              if (isScrollable) {
-                const isAtTop = panelContent.scrollTop === 0;
-                const isAtBottom =
-                  panelContent.scrollTop + panelContent.clientHeight >=
-                  panelContent.scrollHeight - 1;
-                // Always prevent page scroll when cursor is over panel, even at boundaries
-                // This ensures the page never scrolls when interacting with the panel
-                e.preventDefault();
-                e.stopPropagation();
-
-                // Only scroll if not at boundary in scroll direction
-                // (isAtTop and isAtBottom are already declared above)
-                if (
-                  !((e.deltaY < 0 && isAtTop) || (e.deltaY > 0 && isAtBottom))
-                ) {
-                  // Inside scrollable area, manually scroll panel-content
-                  const scrollAmount = e.deltaY;
-                  const scrollTopBefore = panelContent.scrollTop;
-                  panelContent.scrollTop += scrollAmount;
-                } else {
-                  // At boundary - prevent page scroll but don't scroll panel
-                }
-              } else {
-                // Panel content is not scrollable - still prevent page scroll when cursor is over panel
-                e.preventDefault();
-                e.stopPropagation();
-              }
-            }
+    bindRulerControls() {
+      if (!this.shadowRoot) return;
+      const toggle = this.shadowRoot.querySelector("#ruler-toggle");
+      if (toggle) {
+        toggle.addEventListener("click", (e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          this.rulerState.visible = !this.rulerState.visible;
+          this.saveRulerState();
+          if (this.rulerState.visible) {
+            this.showRulers();
+          } else {
+            this.hideRulers();
           }
-        },
-        { passive: false, capture: true }
-      );
+          this.refreshRulerControls();
+        });
+      }
+      this.bindRulerSettings();
 
-      // Also add document-level listener to check if events are captured there first
-      document.addEventListener(
-        "wheel",
-        (e) => {
-          const panelRect = panel.getBoundingClientRect();
-          const isMouseOverPanel =
-            e.clientX >= panelRect.left &&
-            e.clientX <= panelRect.right &&
-            e.clientY >= panelRect.top &&
-            e.clientY <= panelRect.bottom;
-        },
-        { passive: false, capture: true }
-      );
+      // Restore rulers that were left on for this site
+      if (this.rulerState.visible && !this.rulerElements) {
+        this.showRulers();
+      }
+    }
 
-      // Close button handler (using event delegation - works for dynamically added content)
-      // Note: Events from shadow DOM bubble up to the host element
-      shadowRoot.addEventListener(
-        "click",
-        (e) => {
-          // Check if clicked element or its parent is the close button
-          const closeBtn =
-            e.target.closest("#close-inspector-panel") ||
-            e.target.closest(".close-btn-panel") ||
-            (e.target.id === "close-inspector-panel" ? e.target : null);
+    bindRulerSettings() {
+      const container =
+        this.shadowRoot && this.shadowRoot.querySelector("#ruler-settings");
+      if (!container) return;
 
-          if (closeBtn) {
-            e.preventDefault();
-            e.stopPropagation();
-            e.stopImmediatePropagation();
-            // Close panel completely - remove it and disable inspector
-            if (this.inspectorPanel) {
-              this.inspectorPanel.remove();
-              this.inspectorPanel = null;
-            }
-            // Disable inspector without recreating panel
-            this.isActive = false;
-            if (this.boundHandleMouseOver) {
-              document.removeEventListener(
-                "mouseover",
-                this.boundHandleMouseOver,
-                true
-              );
-            }
-            if (this.boundHandleMouseOut) {
-              document.removeEventListener(
-                "mouseout",
-                this.boundHandleMouseOut,
-                true
-              );
-            }
-            if (this.boundHandleClick) {
-              document.removeEventListener(
-                "click",
-                this.boundHandleClick,
-                true
-              );
-            }
-            if (this.boundHandleMouseDown) {
-              document.removeEventListener(
-                "mousedown",
-                this.boundHandleMouseDown,
-                true
-              );
+      const gridToggle = container.querySelector("[data-column-grid-toggle]");
+      if (gridToggle) {
+        gridToggle.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.columnGrid.enabled = !this.columnGrid.enabled;
+          this.saveColumnGrid();
+          this.renderColumnGrid();
+          this.refreshRulerControls();
+        });
+      }
+
+      container
+        .querySelectorAll("[data-column-grid-field]")
+        .forEach((input) => {
+          input.addEventListener("input", () => {
+            const field = input.dataset.columnGridField;
+            if (input.value === "") return;
+            this.columnGrid = normalizeColumnGrid({
+              ...this.columnGrid,
+              [field]: input.value,
+              // Editing a setting turns the grid on
+              enabled: true,
+            });
+            this.saveColumnGrid();
+            this.renderColumnGrid();
+            if (gridToggle) {
+              gridToggle.textContent = "Column grid on";
+              gridToggle.style.background = "rgba(244, 63, 94, 0.15)";
+              gridToggle.style.borderColor = "rgba(244, 63, 94, 0.5)";
             }
-            // Remove ALL highlight classes
-            document
-              .querySelectorAll(".css-inspector-highlight")
-              .forEach((el) => {
-                el.classList.remove("css-inspector-highlight");
-              });
-            document
-              .querySelectorAll(".css-inspector-selected")
-              .forEach((el) => {
-                el.classList.remove("css-inspector-selected");
-              });
-            // Remove overlays
-            this.removeOverlay("hover");
-            this.removeOverlay("selected");
-            this.selectedElement = null;
-            this.hoveredElement = null;
-          }
-        },
-        true
-      ); // Use capture phase
+          });
+          // Show the clamped value once editing is done
+          input.addEventListener("change", () => {
+            input.value = this.columnGrid[input.dataset.columnGridField];
+          });
+        });
 
-      // Initialize panel with overview mode content
-      this.switchPanelToOverviewMode();
+      const clearButton = container.querySelector("[data-clear-guides]");
+      if (clearButton) {
+        clearButton.addEventListener("click", (e) => {
+          e.stopPropagation();
+          this.rulerState.guides = [];
+          this.saveRulerState();
+          this.renderGuides();
+          this.refreshRulerControls();
+        });
+      }
     }
 
-    initDragHandle() {
-      if (!this.inspectorPanel) return;
-
-      // Clean up existing drag handlers if they exist
-      if (this._dragCleanup) {
-        this._dragCleanup();
+    // Re-renders the ruler button and settings after a change
+    refreshRulerControls() {
+      if (!this.shadowRoot) return;
+      const colors = this.getThemeColors();
+      const toggle = this.shadowRoot.querySelector("#ruler-toggle");
+      if (toggle) {
+        const visible = this.rulerState.visible;
+        toggle.style.background = visible
+          ? colors.segmentActive
+          : "transparent";
+        toggle.style.color = visible
+          ? colors.textPrimary
+          : colors.textSecondary;
+        toggle.title = visible
+          ? "Hide rulers and guides"
+          : "Show rulers and guides";
       }
+      const container = this.shadowRoot.querySelector("#ruler-settings");
+      if (container) {
+        container.innerHTML = this.renderRulerSettings(colors);
+        this.bindRulerSettings();
+      }
+      this.updatePanelHeight(false, true);
+    }
 
-      let isDragging = false;
-      let currentX = 0;
-      let currentY = 0;
-      let initialX = 0;
-      let initialY = 0;
+    // Rulers along the top and left edges of the viewport, plus the guide
+    // and column grid layers. Ruler coordinates are document px
+    showRulers() {
+      if (this.rulerElements || !document.body) return;
+      const rulerSize = 20;
+      const rulerBg = "rgba(24, 24, 27, 0.92)";
+      const tickColor = "rgba(255, 255, 255, 0.35)";
+      const make = (css) => {
+        const el = document.createElement("div");
+        el.className = "css-inspector-overlay css-inspector-ruler-part";
+        el.style.cssText = `
+        position: absolute !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        box-sizing: border-box !important;
+        ${css}
+      `;
+        return el;
+      };
 
-      // Load saved position and set initial transform
-      const savedPosition = this.getPanelPosition();
-      if (savedPosition) {
-        // Calculate initial transform based on saved position
-        const panelRect = this.inspectorPanel.getBoundingClientRect();
-        const defaultTop = 20;
-        const defaultRight = window.innerWidth - panelRect.width - 20;
+      const root = document.createElement("div");
+      root.id = "css-inspector-rulers";
+      root.className = "css-inspector-overlay";
+      root.style.cssText = `
+        position: fixed !important;
+        inset: 0 !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        pointer-events: none !important;
+        z-index: 2147483644 !important;
+      `;
 
-        currentX =
-          savedPosition.left - (window.innerWidth - panelRect.width - 20);
-        currentY = savedPosition.top - defaultTop;
+      const grid = make(
+        "inset: 0 !important; pointer-events: none !important;"
+      );
+      const guides = make(
+        "inset: 0 !important; pointer-events: none !important;"
+      );
+      const top = make(`
+        left: ${rulerSize}px !important;
+        top: 0 !important;
+        right: 0 !important;
+        height: ${rulerSize}px !important;
+        background-color: ${rulerBg} !important;
+        background-image: linear-gradient(to right, ${tickColor} 1px, transparent 1px) !important;
+        background-size: 10px 6px !important;
+        background-repeat: repeat-x !important;
+        pointer-events: auto !important;
+        cursor: ns-resize !important;
+        overflow: hidden !important;
+      `);
+      const left = make(`
+        left: 0 !important;
+        top: ${rulerSize}px !important;
+        bottom: 0 !important;
+        width: ${rulerSize}px !important;
+        background-color: ${rulerBg} !important;
+        background-image: linear-gradient(to bottom, ${tickColor} 1px, transparent 1px) !important;
+        background-size: 6px 10px !important;
+        background-repeat: repeat-y !important;
+        pointer-events: auto !important;
+        cursor: ew-resize !important;
+        overflow: hidden !important;
+      `);
+      const corner = make(`
+        left: 0 !important;
+        top: 0 !important;
+        width: ${rulerSize}px !important;
+        height: ${rulerSize}px !important;
+        background: ${rulerBg} !important;
+        pointer-events: auto !important;
+      `);
+      const label = make(`
+        display: none;
+        padding: 1px 4px !important;
+        background: #F43F5E !important;
+        color: #fff !important;
+        font: 600 11px/14px -apple-system, BlinkMacSystemFont, sans-serif !important;
+        border-radius: 3px !important;
+        white-space: nowrap !important;
+        pointer-events: none !important;
+      `);
+
+      // Dragging out of the top ruler makes a horizontal guide, out of the
+      // left ruler a vertical one
+      top.addEventListener("mousedown", (e) => this.startGuideDrag(e, "y"));
+      left.addEventListener("mousedown", (e) => this.startGuideDrag(e, "x"));
+
+      root.append(grid, guides, top, left, corner, label);
+      document.body.appendChild(root);
+      this.rulerElements = { root, top, left, guides, grid, label };
+
+      this.boundHandleRulerScroll = () => {
+        if (this.rulerAnimationFrame) return;
+        this.rulerAnimationFrame = requestAnimationFrame(() => {
+          this.rulerAnimationFrame = null;
+          this.renderRulers();
+        });
+      };
+      window.addEventListener("scroll", this.boundHandleRulerScroll, true);
+      window.addEventListener("resize", this.boundHandleRulerScroll, true);
+      this.renderRulers();
+    }
 
-        this.inspectorPanel.style.transform = `translate(${currentX}px, ${currentY}px)`;
+    hideRulers() {
+      if (this.boundHandleRulerScroll) {
+        window.removeEventListener("scroll", this.boundHandleRulerScroll, true);
+        window.removeEventListener("resize", this.boundHandleRulerScroll, true);
+        this.boundHandleRulerScroll = null;
       }
+      if (this.rulerAnimationFrame) {
+        cancelAnimationFrame(this.rulerAnimationFrame);
+        this.rulerAnimationFrame = null;
+      }
+      if (this.guideDrag) {
+        this.guideDrag.stop();
+      }
+      if (this.rulerElements && this.rulerElements.root.parentNode) {
+        this.rulerElements.root.parentNode.removeChild(this.rulerElements.root);
+      }
+      this.rulerElements = null;
+    }
 
-      const dragStart = (e) => {
-        const dragHandle = e.target.closest("#panel-drag-handle");
-        if (!dragHandle) return;
-
-        e.preventDefault();
-        e.stopPropagation();
-
-        initialX = e.clientX - currentX;
-        initialY = e.clientY - currentY;
-        isDragging = true;
-
-        // Add dragging class for visual feedback
-        this.inspectorPanel.style.cursor = "move";
+    // Tick labels follow the scroll position so the rulers read document px
+    renderRulers() {
+      if (!this.rulerElements) return;
+      const { top, left } = this.rulerElements;
+      const rulerSize = 20;
+      const scrollX = window.scrollX;
+      const scrollY = window.scrollY;
+
+      const renderTicks = (ruler, axis) => {
+        const horizontal = axis === "x";
+        const start = (horizontal ? scrollX : scrollY) + rulerSize;
+        const length = horizontal
+          ? window.innerWidth - rulerSize
+          : window.innerHeight - rulerSize;
+        ruler.style.backgroundPosition = horizontal
+          ? `${-(start % 10)}px 100%`
+          : `100% ${-(start % 10)}px`;
+        ruler.textContent = "";
+        getRulerTicks(start, length).forEach((tick) => {
+          const label = document.createElement("div");
+          label.className = "css-inspector-overlay css-inspector-ruler-part";
+          label.textContent = String(tick.value);
+          label.style.cssText = `
+          position: absolute !important;
+          ${horizontal ? "left" : "top"}: ${tick.offset}px !important;
+          ${horizontal ? "top: 0 !important; height: 100%" : "left: 0 !important; width: 100%"} !important;
+          margin: 0 !important;
+          padding: ${horizontal ? "1px 0 0 3px" : "3px 0 0 1px"} !important;
+          border-${horizontal ? "left" : "top"}: 1px solid rgba(255, 255, 255, 0.6) !important;
+          color: rgba(255, 255, 255, 0.75) !important;
+          font: 500 9px/10px -apple-system, BlinkMacSystemFont, sans-serif !important;
+          ${horizontal ? "" : "writing-mode: vertical-lr !important;"}
+          pointer-events: none !important;
+        `;
+          ruler.appendChild(label);
+        });
       };
 
-      const drag = (e) => {
-        if (isDragging) {
-          e.preventDefault();
-          currentX = e.clientX - initialX;
-          currentY = e.clientY - initialY;
+      renderTicks(top, "x");
+      renderTicks(left, "y");
+      this.renderGuides();
+      this.renderColumnGrid();
+    }
 
-          // Constrain to viewport
-          const maxX = window.innerWidth - this.inspectorPanel.offsetWidth;
-          const maxY = window.innerHeight - this.inspectorPanel.offsetHeight;
+    renderGuides() {
+      if (!this.rulerElements) return;
+      const layer = this.rulerElements.guides;
+      layer.textContent = "";
+
+      this.rulerState.guides.forEach((guide, index) => {
+        const vertical = guide.axis === "x";
+        const offset =
+          guide.position - (vertical ? window.scrollX : window.scrollY);
+        const line = document.createElement("div");
+        line.className = "css-inspector-overlay css-inspector-guide";
+        // A 5px hit area with the 1px guide drawn in its middle
+        line.style.cssText = `
+        position: absolute !important;
+        ${vertical ? "left" : "top"}: ${offset - 2}px !important;
+        ${vertical ? "top: 0 !important; bottom: 0" : "left: 0 !important; right: 0"} !important;
+        ${vertical ? "width" : "height"}: 5px !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        background: linear-gradient(${
+          vertical ? "to right" : "to bottom"
+        }, transparent 2px, #F43F5E 2px, #F43F5E 3px, transparent 3px) !important;
+        cursor: ${vertical ? "ew-resize" : "ns-resize"} !important;
+        pointer-events: auto !important;
+      `;
+        line.title = `${Math.round(guide.position)}px · drag to move, double-click to remove`;
+        line.addEventListener("mousedown", (e) =>
+          this.startGuideDrag(e, guide.axis, index)
+        );
+        line.addEventListener("dblclick", (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.rulerState.guides.splice(index, 1);
+          this.saveRulerState();
+          this.renderGuides();
+          this.refreshRulerControls();
+        });
+        layer.appendChild(line);
+      });
+    }
 
-          currentX = Math.max(-maxX + 20, Math.min(maxX - 20, currentX));
-          currentY = Math.max(-20, Math.min(maxY - 20, currentY));
+    // Moves a new (from a ruler) or existing guide with the mouse, snapping to
+    // the edges of the element under the cursor. Dropping it on its ruler
+    // removes it
+    startGuideDrag(e, axis, index = null) {
+      if (e.button !== 0 || !this.rulerElements) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const vertical = axis === "x";
+      const guides = this.rulerState.guides;
+      const isNew = index === null;
+      let moved = false;
+      if (isNew) {
+        guides.push({ axis, position: 0 });
+        index = guides.length - 1;
+      }
+      const guide = guides[index];
+      const label = this.rulerElements.label;
+      const root = this.rulerElements.root;
+
+      const move = (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        const cursor = vertical ? event.clientX : event.clientY;
+        moved = true;
+
+        // Edges of the page element under the cursor (skipping our own UI)
+        const target = document
+          .elementsFromPoint(event.clientX, event.clientY)
+          .find(
+            (el) =>
+              !root.contains(el) &&
+              !el.closest("#css-inspector-panel") &&
+              !el.classList.contains("css-inspector-overlay") &&
+              el !== document.documentElement &&
+              el !== document.body
+          );
+        const rect = target && target.getBoundingClientRect();
+        const edges = rect
+          ? vertical
+            ? [rect.left, rect.right]
+            : [rect.top, rect.bottom]
+          : [];
+        const { position, snapped } = snapToEdges(cursor, edges);
+
+        guide.position =
+          Math.round(position + (vertical ? window.scrollX : window.scrollY));
+        label.textContent = `${guide.position}${snapped ? " · snapped" : ""}`;
+        label.style.display = "block";
+        label.style.left = `${event.clientX + 12}px`;
+        label.style.top = `${event.clientY + 12}px`;
+        this.renderGuides();
+      };
 
-          this.inspectorPanel.style.transform = `translate(${currentX}px, ${currentY}px)`;
+      const stop = (event) => {
+        document.removeEventListener("mousemove", move, true);
+        document.removeEventListener("mouseup", stop, true);
+        this.guideDrag = null;
+        label.style.display = "none";
+        const cursor = event
+          ? vertical
+            ? event.clientX
+            : event.clientY
+          : null;
+        // Released back over a ruler (or a new guide that never moved): drop it
+        if ((isNew && !moved) || (cursor !== null && cursor < 20)) {
+          const current = this.rulerState.guides.indexOf(guide);
+          if (current !== -1) this.rulerState.guides.splice(current, 1);
         }
+        this.saveRulerState();
+        this.renderGuides();
+        this.refreshRulerControls();
       };
 
-      const dragEnd = () => {
-        if (isDragging) {
-          isDragging = false;
-          this.inspectorPanel.style.cursor = "";
+      document.addEventListener("mousemove", move, true);
+      document.addEventListener("mouseup", stop, true);
+      this.guideDrag = { stop: () => stop(null) };
+    }
 
-          // Save position to localStorage
-          this.savePanelPosition();
-        }
-      };
+    // Design grid columns, centered in the viewport like a page container
+    renderColumnGrid() {
+      if (!this.rulerElements) return;
+      const layer = this.rulerElements.grid;
+      layer.textContent = "";
+      if (!this.columnGrid.enabled) return;
 
-      // Use event delegation for drag handle - need to query shadow root
-      const dragHandle = this.shadowRoot
-        ? this.shadowRoot.querySelector("#panel-drag-handle")
-        : null;
-      if (dragHandle) {
-        dragHandle.addEventListener("mousedown", dragStart);
-      }
+      const { columns } = getColumnGridLayout(
+        this.columnGrid,
+        document.documentElement.clientWidth
+      );
+      columns.forEach((column) => {
+        const el = document.createElement("div");
+        el.className = "css-inspector-overlay css-inspector-ruler-part";
+        el.style.cssText = `
+        position: absolute !important;
+        left: ${column.left}px !important;
+        top: 0 !important;
+        bottom: 0 !important;
+        width: ${column.width}px !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        background: rgba(244, 63, 94, 0.08) !important;
+        border-left: 1px solid rgba(244, 63, 94, 0.25) !important;
+        border-right: 1px solid rgba(244, 63, 94, 0.25) !important;
+        box-sizing: border-box !important;
+        pointer-events: none !important;
+      `;
+        layer.appendChild(el);
+      });
+    }
 
-      document.addEventListener("mousemove", drag);
-      document.addEventListener("mouseup", dragEnd);
+    // Draws a flex or grid container's guides inside a "layout" overlay: grid
+    // lines with their numbers, hatched gaps and named areas, or each flex
+    // item's box with the space between items on the same line
+    createLayoutOverlay(element, layout) {
+      const overlay = this.createOverlay("layout", element);
+      const styles = this.getCachedComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      const accent = "#A855F7";
+      const hatch =
+        "repeating-linear-gradient(45deg, rgba(168, 85, 247, 0.35) 0 1px, rgba(168, 85, 247, 0.08) 1px 6px)";
+
+      // Children are placed in the overlay's padding box, which starts 2px
+      // outside the element's border box (4px extension minus the 2px border)
+      const px = (value) => parseFloat(value) || 0;
+      const contentLeft =
+        2 + px(styles.borderLeftWidth) + px(styles.paddingLeft);
+      const contentTop = 2 + px(styles.borderTopWidth) + px(styles.paddingTop);
+      const contentWidth =
+        rect.width -
+        px(styles.borderLeftWidth) -
+        px(styles.borderRightWidth) -
+        px(styles.paddingLeft) -
+        px(styles.paddingRight);
+      const contentHeight =
+        rect.height -
+        px(styles.borderTopWidth) -
+        px(styles.borderBottomWidth) -
+        px(styles.paddingTop) -
+        px(styles.paddingBottom);
+
+      const addPart = (left, top, width, height, css = "") => {
+        const part = document.createElement("div");
+        part.className = "css-inspector-overlay css-inspector-layout-part";
+        part.style.cssText = `
+        position: absolute !important;
+        left: ${left}px !important;
+        top: ${top}px !important;
+        width: ${Math.max(0, width)}px !important;
+        height: ${Math.max(0, height)}px !important;
+        margin: 0 !important;
+        padding: 0 !important;
+        box-sizing: border-box !important;
+        pointer-events: none !important;
+        ${css}
+      `;
+        overlay.appendChild(part);
+        return part;
+      };
+      const addLabel = (left, top, text) => {
+        const part = addPart(
+          left,
+          top,
+          0,
+          0,
+          `width: auto !important;
+        height: auto !important;
+        padding: 0 3px !important;
+        background: ${accent} !important;
+        color: #fff !important;
+        font: 600 10px/14px -apple-system, BlinkMacSystemFont, sans-serif !important;
+        border-radius: 3px !important;
+        white-space: nowrap !important;`
+        );
+        part.textContent = text;
+      };
 
-      // Store cleanup function
-      this._dragCleanup = () => {
-        const handle = this.inspectorPanel?.querySelector("#panel-drag-handle");
-        if (handle) {
-          handle.removeEventListener("mousedown", dragStart);
-        }
-        document.removeEventListener("mousemove", drag);
-        document.removeEventListener("mouseup", dragEnd);
-      };
+      if (layout.kind === "grid") {
+        const columnGap = px(layout.columnGap);
+        const rowGap = px(layout.rowGap);
+        const columns = getGridTrackPositions(
+          layout.columns.tracks,
+          columnGap,
+          contentWidth,
+          layout.justifyContent
+        );
+        const rows = getGridTrackPositions(
+          layout.rows.tracks,
+          rowGap,
+          contentHeight,
+          layout.alignContent
+        );
+        const gridWidth = columns.length
+          ? columns[columns.length - 1].end
+          : contentWidth;
+        const gridHeight = rows.length
+          ? rows[rows.length - 1].end
+          : contentHeight;
+        const line = `border: 0 dashed ${accent} !important;`;
+
+        // Gaps between tracks
+        columns.slice(1).forEach((track, index) => {
+          const gapStart = columns[index].end;
+          if (track.start - gapStart < 1) return;
+          addPart(
+            contentLeft + gapStart,
+            contentTop,
+            track.start - gapStart,
+            gridHeight,
+            `background: ${hatch} !important;`
+          );
+        });
+        rows.slice(1).forEach((track, index) => {
+          const gapStart = rows[index].end;
+          if (track.start - gapStart < 1) return;
+          addPart(
+            contentLeft,
+            contentTop + gapStart,
+            gridWidth,
+            track.start - gapStart,
+            `background: ${hatch} !important;`
+          );
+        });
+
+        // Track edges and line numbers (a line sits at each track start, plus
+        // the end of the last track)
+        const columnLines = columns
+          .map((track) => track.start)
+          .concat(columns.length ? [gridWidth] : []);
+        const rowLines = rows
+          .map((track) => track.start)
+          .concat(rows.length ? [gridHeight] : []);
+        columns.forEach((track) => {
+          [track.start, track.end].forEach((x) =>
+            addPart(
+              contentLeft + x,
+              contentTop,
+              0,
+              gridHeight,
+              `${line} border-left-width: 1px !important;`
+            )
+          );
+        });
+        rows.forEach((track) => {
+          [track.start, track.end].forEach((y) =>
+            addPart(
+              contentLeft,
+              contentTop + y,
+              gridWidth,
+              0,
+              `${line} border-top-width: 1px !important;`
+            )
+          );
+        });
+        columnLines.forEach((x, index) =>
+          addLabel(contentLeft + x, contentTop - 16, String(index + 1))
+        );
+        rowLines.forEach((y, index) =>
+          addLabel(contentLeft - 18, contentTop + y, String(index + 1))
+        );
+
+        // Named areas, labelled in their top-left cell
+        layout.areas.forEach((area) => {
+          const column = columns[area.columnStart - 1];
+          const row = rows[area.rowStart - 1];
+          if (!column || !row) return;
+          addLabel(
+            contentLeft + column.start + 4,
+            contentTop + row.start + 4,
+            area.name
+          );
+        });
+      } else {
+        // Flex items: outline every in-flow child and shade the space between
+        // neighbours (in source order) that sit on the same line
+        const isColumn = /column/.test(layout.direction);
+        const items = Array.from(element.children)
+          .filter((child) => {
+            const childStyles = this.getCachedComputedStyle(child);
+            return (
+              childStyles.display !== "none" &&
+              childStyles.position !== "absolute" &&
+              childStyles.position !== "fixed"
+            );
+          })
+          .map((child) => {
+            const childRect = child.getBoundingClientRect();
+            return {
+              left: childRect.left - rect.left + 2,
+              top: childRect.top - rect.top + 2,
+              width: childRect.width,
+              height: childRect.height,
+            };
+          });
+
+        items.forEach((item, index) => {
+          addPart(
+            item.left,
+            item.top,
+            item.width,
+            item.height,
+            `border: 1px dashed ${accent} !important;`
+          );
+          const next = items[index + 1];
+          if (!next) return;
+          // Items on the same line overlap on the cross axis
+          const sameLine = isColumn
+            ? next.left < item.left + item.width &&
+              item.left < next.left + next.width
+            : next.top < item.top + item.height &&
+              item.top < next.top + next.height;
+          if (!sameLine) return;
+          const [first, second] = isColumn
+            ? item.top <= next.top
+              ? [item, next]
+              : [next, item]
+            : item.left <= next.left
+            ? [item, next]
+            : [next, item];
+          const space = isColumn
+            ? second.top - (first.top + first.height)
+            : second.left - (first.left + first.width);
+          if (space < 1) return;
+          if (isColumn) {
+            addPart(
+              Math.min(first.left, second.left),
+              first.top + first.height,
+              Math.max(first.width, second.width),
+              space,
+              `background: ${hatch} !important;`
+            );
+          } else {
+            addPart(
+              first.left + first.width,
+              Math.min(first.top, second.top),
+              space,
+              Math.max(first.height, second.height),
+              `background: ${hatch} !important;`
+            );
+          }
+        });
+      }
+
+      return overlay;
     }
 
-    getPanelPosition() {
-      try {
-        const saved = localStorage.getItem("css-inspector-panel-position");
-        if (saved) {
-          return JSON.parse(saved);
+    injectInspectorStyles() {
+      // Add class to body to indicate inspector is active
+      document.body.classList.add("css-inspector-active");
+
+      // Inject style element to override cursor for interactive elements
+      if (!this.inspectorStyleElement) {
+        this.inspectorStyleElement = document.createElement("style");
+        this.inspectorStyleElement.id = "css-inspector-cursor-override";
+        const cursorUrl = this.getInspectorCursor();
+        this.inspectorStyleElement.textContent = `
+        body.css-inspector-active * {
+          cursor: ${cursorUrl} !important;
         }
-      } catch (e) {
-        console.warn("[CSS Inspector] Failed to load panel position:", e);
+        body.css-inspector-active #css-inspector-panel,
+        body.css-inspector-active #css-inspector-panel * {
+          cursor: default !important;
+        }
+      `;
+        document.head.appendChild(this.inspectorStyleElement);
+      } else {
+        // Update existing style element
+        const cursorUrl = this.getInspectorCursor();
+        this.inspectorStyleElement.textContent = `
+        body.css-inspector-active * {
+          cursor: ${cursorUrl} !important;
+        }
+        body.css-inspector-active #css-inspector-panel,
+        body.css-inspector-active #css-inspector-panel * {
+          cursor: default !important;
+        }
+      `;
       }
-      return null;
     }
 
-    savePanelPosition() {
-      if (!this.inspectorPanel) return;
+    getShadowDOMCSS() {
+      // Return CSS for shadow DOM - this isolates panel styles from page CSS
+      // Note: #css-inspector-panel selector won't work in shadow DOM, use :host instead
+      return `
+      :host {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 380px;
+        max-height: 80vh;
+        background: #0D0D0D;
+        border: 1px solid #1F1F1F;
+        border-radius: 8px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 40px rgba(114, 65, 255, 0.15);
+        z-index: 2147483647;
+        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+        overflow: hidden;
+        display: flex;
+        flex-direction: column;
+        user-select: none;
+        color: #E5E5E5;
+        transition: height 0.45s cubic-bezier(0.88, 0, 0.12, 1);
+        animation: subtleGlow 8s ease-in-out infinite;
+        /* Explicitly hide scrollbar on host */
+        scrollbar-width: none;
+        -ms-overflow-style: none;
+        /* CRITICAL FIX: Use border-box so border is included in height calculation */
+        box-sizing: border-box;
+      }
 
-      try {
-        const rect = this.inspectorPanel.getBoundingClientRect();
-        const position = {
-          top: rect.top,
-          left: rect.left,
-        };
-        localStorage.setItem(
-          "css-inspector-panel-position",
-          JSON.stringify(position)
-        );
-      } catch (e) {
-        console.warn("[CSS Inspector] Failed to save panel position:", e);
+      :host::-webkit-scrollbar {
+        display: none;
+        width: 0;
+        height: 0;
       }
-    }
 
-    switchPanelToOverviewMode(activeTab = "colors") {
-      if (!this.inspectorPanel) return;
+      @keyframes subtleGlow {
+        0%, 100% {
+          box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 30px rgba(114, 65, 255, 0.1);
+        }
+        50% {
+          box-shadow: 0 8px 32px rgba(0, 0, 0, 0.6), 0 0 50px rgba(114, 65, 255, 0.2);
+        }
+      }
 
-      // Prevent duplicate calls
-      if (this.isSwitchingMode) {
-        return;
+      #element-info {
+        transition: opacity 0.2s ease-out, transform 0.2s ease-out;
+        margin: 0;
+        padding: 0;
       }
-      this.isSwitchingMode = true; // Clear selected element when switching to overview
-      this.selectedElement = null;
-      this.hoveredElement = null;
 
-      // Get website name and URL
-      const websiteName = document.title || "Untitled Page";
-      const websiteUrl = window.location.href;
+      #element-info > * {
+        margin-top: 0;
+      }
 
-      // Get theme colors
-      const colors = this.getThemeColors();
-      const hoverBg = this.theme === "light" ? "#E8E8E8" : "#222222";
-      const hoverBorder = this.theme === "light" ? "#D5D5D5" : "#3A3A3A";
-      const numberColor = this.theme === "light" ? "#333333" : "#B8B8B8";
+      #element-info > *:first-child {
+        margin-top: 0;
+      }
 
-      // Use inline styles with theme colors - target shadow root
-      if (!this.shadowRoot) {
-        console.error("[CSS Inspector] Shadow root not found");
-        return;
+      .inspector-section {
+        transition: opacity 0.2s ease-out, transform 0.2s ease-out, margin-bottom 0.2s ease-out, max-height 0.2s ease-out;
+        overflow: hidden;
+        margin-top: 0;
+        margin-bottom: 16px;
       }
-      // Preserve current height and opacity to prevent flickering during innerHTML replacement
-      const heightBeforeInnerHTML =
-        this.inspectorPanel.offsetHeight || this.inspectorPanel.scrollHeight;
-      const preservedHeight =
-        heightBeforeInnerHTML > 0 ? heightBeforeInnerHTML : null;
-      const panelContent = this.shadowRoot.querySelector("#panel-content");
-      const originalOpacity = panelContent
-        ? window.getComputedStyle(panelContent).opacity
-        : "1"; // Temporarily disable transitions and set opacity to 0 to prevent flash during DOM replacement
-      const originalTransition = this.inspectorPanel.style.transition;
-      this.inspectorPanel.style.setProperty("transition", "none", "important");
 
-      // Lock height explicitly before innerHTML replacement
-      if (preservedHeight && preservedHeight > 0) {
-        this.inspectorPanel.style.setProperty(
-          "height",
-          `${preservedHeight}px`,
-          "important"
-        );
+      .inspector-section:first-child {
+        margin-top: 0;
       }
 
-      // Set opacity to 0 before innerHTML replacement to prevent flash
-      if (panelContent) {
-        panelContent.style.setProperty("opacity", "0", "important");
-        panelContent.style.setProperty("transition", "none", "important");
+      .inspector-section > div:first-child {
+        margin-top: 0;
+        margin-bottom: 10px;
       }
 
-      this.shadowRoot.innerHTML = `
-      <style>${this.getShadowDOMCSS()}</style>
-      <div style="display: flex; flex-direction: column; border-bottom: 1px solid ${
-        colors.border
-      }; background: ${
-        colors.headerBg
-      }; border-radius: 8px 8px 0 0; flex-shrink: 0;">
-        <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; gap: 12px; position: relative;">
-          <div id="panel-drag-handle" style="cursor: move; display: flex; align-items: center; padding: 4px; border-radius: 4px; transition: background 0.2s; user-select: none; flex-shrink: 0;" onmouseover="this.style.background='${
-            colors.bgHover
-          }'" onmouseout="this.style.background='transparent'" title="Drag to move">
-              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
-                <path fill="${
-                  colors.textSecondary
-                }" d="M15 4a2 2 0 1 0 0 4 2 2 0 0 0 0-4M15 10a2 2 0 1 0 0 4 2 2 0 0 0 0-4M15 16a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 10a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 16a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 4a2 2 0 1 0 0 4 2 2 0 0 0 0-4"/>
-              </svg>
-        </div>
-          <div style="display: flex; align-items: center; gap: 8px; position: absolute; left: 50%; transform: translateX(-50%);">
-              <button id="panel-segment-overview" style="padding: 6px 16px; border: none; background: ${
-                colors.segmentActive
-              }; color: ${
-        colors.textPrimary
-      }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap; outline: none;">Overview</button>
-              <button id="panel-segment-inspector" style="padding: 6px 16px; border: none; background: transparent; color: ${
-                colors.textSecondary
-              }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap; outline: none;">Inspector</button>
-      </div>
-          <div style="display: flex; align-items: center; gap: 8px;">
-            <button id="theme-switcher" style="background: transparent; border: none; cursor: pointer; color: ${
-              colors.textSecondary
-            }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
-        colors.bgHover
-      }'; this.style.color='${
-        colors.textPrimary
-      }'" onmouseout="this.style.background='transparent'; this.style.color='${
-        colors.textSecondary
-      }'" title="${
-        this.theme === "dark" ? "Switch to light theme" : "Switch to dark theme"
-      }">
-              ${(() => {
-                const sunClipId = `sun-clip-${Date.now()}-${Math.random()
-                  .toString(36)
-                  .substr(2, 9)}`;
-                // Show sun when dark (to switch to light), moon when light (to switch to dark)
-                return this.theme === "dark"
-                  ? `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24"><g fill="currentColor" clip-path="url(#${sunClipId})"><path d="M12 20a1 1 0 0 1 1 1v2a1 1 0 1 1-2 0v-2a1 1 0 0 1 1-1M4.929 17.657a1 1 0 1 1 1.414 1.414l-1.414 1.414a1 1 0 0 1-1.414-1.414zM17.657 17.657a1 1 0 0 1 1.414 0l1.414 1.414a1 1 0 0 1-1.414 1.414l-1.414-1.414a1 1 0 0 1 0-1.414M12 6a6 6 0 1 1 0 12 6 6 0 0 1 0-12M3 11a1 1 0 1 1 0 2H1a1 1 0 1 1 0-2zM23 11a1 1 0 1 1 0 2h-2a1 1 0 1 1 0-2zM3.515 3.515a1 1 0 0 1 1.414 0l1.414 1.414a1 1 0 1 1-1.414 1.414L3.515 4.929a1 1 0 0 1 0-1.414M19.071 3.515a1 1 0 0 1 1.414 1.414l-1.414 1.414a1 1 0 1 1-1.414-1.414zM12 0a1 1 0 0 1 1 1v2a1 1 0 1 1-2 0V1a1 1 0 0 1 1-1"/></g><defs><clipPath id="${sunClipId}"><path fill="#fff" d="M0 0h24v24H0z"/></clipPath></defs></svg>`
-                  : '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24"><path fill="currentColor" d="M9.272 2.406a1 1 0 0 0-1.23-1.355C6.59 1.535 5.432 2.488 4.37 3.55a11.4 11.4 0 0 0 0 16.182c4.518 4.519 11.51 4.261 15.976-.205 1.062-1.062 2.014-2.22 2.498-3.673A1 1 0 0 0 21.55 14.6c-3.59 1.322-7.675.734-10.433-2.025C8.35 9.808 7.788 5.744 9.272 2.406"/></svg>';
-              })()}
-            </button>
-            <button id="close-inspector-panel" style="background: transparent; border: none; cursor: pointer; color: ${
-              colors.textSecondary
-            }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
-        colors.bgHover
-      }'; this.style.color='${
-        colors.textPrimary
-      }'" onmouseout="this.style.background='transparent'; this.style.color='${
-        colors.textSecondary
-      }'" title="Close Panel">
-              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
-                <path fill="currentColor" d="M16.95 8.464a1 1 0 0 0-1.414-1.414L12 10.586 8.464 7.05A1 1 0 1 0 7.05 8.464L10.586 12 7.05 15.536a1 1 0 1 0 1.414 1.414L12 13.414l3.536 3.536a1 1 0 1 0 1.414-1.414L13.414 12z"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-        <div id="locked-element-info" style="padding: 0 16px 8px 16px; display: none !important;"></div>
-        <div id="website-info" style="padding: 0 16px 12px 16px; display: flex; flex-direction: column; gap: 4px;">
-          <div style="font-size: 13px; font-weight: 600; color: ${
-            colors.textPrimary
-          }; font-family: 'Inter', sans-serif;">${websiteName
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")}</div>
-          <div style="font-size: 11px; color: ${
-            colors.textSecondary
-          }; font-family: 'Inter', sans-serif; word-break: break-all;">${websiteUrl
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")}</div>
-        </div>
-      </div>
-      <div style="padding: 16px; flex: 1; background: ${
-        colors.panelBg
-      };" id="panel-content">
-        <div id="overview-content">
-          <!-- Segmented control for Colors/Fonts -->
-          <div id="overview-segment-container" style="display: flex; background: ${
-            colors.segmentBg
-          }; border-radius: 14px; padding: 2px; gap: 2px; margin-bottom: 16px; position: relative;">
-            <div id="overview-segment-indicator" style="position: absolute; top: 2px; left: 2px; width: calc(50% - 2px); height: calc(100% - 4px); background: ${
-              colors.segmentActive
-            }; border-radius: 12px; z-index: 0;"></div>
-            <button id="overview-segment-colors" style="flex: 1; padding: 8px 12px; border: none; background: transparent; color: ${
-              colors.textPrimary
-            }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 12px; cursor: pointer; transition: color 0.2s; user-select: none; position: relative; z-index: 1; outline: none;">Colors</button>
-            <button id="overview-segment-fonts" style="flex: 1; padding: 8px 12px; border: none; background: transparent; color: ${
-              colors.textSecondary
-            }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 12px; cursor: pointer; transition: color 0.2s; user-select: none; position: relative; z-index: 1; outline: none;">Fonts</button>
-          </div>
-          
-          <!-- Content area that switches between colors and fonts -->
-          <div id="overview-detail-content">
-            <!-- Colors view will be rendered here -->
-            <div id="overview-colors-view" style="display: block;"></div>
-            <!-- Fonts view will be rendered here -->
-            <div id="overview-fonts-view" style="display: none;"></div>
-          </div>
-        </div>
-      </div>
+      .inspector-section h4 {
+        margin: 0;
+        padding: 0;
+        font-size: 13px;
+        font-weight: 600;
+      }
+
+      .inspector-section > div[style*="grid"] {
+        margin-top: 0;
+        margin-bottom: 0;
+      }
+
+      #panel-drag-handle {
+        flex-shrink: 0;
+        z-index: 1;
+      }
+
+      #panel-content {
+        padding: 16px;
+        overflow-y: auto;
+        overflow-x: hidden;
+        flex: 1;
+        min-height: 0; /* Allow flex item to shrink below content size */
+        /* Hide scrollbar by default, show on hover */
+        scrollbar-width: thin;
+        scrollbar-color: transparent transparent;
+      }
+
+      #panel-content:hover {
+        scrollbar-color: #ccc transparent;
+      }
+
+      #panel-content::-webkit-scrollbar {
+        width: 8px;
+      }
+
+      #panel-content::-webkit-scrollbar-track {
+        background: transparent;
+        border-radius: 4px;
+      }
+
+      #panel-content::-webkit-scrollbar-thumb {
+        background: transparent;
+        border-radius: 4px;
+        transition: background 0.2s;
+      }
+
+      #panel-content:hover::-webkit-scrollbar-thumb {
+        background: #ccc;
+      }
+
+      #panel-content::-webkit-scrollbar-thumb:hover {
+        background: #999;
+      }
+
+      /* Reset all inherited styles to ensure consistency */
+      * {
+        box-sizing: border-box;
+      }
     `;
+    }
 
-      // Immediately restore preserved height to prevent flickering during DOM replacement
-      if (preservedHeight && preservedHeight > 0) {
-        this.inspectorPanel.style.setProperty(
-          "height",
-          `${preservedHeight}px`,
-          "important"
+    createPanel() {
+      console.log("[CSS Inspector] createPanel called"); // Ensure document.body exists
+      if (!document.body) {
+        console.warn(
+          "[CSS Inspector] document.body not available yet, waiting..."
         );
-      } // Load stats
-      this.loadPanelStats();
+        // Wait for body to be available
+        const checkBody = setInterval(() => {
+          if (document.body) {
+            clearInterval(checkBody);
+            console.log(
+              "[CSS Inspector] document.body now available, creating panel..."
+            );
+            this.createPanel();
+          }
+        }, 50);
+        return;
+      }
 
-      // After DOM settles, recalculate height dynamically based on new content
-      // Use double RAF to ensure content is fully rendered
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          // Restore transition before calling updatePanelHeight
+      // Check if panel already exists
+      const existingPanel = document.getElementById("css-inspector-panel");
+      if (existingPanel) {
+        console.log("[CSS Inspector] Panel already exists, reusing it");
+        this.inspectorPanel = existingPanel;
+        // Get shadow root if it exists
+        this.shadowRoot = existingPanel.shadowRoot;
+        if (!this.shadowRoot) {
+          // Panel exists but no shadow root - recreate it
+          console.warn(
+            "[CSS Inspector] Panel exists but no shadow root, recreating..."
+          );
+          existingPanel.remove();
+          // Continue to create new panel below
+        } else {
+          // Ensure theme is up to date when reusing existing panel
+          const colors = this.getThemeColors();
           this.inspectorPanel.style.setProperty(
-            "transition",
-            originalTransition || "",
+            "background",
+            colors.panelBg,
             "important"
           );
-
-          // Restore opacity after content is ready
-          const newPanelContent =
-            this.shadowRoot.querySelector("#panel-content");
-          if (newPanelContent) {
-            newPanelContent.style.setProperty(
-              "opacity",
-              originalOpacity,
-              "important"
-            );
-            newPanelContent.style.setProperty(
-              "transition",
-              "opacity 0.15s ease-out",
-              "important"
-            );
+          this.inspectorPanel.style.setProperty(
+            "border-color",
+            colors.border,
+            "important"
+          );
+          this.inspectorPanel.style.setProperty(
+            "color",
+            colors.textPrimary,
+            "important"
+          );
+          // Re-render panel content with current theme if inspector is active
+          if (this.isActive) {
+            this.switchPanelToInspectorMode();
+            // If there's a selected element, update it with the current theme
+            if (this.selectedElement) {
+              setTimeout(() => {
+                this.updateInspectorPanel(this.selectedElement, true, true);
+              }, 0);
+            }
+          } else {
+            this.switchPanelToOverviewMode();
           }
+          return;
+        }
+      }
 
-          // Recalculate height based on new content (preserved height is just for transition start)
-          this.updatePanelHeight(false, true);
+      console.log("[CSS Inspector] Creating panel element...");
 
-          // Clear switching flag after operation completes
-          this.isSwitchingMode = false;
-        });
-      });
+      // Create panel injected into the page (like CSS Peeper)
+      const panel = document.createElement("div");
+      panel.id = "css-inspector-panel";
 
-      // Ensure element ID is cleared and hidden in overview mode
-      // Use setTimeout to ensure DOM is ready after innerHTML is set
-      setTimeout(() => {
-        if (!this.shadowRoot) return;
-        const lockedInfo = this.shadowRoot.querySelector(
-          "#locked-element-info"
-        );
-        if (lockedInfo) {
-          lockedInfo.style.setProperty("display", "none", "important");
-          lockedInfo.innerHTML = "";
-        }
-        const websiteInfo = this.shadowRoot.querySelector("#website-info");
-        if (websiteInfo) {
-          websiteInfo.style.setProperty("display", "flex", "important");
-        }
-      }, 0);
+      // Create Shadow DOM for complete CSS isolation from page styles
+      const shadowRoot = panel.attachShadow({ mode: "open" });
+      this.shadowRoot = shadowRoot; // Store reference for later use
 
-      // Set up segmented control state
-      if (!this.shadowRoot) return;
-      const overviewBtn = this.shadowRoot.querySelector(
-        "#panel-segment-overview"
-      );
-      const inspectorBtn = this.shadowRoot.querySelector(
-        "#panel-segment-inspector"
-      );
+      // Inject CSS into shadow root
+      const style = document.createElement("style");
+      style.textContent = this.getShadowDOMCSS();
+      shadowRoot.appendChild(style);
 
-      if (overviewBtn && inspectorBtn) {
-        const colors = this.getThemeColors();
-        // Set initial state - Overview is active
-        overviewBtn.style.background = colors.segmentActive;
-        overviewBtn.style.color = colors.textPrimary;
-        inspectorBtn.style.background = "transparent";
-        inspectorBtn.style.color = colors.textSecondary;
+      // Set panel host styles (positioning, z-index - these must be on the host element)
+      panel.style.setProperty("position", "fixed", "important");
+      panel.style.setProperty("top", "20px", "important");
+      panel.style.setProperty("right", "20px", "important");
+      panel.style.setProperty("width", "380px", "important");
+      panel.style.setProperty("max-height", "80vh", "important");
+      panel.style.setProperty("z-index", "2147483647", "important");
+      panel.style.setProperty("pointer-events", "auto", "important");
 
-        // Add click handlers
-        overviewBtn.addEventListener("click", (e) => {
-          e.stopPropagation();
-          const colors = this.getThemeColors();
+      // Position will be set via transform in initDragHandle
 
-          // Prevent rapid clicks
-          if (overviewBtn.disabled) return;
-          overviewBtn.disabled = true;
-          inspectorBtn.disabled = true; // Get current height BEFORE any changes
-          const currentHeight = this.inspectorPanel.offsetHeight;
+      document.body.appendChild(panel);
+      this.inspectorPanel = panel;
+      console.log(
+        "[CSS Inspector] Panel element created with Shadow DOM and appended to body"
+      );
 
-          // Update button styles immediately
-          inspectorBtn.style.background = "transparent";
-          inspectorBtn.style.color = colors.textSecondary;
-          overviewBtn.style.background = colors.segmentActive;
-          overviewBtn.style.color = colors.textPrimary;
+      // Set initial theme colors (background, border, text) to match current theme
+      const colors = this.getThemeColors();
+      this.inspectorPanel.style.setProperty(
+        "background",
+        colors.panelBg,
+        "important"
+      );
+      this.inspectorPanel.style.setProperty(
+        "border-color",
+        colors.border,
+        "important"
+      );
+      this.inspectorPanel.style.setProperty(
+        "color",
+        colors.textPrimary,
+        "important"
+      );
 
-          // Add brief fade before switching modes
-          const panelContent = this.shadowRoot.querySelector("#panel-content");
-          if (panelContent) {
-            panelContent.style.transition = "opacity 0.15s ease-out";
-            panelContent.style.opacity = "0";
-          }
+      // Inject Inter font
+      if (!document.getElementById("inter-font-inspector")) {
+        const fontLink = document.createElement("link");
+        fontLink.id = "inter-font-inspector";
+        fontLink.rel = "stylesheet";
+        fontLink.href =
+          "https://fonts.googleapis.com/css2?family=Inter:wght@400;500;600;700&display=swap";
+        document.head.appendChild(fontLink);
+      }
 
-          // Switch after brief fade, then restore opacity and update height
-          setTimeout(() => {
-            this.setInspectorState(false); // CRITICAL: Set new content to opacity 0 SYNCHRONOUSLY immediately after DOM replacement
-            // This must happen before any RAF or async operations to prevent flash
-            const newPanelContent =
-              this.shadowRoot.querySelector("#panel-content");
-            if (newPanelContent) {
-              console.log(
-                "[DEBUG] Setting opacity 0 synchronously after DOM replace",
-                { opacity: window.getComputedStyle(newPanelContent).opacity }
-              );
-              // Set opacity 0 immediately (no transition) to prevent flash
-              newPanelContent.style.transition = "opacity 0s";
-              newPanelContent.style.opacity = "0";
-            } else {
-              console.error(
-                "[DEBUG] panel-content not found after setInspectorState"
-              );
-            }
+      // Initialize drag functionality
+      this.initDragHandle();
 
-            // Wait for DOM to settle, then calculate and animate
-            requestAnimationFrame(() => {
-              if (newPanelContent) {
-                // Force layout calculation
-                newPanelContent.offsetHeight;
+      // Prevent clicks inside panel from propagating to page
+      panel.addEventListener("click", (e) => {
+        e.stopPropagation();
+      });
 
-                requestAnimationFrame(() => {
-                  const contentHeight = newPanelContent.scrollHeight;
-                  const headerElement =
-                    this.shadowRoot.querySelector("div:first-child");
-                  const headerHeight = headerElement
-                    ? headerElement.offsetHeight
-                    : 0;
-                  const calculatedHeight = contentHeight + headerHeight;
-                  const maxHeight = window.innerHeight * 0.8;
-                  const newHeight = Math.min(calculatedHeight, maxHeight); // Set current height (starting point)
-                  this.inspectorPanel.style.setProperty(
-                    "height",
-                    `${currentHeight}px`,
-                    "important"
-                  ); // Enable transitions
-                  this.inspectorPanel.style.setProperty(
-                    "transition",
-                    "height 0.2s cubic-bezier(0.4, 0, 0.2, 1)",
-                    "important"
-                  );
-                  newPanelContent.style.transition = "opacity 0.15s ease-out";
+      // Prevent wheel events inside panel from scrolling the page
+      panel.addEventListener(
+        "wheel",
+        (e) => {
+          const panelRect = panel.getBoundingClientRect();
+          const isMouseOverPanel =
+            e.clientX >= panelRect.left &&
+            e.clientX <= panelRect.right &&
+            e.clientY >= panelRect.top &&
+            e.clientY <= panelRect.bottom;
+          if (isMouseOverPanel) {
+            const panelContent = shadowRoot.querySelector("#panel-content");
+            if (panelContent) {
+              // Check if the panel content is scrollable
+              const isScrollable =
+                panelContent.scrollHeight > panelContent.clientHeight;
 
-                  // Force reflow
-                  this.inspectorPanel.offsetHeight;
+              if (isScrollable) {
+                const isAtTop = panelContent.scrollTop === 0;
+                const isAtBottom =
+                  panelContent.scrollTop + panelContent.clientHeight >=
+                  panelContent.scrollHeight - 1;
+                // Always prevent page scroll when cursor is over panel, even at boundaries
+                // This ensures the page never scrolls when interacting with the panel
+                e.preventDefault();
+                e.stopPropagation();
 
-                  // Animate height and fade in simultaneously
-                  requestAnimationFrame(() => {
-                    this.inspectorPanel.style.setProperty(
-                      "height",
-                      `${newHeight}px`,
-                      "important"
-                    );
-                    newPanelContent.style.opacity = "1"; // Re-enable buttons after transition
-                    setTimeout(() => {
-                      overviewBtn.disabled = false;
-                      inspectorBtn.disabled = false;
-                    }, 200);
-                  });
-                });
+                // Only scroll if not at boundary in scroll direction
+                // (isAtTop and isAtBottom are already declared above)
+                if (
+                  !((e.deltaY < 0 && isAtTop) || (e.deltaY > 0 && isAtBottom))
+                ) {
+                  // Inside scrollable area, manually scroll panel-content
+                  const scrollAmount = e.deltaY;
+                  const scrollTopBefore = panelContent.scrollTop;
+                  panelContent.scrollTop += scrollAmount;
+                } else {
+                  // At boundary - prevent page scroll but don't scroll panel
+                }
+              } else {
+                // Panel content is not scrollable - still prevent page scroll when cursor is over panel
+                e.preventDefault();
+                e.stopPropagation();
               }
-            });
-          }, 150);
-        });
-
-        inspectorBtn.addEventListener("click", (e) => {
-          e.stopPropagation();
-          const colors = this.getThemeColors();
-
-          // Prevent rapid clicks
-          if (inspectorBtn.disabled) return;
-          overviewBtn.disabled = true;
-          inspectorBtn.disabled = true; // Get current height BEFORE any changes
-          const currentHeight = this.inspectorPanel.offsetHeight;
+            }
+          }
+        },
+        { passive: false, capture: true }
+      );
 
-          // Update button styles immediately
-          overviewBtn.style.background = "transparent";
-          overviewBtn.style.color = colors.textSecondary;
-          inspectorBtn.style.background = colors.segmentActive;
-          inspectorBtn.style.color = colors.textPrimary;
+      // Also add document-level listener to check if events are captured there first
+      document.addEventListener(
+        "wheel",
+        (e) => {
+          const panelRect = panel.getBoundingClientRect();
+          const isMouseOverPanel =
+            e.clientX >= panelRect.left &&
+            e.clientX <= panelRect.right &&
+            e.clientY >= panelRect.top &&
+            e.clientY <= panelRect.bottom;
+        },
+        { passive: false, capture: true }
+      );
 
-          // Add brief fade before switching modes
-          const panelContent = this.shadowRoot.querySelector("#panel-content");
-          if (panelContent) {
-            panelContent.style.transition = "opacity 0.15s ease-out";
-            panelContent.style.opacity = "0";
-          }
+      // Close button handler (using event delegation - works for dynamically added content)
+      // Note: Events from shadow DOM bubble up to the host element
+      shadowRoot.addEventListener(
+        "click",
+        (e) => {
+          // Check if clicked element or its parent is the close button
+          const closeBtn =
+            e.target.closest("#close-inspector-panel") ||
+            e.target.closest(".close-btn-panel") ||
+            (e.target.id === "close-inspector-panel" ? e.target : null);
 
-          // Switch after brief fade, then restore opacity and update height
-          setTimeout(() => {
-            this.setInspectorState(true); // CRITICAL: Set new content to opacity 0 SYNCHRONOUSLY immediately after DOM replacement
-            // This must happen before any RAF or async operations to prevent flash
-            const newPanelContent =
-              this.shadowRoot.querySelector("#panel-content");
-            if (newPanelContent) {
-              console.log(
-                "[DEBUG] Setting opacity 0 synchronously after DOM replace",
-                { opacity: window.getComputedStyle(newPanelContent).opacity }
+          if (closeBtn) {
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+            // Close panel completely - remove it and disable inspector
+            if (this.inspectorPanel) {
+              this.inspectorPanel.remove();
+              this.inspectorPanel = null;
+            }
+            // Disable inspector without recreating panel
+            this.isActive = false;
+            if (this.boundHandleMouseOver) {
+              document.removeEventListener(
+                "mouseover",
+                this.boundHandleMouseOver,
+                true
               );
-              // Set opacity 0 immediately (no transition) to prevent flash
-              newPanelContent.style.transition = "opacity 0s";
-              newPanelContent.style.opacity = "0";
-            } else {
-              console.error(
-                "[DEBUG] panel-content not found after setInspectorState"
+            }
+            if (this.boundHandleMouseOut) {
+              document.removeEventListener(
+                "mouseout",
+                this.boundHandleMouseOut,
+                true
               );
             }
+            if (this.boundHandleClick) {
+              document.removeEventListener(
+                "click",
+                this.boundHandleClick,
+                true
+              );
+            }
+            if (this.boundHandleMouseDown) {
+              document.removeEventListener(
+                "mousedown",
+                this.boundHandleMouseDown,
+                true
+              );
+            }
+            // Remove ALL highlight classes
+            document
+              .querySelectorAll(".css-inspector-highlight")
+              .forEach((el) => {
+                el.classList.remove("css-inspector-highlight");
+              });
+            document
+              .querySelectorAll(".css-inspector-selected")
+              .forEach((el) => {
+                el.classList.remove("css-inspector-selected");
+              });
+            // Remove overlays
+            this.removeOverlay("hover");
+            this.removeOverlay("selected");
+            this.removeMeasureOverlay();
+            this.stopLocate();
+            this.hideRulers();
+            this.stopEyedropper();
+            this.stopRegionCapture();
+            this.selectedElement = null;
+            this.hoveredElement = null;
+          }
+        },
+        true
+      ); // Use capture phase
 
-            // Wait for DOM to settle, then calculate and animate
-            requestAnimationFrame(() => {
-              if (newPanelContent) {
-                // Force layout calculation
-                newPanelContent.offsetHeight;
-
-                requestAnimationFrame(() => {
-                  const contentHeight = newPanelContent.scrollHeight;
-                  const headerElement =
-                    this.shadowRoot.querySelector("div:first-child");
-                  const headerHeight = headerElement
-                    ? headerElement.offsetHeight
-                    : 0;
-                  const calculatedHeight = contentHeight + headerHeight;
-                  const maxHeight = window.innerHeight * 0.8;
-                  const newHeight = Math.min(calculatedHeight, maxHeight); // Set current height (starting point)
-                  this.inspectorPanel.style.setProperty(
-                    "height",
-                    `${currentHeight}px`,
-                    "important"
-                  ); // Enable transitions
-                  this.inspectorPanel.style.setProperty(
-                    "transition",
-                    "height 0.2s cubic-bezier(0.4, 0, 0.2, 1)",
-                    "important"
-                  );
-                  newPanelContent.style.transition = "opacity 0.15s ease-out";
-
-                  // Force reflow
-                  this.inspectorPanel.offsetHeight;
-
-                  // Animate height and fade in simultaneously
-                  requestAnimationFrame(() => {
-                    this.inspectorPanel.style.setProperty(
-                      "height",
-                      `${newHeight}px`,
-                      "important"
-                    );
-                    newPanelContent.style.opacity = "1"; // Re-enable buttons after transition
-                    setTimeout(() => {
-                      overviewBtn.disabled = false;
-                      inspectorBtn.disabled = false;
-                    }, 200);
-                  });
-                });
-              }
-            });
-          }, 150);
-        });
-      }
-
-      // Set up segmented control for Colors/Fonts
-      if (!this.shadowRoot) return;
-      const colorsSegment = this.shadowRoot.querySelector(
-        "#overview-segment-colors"
-      );
-      const fontsSegment = this.shadowRoot.querySelector(
-        "#overview-segment-fonts"
-      );
-      const colorsView = this.shadowRoot.querySelector("#overview-colors-view");
-      const fontsView = this.shadowRoot.querySelector("#overview-fonts-view");
-      const segmentIndicator = this.shadowRoot.querySelector(
-        "#overview-segment-indicator"
-      );
-      const segmentContainer = this.shadowRoot.querySelector(
-        "#overview-segment-container"
-      );
-
-      if (
-        colorsSegment &&
-        fontsSegment &&
-        colorsView &&
-        fontsView &&
-        segmentIndicator &&
-        segmentContainer
-      ) {
-        const colors = this.getThemeColors();
+      // Initialize panel with overview mode content
+      this.switchPanelToOverviewMode();
+    }
 
-        // Set initial state based on activeTab parameter
-        // Disable transition temporarily to prevent animation on theme switch
-        segmentIndicator.style.transition = "none";
+    initDragHandle() {
+      if (!this.inspectorPanel) return;
 
-        if (activeTab === "fonts") {
-          colorsSegment.style.color = colors.textSecondary;
-          fontsSegment.style.color = colors.textPrimary;
-          const containerWidth = segmentContainer.offsetWidth;
-          const padding = 2;
-          const gap = 2;
-          const availableWidth = containerWidth - padding * 2;
-          const buttonWidth = availableWidth / 2;
-          segmentIndicator.style.transform = `translateX(${
-            buttonWidth + gap
-          }px)`;
-          colorsView.style.display = "none";
-          fontsView.style.display = "block";
-          setTimeout(() => {
-            this.renderFontsView();
-          }, 0);
-        } else {
-          // Colors is active (default)
-          colorsSegment.style.color = colors.textPrimary;
-          fontsSegment.style.color = colors.textSecondary;
-          segmentIndicator.style.transform = "translateX(0)";
-          colorsView.style.display = "block";
-          fontsView.style.display = "none";
-          setTimeout(() => {
-            this.renderColorsView();
-          }, 0);
-        }
+      // Clean up existing drag handlers if they exist
+      if (this._dragCleanup) {
+        this._dragCleanup();
+      }
 
-        // Apply squircle clip-path to container and indicator
-        setTimeout(() => {
-          const containerRect = segmentContainer.getBoundingClientRect();
-          const indicatorRect = segmentIndicator.getBoundingClientRect();
+      let isDragging = false;
+      let currentX = 0;
+      let currentY = 0;
+      let initialX = 0;
+      let initialY = 0;
 
-          if (containerRect.width > 0 && containerRect.height > 0) {
-            const containerPath = this.createSquircleClipPath(
-              containerRect.width,
-              containerRect.height,
-              14
-            );
-            segmentContainer.style.clipPath = `path('${containerPath}')`;
-          }
+      // Load saved position and set initial transform
+      const savedPosition = this.getPanelPosition();
+      if (savedPosition) {
+        // Calculate initial transform based on saved position
+        const panelRect = this.inspectorPanel.getBoundingClientRect();
+        const defaultTop = 20;
+        const defaultRight = window.innerWidth - panelRect.width - 20;
 
-          if (indicatorRect.width > 0 && indicatorRect.height > 0) {
-            const indicatorPath = this.createSquircleClipPath(
-              indicatorRect.width,
-              indicatorRect.height,
-              12
-            );
-            segmentIndicator.style.clipPath = `path('${indicatorPath}')`;
-          }
+        currentX =
+          savedPosition.left - (window.innerWidth - panelRect.width - 20);
+        currentY = savedPosition.top - defaultTop;
 
-          segmentIndicator.style.transition =
-            "transform 0.45s cubic-bezier(0.88, 0, 0.12, 1)";
-        }, 50);
+        this.inspectorPanel.style.transform = `translate(${currentX}px, ${currentY}px)`;
+      }
 
-        // Colors segment click
-        colorsSegment.addEventListener("click", (e) => {
-          e.stopPropagation();
-          const colors = this.getThemeColors();
+      const dragStart = (e) => {
+        const dragHandle = e.target.closest("#panel-drag-handle");
+        if (!dragHandle) return;
 
-          // Prevent rapid clicks
-          if (colorsSegment.disabled) return;
-          colorsSegment.disabled = true;
-          fontsSegment.disabled = true; // Get current height BEFORE any changes
-          const currentHeight = this.inspectorPanel.offsetHeight;
+        e.preventDefault();
+        e.stopPropagation();
 
-          // Update button colors immediately
-          fontsSegment.style.color = colors.textSecondary;
-          colorsSegment.style.color = colors.textPrimary;
+        initialX = e.clientX - currentX;
+        initialY = e.clientY - currentY;
+        isDragging = true;
 
-          // Move indicator (keep original timing)
-          segmentIndicator.style.transition =
-            "transform 0.45s cubic-bezier(0.88, 0, 0.12, 1)";
-          segmentIndicator.style.transform = "translateX(0)";
-
-          // STEP 1: Hide old view
-          fontsView.style.display = "none"; // STEP 2: Show new view but keep it invisible
-          colorsView.style.display = "block";
-          colorsView.style.transition = "opacity 0.2s ease-out";
-          colorsView.style.opacity = "0";
-
-          // STEP 3: Render content
-          this.renderColorsView(); // STEP 4: Wait for layout to fully settle, then use updatePanelHeight for consistent measurement
-          // This ensures we use the EXACT same measurement logic as initial load
-          // Use triple RAF to ensure grid layout is fully calculated
-          requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-              requestAnimationFrame(() => {
-                // Force reflow to ensure layout is complete
-                colorsView.offsetHeight;
-                const gridContainer = colorsView.querySelector(
-                  'div[style*="display: grid"]'
-                );
-                if (gridContainer) {
-                  gridContainer.offsetHeight;
-                  gridContainer.scrollHeight;
-                } // STEP 1: Measure content height FIRST (before animating)
-                // This ensures we know the target height before starting animation
-                // Pass currentHeight so it can restore panel to correct height after measurement
-                const measurement = this.measureContentHeight(currentHeight);
-                if (!measurement) {
-                  colorsSegment.disabled = false;
-                  fontsSegment.disabled = false;
-                  return;
-                }
+        // Add dragging class for visual feedback
+        this.inspectorPanel.style.cursor = "move";
+      };
 
-                const { totalHeight, measuredContentHeight } = measurement; // STEP 2: Now animate to the calculated height
-                // Set isUpdatingHeight flag to prevent concurrent updates
-                this.isUpdatingHeight = true;
-                this.finishHeightUpdate(
-                  currentHeight,
-                  totalHeight,
-                  false,
-                  measuredContentHeight
-                );
+      const drag = (e) => {
+        if (isDragging) {
+          e.preventDefault();
+          currentX = e.clientX - initialX;
+          currentY = e.clientY - initialY;
 
-                // STEP 3: Fade in content after animation starts
-                requestAnimationFrame(() => {
-                  colorsView.style.opacity = "1";
-                  console.log("[DEBUG Colors] Transition started", {
-                    currentHeight,
-                    panelHeight: this.inspectorPanel.offsetHeight,
-                  });
+          // Constrain to viewport
+          const maxX = window.innerWidth - this.inspectorPanel.offsetWidth;
+          const maxY = window.innerHeight - this.inspectorPanel.offsetHeight;
 
-                  // Re-enable buttons after fade completes
-                  setTimeout(() => {
-                    colorsView.style.transition = "";
-                    colorsSegment.disabled = false;
-                    fontsSegment.disabled = false;
-                  }, 200);
-                });
-              });
-            });
-          });
-        });
+          currentX = Math.max(-maxX + 20, Math.min(maxX - 20, currentX));
+          currentY = Math.max(-20, Math.min(maxY - 20, currentY));
 
-        // Fonts segment click
-        fontsSegment.addEventListener("click", (e) => {
-          e.stopPropagation();
-          const colors = this.getThemeColors();
+          this.inspectorPanel.style.transform = `translate(${currentX}px, ${currentY}px)`;
+        }
+      };
 
-          // Prevent rapid clicks
-          if (fontsSegment.disabled) return;
-          colorsSegment.disabled = true;
-          fontsSegment.disabled = true; // Get current height BEFORE any changes
-          const currentHeight = this.inspectorPanel.offsetHeight;
+      const dragEnd = () => {
+        if (isDragging) {
+          isDragging = false;
+          this.inspectorPanel.style.cursor = "";
 
-          // Update button colors immediately
-          colorsSegment.style.color = colors.textSecondary;
-          fontsSegment.style.color = colors.textPrimary;
+          // Save position to localStorage
+          this.savePanelPosition();
+        }
+      };
 
-          // Move indicator to second position (keep original timing)
-          const containerWidth = segmentContainer.offsetWidth;
-          const padding = 2; // Container padding
-          const gap = 2; // Gap between buttons
-          const availableWidth = containerWidth - padding * 2;
-          const buttonWidth = availableWidth / 2;
-          segmentIndicator.style.transition =
-            "transform 0.45s cubic-bezier(0.88, 0, 0.12, 1)";
-          segmentIndicator.style.transform = `translateX(${
-            buttonWidth + gap
-          }px)`;
-
-          // STEP 1: Hide old view
-          colorsView.style.display = "none"; // STEP 2: Show new view but keep it invisible
-          fontsView.style.display = "block";
-          fontsView.style.transition = "opacity 0.2s ease-out";
-          fontsView.style.opacity = "0";
-
-          // STEP 3: Render content
-          this.renderFontsView(); // STEP 4: Wait for layout to fully settle, then use updatePanelHeight for consistent measurement
-          // This ensures we use the EXACT same measurement logic as initial load
-          // Use triple RAF to ensure layout is fully calculated
-          requestAnimationFrame(() => {
-            requestAnimationFrame(() => {
-              requestAnimationFrame(() => {
-                // Force reflow to ensure layout is complete
-                fontsView.offsetHeight;
-                fontsView.scrollHeight; // STEP 1: Measure content height FIRST (before animating)
-                // This ensures we know the target height before starting animation
-                // Pass currentHeight so it can restore panel to correct height after measurement
-                const measurement = this.measureContentHeight(currentHeight);
-                if (!measurement) {
-                  colorsSegment.disabled = false;
-                  fontsSegment.disabled = false;
-                  return;
-                }
+      // Use event delegation for drag handle - need to query shadow root
+      const dragHandle = this.shadowRoot
+        ? this.shadowRoot.querySelector("#panel-drag-handle")
+        : null;
+      if (dragHandle) {
+        dragHandle.addEventListener("mousedown", dragStart);
+      }
 
-                const { totalHeight, measuredContentHeight } = measurement; // STEP 2: Now animate to the calculated height
-                // Set isUpdatingHeight flag to prevent concurrent updates
-                this.isUpdatingHeight = true;
-                this.finishHeightUpdate(
-                  currentHeight,
-                  totalHeight,
-                  false,
-                  measuredContentHeight
-                );
+      document.addEventListener("mousemove", drag);
+      document.addEventListener("mouseup", dragEnd);
 
-                // STEP 3: Fade in content after animation starts
-                requestAnimationFrame(() => {
-                  fontsView.style.opacity = "1";
-                  console.log("[DEBUG Fonts] Transition started", {
-                    currentHeight,
-                    panelHeight: this.inspectorPanel.offsetHeight,
-                  });
+      // Store cleanup function
+      this._dragCleanup = () => {
+        const handle = this.inspectorPanel?.querySelector("#panel-drag-handle");
+        if (handle) {
+          handle.removeEventListener("mousedown", dragStart);
+        }
+        document.removeEventListener("mousemove", drag);
+        document.removeEventListener("mouseup", dragEnd);
+      };
+    }
 
-                  // Re-enable buttons after fade completes
-                  setTimeout(() => {
-                    fontsView.style.transition = "";
-                    colorsSegment.disabled = false;
-                    fontsSegment.disabled = false;
-                  }, 200);
-                });
-              });
-            });
-          });
-        });
+    getPanelPosition() {
+      try {
+        const saved = localStorage.getItem("css-inspector-panel-position");
+        if (saved) {
+          return JSON.parse(saved);
+        }
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to load panel position:", e);
       }
+      return null;
+    }
 
-      // Set up theme switcher button - query from shadow root
-      if (!this.shadowRoot) return;
-      const themeSwitcher = this.shadowRoot.querySelector("#theme-switcher");
-      if (themeSwitcher) {
-        // Remove any existing listeners by cloning and replacing
-        const newThemeSwitcher = themeSwitcher.cloneNode(true);
-        themeSwitcher.parentNode.replaceChild(newThemeSwitcher, themeSwitcher);
+    savePanelPosition() {
+      if (!this.inspectorPanel) return;
 
-        newThemeSwitcher.addEventListener("click", (e) => {
-          e.stopPropagation();
-          e.preventDefault();
-          console.log("[CSS Inspector] Theme switcher clicked");
-          this.toggleTheme();
-        });
-      } else {
-        console.warn("[CSS Inspector] Theme switcher button not found");
+      try {
+        const rect = this.inspectorPanel.getBoundingClientRect();
+        const position = {
+          top: rect.top,
+          left: rect.left,
+        };
+        localStorage.setItem(
+          "css-inspector-panel-position",
+          JSON.stringify(position)
+        );
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to save panel position:", e);
       }
+    }
 
-      // Reinitialize drag handle after content update
-      this.initDragHandle();
+    // Rulers and guides are stored per origin (like the panel position)
+    loadRulerState() {
+      try {
+        const stored = JSON.parse(
+          localStorage.getItem("css-inspector-rulers") || "null"
+        );
+        if (stored && typeof stored === "object") {
+          return {
+            visible: Boolean(stored.visible),
+            guides: (Array.isArray(stored.guides) ? stored.guides : []).filter(
+              (guide) =>
+                guide &&
+                (guide.axis === "x" || guide.axis === "y") &&
+                typeof guide.position === "number"
+            ),
+          };
+        }
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to load guides:", e);
+      }
+      return { visible: false, guides: [] };
+    }
 
-      // If there's a locked element, restore its header
-      if (this.selectedElement) {
-        this.updateLockedElementHeader(this.selectedElement, true);
+    saveRulerState() {
+      try {
+        localStorage.setItem(
+          "css-inspector-rulers",
+          JSON.stringify(this.rulerState)
+        );
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to save guides:", e);
       }
     }
 
-    switchPanelToInspectorMode() {
+    loadColumnGrid() {
+      try {
+        const stored = localStorage.getItem("css-inspector-column-grid");
+        return normalizeColumnGrid(JSON.parse(stored || "null"));
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to load column grid:", e);
+        return getDefaultColumnGrid();
+      }
+    }
+
+    saveColumnGrid() {
+      try {
+        localStorage.setItem(
+          "css-inspector-column-grid",
+          JSON.stringify(this.columnGrid)
+        );
+      } catch (e) {
+        console.warn("[CSS Inspector] Failed to save column grid:", e);
+      }
+    }
+
+    // Tabs of the overview panel, in segmented control order
+    getOverviewTabs() {
+      return [
+        {
+          id: "colors",
+          label: "Colors",
+          render: () => this.renderColorsView(),
+        },
+        { id: "fonts", label: "Fonts", render: () => this.renderFontsView() },
+        {
+          id: "assets",
+          label: "Assets",
+          render: () => this.renderAssetsView(),
+        },
+        {
+          id: "tokens",
+          label: "Tokens",
+          render: () => this.renderTokensView(),
+        },
+        {
+          id: "shadows",
+          label: "Shadows",
+          render: () => this.renderShadowsView(),
+        },
+        {
+          id: "breakpoints",
+          label: "Breakpoints",
+          render: () => this.renderBreakpointsView(),
+        },
+      ];
+    }
+
+    // Id of the overview tab currently shown (defaults to the first tab)
+    getActiveOverviewTab() {
+      const activeView = this.shadowRoot
+        ? Array.from(
+            this.shadowRoot.querySelectorAll("[data-overview-view]")
+          ).find((view) => view.style.display !== "none")
+        : null;
+      return activeView
+        ? activeView.dataset.overviewView
+        : this.getOverviewTabs()[0].id;
+    }
+
+    switchPanelToOverviewMode(activeTab = "colors") {
       if (!this.inspectorPanel) return;
 
       // Prevent duplicate calls
       if (this.isSwitchingMode) {
         return;
       }
-      this.isSwitchingMode = true; // Get website name and URL
+      this.isSwitchingMode = true; // Clear selected element when switching to overview
+      this.selectedElement = null;
+      this.hoveredElement = null;
+
+      // Get website name and URL
       const websiteName = document.title || "Untitled Page";
       const websiteUrl = window.location.href;
 
       // Get theme colors
       const colors = this.getThemeColors();
+      const hoverBg = this.theme === "light" ? "#E8E8E8" : "#222222";
+      const hoverBorder = this.theme === "light" ? "#D5D5D5" : "#3A3A3A";
+      const numberColor = this.theme === "light" ? "#333333" : "#B8B8B8";
 
+      // Use inline styles with theme colors - target shadow root
       if (!this.shadowRoot) {
-        this.isSwitchingMode = false;
         console.error("[CSS Inspector] Shadow root not found");
         return;
       }
@@ -2715,9 +3893,7 @@
       const panelContent = this.shadowRoot.querySelector("#panel-content");
       const originalOpacity = panelContent
         ? window.getComputedStyle(panelContent).opacity
-        : "1";
-
-      // Temporarily disable transitions to prevent flickering during DOM replacement
+        : "1"; // Temporarily disable transitions and set opacity to 0 to prevent flash during DOM replacement
       const originalTransition = this.inspectorPanel.style.transition;
       this.inspectorPanel.style.setProperty("transition", "none", "important");
 
@@ -2754,16 +3930,18 @@
               </svg>
         </div>
           <div style="display: flex; align-items: center; gap: 8px; position: absolute; left: 50%; transform: translateX(-50%);">
-              <button id="panel-segment-overview" style="padding: 6px 16px; border: none; background: transparent; color: ${
-                colors.textSecondary
-              }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap;" onclick="(function(inst){const colors=inst.getThemeColors();const overviewBtn=document.getElementById('panel-segment-overview');const inspectorBtn=document.getElementById('panel-segment-inspector');inspectorBtn.style.background='transparent';inspectorBtn.style.color=colors.textSecondary;overviewBtn.style.background=colors.segmentActive;overviewBtn.style.color=colors.textPrimary;inst.setInspectorState(false);})(window.inspectorInstance || window.inspector);">Overview</button>
-              <button id="panel-segment-inspector" style="padding: 6px 16px; border: none; background: ${
+              <button id="panel-segment-overview" style="padding: 6px 16px; border: none; background: ${
                 colors.segmentActive
               }; color: ${
         colors.textPrimary
-      }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap;" onclick="(function(inst){const colors=inst.getThemeColors();const overviewBtn=document.getElementById('panel-segment-overview');const inspectorBtn=document.getElementById('panel-segment-inspector');overviewBtn.style.background='transparent';overviewBtn.style.color=colors.textSecondary;inspectorBtn.style.background=colors.segmentActive;inspectorBtn.style.color=colors.textPrimary;inst.setInspectorState(true);})(window.inspectorInstance || window.inspector);">Inspector</button>
+      }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap; outline: none;">Overview</button>
+              <button id="panel-segment-inspector" style="padding: 6px 16px; border: none; background: transparent; color: ${
+                colors.textSecondary
+              }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap; outline: none;">Inspector</button>
       </div>
           <div style="display: flex; align-items: center; gap: 8px;">
+            ${this.renderEyedropperButton(colors)}
+            ${this.renderRulerToggle(colors)}
             <button id="theme-switcher" style="background: transparent; border: none; cursor: pointer; color: ${
               colors.textSecondary
             }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
@@ -2813,20 +3991,47 @@
         .replace(/</g, "&lt;")
         .replace(/>/g, "&gt;")}</div>
         </div>
+        <div id="ruler-settings">${this.renderRulerSettings(colors)}</div>
       </div>
       <div style="padding: 16px; flex: 1; background: ${
         colors.panelBg
       };" id="panel-content">
-        <div id="element-info">
-          <div style="text-align: center; padding: 40px 20px; color: ${
-            colors.textSecondary
-          };">
-            <p style="margin: 8px 0; font-size: 14px; color: ${
-              colors.textPrimary
-            }; font-family: 'Inter', sans-serif;">Hover over any element to preview its styles</p>
-            <p style="font-size: 12px; color: ${
-              colors.textSecondary
-            }; font-family: 'Inter', sans-serif;">Click an element to lock it for inspection</p>
+        <div id="overview-content">
+          <!-- Segmented control for the overview tabs -->
+          <div id="overview-segment-container" style="display: flex; background: ${
+            colors.segmentBg
+          }; border-radius: 14px; padding: 2px; gap: 2px; margin-bottom: 16px; position: relative;">
+            <div id="overview-segment-indicator" style="position: absolute; top: 2px; left: 2px; width: calc((100% - ${
+              2 + 2 * this.getOverviewTabs().length
+            }px) / ${
+        this.getOverviewTabs().length
+      }); height: calc(100% - 4px); background: ${
+        colors.segmentActive
+      }; border-radius: 12px; z-index: 0;"></div>
+            ${this.getOverviewTabs()
+              .map(
+                (tab, index) => `
+            <button id="overview-segment-${
+              tab.id
+            }" style="flex: 1; min-width: 0; padding: 8px 4px; border: none; background: transparent; color: ${
+                  index === 0 ? colors.textPrimary : colors.textSecondary
+                }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 12px; cursor: pointer; transition: color 0.2s; user-select: none; position: relative; z-index: 1; outline: none; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${
+                  tab.label
+                }</button>`
+              )
+              .join("")}
+          </div>
+          
+          <!-- Content area that switches between the overview tabs -->
+          <div id="overview-detail-content">
+            ${this.getOverviewTabs()
+              .map(
+                (tab, index) => `
+            <div id="overview-${tab.id}-view" data-overview-view="${
+                  tab.id
+                }" style="display: ${index === 0 ? "block" : "none"};"></div>`
+              )
+              .join("")}
           </div>
         </div>
       </div>
@@ -2839,7 +4044,10 @@
           `${preservedHeight}px`,
           "important"
         );
-      } // After DOM settles, recalculate height dynamically based on new content
+      } // Load stats
+      this.loadPanelStats();
+
+      // After DOM settles, recalculate height dynamically based on new content
       // Use double RAF to ensure content is fully rendered
       requestAnimationFrame(() => {
         requestAnimationFrame(() => {
@@ -2874,6 +4082,23 @@
         });
       });
 
+      // Ensure element ID is cleared and hidden in overview mode
+      // Use setTimeout to ensure DOM is ready after innerHTML is set
+      setTimeout(() => {
+        if (!this.shadowRoot) return;
+        const lockedInfo = this.shadowRoot.querySelector(
+          "#locked-element-info"
+        );
+        if (lockedInfo) {
+          lockedInfo.style.setProperty("display", "none", "important");
+          lockedInfo.innerHTML = "";
+        }
+        const websiteInfo = this.shadowRoot.querySelector("#website-info");
+        if (websiteInfo) {
+          websiteInfo.style.setProperty("display", "flex", "important");
+        }
+      }, 0);
+
       // Set up segmented control state
       if (!this.shadowRoot) return;
       const overviewBtn = this.shadowRoot.querySelector(
@@ -2885,923 +4110,1529 @@
 
       if (overviewBtn && inspectorBtn) {
         const colors = this.getThemeColors();
-        // Set initial state - Inspector is active
-        inspectorBtn.style.background = colors.segmentActive;
-        inspectorBtn.style.color = colors.textPrimary;
-        overviewBtn.style.background = "transparent";
-        overviewBtn.style.color = colors.textSecondary;
+        // Set initial state - Overview is active
+        overviewBtn.style.background = colors.segmentActive;
+        overviewBtn.style.color = colors.textPrimary;
+        inspectorBtn.style.background = "transparent";
+        inspectorBtn.style.color = colors.textSecondary;
 
         // Add click handlers
         overviewBtn.addEventListener("click", (e) => {
           e.stopPropagation();
           const colors = this.getThemeColors();
+
+          // Prevent rapid clicks
+          if (overviewBtn.disabled) return;
+          overviewBtn.disabled = true;
+          inspectorBtn.disabled = true; // Get current height BEFORE any changes
+          const currentHeight = this.inspectorPanel.offsetHeight;
+
+          // Update button styles immediately
           inspectorBtn.style.background = "transparent";
           inspectorBtn.style.color = colors.textSecondary;
           overviewBtn.style.background = colors.segmentActive;
           overviewBtn.style.color = colors.textPrimary;
-          this.setInspectorState(false);
+
+          // Add brief fade before switching modes
+          const panelContent = this.shadowRoot.querySelector("#panel-content");
+          if (panelContent) {
+            panelContent.style.transition = "opacity 0.15s ease-out";
+            panelContent.style.opacity = "0";
+          }
+
+          // Switch after brief fade, then restore opacity and update height
+          setTimeout(() => {
+            this.setInspectorState(false); // CRITICAL: Set new content to opacity 0 SYNCHRONOUSLY immediately after DOM replacement
+            // This must happen before any RAF or async operations to prevent flash
+            const newPanelContent =
+              this.shadowRoot.querySelector("#panel-content");
+            if (newPanelContent) {
+              console.log(
+                "[DEBUG] Setting opacity 0 synchronously after DOM replace",
+                { opacity: window.getComputedStyle(newPanelContent).opacity }
+              );
+              // Set opacity 0 immediately (no transition) to prevent flash
+              newPanelContent.style.transition = "opacity 0s";
+              newPanelContent.style.opacity = "0";
+            } else {
+              console.error(
+                "[DEBUG] panel-content not found after setInspectorState"
+              );
+            }
+
+            // Wait for DOM to settle, then calculate and animate
+            requestAnimationFrame(() => {
+              if (newPanelContent) {
+                // Force layout calculation
+                newPanelContent.offsetHeight;
+
+                requestAnimationFrame(() => {
+                  const contentHeight = newPanelContent.scrollHeight;
+                  const headerElement =
+                    this.shadowRoot.querySelector("div:first-child");
+                  const headerHeight = headerElement
+                    ? headerElement.offsetHeight
+                    : 0;
+                  const calculatedHeight = contentHeight + headerHeight;
+                  const maxHeight = window.innerHeight * 0.8;
+                  const newHeight = Math.min(calculatedHeight, maxHeight); // Set current height (starting point)
+                  this.inspectorPanel.style.setProperty(
+                    "height",
+                    `${currentHeight}px`,
+                    "important"
+                  ); // Enable transitions
+                  this.inspectorPanel.style.setProperty(
+                    "transition",
+                    "height 0.2s cubic-bezier(0.4, 0, 0.2, 1)",
+                    "important"
+                  );
+                  newPanelContent.style.transition = "opacity 0.15s ease-out";
+
+                  // Force reflow
+                  this.inspectorPanel.offsetHeight;
+
+                  // Animate height and fade in simultaneously
+                  requestAnimationFrame(() => {
+                    this.inspectorPanel.style.setProperty(
+                      "height",
+                      `${newHeight}px`,
+                      "important"
+                    );
+                    newPanelContent.style.opacity = "1"; // Re-enable buttons after transition
+                    setTimeout(() => {
+                      overviewBtn.disabled = false;
+                      inspectorBtn.disabled = false;
+                    }, 200);
+                  });
+                });
+              }
+            });
+          }, 150);
         });
 
         inspectorBtn.addEventListener("click", (e) => {
           e.stopPropagation();
           const colors = this.getThemeColors();
+
+          // Prevent rapid clicks
+          if (inspectorBtn.disabled) return;
+          overviewBtn.disabled = true;
+          inspectorBtn.disabled = true; // Get current height BEFORE any changes
+          const currentHeight = this.inspectorPanel.offsetHeight;
+
+          // Update button styles immediately
           overviewBtn.style.background = "transparent";
           overviewBtn.style.color = colors.textSecondary;
           inspectorBtn.style.background = colors.segmentActive;
           inspectorBtn.style.color = colors.textPrimary;
-          this.setInspectorState(true);
-        });
-      }
 
-      // Set up theme switcher button - query from shadow root
-      if (!this.shadowRoot) return;
-      const themeSwitcher = this.shadowRoot.querySelector("#theme-switcher");
-      if (themeSwitcher) {
-        // Remove any existing listeners by cloning and replacing
-        const newThemeSwitcher = themeSwitcher.cloneNode(true);
-        themeSwitcher.parentNode.replaceChild(newThemeSwitcher, themeSwitcher);
+          // Add brief fade before switching modes
+          const panelContent = this.shadowRoot.querySelector("#panel-content");
+          if (panelContent) {
+            panelContent.style.transition = "opacity 0.15s ease-out";
+            panelContent.style.opacity = "0";
+          }
 
-        newThemeSwitcher.addEventListener("click", (e) => {
-          e.stopPropagation();
-          e.preventDefault();
-          console.log("[CSS Inspector] Theme switcher clicked");
-          this.toggleTheme();
-        });
-      } else {
-        console.warn("[CSS Inspector] Theme switcher button not found");
-      }
+          // Switch after brief fade, then restore opacity and update height
+          setTimeout(() => {
+            this.setInspectorState(true); // CRITICAL: Set new content to opacity 0 SYNCHRONOUSLY immediately after DOM replacement
+            // This must happen before any RAF or async operations to prevent flash
+            const newPanelContent =
+              this.shadowRoot.querySelector("#panel-content");
+            if (newPanelContent) {
+              console.log(
+                "[DEBUG] Setting opacity 0 synchronously after DOM replace",
+                { opacity: window.getComputedStyle(newPanelContent).opacity }
+              );
+              // Set opacity 0 immediately (no transition) to prevent flash
+              newPanelContent.style.transition = "opacity 0s";
+              newPanelContent.style.opacity = "0";
+            } else {
+              console.error(
+                "[DEBUG] panel-content not found after setInspectorState"
+              );
+            }
 
-      // Reinitialize drag handle after content update
-      this.initDragHandle();
+            // Wait for DOM to settle, then calculate and animate
+            requestAnimationFrame(() => {
+              if (newPanelContent) {
+                // Force layout calculation
+                newPanelContent.offsetHeight;
 
-      // If there's a locked element, restore its header
-      if (this.selectedElement) {
-        this.updateLockedElementHeader(this.selectedElement, true);
-      }
+                requestAnimationFrame(() => {
+                  const contentHeight = newPanelContent.scrollHeight;
+                  const headerElement =
+                    this.shadowRoot.querySelector("div:first-child");
+                  const headerHeight = headerElement
+                    ? headerElement.offsetHeight
+                    : 0;
+                  const calculatedHeight = contentHeight + headerHeight;
+                  const maxHeight = window.innerHeight * 0.8;
+                  const newHeight = Math.min(calculatedHeight, maxHeight); // Set current height (starting point)
+                  this.inspectorPanel.style.setProperty(
+                    "height",
+                    `${currentHeight}px`,
+                    "important"
+                  ); // Enable transitions
+                  this.inspectorPanel.style.setProperty(
+                    "transition",
+                    "height 0.2s cubic-bezier(0.4, 0, 0.2, 1)",
+                    "important"
+                  );
+                  newPanelContent.style.transition = "opacity 0.15s ease-out";
 
-      // Update panel height after content is rendered (will be called again by renderColorsView/renderFontsView)
-      setTimeout(() => {
-        this.updatePanelHeight();
-      }, 100);
-    }
+                  // Force reflow
+                  this.inspectorPanel.offsetHeight;
 
-    loadPanelStats() {
-      const colors = this.extractColors();
-      const typography = this.extractTypography();
+                  // Animate height and fade in simultaneously
+                  requestAnimationFrame(() => {
+                    this.inspectorPanel.style.setProperty(
+                      "height",
+                      `${newHeight}px`,
+                      "important"
+                    );
+                    newPanelContent.style.opacity = "1"; // Re-enable buttons after transition
+                    setTimeout(() => {
+                      overviewBtn.disabled = false;
+                      inspectorBtn.disabled = false;
+                    }, 200);
+                  });
+                });
+              }
+            });
+          }, 150);
+        });
+      }
 
+      // Set up segmented control for the overview tabs
       if (!this.shadowRoot) return;
-      const colorCountEl = this.shadowRoot.querySelector("#panel-color-count");
-      const fontCountEl = this.shadowRoot.querySelector("#panel-font-count");
+      const overviewTabs = this.getOverviewTabs();
+      const tabButtons = overviewTabs.map((tab) =>
+        this.shadowRoot.querySelector(`#overview-segment-${tab.id}`)
+      );
+      const tabViews = overviewTabs.map((tab) =>
+        this.shadowRoot.querySelector(`#overview-${tab.id}-view`)
+      );
+      const segmentIndicator = this.shadowRoot.querySelector(
+        "#overview-segment-indicator"
+      );
+      const segmentContainer = this.shadowRoot.querySelector(
+        "#overview-segment-container"
+      );
 
-      if (colorCountEl) colorCountEl.textContent = colors.length || "0";
-      if (fontCountEl) fontCountEl.textContent = typography.length || "0";
+      if (
+        tabButtons.every(Boolean) &&
+        tabViews.every(Boolean) &&
+        segmentIndicator &&
+        segmentContainer
+      ) {
+        const colors = this.getThemeColors();
 
-      // Render initial colors view if in overview mode
-      if (this.inspectorPanel && !this.isInspectorMode) {
+        // Offset of the indicator under the tab at index
+        const getIndicatorOffset = (index) => {
+          const containerWidth = segmentContainer.offsetWidth;
+          const padding = 2; // Container padding
+          const gap = 2; // Gap between buttons
+          const availableWidth =
+            containerWidth - padding * 2 - gap * (overviewTabs.length - 1);
+          const buttonWidth = availableWidth / overviewTabs.length;
+          return index * (buttonWidth + gap);
+        };
+
+        // Set initial state based on activeTab parameter
+        // Disable transition temporarily to prevent animation on theme switch
+        segmentIndicator.style.transition = "none";
+
+        const initialIndex = Math.max(
+          0,
+          overviewTabs.findIndex((tab) => tab.id === activeTab)
+        );
+        overviewTabs.forEach((tab, index) => {
+          const isActive = index === initialIndex;
+          tabButtons[index].style.color = isActive
+            ? colors.textPrimary
+            : colors.textSecondary;
+          tabViews[index].style.display = isActive ? "block" : "none";
+        });
+        segmentIndicator.style.transform = `translateX(${getIndicatorOffset(
+          initialIndex
+        )}px)`;
         setTimeout(() => {
-          this.renderColorsView();
+          overviewTabs[initialIndex].render();
         }, 0);
+
+        // Apply squircle clip-path to container and indicator
+        setTimeout(() => {
+          const containerRect = segmentContainer.getBoundingClientRect();
+          const indicatorRect = segmentIndicator.getBoundingClientRect();
+
+          if (containerRect.width > 0 && containerRect.height > 0) {
+            const containerPath = this.createSquircleClipPath(
+              containerRect.width,
+              containerRect.height,
+              14
+            );
+            segmentContainer.style.clipPath = `path('${containerPath}')`;
+          }
+
+          if (indicatorRect.width > 0 && indicatorRect.height > 0) {
+            const indicatorPath = this.createSquircleClipPath(
+              indicatorRect.width,
+              indicatorRect.height,
+              12
+            );
+            segmentIndicator.style.clipPath = `path('${indicatorPath}')`;
+          }
+
+          segmentIndicator.style.transition =
+            "transform 0.45s cubic-bezier(0.88, 0, 0.12, 1)";
+        }, 50);
+
+        const setTabsDisabled = (disabled) => {
+          tabButtons.forEach((button) => {
+            button.disabled = disabled;
+          });
+        };
+
+        overviewTabs.forEach((tab, index) => {
+          const tabButton = tabButtons[index];
+          const view = tabViews[index];
+
+          tabButton.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const colors = this.getThemeColors();
+
+            // Prevent rapid clicks
+            if (tabButton.disabled) return;
+            setTabsDisabled(true); // Get current height BEFORE any changes
+            const currentHeight = this.inspectorPanel.offsetHeight;
+
+            // Update button colors immediately
+            tabButtons.forEach((button) => {
+              button.style.color =
+                button === tabButton
+                  ? colors.textPrimary
+                  : colors.textSecondary;
+            });
+
+            // Move indicator (keep original timing)
+            segmentIndicator.style.transition =
+              "transform 0.45s cubic-bezier(0.88, 0, 0.12, 1)";
+            segmentIndicator.style.transform = `translateX(${getIndicatorOffset(
+              index
+            )}px)`;
+
+            // STEP 1: Hide old view
+            tabViews.forEach((otherView) => {
+              if (otherView !== view) otherView.style.display = "none";
+            }); // STEP 2: Show new view but keep it invisible
+            view.style.display = "block";
+            view.style.transition = "opacity 0.2s ease-out";
+            view.style.opacity = "0";
+
+            // STEP 3: Render content
+            tab.render(); // STEP 4: Wait for layout to fully settle, then use updatePanelHeight for consistent measurement
+            // This ensures we use the EXACT same measurement logic as initial load
+            // Use triple RAF to ensure grid layout is fully calculated
+            requestAnimationFrame(() => {
+              requestAnimationFrame(() => {
+                requestAnimationFrame(() => {
+                  // Force reflow to ensure layout is complete
+                  view.offsetHeight;
+                  view.scrollHeight;
+                  const gridContainer = view.querySelector(
+                    'div[style*="display: grid"]'
+                  );
+                  if (gridContainer) {
+                    gridContainer.offsetHeight;
+                    gridContainer.scrollHeight;
+                  } // STEP 1: Measure content height FIRST (before animating)
+                  // This ensures we know the target height before starting animation
+                  // Pass currentHeight so it can restore panel to correct height after measurement
+                  const measurement = this.measureContentHeight(currentHeight);
+                  if (!measurement) {
+                    setTabsDisabled(false);
+                    return;
+                  }
+
+                  const { totalHeight, measuredContentHeight } = measurement; // STEP 2: Now animate to the calculated height
+                  // Set isUpdatingHeight flag to prevent concurrent updates
+                  this.isUpdatingHeight = true;
+                  this.finishHeightUpdate(
+                    currentHeight,
+                    totalHeight,
+                    false,
+                    measuredContentHeight
+                  );
+
+                  // STEP 3: Fade in content after animation starts
+                  requestAnimationFrame(() => {
+                    view.style.opacity = "1";
+
+                    // Re-enable buttons after fade completes
+                    setTimeout(() => {
+                      view.style.transition = "";
+                      setTabsDisabled(false);
+                    }, 200);
+                  });
+                });
+              });
+            });
+          });
+        });
+      }
+
+      // Set up theme switcher button - query from shadow root
+      if (!this.shadowRoot) return;
+      const themeSwitcher = this.shadowRoot.querySelector("#theme-switcher");
+      if (themeSwitcher) {
+        // Remove any existing listeners by cloning and replacing
+        const newThemeSwitcher = themeSwitcher.cloneNode(true);
+        themeSwitcher.parentNode.replaceChild(newThemeSwitcher, themeSwitcher);
+
+        newThemeSwitcher.addEventListener("click", (e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          console.log("[CSS Inspector] Theme switcher clicked");
+          this.toggleTheme();
+        });
+      } else {
+        console.warn("[CSS Inspector] Theme switcher button not found");
+      }
+
+      // Reinitialize drag handle after content update
+      this.initDragHandle();
+      this.bindRulerControls();
+      this.bindEyedropperButton();
+      this.renderStyleEditBar();
+
+      // If there's a locked element, restore its header
+      if (this.selectedElement) {
+        this.updateLockedElementHeader(this.selectedElement, true);
       }
     }
 
-    renderColorsView() {
+    switchPanelToInspectorMode() {
+      if (!this.inspectorPanel) return;
+
       // Prevent duplicate calls
-      if (this.isRenderingColors) {
+      if (this.isSwitchingMode) {
         return;
       }
-      this.isRenderingColors = true;
-      const colors = this.extractColors();
+      this.isSwitchingMode = true; // Get website name and URL
+      const websiteName = document.title || "Untitled Page";
+      const websiteUrl = window.location.href;
+
+      // Get theme colors
+      const colors = this.getThemeColors();
+
       if (!this.shadowRoot) {
-        this.isRenderingColors = false;
-        return;
-      }
-      const colorsView = this.shadowRoot.querySelector("#overview-colors-view");
-      if (!colorsView) {
-        this.isRenderingColors = false;
+        this.isSwitchingMode = false;
+        console.error("[CSS Inspector] Shadow root not found");
         return;
       }
+      // Preserve current height and opacity to prevent flickering during innerHTML replacement
+      const heightBeforeInnerHTML =
+        this.inspectorPanel.offsetHeight || this.inspectorPanel.scrollHeight;
+      const preservedHeight =
+        heightBeforeInnerHTML > 0 ? heightBeforeInnerHTML : null;
+      const panelContent = this.shadowRoot.querySelector("#panel-content");
+      const originalOpacity = panelContent
+        ? window.getComputedStyle(panelContent).opacity
+        : "1";
 
-      const themeColors = this.getThemeColors();
-      const hoverBg = themeColors.bgHover;
-      const hoverBorder = themeColors.border;
+      // Temporarily disable transitions to prevent flickering during DOM replacement
+      const originalTransition = this.inspectorPanel.style.transition;
+      this.inspectorPanel.style.setProperty("transition", "none", "important");
 
-      if (colors.length === 0) {
-        colorsView.innerHTML = `
-        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
-          <p style="font-size: 14px;">No colors found</p>
-        </div>
-      `;
-        this.isRenderingColors = false;
-        return;
+      // Lock height explicitly before innerHTML replacement
+      if (preservedHeight && preservedHeight > 0) {
+        this.inspectorPanel.style.setProperty(
+          "height",
+          `${preservedHeight}px`,
+          "important"
+        );
       }
 
-      // Create color grid
-      const colorGrid = colors
-        .map((color) => {
-          return `
-          <div style="background: ${
-            themeColors.bgSecondary
-          }; border: 1px solid ${
-            themeColors.border
-          }; border-radius: 12px; overflow: hidden; cursor: pointer; transition: all 0.2s;" 
-               class="color-card-squircle"
-               onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" 
-               onmouseout="this.style.background='${
-                 themeColors.bgSecondary
-               }'; this.style.borderColor='${themeColors.border}'"
-               data-copy-value="${color.hex}" data-copy-message="${
-            color.hex
-          } copied">
-            <div style="width: 100%; height: 80px; background: ${
-              color.hex
-            }; border-bottom: 1px solid ${themeColors.border};"></div>
-            <div style="padding: 12px;">
-              <div style="font-size: 14px; font-weight: 600; color: ${
-                themeColors.textPrimary
-              }; font-family: 'Courier New', monospace; margin-bottom: 4px;">${
-            color.hex
-          }</div>
-              ${
-                color.categories && color.categories.length > 0
-                  ? `
-                <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 4px;">
-                  ${color.categories
-                    .map(
-                      (cat) => `
-                    <span style="padding: 2px 6px; background: ${themeColors.bgPrimary}; border-radius: 4px; font-size: 10px; text-transform: uppercase; font-weight: 600; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">${cat}</span>
-                  `
-                    )
-                    .join("")}
-                </div>
-              `
-                  : ""
-              }
-            </div>
-          </div>
-        `;
-        })
-        .join("");
+      // Set opacity to 0 before innerHTML replacement to prevent flash
+      if (panelContent) {
+        panelContent.style.setProperty("opacity", "0", "important");
+        panelContent.style.setProperty("transition", "none", "important");
+      }
 
-      colorsView.innerHTML = `
-      <div style="margin-bottom: 12px;">
-        <div style="font-size: 13px; font-weight: 600; color: ${
-          themeColors.textPrimary
-        }; font-family: 'Inter', sans-serif;">${colors.length} ${
-        colors.length === 1 ? "color" : "colors"
-      }</div>
+      this.shadowRoot.innerHTML = `
+      <style>${this.getShadowDOMCSS()}</style>
+      <div style="display: flex; flex-direction: column; border-bottom: 1px solid ${
+        colors.border
+      }; background: ${
+        colors.headerBg
+      }; border-radius: 8px 8px 0 0; flex-shrink: 0;">
+        <div style="display: flex; align-items: center; justify-content: space-between; padding: 12px 16px; gap: 12px; position: relative;">
+          <div id="panel-drag-handle" style="cursor: move; display: flex; align-items: center; padding: 4px; border-radius: 4px; transition: background 0.2s; user-select: none; flex-shrink: 0;" onmouseover="this.style.background='${
+            colors.bgHover
+          }'" onmouseout="this.style.background='transparent'" title="Drag to move">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
+                <path fill="${
+                  colors.textSecondary
+                }" d="M15 4a2 2 0 1 0 0 4 2 2 0 0 0 0-4M15 10a2 2 0 1 0 0 4 2 2 0 0 0 0-4M15 16a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 10a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 16a2 2 0 1 0 0 4 2 2 0 0 0 0-4M9 4a2 2 0 1 0 0 4 2 2 0 0 0 0-4"/>
+              </svg>
+        </div>
+          <div style="display: flex; align-items: center; gap: 8px; position: absolute; left: 50%; transform: translateX(-50%);">
+              <button id="panel-segment-overview" style="padding: 6px 16px; border: none; background: transparent; color: ${
+                colors.textSecondary
+              }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap;" onclick="(function(inst){const colors=inst.getThemeColors();const overviewBtn=document.getElementById('panel-segment-overview');const inspectorBtn=document.getElementById('panel-segment-inspector');inspectorBtn.style.background='transparent';inspectorBtn.style.color=colors.textSecondary;overviewBtn.style.background=colors.segmentActive;overviewBtn.style.color=colors.textPrimary;inst.setInspectorState(false);})(window.inspectorInstance || window.inspector);">Overview</button>
+              <button id="panel-segment-inspector" style="padding: 6px 16px; border: none; background: ${
+                colors.segmentActive
+              }; color: ${
+        colors.textPrimary
+      }; font-size: 12px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; user-select: none; white-space: nowrap;" onclick="(function(inst){const colors=inst.getThemeColors();const overviewBtn=document.getElementById('panel-segment-overview');const inspectorBtn=document.getElementById('panel-segment-inspector');overviewBtn.style.background='transparent';overviewBtn.style.color=colors.textSecondary;inspectorBtn.style.background=colors.segmentActive;inspectorBtn.style.color=colors.textPrimary;inst.setInspectorState(true);})(window.inspectorInstance || window.inspector);">Inspector</button>
       </div>
-      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px;">
-        ${colorGrid}
+          <div style="display: flex; align-items: center; gap: 8px;">
+            ${this.renderEyedropperButton(colors)}
+            ${this.renderRulerToggle(colors)}
+            <button id="theme-switcher" style="background: transparent; border: none; cursor: pointer; color: ${
+              colors.textSecondary
+            }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
+        colors.bgHover
+      }'; this.style.color='${
+        colors.textPrimary
+      }'" onmouseout="this.style.background='transparent'; this.style.color='${
+        colors.textSecondary
+      }'" title="${
+        this.theme === "dark" ? "Switch to light theme" : "Switch to dark theme"
+      }">
+              ${(() => {
+                const sunClipId = `sun-clip-${Date.now()}-${Math.random()
+                  .toString(36)
+                  .substr(2, 9)}`;
+                // Show sun when dark (to switch to light), moon when light (to switch to dark)
+                return this.theme === "dark"
+                  ? `<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24"><g fill="currentColor" clip-path="url(#${sunClipId})"><path d="M12 20a1 1 0 0 1 1 1v2a1 1 0 1 1-2 0v-2a1 1 0 0 1 1-1M4.929 17.657a1 1 0 1 1 1.414 1.414l-1.414 1.414a1 1 0 0 1-1.414-1.414zM17.657 17.657a1 1 0 0 1 1.414 0l1.414 1.414a1 1 0 0 1-1.414 1.414l-1.414-1.414a1 1 0 0 1 0-1.414M12 6a6 6 0 1 1 0 12 6 6 0 0 1 0-12M3 11a1 1 0 1 1 0 2H1a1 1 0 1 1 0-2zM23 11a1 1 0 1 1 0 2h-2a1 1 0 1 1 0-2zM3.515 3.515a1 1 0 0 1 1.414 0l1.414 1.414a1 1 0 1 1-1.414 1.414L3.515 4.929a1 1 0 0 1 0-1.414M19.071 3.515a1 1 0 0 1 1.414 1.414l-1.414 1.414a1 1 0 1 1-1.414-1.414zM12 0a1 1 0 0 1 1 1v2a1 1 0 1 1-2 0V1a1 1 0 0 1 1-1"/></g><defs><clipPath id="${sunClipId}"><path fill="#fff" d="M0 0h24v24H0z"/></clipPath></defs></svg>`
+                  : '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24"><path fill="currentColor" d="M9.272 2.406a1 1 0 0 0-1.23-1.355C6.59 1.535 5.432 2.488 4.37 3.55a11.4 11.4 0 0 0 0 16.182c4.518 4.519 11.51 4.261 15.976-.205 1.062-1.062 2.014-2.22 2.498-3.673A1 1 0 0 0 21.55 14.6c-3.59 1.322-7.675.734-10.433-2.025C8.35 9.808 7.788 5.744 9.272 2.406"/></svg>';
+              })()}
+            </button>
+            <button id="close-inspector-panel" style="background: transparent; border: none; cursor: pointer; color: ${
+              colors.textSecondary
+            }; padding: 4px; border-radius: 4px; transition: all 0.2s; display: flex; align-items: center; justify-content: center; width: 24px; height: 24px;" onmouseover="this.style.background='${
+        colors.bgHover
+      }'; this.style.color='${
+        colors.textPrimary
+      }'" onmouseout="this.style.background='transparent'; this.style.color='${
+        colors.textSecondary
+      }'" title="Close Panel">
+              <svg xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" style="width: 16px; height: 16px;">
+                <path fill="currentColor" d="M16.95 8.464a1 1 0 0 0-1.414-1.414L12 10.586 8.464 7.05A1 1 0 1 0 7.05 8.464L10.586 12 7.05 15.536a1 1 0 1 0 1.414 1.414L12 13.414l3.536 3.536a1 1 0 1 0 1.414-1.414L13.414 12z"/>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div id="locked-element-info" style="padding: 0 16px 8px 16px; display: none !important;"></div>
+        <div id="website-info" style="padding: 0 16px 12px 16px; display: flex; flex-direction: column; gap: 4px;">
+          <div style="font-size: 13px; font-weight: 600; color: ${
+            colors.textPrimary
+          }; font-family: 'Inter', sans-serif;">${websiteName
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")}</div>
+          <div style="font-size: 11px; color: ${
+            colors.textSecondary
+          }; font-family: 'Inter', sans-serif; word-break: break-all;">${websiteUrl
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")}</div>
+        </div>
+        <div id="ruler-settings">${this.renderRulerSettings(colors)}</div>
       </div>
-    `; // Update panel height after content is rendered - use double RAF to ensure layout is complete
-      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      <div style="padding: 16px; flex: 1; background: ${
+        colors.panelBg
+      };" id="panel-content">
+        <div id="locate-bar" style="display: none;"></div>
+        <div id="style-edit-bar" style="display: none;"></div>
+        <div id="element-info">
+          <div style="text-align: center; padding: 40px 20px; color: ${
+            colors.textSecondary
+          };">
+            <p style="margin: 8px 0; font-size: 14px; color: ${
+              colors.textPrimary
+            }; font-family: 'Inter', sans-serif;">Hover over any element to preview its styles</p>
+            <p style="font-size: 12px; color: ${
+              colors.textSecondary
+            }; font-family: 'Inter', sans-serif;">Click an element to lock it for inspection</p>
+          </div>
+        </div>
+      </div>
+    `;
+
+      // Immediately restore preserved height to prevent flickering during DOM replacement
+      if (preservedHeight && preservedHeight > 0) {
+        this.inspectorPanel.style.setProperty(
+          "height",
+          `${preservedHeight}px`,
+          "important"
+        );
+      } // After DOM settles, recalculate height dynamically based on new content
+      // Use double RAF to ensure content is fully rendered
       requestAnimationFrame(() => {
         requestAnimationFrame(() => {
-          // Check if view is hidden (opacity: 0) - if so, skip updatePanelHeight
-          // Tab handlers will manually calculate and animate height during transitions
-          const isHidden =
-            colorsView.style.opacity === "0" ||
-            (this.shadowRoot &&
-              window.getComputedStyle(colorsView).opacity === "0");
-          if (!isHidden) {
-            this.updatePanelHeight(false, true);
+          // Restore transition before calling updatePanelHeight
+          this.inspectorPanel.style.setProperty(
+            "transition",
+            originalTransition || "",
+            "important"
+          );
+
+          // Restore opacity after content is ready
+          const newPanelContent =
+            this.shadowRoot.querySelector("#panel-content");
+          if (newPanelContent) {
+            newPanelContent.style.setProperty(
+              "opacity",
+              originalOpacity,
+              "important"
+            );
+            newPanelContent.style.setProperty(
+              "transition",
+              "opacity 0.15s ease-out",
+              "important"
+            );
           }
 
-          // Apply squircle clip-path to color cards
-          const colorCards = colorsView.querySelectorAll(
-            ".color-card-squircle"
-          );
-          colorCards.forEach((card) => {
-            const rect = card.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              const path = this.createSquircleClipPath(
-                rect.width,
-                rect.height,
-                12
-              );
-              card.style.clipPath = `path('${path}')`;
-            }
-          });
+          // Recalculate height based on new content (preserved height is just for transition start)
+          this.updatePanelHeight(false, true);
 
-          // Clear rendering flag after render completes
-          this.isRenderingColors = false;
+          // Clear switching flag after operation completes
+          this.isSwitchingMode = false;
         });
       });
 
-      // Add event listeners for copy functionality
-      setTimeout(() => {
-        const copyElements = colorsView.querySelectorAll("[data-copy-value]");
-        copyElements.forEach((el) => {
-          el.addEventListener("click", async (e) => {
-            e.stopPropagation();
-            const value = el.getAttribute("data-copy-value");
-            try {
-              await navigator.clipboard.writeText(value);
-              if (this.showToast) {
-                this.showToast(`${value} copied`, el);
-              }
-            } catch (err) {
-              console.error("Failed to copy:", err);
-            }
-          });
-        });
-      }, 0);
-    }
+      // Set up segmented control state
+      if (!this.shadowRoot) return;
+      const overviewBtn = this.shadowRoot.querySelector(
+        "#panel-segment-overview"
+      );
+      const inspectorBtn = this.shadowRoot.querySelector(
+        "#panel-segment-inspector"
+      );
 
-    // Parse Google Fonts link tags to extract actual font names being loaded
-    parseGoogleFontsFromLinks() {
-      const fonts = new Set();
-      try {
-        const links = document.querySelectorAll(
-          'link[href*="fonts.googleapis.com"]'
-        );
-        links.forEach((link) => {
-          try {
-            const url = new URL(link.href);
-            // Handle both css and css2 API formats
-            const families = url.searchParams.getAll("family");
-            families.forEach((family) => {
-              // Extract font name (before : or &)
-              // Examples: "EB+Garamond:wght@400;600" or "Roboto:wght@400;700"
-              const fontName = family
-                .split(":")[0]
-                .split("&")[0]
-                .replace(/\+/g, " ")
-                .trim();
-              if (fontName) {
-                fonts.add(fontName);
-              }
-            });
-          } catch (e) {
-            // Invalid URL, skip
-          }
-        });
+      if (overviewBtn && inspectorBtn) {
+        const colors = this.getThemeColors();
+        // Set initial state - Inspector is active
+        inspectorBtn.style.background = colors.segmentActive;
+        inspectorBtn.style.color = colors.textPrimary;
+        overviewBtn.style.background = "transparent";
+        overviewBtn.style.color = colors.textSecondary;
 
-        // Also check for CSS @import statements in stylesheets
-        try {
-          const styleSheets = Array.from(document.styleSheets);
-          for (const sheet of styleSheets) {
-            try {
-              const rules = Array.from(sheet.cssRules || []);
-              for (const rule of rules) {
-                if (rule.type === CSSRule.IMPORT_RULE && rule.href) {
-                  const href = rule.href;
-                  if (href.includes("fonts.googleapis.com")) {
-                    try {
-                      const url = new URL(href);
-                      const families = url.searchParams.getAll("family");
-                      families.forEach((family) => {
-                        const fontName = family
-                          .split(":")[0]
-                          .split("&")[0]
-                          .replace(/\+/g, " ")
-                          .trim();
-                        if (fontName) {
-                          fonts.add(fontName);
-                        }
-                      });
-                    } catch (e) {
-                      // Invalid URL, skip
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              // Cross-origin stylesheet, skip
-              continue;
-            }
-          }
-        } catch (e) {
-          // Error parsing imports
-        }
-      } catch (e) {
-        // Error parsing links
+        // Add click handlers
+        overviewBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const colors = this.getThemeColors();
+          inspectorBtn.style.background = "transparent";
+          inspectorBtn.style.color = colors.textSecondary;
+          overviewBtn.style.background = colors.segmentActive;
+          overviewBtn.style.color = colors.textPrimary;
+          this.setInspectorState(false);
+        });
+
+        inspectorBtn.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const colors = this.getThemeColors();
+          overviewBtn.style.background = "transparent";
+          overviewBtn.style.color = colors.textSecondary;
+          inspectorBtn.style.background = colors.segmentActive;
+          inspectorBtn.style.color = colors.textPrimary;
+          this.setInspectorState(true);
+        });
       }
-      return fonts;
-    }
 
-    // Parse Fontshare link tags to extract actual font names being loaded
-    parseFontshareFromLinks() {
-      const fonts = new Set();
-      // #region agent log
-      fetch(
-        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            location: "content.js:3184",
-            message: "parseFontshareFromLinks entry",
-            data: {},
-            timestamp: Date.now(),
-            sessionId: "debug-session",
-            runId: "run1",
-            hypothesisId: "E",
-          }),
-        }
-      ).catch(() => {});
-      // #endregion
-      try {
-        const links = document.querySelectorAll(
-          'link[href*="api.fontshare.com"]'
-        );
-        // #region agent log
-        fetch(
-          "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              location: "content.js:3190",
-              message: "Fontshare links found",
-              data: {
-                linksCount: links.length,
-                linksArray: Array.from(links).map((l) => l.href),
-              },
-              timestamp: Date.now(),
-              sessionId: "debug-session",
-              runId: "run1",
-              hypothesisId: "E",
-            }),
-          }
-        ).catch(() => {});
-        // #endregion
-        links.forEach((link) => {
-          try {
-            const url = new URL(link.href);
-            // Fontshare uses f[] query parameter for font names
-            const families = url.searchParams.getAll("f[]");
-            families.forEach((family) => {
-              // Font names in Fontshare URLs are typically lowercase with hyphens
-              // Example: "clash-display" from f[]=clash-display
-              const fontName = family.trim();
-              if (fontName) {
-                // Convert to display format (e.g., "clash-display" -> "Clash Display")
-                const displayName = fontName
-                  .split("-")
-                  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-                  .join(" ");
-                fonts.add(displayName);
-              }
-            });
-          } catch (e) {
-            // Invalid URL, skip
-            // #region agent log
-            fetch(
-              "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-              {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                  location: "content.js:3208",
-                  message: "Fontshare link parse error",
-                  data: { error: e.message, href: link.href },
-                  timestamp: Date.now(),
-                  sessionId: "debug-session",
-                  runId: "run1",
-                  hypothesisId: "E",
-                }),
-              }
-            ).catch(() => {});
-            // #endregion
-          }
+      // Set up theme switcher button - query from shadow root
+      if (!this.shadowRoot) return;
+      const themeSwitcher = this.shadowRoot.querySelector("#theme-switcher");
+      if (themeSwitcher) {
+        // Remove any existing listeners by cloning and replacing
+        const newThemeSwitcher = themeSwitcher.cloneNode(true);
+        themeSwitcher.parentNode.replaceChild(newThemeSwitcher, themeSwitcher);
+
+        newThemeSwitcher.addEventListener("click", (e) => {
+          e.stopPropagation();
+          e.preventDefault();
+          console.log("[CSS Inspector] Theme switcher clicked");
+          this.toggleTheme();
         });
-      } catch (e) {
-        // Error parsing links
-        // #region agent log
-        fetch(
-          "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-          {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-              location: "content.js:3213",
-              message: "Fontshare parse error",
-              data: { error: e.message },
-              timestamp: Date.now(),
-              sessionId: "debug-session",
-              runId: "run1",
-              hypothesisId: "E",
-            }),
-          }
-        ).catch(() => {});
-        // #endregion
+      } else {
+        console.warn("[CSS Inspector] Theme switcher button not found");
       }
-      // #region agent log
-      fetch(
-        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            location: "content.js:3215",
-            message: "parseFontshareFromLinks result",
-            data: { fontsCount: fonts.size, fontsArray: Array.from(fonts) },
-            timestamp: Date.now(),
-            sessionId: "debug-session",
-            runId: "run1",
-            hypothesisId: "E",
-          }),
-        }
-      ).catch(() => {});
-      // #endregion
-      return fonts;
+
+      // Reinitialize drag handle after content update
+      this.initDragHandle();
+      this.bindRulerControls();
+      this.bindEyedropperButton();
+      this.renderStyleEditBar();
+
+      // If there's a locked element, restore its header
+      if (this.selectedElement) {
+        this.updateLockedElementHeader(this.selectedElement, true);
+      }
+
+      // Keep the Locate navigation when the panel is re-rendered (e.g. theme change)
+      if (this.locateState) {
+        this.renderLocateBar();
+      }
+
+      // Update panel height after content is rendered (will be called again by renderColorsView/renderFontsView)
+      setTimeout(() => {
+        this.updatePanelHeight();
+      }, 100);
     }
 
-    // Detect font platform from @font-face URL
-    detectFontPlatformFromUrl(url) {
-      // Platform mapping: domain patterns -> platform info
-      const platformMap = [
-        {
-          domains: ["fonts.gstatic.com", "fonts.googleapis.com"],
-          name: "Google Fonts",
-          sourceId: "google",
-          urlPattern: (fontName) => {
-            // Preserve original casing for Google Fonts URL
-            return `https://fonts.google.com/specimen/${fontName.replace(
-              /\s+/g,
-              "+"
-            )}`;
-          },
-        },
-        {
-          domains: ["use.typekit.net", "fonts.adobe.com", "adobe.com"],
-          name: "Adobe Fonts",
-          sourceId: "adobe",
-          urlPattern: (fontName) => {
-            let baseName = fontName.toLowerCase();
-            baseName = baseName.replace(
-              /\s+(pro|std|display|text|variable)$/i,
-              ""
-            );
-            return `https://fonts.adobe.com/fonts/${baseName.replace(
-              /\s+/g,
-              "-"
-            )}`;
-          },
-        },
-        {
-          domains: ["fontshare.com", "api.fontshare.com"],
-          name: "Fontshare",
-          sourceId: "fontshare",
-          urlPattern: (fontName) => {
-            let baseName = fontName.toLowerCase();
-            baseName = baseName.replace(
-              /\s+(pro|std|display|text|variable)$/i,
-              ""
-            );
-            return `https://www.fontshare.com/fonts/${baseName.replace(
-              /\s+/g,
-              "-"
-            )}`;
-          },
-        },
-        {
-          domains: ["fonts.com", "fast.fonts.com"],
-          name: "Fonts.com",
-          sourceId: "fontscom",
-          urlPattern: (fontName) => {
-            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
-            return `https://www.fonts.com/font/${baseName}`;
-          },
-        },
-        {
-          domains: ["myfonts.com"],
-          name: "MyFonts",
-          sourceId: "myfonts",
-          urlPattern: (fontName) => {
-            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
-            return `https://www.myfonts.com/fonts/${baseName}`;
-          },
-        },
-        {
-          domains: ["fontsquirrel.com"],
-          name: "Font Squirrel",
-          sourceId: "fontsquirrel",
-          urlPattern: (fontName) => {
-            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
-            return `https://www.fontsquirrel.com/fonts/${baseName}`;
-          },
-        },
-      ];
-
-      // Check if URL is external (not self-hosted)
-      try {
-        const urlObj = new URL(url, window.location.href);
-        const isExternal = urlObj.origin !== window.location.origin;
-
-        if (!isExternal) {
-          return null; // Self-hosted, not detectable
-        }
+    loadPanelStats() {
+      const colors = this.extractColors();
+      const typography = this.extractTypography();
 
-        // Check for /fontshare/ path pattern (Framer-hosted Fontshare fonts)
-        if (url.includes("/fontshare/")) {
-          return platformMap.find((p) => p.sourceId === "fontshare");
-        }
+      if (!this.shadowRoot) return;
+      const colorCountEl = this.shadowRoot.querySelector("#panel-color-count");
+      const fontCountEl = this.shadowRoot.querySelector("#panel-font-count");
 
-        // Match domain to platform
-        for (const platform of platformMap) {
-          for (const domain of platform.domains) {
-            if (url.includes(domain)) {
-              return platform;
-            }
-          }
-        }
+      if (colorCountEl) colorCountEl.textContent = colors.length || "0";
+      if (fontCountEl) fontCountEl.textContent = typography.length || "0";
 
-        // External URL but unknown platform - return null (show "Source not detected")
-        return null;
-      } catch (e) {
-        return null; // Invalid URL
+      // Render initial colors view if in overview mode
+      if (this.inspectorPanel && !this.isInspectorMode) {
+        setTimeout(() => {
+          this.renderColorsView();
+        }, 0);
       }
     }
 
-    // Normalize font name for comparison (hyphens/underscores to spaces, lowercase)
-    // Also strips common suffixes like "Variable", "Pro", "Std", "Display", "Text" for better matching
-    normalizeFontNameForComparison(fontName) {
-      let normalized = fontName
-        .replace(/['"]/g, "")
-        .trim()
-        .toLowerCase()
-        .replace(/[-_]/g, " ");
-
-      // Remove common suffixes for comparison (e.g., "eb garamond variable" -> "eb garamond")
-      // This helps match "EB Garamond Variable" with "EB Garamond"
-      normalized = normalized
-        .replace(/\s+(variable|pro|std|display|text)$/i, "")
-        .trim();
-
-      return normalized;
-    }
-
-    isFontDefined(fontFamily) {
-      const cleanFontName = fontFamily.replace(/['"]/g, "").trim();
-
-      try {
-        const styleSheets = Array.from(document.styleSheets);
-        for (const sheet of styleSheets) {
-          try {
-            const rules = Array.from(sheet.cssRules || []);
-            for (const rule of rules) {
-              if (
-                rule.type === CSSRule.FONT_FACE_RULE ||
-                rule instanceof CSSFontFaceRule
-              ) {
-                const ruleFontFamily = rule.style.fontFamily
-                  .replace(/['"]/g, "")
-                  .trim();
-                if (
-                  this.normalizeFontNameForComparison(ruleFontFamily) ===
-                  this.normalizeFontNameForComparison(cleanFontName)
-                ) {
-                  return true;
-                }
-              }
-            }
-          } catch (e) {
-            // Cross-origin stylesheet, skip
-            continue;
-          }
-        }
-      } catch (e) {
-        // Error accessing stylesheets
+    renderColorsView() {
+      // Prevent duplicate calls
+      if (this.isRenderingColors) {
+        return;
       }
-      return false;
-    }
-
-    // Get all @font-face font families defined on the page
-    // This works universally - all sites define custom fonts in @font-face rules
-    getAllFontFaceFonts(systemFonts) {
-      const fontFamilies = new Set();
-
-      try {
-        const styleSheets = Array.from(document.styleSheets);
-        for (const sheet of styleSheets) {
-          try {
-            const rules = Array.from(sheet.cssRules || []);
-            for (const rule of rules) {
-              if (
-                rule.type === CSSRule.FONT_FACE_RULE ||
-                rule instanceof CSSFontFaceRule
-              ) {
-                const fontFamily = rule.style.fontFamily;
-                if (fontFamily) {
-                  // Extract font family names (handle multiple values separated by commas)
-                  const families = fontFamily
-                    .split(",")
-                    .map((f) => f.replace(/['"]/g, "").trim());
-                  families.forEach((f) => {
-                    if (f && !systemFonts.has(f)) {
-                      fontFamilies.add(f);
-                    }
-                  });
-                }
-              }
-            }
-          } catch (e) {
-            // Cross-origin stylesheet, skip
-            continue;
-          }
-        }
-      } catch (e) {
-        // Error accessing stylesheets
+      this.isRenderingColors = true;
+      const colors = this.extractColors();
+      if (!this.shadowRoot) {
+        this.isRenderingColors = false;
+        return;
+      }
+      const colorsView = this.shadowRoot.querySelector("#overview-colors-view");
+      if (!colorsView) {
+        this.isRenderingColors = false;
+        return;
       }
 
-      return Array.from(fontFamilies);
-    }
+      const themeColors = this.getThemeColors();
+      const hoverBg = themeColors.bgHover;
+      const hoverBorder = themeColors.border;
 
-    // Detect which font is actually being rendered by measuring text width
-    getActualRenderedFont(element, fontFamilyStack) {
-      if (!element || !element.textContent || !element.textContent.trim()) {
-        return null;
+      if (colors.length === 0) {
+        colorsView.innerHTML = `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No colors found</p>
+        </div>
+      `;
+        this.isRenderingColors = false;
+        return;
       }
 
-      try {
-        // Use a good test string that has varying character widths
-        const testText =
-          element.textContent.trim().substring(0, 30) || "mmmmmmmmmmlli";
-        if (testText.length < 5) return null; // Need enough text for accurate measurement
+      const gradients = this.extractGradients();
 
-        const styles = this.getCachedComputedStyle(element);
-        const fontSize = styles.fontSize || "16px";
-        const fontWeight = styles.fontWeight || "400";
-        const fontStyle = styles.fontStyle || "normal";
+      // Group perceptual near-duplicates (threshold 0 shows every color on its own)
+      const clusters = clusterColors(
+        colors,
+        this.colorClusterThreshold,
+        this.colorClusterMetric
+      );
+      const totalArea = colors.reduce((sum, color) => sum + color.area, 0);
+      const formatAreaShare = (area) => {
+        if (!totalArea) return "0%";
+        const share = (area / totalArea) * 100;
+        return share < 0.1 ? "<0.1%" : `${share.toFixed(share < 10 ? 1 : 0)}%`;
+      };
 
-        // Create a canvas to measure text width
-        const canvas = document.createElement("canvas");
-        const ctx = canvas.getContext("2d");
-        if (!ctx) return null;
+      // Create color grid
+      const colorGrid = clusters
+        .map((cluster, clusterIndex) => {
+          const color = cluster.representative;
+          const displayValue =
+            this.formatColorValue(color.value || color.hex) || color.hex;
+          const hasVariants = cluster.variants.length > 1;
+          return `
+          <div style="background: ${
+            themeColors.bgSecondary
+          }; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; overflow: hidden; cursor: pointer; transition: all 0.2s;" 
+               class="color-card-squircle"
+               onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" 
+               onmouseout="this.style.background='${
+                 themeColors.bgSecondary
+               }'; this.style.borderColor='${themeColors.border}'"
+               data-copy-value="${displayValue}" data-copy-message="${displayValue} copied">
+            <div data-locate-cluster="${clusterIndex}" title="Locate on page" style="position: relative; width: 100%; height: 80px; background: ${this.getColorSwatchBackground(
+              color.value || color.hex
+            )}; border-bottom: 1px solid ${
+            themeColors.border
+          }; display: flex; align-items: flex-end;">
+              <span style="position: absolute; top: 6px; right: 6px; padding: 2px 6px; background: rgba(0, 0, 0, 0.55); color: #FFFFFF; border-radius: 9999px; font-size: 10px; font-weight: 600; font-family: 'Inter', sans-serif;">Locate</span>${
+            hasVariants
+              ? `<div style="display: flex; width: 100%; height: 14px;">${cluster.variants
+                  .map(
+                    (variant) =>
+                      `<div title="${variant.color.hex}" style="flex: 1; background: ${this.getColorSwatchBackground(
+                        variant.color.value || variant.color.hex
+                      )};"></div>`
+                  )
+                  .join("")}</div>`
+              : ""
+          }</div>
+            <div style="padding: 12px;">
+              <div style="font-size: 14px; font-weight: 600; color: ${
+                themeColors.textPrimary
+              }; font-family: 'Courier New', monospace; margin-bottom: 4px; display: flex; align-items: center; gap: 6px; min-width: 0;"><span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${displayValue}">${displayValue}</span>${this.getGamutBadge(
+            color,
+            themeColors
+          )}</div>
+              ${
+                this.colorFormat !== "hex"
+                  ? `<div style="font-size: 11px; color: ${themeColors.textSecondary}; font-family: 'Courier New', monospace;">${color.hex}</div>`
+                  : color.alpha !== undefined && color.alpha < 1
+                  ? `<div style="font-size: 11px; color: ${
+                      themeColors.textSecondary
+                    }; font-family: 'Courier New', monospace;">${formatRgba(
+                      this.parseColor(color.value || color.hex)
+                    )}</div>`
+                  : ""
+              }
+              <div style="font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif; margin-top: 4px;">${
+            cluster.instances
+          } ${cluster.instances === 1 ? "use" : "uses"} · ${formatAreaShare(
+            cluster.area
+          )} of area</div>
+              ${
+                cluster.categories.length > 0
+                  ? `
+                <div style="margin-top: 8px; display: flex; flex-wrap: wrap; gap: 4px;">
+                  ${cluster.categories
+                    .map(
+                      (cat) => `
+                    <span style="padding: 2px 6px; background: ${themeColors.bgPrimary}; border-radius: 4px; font-size: 10px; text-transform: uppercase; font-weight: 600; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">${cat}</span>
+                  `
+                    )
+                    .join("")}
+                </div>
+              `
+                  : ""
+              }
+              ${
+                hasVariants
+                  ? `
+                <button data-cluster-toggle style="margin-top: 8px; padding: 2px 8px; border: 1px solid #F59E0B; background: ${
+                  themeColors.bgPrimary
+                }; color: #F59E0B; font-size: 10px; font-weight: 600; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">${
+                      cluster.variants.length
+                    } variants</button>
+                <div data-cluster-details style="display: none; margin-top: 10px; flex-direction: column; gap: 8px;">
+                  ${cluster.variants
+                    .map((variant, variantIndex) =>
+                      this.renderColorVariant(
+                        variant,
+                        themeColors,
+                        hoverBg,
+                        `${clusterIndex}:${variantIndex}`
+                      )
+                    )
+                    .join("")}
+                </div>
+              `
+                  : ""
+              }
+            </div>
+          </div>
+        `;
+        })
+        .join("");
 
-        // Get the actual rendered width from the element by cloning its styles
-        const tempSpan = document.createElement("span");
-        tempSpan.style.position = "absolute";
-        tempSpan.style.visibility = "hidden";
-        tempSpan.style.whiteSpace = "nowrap";
-        tempSpan.style.fontSize = fontSize;
-        tempSpan.style.fontWeight = fontWeight;
-        tempSpan.style.fontStyle = fontStyle;
-        tempSpan.style.fontFamily = styles.fontFamily; // Use the full font stack
-        tempSpan.textContent = testText;
-        document.body.appendChild(tempSpan);
-        const actualWidth = tempSpan.offsetWidth;
-        document.body.removeChild(tempSpan);
-
-        if (actualWidth === 0) return null;
-
-        // Test each font in the stack to see which one matches the actual width
-        // We'll test in reverse order (fallback fonts first) to find the actual rendered one
-        for (let i = 0; i < fontFamilyStack.length; i++) {
-          const candidate = fontFamilyStack[i].replace(/['"]/g, "").trim();
-
-          if (!candidate) continue;
+      const threshold = this.colorClusterThreshold;
+      const clusterControls = `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; gap: 8px; font-size: 11px; color: ${
+        themeColors.textSecondary
+      }; font-family: 'Inter', sans-serif;">
+        <span style="white-space: nowrap;">Group similar</span>
+        <input id="colors-cluster-threshold" type="range" min="0" max="10" step="0.5" value="${threshold}" title="Maximum perceptual distance (ΔE) between grouped colors" style="flex: 1; min-width: 60px; accent-color: ${
+        themeColors.textPrimary
+      }; cursor: pointer;">
+        <span id="colors-cluster-threshold-value" style="min-width: 44px; font-family: 'Courier New', monospace; color: ${
+          themeColors.textPrimary
+        };">${threshold > 0 ? `ΔE ${threshold}` : "Off"}</span>
+        <select id="colors-cluster-metric" title="Color difference formula" style="padding: 1px 4px; border: 1px solid ${
+          themeColors.border
+        }; background: ${themeColors.bgSecondary}; color: ${
+        themeColors.textSecondary
+      }; font-size: 10px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 6px; cursor: pointer; outline: none;">
+          <option value="ciede2000"${
+            this.colorClusterMetric === "ciede2000" ? " selected" : ""
+          }>CIEDE2000</option>
+          <option value="oklab"${
+            this.colorClusterMetric === "oklab" ? " selected" : ""
+          }>OKLab</option>
+        </select>
+      </div>`;
 
-          // Skip generic fonts for testing
-          const genericFonts = [
-            "serif",
-            "sans-serif",
-            "monospace",
-            "cursive",
-            "fantasy",
-            "initial",
-            "inherit",
-          ];
-          if (genericFonts.includes(candidate.toLowerCase())) {
-            continue;
+      colorsView.innerHTML = `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${
+        clusters.length < colors.length
+          ? `${clusters.length} ${
+              clusters.length === 1 ? "group" : "groups"
+            } · ${colors.length} colors`
+          : `${colors.length} ${colors.length === 1 ? "color" : "colors"}`
+      }</div>
+        <div style="display: flex; align-items: center; gap: 6px;">
+        ${this.renderColorFormatSelect(themeColors)}
+        <button id="colors-export-toggle" style="padding: 4px 10px; border: 1px solid ${
+          themeColors.border
+        }; background: ${themeColors.bgSecondary}; color: ${
+        themeColors.textPrimary
+      }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; outline: none;" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${
+        themeColors.bgSecondary
+      }'">Export</button>
+        </div>
+      </div>
+      <div id="colors-export-menu" style="display: none; flex-wrap: wrap; gap: 6px; margin-bottom: 12px;">
+        ${getColorExportFormats()
+          .map(
+            (format) => `
+          <button data-export-format="${format.id}" style="padding: 6px 10px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textPrimary}; font-size: 11px; font-family: 'Inter', sans-serif; border-radius: 8px; cursor: pointer; transition: all 0.2s; outline: none;" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${themeColors.bgSecondary}'">${format.label}</button>
+        `
+          )
+          .join("")}
+      </div>
+      ${this.renderSampledColors(themeColors)}
+      ${clusterControls}
+      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px;">
+        ${colorGrid}
+      </div>
+      ${this.renderGradientPalette(gradients, themeColors, hoverBg)}
+    `; // Update panel height after content is rendered - use double RAF to ensure layout is complete
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          // Check if view is hidden (opacity: 0) - if so, skip updatePanelHeight
+          // Tab handlers will manually calculate and animate height during transitions
+          const isHidden =
+            colorsView.style.opacity === "0" ||
+            (this.shadowRoot &&
+              window.getComputedStyle(colorsView).opacity === "0");
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
           }
 
-          // Set the font and measure
-          ctx.font = `${fontStyle} ${fontWeight} ${fontSize} "${candidate}"`;
-          const testWidth = ctx.measureText(testText).width;
-
-          // If widths match (within 2px tolerance for rounding), this is likely the rendered font
-          if (Math.abs(testWidth - actualWidth) <= 2) {
-            return candidate;
-          }
-        }
-      } catch (e) {
-        // Fallback if canvas method fails
-        console.debug("[CSS Inspector] Font detection failed:", e);
-      }
+          // Apply squircle clip-path to color cards
+          const colorCards = colorsView.querySelectorAll(
+            ".color-card-squircle"
+          );
+          colorCards.forEach((card) => {
+            const rect = card.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+              const path = this.createSquircleClipPath(
+                rect.width,
+                rect.height,
+                12
+              );
+              card.style.clipPath = `path('${path}')`;
+            }
+          });
 
-      return null;
-    }
+          // Clear rendering flag after render completes
+          this.isRenderingColors = false;
+        });
+      });
 
-    isElementVisible(element, styles, rect) {
-      // Basic visibility checks
-      if (
-        styles.display === "none" ||
-        styles.visibility === "hidden" ||
-        styles.opacity === "0" ||
-        rect.width === 0 ||
-        rect.height === 0
-      ) {
-        return false;
-      }
+      // Add event listeners for copy functionality
+      setTimeout(() => {
+        const copyElements = colorsView.querySelectorAll("[data-copy-value]");
+        copyElements.forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(`${value} copied`, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
 
-      // REMOVED: Viewport-based off-screen check
-      // This was excluding elements scrolled out of view, which prevents
-      // detecting all fonts on the page regardless of scroll position.
-      // Elements that are truly hidden will still be excluded by other checks
-      // (display: none, visibility: hidden, opacity: 0, width/height 0, etc.)
+        const clearSampled = colorsView.querySelector("[data-sampled-clear]");
+        if (clearSampled) {
+          clearSampled.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.sampledColors = [];
+            this.renderColorsView();
+          });
+        }
 
-      // Check if element has transform that makes it invisible
-      const transform = styles.transform;
-      if (transform && transform !== "none") {
-        // Check for scale(0) or translate that moves it far off-screen
-        if (
-          transform.includes("scale(0)") ||
-          transform.includes("scaleX(0)") ||
-          transform.includes("scaleY(0)")
-        ) {
-          return false;
+        // Export menu toggle and format buttons
+        const exportToggle = colorsView.querySelector("#colors-export-toggle");
+        const exportMenu = colorsView.querySelector("#colors-export-menu");
+        if (exportToggle && exportMenu) {
+          exportToggle.addEventListener("click", (e) => {
+            e.stopPropagation();
+            exportMenu.style.display =
+              exportMenu.style.display === "none" ? "flex" : "none";
+            this.updatePanelHeight(false, true);
+          });
+          exportMenu
+            .querySelectorAll("[data-export-format]")
+            .forEach((button) => {
+              button.addEventListener("click", (e) => {
+                e.stopPropagation();
+                this.exportColors(button.dataset.exportFormat, colors, button);
+              });
+            });
         }
-      }
 
-      // Check if element is inside a hidden container
-      let parent = element.parentElement;
-      let depth = 0;
-      while (parent && depth < 10) {
-        const parentStyles = window.getComputedStyle(parent);
+        this.bindColorFormatSelects(colorsView);
 
-        if (
-          parentStyles.display === "none" ||
-          parentStyles.visibility === "hidden" ||
-          parentStyles.opacity === "0"
-        ) {
-          return false;
+        // Near-duplicate grouping controls
+        const thresholdInput = colorsView.querySelector(
+          "#colors-cluster-threshold"
+        );
+        const thresholdValue = colorsView.querySelector(
+          "#colors-cluster-threshold-value"
+        );
+        const metricSelect = colorsView.querySelector("#colors-cluster-metric");
+        if (thresholdInput && thresholdValue) {
+          thresholdInput.addEventListener("click", (e) => e.stopPropagation());
+          thresholdInput.addEventListener("input", () => {
+            const value = parseFloat(thresholdInput.value);
+            thresholdValue.textContent = value > 0 ? `ΔE ${value}` : "Off";
+          });
+          thresholdInput.addEventListener("change", () => {
+            this.setColorClustering(
+              parseFloat(thresholdInput.value),
+              this.colorClusterMetric
+            );
+          });
+        }
+        if (metricSelect) {
+          metricSelect.addEventListener("click", (e) => e.stopPropagation());
+          metricSelect.addEventListener("change", () => {
+            this.setColorClustering(
+              this.colorClusterThreshold,
+              metricSelect.value
+            );
+          });
         }
 
-        // REMOVED: Parent width/height === 0 check using viewport-relative coordinates
-        // This was incorrectly filtering out elements scrolled out of view.
-        // When an element is scrolled out of view, its parent's viewport-relative dimensions
-        // (from getBoundingClientRect()) may be 0 even though the element is visible in
-        // document coordinates. We want to detect all fonts on the page regardless of scroll
-        // position, so this check has been removed.
+        // Clicking a swatch highlights every element using the color
+        colorsView.querySelectorAll("[data-locate-cluster]").forEach((swatch) => {
+          swatch.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const cluster = clusters[parseInt(swatch.dataset.locateCluster, 10)];
+            if (cluster) {
+              this.startColorLocate(
+                cluster.variants.map((variant) => variant.color)
+              );
+            }
+          });
+        });
+        colorsView.querySelectorAll("[data-locate-variant]").forEach((swatch) => {
+          swatch.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const [clusterIndex, variantIndex] = swatch.dataset.locateVariant
+              .split(":")
+              .map((n) => parseInt(n, 10));
+            const cluster = clusters[clusterIndex];
+            if (cluster && cluster.variants[variantIndex]) {
+              this.startColorLocate([cluster.variants[variantIndex].color]);
+            }
+          });
+        });
 
-        // REMOVED: Overflow hidden check using viewport-relative coordinates
-        // This was incorrectly filtering out elements scrolled out of view.
-        // When an element is scrolled out of view, its viewport-relative coordinates
-        // (from getBoundingClientRect()) will be outside the parent's viewport-relative
-        // bounds, even though it's still within the parent in document coordinates.
-        // We want to detect all fonts on the page regardless of scroll position,
-        // so this check has been removed.
+        // Gradients: copy, locate and export
+        colorsView.querySelectorAll("[data-gradient-copy]").forEach((card) => {
+          card.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            try {
+              await navigator.clipboard.writeText(card.dataset.gradientCopy);
+              this.showToast("Gradient copied", card);
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+        colorsView
+          .querySelectorAll("[data-locate-gradient]")
+          .forEach((swatch) => {
+            swatch.addEventListener("click", (e) => {
+              e.stopPropagation();
+              const entry =
+                gradients[parseInt(swatch.dataset.locateGradient, 10)];
+              if (!entry) return;
+              this.startLocate({
+                label: describeGradient(entry.gradient),
+                swatch: entry.value,
+                elements: entry.elements,
+                getRoles: () => ["gradient"],
+              });
+            });
+          });
+        colorsView
+          .querySelectorAll("[data-gradient-export]")
+          .forEach((button) => {
+            button.addEventListener("click", (e) => {
+              e.stopPropagation();
+              this.exportGradients(button.dataset.gradientExport, button);
+            });
+          });
 
-        parent = parent.parentElement;
-        depth++;
-      }
+        // Expand a group to list its variants and the elements using them
+        colorsView.querySelectorAll("[data-cluster-toggle]").forEach((toggle) => {
+          toggle.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const card = toggle.closest(".color-card-squircle");
+            const details = card
+              ? card.querySelector("[data-cluster-details]")
+              : null;
+            if (!details) return;
+            const isOpen = details.style.display !== "none";
+            details.style.display = isOpen ? "none" : "flex";
+            card.style.gridColumn = isOpen ? "" : "1 / -1";
 
-      return true;
+            const rect = card.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+              const path = this.createSquircleClipPath(
+                rect.width,
+                rect.height,
+                12
+              );
+              card.style.clipPath = `path('${path}')`;
+            }
+            this.updatePanelHeight(false, true);
+          });
+        });
+      }, 0);
     }
 
-    getFontSourceUrl(fontFamily) {
-      const cleanFontName = fontFamily.replace(/['"]/g, "").trim();
-      const originalFontName = fontFamily.replace(/['"]/g, "").trim();
+    // Gradients category of the palette: a card per distinct gradient with its
+    // preview, stops and use count, plus the gradient exports
+    renderGradientPalette(gradients, themeColors, hoverBg) {
+      if (!gradients || gradients.length === 0) return "";
 
-      // #region agent log
-      fetch(
-        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            location: "content.js:3455",
-            message: "getFontSourceUrl entry",
-            data: { cleanFontName, originalFontName },
-            timestamp: Date.now(),
-            sessionId: "debug-session",
-            runId: "run1",
-            hypothesisId: "A",
-          }),
-        }
-      ).catch(() => {});
-      // #endregion
+      const cards = gradients
+        .map((entry, index) => {
+          const css = formatGradient(entry.gradient, (color) =>
+            this.formatColorValue(color)
+          );
+          return `
+          <div style="background: ${
+            themeColors.bgSecondary
+          }; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; overflow: hidden; cursor: pointer; transition: all 0.2s;"
+               class="color-card-squircle"
+               onmouseover="this.style.background='${hoverBg}'"
+               onmouseout="this.style.background='${themeColors.bgSecondary}'"
+               data-gradient-copy="${this.escapeHtml(css)}" title="${this.escapeHtml(css)}">
+            <div data-locate-gradient="${index}" title="Locate on page" style="position: relative; width: 100%; height: 80px; background-image: ${this.escapeHtml(
+            entry.value
+          )}; border-bottom: 1px solid ${themeColors.border};">
+              <span style="position: absolute; top: 6px; right: 6px; padding: 2px 6px; background: rgba(0, 0, 0, 0.55); color: #FFFFFF; border-radius: 9999px; font-size: 10px; font-weight: 600; font-family: 'Inter', sans-serif;">Locate</span>
+            </div>
+            <div style="padding: 12px;">
+              <div style="font-size: 12px; font-weight: 600; color: ${
+                themeColors.textPrimary
+              }; font-family: 'Inter', sans-serif; margin-bottom: 6px;">${this.escapeHtml(
+            describeGradient(entry.gradient)
+          )}</div>
+              <div style="display: flex; gap: 4px; margin-bottom: 6px;">
+                ${entry.gradient.stops
+                  .filter((stop) => stop.color)
+                  .map(
+                    (stop) =>
+                      `<span title="${this.escapeHtml(
+                        this.formatColorValue(stop.color) || stop.color
+                      )}" style="width: 14px; height: 14px; border-radius: 4px; border: 1px solid ${
+                        themeColors.border
+                      }; background: ${this.getColorSwatchBackground(
+                        stop.color
+                      )};"></span>`
+                  )
+                  .join("")}
+              </div>
+              <div style="font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">${entry.instances} ${
+            entry.instances === 1 ? "use" : "uses"
+          }</div>
+            </div>
+          </div>
+        `;
+        })
+        .join("");
 
-      // Parse Google Fonts from link tags (cache this for performance)
-      if (!this._googleFontsCache) {
-        this._googleFontsCache = this.parseGoogleFontsFromLinks();
+      return `
+      <div style="margin: 20px 0 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${gradients.length} ${
+        gradients.length === 1 ? "gradient" : "gradients"
+      }</div>
+        <div style="display: flex; align-items: center; gap: 6px;">
+          ${getGradientExportFormats()
+            .map(
+              (format) => `
+          <button data-gradient-export="${format.id}" style="padding: 4px 10px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textPrimary}; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; outline: none;" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${themeColors.bgSecondary}'">Export ${format.label}</button>`
+            )
+            .join("")}
+        </div>
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px;">
+        ${cards}
+      </div>
+    `;
+    }
+
+    // One row in an expanded color group: the variant, its distance from the
+    // group's representative and the elements that use it
+    renderColorVariant(variant, themeColors, hoverBg, locateKey) {
+      const color = variant.color;
+      const displayValue =
+        this.formatColorValue(color.value || color.hex) || color.hex;
+      const elements = color.elements || [];
+      const maxListed = 5;
+      const elementList = elements
+        .slice(0, maxListed)
+        .map((element) => {
+          const identifier = this.escapeHtml(
+            this.getElementIdentifier(element)
+          );
+          return `<div style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${identifier}">${identifier}</div>`;
+        })
+        .join("");
+      const moreCount = elements.length - maxListed;
+
+      return `
+        <div style="padding: 8px; background: ${
+          themeColors.bgPrimary
+        }; border-radius: 8px; display: flex; flex-direction: column; gap: 4px; cursor: pointer;" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${
+        themeColors.bgPrimary
+      }'" data-copy-value="${displayValue}" data-copy-message="${displayValue} copied">
+          <div style="display: flex; align-items: center; gap: 8px; font-size: 12px; font-family: 'Courier New', monospace; color: ${
+            themeColors.textPrimary
+          };">
+            <div data-locate-variant="${locateKey}" title="Locate on page" style="width: 14px; height: 14px; flex-shrink: 0; border-radius: 4px; border: 1px solid ${
+              themeColors.border
+            }; background: ${this.getColorSwatchBackground(
+        color.value || color.hex
+      )};"></div>
+            <span style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${displayValue}</span>
+            <span style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif; white-space: nowrap;">${
+        variant.distance > 0 ? `ΔE ${variant.distance.toFixed(2)} · ` : ""
+      }${color.instances} ${color.instances === 1 ? "use" : "uses"}</span>
+          </div>
+          ${
+            elementList
+              ? `<div style="padding-left: 22px; font-size: 10px; color: ${
+                  themeColors.textSecondary
+                }; font-family: 'Courier New', monospace; display: flex; flex-direction: column; gap: 2px;">${elementList}${
+                  moreCount > 0 ? `<div>+${moreCount} more</div>` : ""
+                }</div>`
+              : ""
+          }
+        </div>
+      `;
+    }
+
+    // Persist the near-duplicate grouping settings and re-render the palette
+    setColorClustering(threshold, metric) {
+      this.colorClusterThreshold = isNaN(threshold)
+        ? this.colorClusterThreshold
+        : Math.min(10, Math.max(0, threshold));
+      this.colorClusterMetric = metric === "oklab" ? "oklab" : "ciede2000";
+      localStorage.setItem(
+        "css-inspector-color-cluster-threshold",
+        String(this.colorClusterThreshold)
+      );
+      localStorage.setItem(
+        "css-inspector-color-cluster-metric",
+        this.colorClusterMetric
+      );
+      this.renderColorsView();
+    }
+
+    // Export the color palette in one of the formats from utils/colorExport.js
+    exportColors(formatId, colors, clickedElement) {
+      const format = getColorExportFormats().find((f) => f.id === formatId);
+      if (!format) {
+        console.warn("[CSS Inspector] Unknown color export format:", formatId);
+        return;
       }
-      const googleFontsSet = this._googleFontsCache;
 
-      // Parse Fontshare from link tags (cache this for performance)
-      if (!this._fontshareCache) {
-        this._fontshareCache = this.parseFontshareFromLinks();
+      try {
+        const content = format.build(
+          colors || this.extractColors(),
+          this.getExportFileBaseName()
+        );
+        this.downloadFile(
+          `${this.getExportFileBaseName()}-colors.${format.extension}`,
+          content,
+          format.mimeType
+        );
+        if (clickedElement) {
+          this.showToast(`${format.label} exported`, clickedElement);
+        }
+      } catch (e) {
+        console.error("[CSS Inspector] Failed to export colors:", e);
       }
-      const fontshareSet = this._fontshareCache;
+    }
 
-      // #region agent log
-      fetch(
-        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            location: "content.js:3470",
-            message: "Parsed font sets",
-            data: {
-              googleFontsSetSize: googleFontsSet.size,
-              fontshareSetSize: fontshareSet.size,
-              googleFontsArray: Array.from(googleFontsSet),
-              fontshareArray: Array.from(fontshareSet),
-            },
-            timestamp: Date.now(),
-            sessionId: "debug-session",
-            runId: "run1",
-            hypothesisId: "E",
-          }),
+    // Export the page's gradients in one of the formats from utils/gradientUtils.js
+    exportGradients(formatId, clickedElement) {
+      const format = getGradientExportFormats().find((f) => f.id === formatId);
+      if (!format) {
+        console.warn(
+          "[CSS Inspector] Unknown gradient export format:",
+          formatId
+        );
+        return;
+      }
+
+      try {
+        const content = format.build(this.extractGradients());
+        this.downloadFile(
+          `${this.getExportFileBaseName()}-${format.extension}`,
+          content,
+          format.mimeType
+        );
+        if (clickedElement) {
+          this.showToast(`Gradients ${format.label} exported`, clickedElement);
         }
-      ).catch(() => {});
-      // #endregion
+      } catch (e) {
+        console.error("[CSS Inspector] Failed to export gradients:", e);
+      }
+    }
 
-      // Check for Typekit/Adobe Fonts scripts
-      const hasTypekit =
-        document.querySelectorAll('script[src*="use.typekit.net"]').length > 0;
-      const hasAdobeFonts =
-        document.querySelectorAll('link[href*="fonts.adobe.com"]').length > 0;
+    // Export the page's text styles in one of the formats from utils/typographyExport.js
+    exportTypography(formatId, clickedElement) {
+      const format = getTypographyExportFormats().find(
+        (f) => f.id === formatId
+      );
+      if (!format) {
+        console.warn(
+          "[CSS Inspector] Unknown typography export format:",
+          formatId
+        );
+        return;
+      }
 
-      // Check @font-face rules to find where font is loaded from
-      const styleSheets = Array.from(document.styleSheets);
-      let fontSource = null;
-      let detectedSourceType = null; // 'google', 'adobe', or 'fontshare'
+      try {
+        const content = format.build(this.extractTextStyles());
+        this.downloadFile(
+          `${this.getExportFileBaseName()}-typography.${format.extension}`,
+          content,
+          format.mimeType
+        );
+        if (clickedElement) {
+          this.showToast(`${format.label} exported`, clickedElement);
+        }
+      } catch (e) {
+        console.error("[CSS Inspector] Failed to export typography:", e);
+      }
+    }
+
+    // Escapes text for the panel's HTML strings, attribute values included
+    escapeHtml(text) {
+      return String(text === undefined || text === null ? "" : text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+    }
+
+    // Base64 of a byte array, built from 8 KB slices so large exports don't
+    // overflow the argument limit of String.fromCharCode
+    encodeBase64(bytes) {
+      const chunks = [];
+      for (let i = 0; i < bytes.length; i += 8192) {
+        chunks.push(
+          String.fromCharCode.apply(null, bytes.subarray(i, i + 8192))
+        );
+      }
+      return btoa(chunks.join(""));
+    }
+
+    // File name prefix for exports, derived from the page host
+    getExportFileBaseName() {
+      const host = (window.location.hostname || "page")
+        .replace(/^www\./, "")
+        .replace(/[^a-z0-9.-]/gi, "-");
+      return host || "page";
+    }
+
+    // Trigger a browser download for generated content
+    downloadFile(filename, content, mimeType = "text/plain") {
+      const blob =
+        content instanceof Blob ? content : new Blob([content], { type: mimeType });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = filename;
+      link.style.display = "none";
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
 
+    // Reads an asset into a Blob: fetched directly when the page's CORS rules
+    // allow it, otherwise through the service worker, which only fetches
+    // http(s) images and videos up to 25 MB, without cookies
+    async fetchAssetBlob(url) {
       try {
-        for (const sheet of styleSheets) {
-          try {
-            const rules = Array.from(sheet.cssRules || []);
-            for (const rule of rules) {
-              if (rule instanceof CSSFontFaceRule) {
-                const ruleFontFamily = rule.style.fontFamily
-                  .replace(/['"]/g, "")
-                  .trim();
-                // Normalize both names for comparison (handles hyphens vs spaces)
-                const ruleFontNormalized =
-                  this.normalizeFontNameForComparison(ruleFontFamily);
-                const cleanFontNormalized =
-                  this.normalizeFontNameForComparison(cleanFontName);
+        const direct = await fetch(url);
+        if (direct.ok) return await direct.blob();
+      } catch (error) {
+        // Cross-origin without CORS headers; retried from the service worker
+      }
 
-                if (
-                  ruleFontNormalized === cleanFontNormalized ||
-                  ruleFontNormalized.includes(cleanFontNormalized) ||
-                  cleanFontNormalized.includes(ruleFontNormalized)
-                ) {
-                  const src = rule.style.src;
-                  if (src) {
-                    // Handle multiple URLs in src (comma-separated fallbacks)
-                    const urlMatches = src.match(/url\(['"]?([^'"]+)['"]?\)/g);
-                    if (urlMatches) {
-                      for (const urlMatch of urlMatches) {
-                        const url = urlMatch.match(
-                          /url\(['"]?([^'"]+)['"]?\)/
-                        )[1];
+      const response = await new Promise((resolve) =>
+        chrome.runtime.sendMessage({ action: "fetchAsset", url }, resolve)
+      );
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = new Error(
+          (chrome.runtime.lastError && chrome.runtime.lastError.message) ||
+            (response && response.error) ||
+            "Fetch failed"
+        );
+        // Over the worker's size cap, which the user is told about
+        error.tooLarge = Boolean(response && response.tooLarge);
+        throw error;
+      }
+      const [header, base64] = response.dataUrl.split(",");
+      const bytes = Uint8Array.from(atob(base64), (char) =>
+        char.charCodeAt(0)
+      );
+      return new Blob([bytes], {
+        type: header.slice(5).split(";")[0] || "application/octet-stream",
+      });
+    }
 
-                        // #region agent log
-                        if (
-                          cleanFontName.includes("Clash") ||
-                          cleanFontName.includes("Instrument")
-                        ) {
-                          fetch(
-                            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-                            {
-                              method: "POST",
-                              headers: { "Content-Type": "application/json" },
-                              body: JSON.stringify({
-                                location: "content.js:3510",
-                                message: "@font-face URL found",
-                                data: { cleanFontName, ruleFontFamily, url },
-                                timestamp: Date.now(),
-                                sessionId: "debug-session",
-                                runId: "run1",
-                                hypothesisId: "A",
-                              }),
-                            }
-                          ).catch(() => {});
-                        }
-                        // #endregion
+    // Saves a file through the service worker's downloads API, without a
+    // link in the page's DOM: an http(s) URL is downloaded as is, a Blob
+    // through an object URL that's revoked once the download has had time
+    // to read it
+    async saveAssetFile(filename, source) {
+      const objectUrl =
+        source instanceof Blob ? URL.createObjectURL(source) : null;
+      try {
+        const response = await new Promise((resolve) =>
+          chrome.runtime.sendMessage(
+            { action: "downloadFile", url: objectUrl || source, filename },
+            resolve
+          )
+        );
+        if (chrome.runtime.lastError || !response || !response.success) {
+          throw new Error(
+            (chrome.runtime.lastError && chrome.runtime.lastError.message) ||
+              (response && response.error) ||
+              "Download failed"
+          );
+        }
+      } finally {
+        if (objectUrl) setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+      }
+    }
 
-                        // Detect platform from URL using flexible detection
-                        const detectedPlatform =
-                          this.detectFontPlatformFromUrl(url);
-                        if (detectedPlatform) {
-                          detectedSourceType = detectedPlatform.sourceId;
-                          // Store platform info for URL construction
-                          this._detectedPlatform = detectedPlatform;
-                          break;
+    // What saveAssetFile() downloads for an asset URL: http(s) URLs as they
+    // are, data: and blob: URLs read into a Blob first
+    async getAssetDownloadSource(url) {
+      return /^https?:/i.test(url) ? url : this.fetchAssetBlob(url);
+    }
+
+    // Parse Google Fonts link tags to extract actual font names being loaded
+    parseGoogleFontsFromLinks() {
+      const fonts = new Set();
+      try {
+        const links = document.querySelectorAll(
+          'link[href*="fonts.googleapis.com"]'
+        );
+        links.forEach((link) => {
+          try {
+            const url = new URL(link.href);
+            // Handle both css and css2 API formats
+            const families = url.searchParams.getAll("family");
+            families.forEach((family) => {
+              // Extract font name (before : or &)
+              // Examples: "EB+Garamond:wght@400;600" or "Roboto:wght@400;700"
+              const fontName = family
+                .split(":")[0]
+                .split("&")[0]
+                .replace(/\+/g, " ")
+                .trim();
+              if (fontName) {
+                fonts.add(fontName);
+              }
+            });
+          } catch (e) {
+            // Invalid URL, skip
+          }
+        });
+
+        // Also check for CSS @import statements in stylesheets
+        try {
+          const styleSheets = Array.from(document.styleSheets);
+          for (const sheet of styleSheets) {
+            try {
+              const rules = Array.from(sheet.cssRules || []);
+              for (const rule of rules) {
+                if (rule.type === CSSRule.IMPORT_RULE && rule.href) {
+                  const href = rule.href;
+                  if (href.includes("fonts.googleapis.com")) {
+                    try {
+                      const url = new URL(href);
+                      const families = url.searchParams.getAll("family");
+                      families.forEach((family) => {
+                        const fontName = family
+                          .split(":")[0]
+                          .split("&")[0]
+                          .replace(/\+/g, " ")
+                          .trim();
+                        if (fontName) {
+                          fonts.add(fontName);
                         }
-                      }
-                      if (detectedSourceType) break;
+                      });
+                    } catch (e) {
+                      // Invalid URL, skip
                     }
                   }
                 }
               }
+            } catch (e) {
+              // Cross-origin stylesheet, skip
+              continue;
             }
-            if (detectedSourceType) break;
-          } catch (e) {
-            // Cross-origin stylesheet, skip
-            continue;
           }
+        } catch (e) {
+          // Error parsing imports
         }
       } catch (e) {
-        // Error accessing stylesheets
+        // Error parsing links
       }
+      return fonts;
+    }
 
+    // Parse Fontshare link tags to extract actual font names being loaded
+    parseFontshareFromLinks() {
+      const fonts = new Set();
       // #region agent log
       fetch(
         "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
@@ -3809,82 +5640,21 @@
           method: "POST",
           headers: { "Content-Type": "application/json" },
           body: JSON.stringify({
-            location: "content.js:3549",
-            message: "After @font-face detection",
-            data: { detectedSourceType, hasTypekit, hasAdobeFonts },
+            location: "content.js:3184",
+            message: "parseFontshareFromLinks entry",
+            data: {},
             timestamp: Date.now(),
             sessionId: "debug-session",
             runId: "run1",
-            hypothesisId: "A",
+            hypothesisId: "E",
           }),
         }
       ).catch(() => {});
       // #endregion
-
-      // Construct URL based on detected source type
-      if (detectedSourceType === "google") {
-        // Normalize font name for comparison (hyphens/spaces)
-        const fontNameNormalized =
-          this.normalizeFontNameForComparison(cleanFontName);
-
-        // Check if font matches any in Google Fonts set (with normalized comparison)
-        const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
-          const googleFontNormalized =
-            this.normalizeFontNameForComparison(font);
-          return googleFontNormalized === fontNameNormalized;
-        });
-
-        if (isInGoogleFonts) {
-          // Find the exact font name from the set (preserve casing from link tag)
-          const exactFontName =
-            Array.from(googleFontsSet).find((font) => {
-              const googleFontNormalized =
-                this.normalizeFontNameForComparison(font);
-              return googleFontNormalized === fontNameNormalized;
-            }) || originalFontName;
-
-          // Preserve original casing for Google Fonts URL (e.g., "EB Garamond" not "eb garamond")
-          // Google Fonts URLs use + for spaces and preserve casing
-          const cleanName = exactFontName.replace(/\s+/g, "+");
-          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
-        } else {
-          // Font detected from @font-face URL but not in parsed link tags
-          // Construct URL using original font name (may have been loaded via @import or other methods)
-          // Preserve original casing for Google Fonts URL
-          // #region agent log
-          fetch(
-            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                location: "content.js:3576",
-                message: "Google Fonts from @font-face but not in set",
-                data: { cleanFontName, originalFontName, isInGoogleFonts },
-                timestamp: Date.now(),
-                sessionId: "debug-session",
-                runId: "run1",
-                hypothesisId: "A",
-              }),
-            }
-          ).catch(() => {});
-          // #endregion
-          const cleanName = originalFontName.replace(/\s+/g, "+");
-          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
-        }
-      } else if (this._detectedPlatform && this._detectedPlatform.urlPattern) {
-        // Use platform's URL pattern for other detected platforms
-        fontSource = this._detectedPlatform.urlPattern(originalFontName);
-        // Clear the stored platform info after use
-        this._detectedPlatform = null;
-      }
-
-      // Fallback: If no source detected via @font-face URLs, try to match by font name
-      // This handles cases where fonts are loaded via CSS @import or cross-origin stylesheets
-      if (!fontSource) {
-        const fontNameNormalized =
-          this.normalizeFontNameForComparison(cleanFontName);
-
+      try {
+        const links = document.querySelectorAll(
+          'link[href*="api.fontshare.com"]'
+        );
         // #region agent log
         fetch(
           "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
@@ -3892,26 +5662,62 @@
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-              location: "content.js:3602",
-              message: "Entering fallback logic",
-              data: { cleanFontName, fontNameNormalized },
+              location: "content.js:3190",
+              message: "Fontshare links found",
+              data: {
+                linksCount: links.length,
+                linksArray: Array.from(links).map((l) => l.href),
+              },
               timestamp: Date.now(),
               sessionId: "debug-session",
               runId: "run1",
-              hypothesisId: "B",
+              hypothesisId: "E",
             }),
           }
         ).catch(() => {});
         // #endregion
-
-        // Step 1: Check all parsed sets first (most reliable)
-        // Check Google Fonts parsed set
-        const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
-          const googleFontNormalized =
-            this.normalizeFontNameForComparison(font);
-          return googleFontNormalized === fontNameNormalized;
+        links.forEach((link) => {
+          try {
+            const url = new URL(link.href);
+            // Fontshare uses f[] query parameter for font names
+            const families = url.searchParams.getAll("f[]");
+            families.forEach((family) => {
+              // Font names in Fontshare URLs are typically lowercase with hyphens
+              // Example: "clash-display" from f[]=clash-display
+              const fontName = family.trim();
+              if (fontName) {
+                // Convert to display format (e.g., "clash-display" -> "Clash Display")
+                const displayName = fontName
+                  .split("-")
+                  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+                  .join(" ");
+                fonts.add(displayName);
+              }
+            });
+          } catch (e) {
+            // Invalid URL, skip
+            // #region agent log
+            fetch(
+              "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+              {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({
+                  location: "content.js:3208",
+                  message: "Fontshare link parse error",
+                  data: { error: e.message, href: link.href },
+                  timestamp: Date.now(),
+                  sessionId: "debug-session",
+                  runId: "run1",
+                  hypothesisId: "E",
+                }),
+              }
+            ).catch(() => {});
+            // #endregion
+          }
         });
-
+      } catch (e) {
+        // Error parsing links
         // #region agent log
         fetch(
           "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
@@ -3919,1465 +5725,6110 @@
             method: "POST",
             headers: { "Content-Type": "application/json" },
             body: JSON.stringify({
-              location: "content.js:3612",
-              message: "Google Fonts set check result",
-              data: {
-                isInGoogleFonts,
-                fontNameNormalized,
-                googleFontsArray: Array.from(googleFontsSet),
-              },
+              location: "content.js:3213",
+              message: "Fontshare parse error",
+              data: { error: e.message },
               timestamp: Date.now(),
               sessionId: "debug-session",
               runId: "run1",
-              hypothesisId: "B",
+              hypothesisId: "E",
             }),
           }
         ).catch(() => {});
         // #endregion
+      }
+      // #region agent log
+      fetch(
+        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            location: "content.js:3215",
+            message: "parseFontshareFromLinks result",
+            data: { fontsCount: fonts.size, fontsArray: Array.from(fonts) },
+            timestamp: Date.now(),
+            sessionId: "debug-session",
+            runId: "run1",
+            hypothesisId: "E",
+          }),
+        }
+      ).catch(() => {});
+      // #endregion
+      return fonts;
+    }
 
-        if (isInGoogleFonts) {
-          // Find the exact font name from the set
-          const exactFontName =
-            Array.from(googleFontsSet).find((font) => {
-              const googleFontNormalized =
-                this.normalizeFontNameForComparison(font);
-              return googleFontNormalized === fontNameNormalized;
-            }) || originalFontName;
-
-          // Preserve original casing for Google Fonts URL
-          const cleanName = exactFontName.replace(/\s+/g, "+");
-          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
-          detectedSourceType = "google";
-        } else {
-          // Check Fontshare parsed set
-          const isInFontshare = Array.from(fontshareSet).some((font) => {
-            const fontshareNormalized =
-              this.normalizeFontNameForComparison(font);
-            return fontshareNormalized === fontNameNormalized;
-          });
-
-          // #region agent log
-          fetch(
-            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-            {
-              method: "POST",
-              headers: { "Content-Type": "application/json" },
-              body: JSON.stringify({
-                location: "content.js:3633",
-                message: "Fontshare set check result",
-                data: {
-                  isInFontshare,
-                  fontNameNormalized,
-                  fontshareArray: Array.from(fontshareSet),
-                },
-                timestamp: Date.now(),
-                sessionId: "debug-session",
-                runId: "run1",
-                hypothesisId: "B",
-              }),
-            }
-          ).catch(() => {});
-          // #endregion
-
-          if (isInFontshare) {
-            // Find the exact font name from the set
-            const exactFontName =
-              Array.from(fontshareSet).find((font) => {
-                const fontshareNormalized =
-                  this.normalizeFontNameForComparison(font);
-                return fontshareNormalized === fontNameNormalized;
-              }) || originalFontName;
-
-            // Convert to URL format
-            let baseName = exactFontName.toLowerCase();
+    // Detect font platform from @font-face URL
+    detectFontPlatformFromUrl(url) {
+      // Platform mapping: domain patterns -> platform info
+      const platformMap = [
+        {
+          domains: ["fonts.gstatic.com", "fonts.googleapis.com"],
+          name: "Google Fonts",
+          sourceId: "google",
+          urlPattern: (fontName) => {
+            // Preserve original casing for Google Fonts URL
+            return `https://fonts.google.com/specimen/${fontName.replace(
+              /\s+/g,
+              "+"
+            )}`;
+          },
+        },
+        {
+          domains: ["use.typekit.net", "fonts.adobe.com", "adobe.com"],
+          name: "Adobe Fonts",
+          sourceId: "adobe",
+          urlPattern: (fontName) => {
+            let baseName = fontName.toLowerCase();
             baseName = baseName.replace(
               /\s+(pro|std|display|text|variable)$/i,
               ""
             );
-            const cleanName = baseName.replace(/\s+/g, "-");
-            fontSource = `https://www.fontshare.com/fonts/${cleanName}`;
-            detectedSourceType = "fontshare";
-          } else {
-            // Step 2: Check platform indicators (link tags) if font not in any parsed set
-            // Priority: Adobe (most reliable) → Fontshare → Google Fonts
-
-            // Check Adobe Fonts first (if Typekit/Adobe indicators are present)
-            // This is more reliable than checking link tags
-            if (hasTypekit || hasAdobeFonts) {
-              // Try to match font name and assume it's from Adobe
-              // This handles cases where @font-face rules aren't accessible (cross-origin, etc.)
-              detectedSourceType = "adobe";
-              let baseName = cleanFontName.toLowerCase();
-              baseName = baseName.replace(
-                /\s+(pro|std|display|text|variable)$/i,
-                ""
-              );
-              const cleanName = baseName.replace(/\s+/g, "-");
-              fontSource = `https://fonts.adobe.com/fonts/${cleanName}`;
-            }
-            // REMOVED: Fallback to construct URLs just because link tags exist
-            // This was causing false positives - fonts not on Google Fonts/Fontshare were getting links
-            // Only construct URLs when font is in parsed set OR detected from @font-face URLs
-            // If we can't detect the source, return null instead of guessing
-          }
-        }
-      }
-
-      // Threshold-based fallback: only construct URL if platform indicators exist and font is not a system font
-      if (!fontSource) {
-        // System font check
-        const systemFonts = new Set([
-          "arial",
-          "helvetica",
-          "times",
-          "times new roman",
-          "courier",
-          "courier new",
-          "verdana",
-          "georgia",
-          "palatino",
-          "garamond",
-          "bookman",
-          "comic sans ms",
-          "trebuchet ms",
-          "arial black",
-          "impact",
-          "tahoma",
-          "century gothic",
-          "lucida console",
-          "lucida sans unicode",
-          "segoe ui",
-          "calibri",
-          "cambria",
-          "candara",
-          "consolas",
-          "constantia",
-          "corbel",
-          "franklin gothic medium",
-          "gadget",
-          "geneva",
-          "gill sans",
-          "goudy old style",
-          "hoefler text",
-          "lucida bright",
-          "lucida fax",
-          "lucida handwriting",
-          "lucida sans",
-          "lucida sans typewriter",
-          "monaco",
-          "palatino linotype",
-          "papyrus",
-          "perpetua",
-          "rockwell",
-          "rockwell extra bold",
-          "sans-serif",
-          "serif",
-          "monospace",
-          "cursive",
-          "fantasy",
-          "ui-serif",
-          "ui-sans-serif",
-          "ui-monospace",
-          "ui-rounded",
-          "system-ui",
-          "emoji",
-          "math",
-          "fangsong",
-        ]);
-
-        const fontNameLower = cleanFontName.toLowerCase();
-        const isSystemFont =
-          systemFonts.has(fontNameLower) ||
-          fontNameLower.includes("system") ||
-          fontNameLower.startsWith("ui-");
-
-        // Only construct URL if not a system font AND platform indicators exist
-        if (!isSystemFont) {
-          // Priority: Google Fonts → Adobe Fonts → Fontshare
-          if (googleFontsSet.size > 0) {
-            // Check if font name matches a font in the parsed Google Fonts set
-            const fontNameNormalized =
-              this.normalizeFontNameForComparison(cleanFontName);
-            const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
-              const googleFontNormalized =
-                this.normalizeFontNameForComparison(font);
-              return googleFontNormalized === fontNameNormalized;
-            });
-
-            if (isInGoogleFonts) {
-              // Font name matches a font in the parsed set, construct Google Fonts URL
-              const exactFontName =
-                Array.from(googleFontsSet).find((font) => {
-                  const googleFontNormalized =
-                    this.normalizeFontNameForComparison(font);
-                  return googleFontNormalized === fontNameNormalized;
-                }) || originalFontName;
-              const cleanName = exactFontName.replace(/\s+/g, "+");
-              fontSource = `https://fonts.google.com/specimen/${cleanName}`;
-              detectedSourceType = "google";
-            }
-          } else if (hasTypekit || hasAdobeFonts) {
-            // Adobe Fonts indicators exist, construct Adobe Fonts URL
-            // Note: We don't have a parsed set for Adobe fonts, so we rely on indicators
-            let baseName = cleanFontName.toLowerCase();
+            return `https://fonts.adobe.com/fonts/${baseName.replace(
+              /\s+/g,
+              "-"
+            )}`;
+          },
+        },
+        {
+          domains: ["fontshare.com", "api.fontshare.com"],
+          name: "Fontshare",
+          sourceId: "fontshare",
+          urlPattern: (fontName) => {
+            let baseName = fontName.toLowerCase();
             baseName = baseName.replace(
               /\s+(pro|std|display|text|variable)$/i,
               ""
             );
-            const cleanName = baseName.replace(/\s+/g, "-");
-            fontSource = `https://fonts.adobe.com/fonts/${cleanName}`;
-            detectedSourceType = "adobe";
-          } else if (fontshareSet.size > 0) {
-            // Check if font name matches a font in the parsed Fontshare set
-            const fontNameNormalized =
-              this.normalizeFontNameForComparison(cleanFontName);
-            const isInFontshare = Array.from(fontshareSet).some((font) => {
-              const fontshareNormalized =
-                this.normalizeFontNameForComparison(font);
-              return fontshareNormalized === fontNameNormalized;
-            });
+            return `https://www.fontshare.com/fonts/${baseName.replace(
+              /\s+/g,
+              "-"
+            )}`;
+          },
+        },
+        {
+          domains: ["fonts.com", "fast.fonts.com"],
+          name: "Fonts.com",
+          sourceId: "fontscom",
+          urlPattern: (fontName) => {
+            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
+            return `https://www.fonts.com/font/${baseName}`;
+          },
+        },
+        {
+          domains: ["myfonts.com"],
+          name: "MyFonts",
+          sourceId: "myfonts",
+          urlPattern: (fontName) => {
+            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
+            return `https://www.myfonts.com/fonts/${baseName}`;
+          },
+        },
+        {
+          domains: ["fontsquirrel.com"],
+          name: "Font Squirrel",
+          sourceId: "fontsquirrel",
+          urlPattern: (fontName) => {
+            let baseName = fontName.toLowerCase().replace(/\s+/g, "-");
+            return `https://www.fontsquirrel.com/fonts/${baseName}`;
+          },
+        },
+      ];
 
-            if (isInFontshare) {
-              // Font name matches a font in the parsed set, construct Fontshare URL
-              const exactFontName =
-                Array.from(fontshareSet).find((font) => {
-                  const fontshareNormalized =
-                    this.normalizeFontNameForComparison(font);
-                  return fontshareNormalized === fontNameNormalized;
-                }) || originalFontName;
-              let baseName = exactFontName.toLowerCase();
-              baseName = baseName.replace(
-                /\s+(pro|std|display|text|variable)$/i,
-                ""
-              );
-              const cleanName = baseName.replace(/\s+/g, "-");
-              fontSource = `https://www.fontshare.com/fonts/${cleanName}`;
-              detectedSourceType = "fontshare";
-            }
-          }
-          // If no platform indicators exist or font doesn't match parsed set, fontSource remains null (show "Source not detected")
-        }
-      }
+      // Check if URL is external (not self-hosted)
+      try {
+        const urlObj = new URL(url, window.location.href);
+        const isExternal = urlObj.origin !== window.location.origin;
 
-      // #region agent log
-      fetch(
-        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
-        {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            location: "content.js:3697",
-            message: "getFontSourceUrl result",
-            data: { cleanFontName, fontSource, detectedSourceType },
-            timestamp: Date.now(),
-            sessionId: "debug-session",
-            runId: "run1",
-            hypothesisId: "A",
-          }),
+        if (!isExternal) {
+          return null; // Self-hosted, not detectable
         }
-      ).catch(() => {});
-      // #endregion
 
-      // Return object with url, source type, and platform name, or null if no source found
-      let platformName = null;
-      if (this._detectedPlatform) {
-        platformName = this._detectedPlatform.name;
-        this._detectedPlatform = null; // Clear after use
-      } else if (detectedSourceType === "google") {
-        platformName = "Google Fonts";
-      } else if (detectedSourceType === "adobe") {
-        platformName = "Adobe Fonts";
-      } else if (detectedSourceType === "fontshare") {
-        platformName = "Fontshare";
-      }
+        // Check for /fontshare/ path pattern (Framer-hosted Fontshare fonts)
+        if (url.includes("/fontshare/")) {
+          return platformMap.find((p) => p.sourceId === "fontshare");
+        }
 
-      return fontSource
-        ? {
-            url: fontSource,
-            source: detectedSourceType,
-            platformName: platformName,
+        // Match domain to platform
+        for (const platform of platformMap) {
+          for (const domain of platform.domains) {
+            if (url.includes(domain)) {
+              return platform;
+            }
           }
-        : null;
-    }
+        }
 
-    renderFontsView() {
-      // Prevent duplicate calls
-      if (this.isRenderingFonts) {
-        return;
+        // External URL but unknown platform - return null (show "Source not detected")
+        return null;
+      } catch (e) {
+        return null; // Invalid URL
       }
-      this.isRenderingFonts = true;
-      const fonts = this.extractTypography();
-      // #region agent log
-      const instrumentSerifInFonts = fonts.find(
-        (f) =>
-          f.fontFamily === "Instrument Serif" ||
-          f.fontFamily.includes("Instrument Serif")
-      );
-      // #endregion
-      if (!this.shadowRoot) {
-        this.isRenderingFonts = false;
-        return;
+    }
+
+    // Normalize font name for comparison (hyphens/underscores to spaces, lowercase)
+    // Also strips common suffixes like "Variable", "Pro", "Std", "Display", "Text" for better matching
+    normalizeFontNameForComparison(fontName) {
+      let normalized = fontName
+        .replace(/['"]/g, "")
+        .trim()
+        .toLowerCase()
+        .replace(/[-_]/g, " ");
+
+      // Remove common suffixes for comparison (e.g., "eb garamond variable" -> "eb garamond")
+      // This helps match "EB Garamond Variable" with "EB Garamond"
+      normalized = normalized
+        .replace(/\s+(variable|pro|std|display|text)$/i, "")
+        .trim();
+
+      return normalized;
+    }
+
+    isFontDefined(fontFamily) {
+      const cleanFontName = fontFamily.replace(/['"]/g, "").trim();
+
+      try {
+        const styleSheets = Array.from(document.styleSheets);
+        for (const sheet of styleSheets) {
+          try {
+            const rules = Array.from(sheet.cssRules || []);
+            for (const rule of rules) {
+              if (
+                rule.type === CSSRule.FONT_FACE_RULE ||
+                rule instanceof CSSFontFaceRule
+              ) {
+                const ruleFontFamily = rule.style.fontFamily
+                  .replace(/['"]/g, "")
+                  .trim();
+                if (
+                  this.normalizeFontNameForComparison(ruleFontFamily) ===
+                  this.normalizeFontNameForComparison(cleanFontName)
+                ) {
+                  return true;
+                }
+              }
+            }
+          } catch (e) {
+            // Cross-origin stylesheet, skip
+            continue;
+          }
+        }
+      } catch (e) {
+        // Error accessing stylesheets
       }
-      const fontsView = this.shadowRoot.querySelector("#overview-fonts-view");
-      if (!fontsView) {
-        this.isRenderingFonts = false;
-        return;
+      return false;
+    }
+
+    // Get all @font-face font families defined on the page
+    // This works universally - all sites define custom fonts in @font-face rules
+    getAllFontFaceFonts(systemFonts) {
+      const fontFamilies = new Set();
+
+      try {
+        const styleSheets = Array.from(document.styleSheets);
+        for (const sheet of styleSheets) {
+          try {
+            const rules = Array.from(sheet.cssRules || []);
+            for (const rule of rules) {
+              if (
+                rule.type === CSSRule.FONT_FACE_RULE ||
+                rule instanceof CSSFontFaceRule
+              ) {
+                const fontFamily = rule.style.fontFamily;
+                if (fontFamily) {
+                  // Extract font family names (handle multiple values separated by commas)
+                  const families = fontFamily
+                    .split(",")
+                    .map((f) => f.replace(/['"]/g, "").trim());
+                  families.forEach((f) => {
+                    if (f && !systemFonts.has(f)) {
+                      fontFamilies.add(f);
+                    }
+                  });
+                }
+              }
+            }
+          } catch (e) {
+            // Cross-origin stylesheet, skip
+            continue;
+          }
+        }
+      } catch (e) {
+        // Error accessing stylesheets
       }
 
-      const themeColors = this.getThemeColors();
+      return Array.from(fontFamilies);
+    }
 
-      if (fonts.length === 0) {
-        fontsView.innerHTML = `
-        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
-          <p style="font-size: 14px;">No fonts found</p>
-        </div>
-      `;
-        this.isRenderingFonts = false;
-        return;
+    // Detect which font is actually being rendered by measuring text width
+    getActualRenderedFont(element, fontFamilyStack) {
+      if (!element || !element.textContent || !element.textContent.trim()) {
+        return null;
       }
 
-      // Create font list
-      const fontList = fonts
-        .map((font, index) => {
-          // Determine usage label (Primary, Secondary, Tertiary)
-          let label =
-            index === 0
-              ? "Primary"
-              : index === 1
-              ? "Secondary"
-              : index === 2
-              ? "Tertiary"
-              : "";
+      try {
+        // Use a good test string that has varying character widths
+        const testText =
+          element.textContent.trim().substring(0, 30) || "mmmmmmmmmmlli";
+        if (testText.length < 5) return null; // Need enough text for accurate measurement
 
-          // Check if font is a display font (maxFontSize > 60px)
-          const isDisplayFont = font.maxFontSize > 60;
-          if (isDisplayFont) {
-            // Add Display label (can be combined with Primary/Secondary/Tertiary)
-            label = label ? `${label} • Display` : "Display";
+        const styles = this.getCachedComputedStyle(element);
+        const fontSize = styles.fontSize || "16px";
+        const fontWeight = styles.fontWeight || "400";
+        const fontStyle = styles.fontStyle || "normal";
+
+        // Create a canvas to measure text width
+        const canvas = document.createElement("canvas");
+        const ctx = canvas.getContext("2d");
+        if (!ctx) return null;
+
+        // Get the actual rendered width from the element by cloning its styles
+        const tempSpan = document.createElement("span");
+        tempSpan.style.position = "absolute";
+        tempSpan.style.visibility = "hidden";
+        tempSpan.style.whiteSpace = "nowrap";
+        tempSpan.style.fontSize = fontSize;
+        tempSpan.style.fontWeight = fontWeight;
+        tempSpan.style.fontStyle = fontStyle;
+        tempSpan.style.fontFamily = styles.fontFamily; // Use the full font stack
+        tempSpan.textContent = testText;
+        document.body.appendChild(tempSpan);
+        const actualWidth = tempSpan.offsetWidth;
+        document.body.removeChild(tempSpan);
+
+        if (actualWidth === 0) return null;
+
+        // Test each font in the stack to see which one matches the actual width
+        // We'll test in reverse order (fallback fonts first) to find the actual rendered one
+        for (let i = 0; i < fontFamilyStack.length; i++) {
+          const candidate = fontFamilyStack[i].replace(/['"]/g, "").trim();
+
+          if (!candidate) continue;
+
+          // Skip generic fonts for testing
+          const genericFonts = [
+            "serif",
+            "sans-serif",
+            "monospace",
+            "cursive",
+            "fantasy",
+            "initial",
+            "inherit",
+          ];
+          if (genericFonts.includes(candidate.toLowerCase())) {
+            continue;
           }
 
-          const fontSourceUrl = this.getFontSourceUrl(font.fontFamily);
+          // Set the font and measure
+          ctx.font = `${fontStyle} ${fontWeight} ${fontSize} "${candidate}"`;
+          const testWidth = ctx.measureText(testText).width;
 
-          return `
-          <div style="background: ${
-            themeColors.bgSecondary
-          }; border: 1px solid ${
-            themeColors.border
-          }; border-radius: 12px; padding: 16px; margin-bottom: 12px;"
-               class="font-card-squircle">
-            <div style="display: flex; flex-direction: column; align-items: center; gap: 10px;">
-              ${
-                label
-                  ? `<div style="font-size: 11px; font-weight: 600; color: ${themeColors.textSecondary}; text-transform: uppercase; letter-spacing: 0.5px; font-family: 'Inter', sans-serif;">${label}</div>`
-                  : ""
-              }
-              <div style="font-family: ${
-                font.fontFamily
-              }; font-size: 48px; line-height: 1; color: ${
-            themeColors.textPrimary
-          }; font-weight: 400; text-align: center;">
-                  Ag
-                </div>
-                <div style="display: flex; flex-direction: column; align-items: center; gap: 4px; margin-top: 4px;">
-                  <div style="display: flex; align-items: center; justify-content: center; font-size: 13px; color: ${
-                    themeColors.textPrimary
-                  }; font-family: 'Inter', sans-serif; font-weight: 500;">
-                    <span style="cursor: pointer; padding: 4px 8px; border-radius: 4px; transition: all 0.2s; display: inline-flex; align-items: center; gap: 6px; border: 1px solid transparent;" 
-                          onmouseover="this.style.background='${
-                            themeColors.bgHover
-                          }'; this.style.borderColor='${themeColors.bgHover}';" 
-                          onmouseout="this.style.background='transparent'; this.style.borderColor='transparent';"
-                          data-copy-value="${font.fontFamily}" 
-                          data-copy-message="Font family copied">
-                          ${font.fontFamily}
-                          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" style="flex-shrink: 0; opacity: 0.6;"><path fill="${
-                            themeColors.textPrimary
-                          }" d="M4 5.4C4 4.622 4.622 4 5.4 4h7.2c.778 0 1.4.622 1.4 1.4V6a1 1 0 1 0 2 0v-.6C16 3.518 14.482 2 12.6 2H5.4A3.394 3.394 0 0 0 2 5.4v7.2C2 14.482 3.518 16 5.4 16H6a1 1 0 1 0 0-2h-.6c-.778 0-1.4-.622-1.4-1.4z"/><path fill="${
-            themeColors.textPrimary
-          }" d="M9 11.4A2.4 2.4 0 0 1 11.4 9h7.2a2.4 2.4 0 0 1 2.4 2.4v7.2a2.4 2.4 0 0 1-2.4 2.4h-7.2A2.4 2.4 0 0 1 9 18.6z"/></svg>
-                        </span>
-                  </div>
-                  ${
-                    fontSourceUrl
-                      ? `<a href="${
-                          fontSourceUrl.url
-                        }" target="_blank" rel="noopener noreferrer" style="font-size: 11px; color: ${
-                          themeColors.textSecondary
-                        }; text-decoration: none; transition: color 0.2s; display: inline-flex; align-items: center; gap: 2px;" onmouseover="this.style.color='${
-                          themeColors.textPrimary
-                        }'; this.querySelector('svg path').setAttribute('stroke', '${
-                          themeColors.textPrimary
-                        }');" onmouseout="this.style.color='${
-                          themeColors.textSecondary
-                        }'; this.querySelector('svg path').setAttribute('stroke', '${
-                          themeColors.textSecondary
-                        }');">
-                          View on ${
-                            fontSourceUrl.platformName ||
-                            (fontSourceUrl.source === "google"
-                              ? "Google Fonts"
-                              : fontSourceUrl.source === "adobe"
-                              ? "Adobe Fonts"
-                              : fontSourceUrl.source === "fontshare"
-                              ? "Fontshare"
-                              : "Unknown Source")
-                          }
-                          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" style="flex-shrink: 0;"><path stroke="${
-                            themeColors.textSecondary
-                          }" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="m8 16 8-8m0 0v5m0-5h-5"/></svg>
-                        </a>`
-                      : `<span style="font-size: 11px; color: ${themeColors.textSecondary}; display: inline-flex; align-items: center; gap: 4px;">
-                          Source unavailable
-                          <span style="display: inline-flex; align-items: center; cursor: pointer; position: relative;" 
-                                onmouseenter="(function(el){
-                                  const panel = document.getElementById('css-inspector-panel');
-                                  if(!panel || !panel.shadowRoot) return;
-                                  const existingPopover = panel.shadowRoot.querySelector('.font-source-popover');
-                                  if(existingPopover) existingPopover.remove();
-                                  const elRect = el.getBoundingClientRect();
-                                  const popover = document.createElement('div');
-                                  popover.className = 'font-source-popover';
-                                  popover.innerHTML = 'This font is self-hosted on the site. Self-hosted fonts don\\'t expose their original source, so it can\\'t always be identified.';
-                                  
-                                  // Calculate position: center horizontally on icon, position below
-                                  const popoverWidth = 240;
-                                  const iconCenterX = elRect.left + (elRect.width / 2);
-                                  const popoverLeft = iconCenterX - (popoverWidth / 2);
-                                  
-                                  // Ensure popover stays within viewport (8px margin from edges)
-                                  const viewportWidth = window.innerWidth;
-                                  const minLeft = 8;
-                                  const maxLeft = viewportWidth - popoverWidth - 8;
-                                  const adjustedLeft = Math.max(minLeft, Math.min(popoverLeft, maxLeft));
-                                  
-                                  // Position below icon, or above if not enough space below
-                                  const spaceBelow = window.innerHeight - elRect.bottom;
-                                  const spaceAbove = elRect.top;
-                                  const popoverHeight = 80; // Approximate height
-                                  const showAbove = spaceBelow < popoverHeight && spaceAbove > spaceBelow;
-                                  const topPosition = showAbove 
-                                    ? (elRect.top - popoverHeight - 4) 
-                                    : (elRect.bottom + 4);
-                                  
-                                  popover.style.cssText = 'position: fixed; top: ' + topPosition + 'px; left: ' + adjustedLeft + 'px; width: ' + popoverWidth + 'px; background: ${themeColors.bgTertiary}; color: ${themeColors.textPrimary}; padding: 8px 12px; border-radius: 6px; font-size: 11px; font-family: Inter, sans-serif; line-height: 1.4; z-index: 2147483648; pointer-events: none; box-shadow: 0 2px 8px rgba(0,0,0,0.3);';
-                                  panel.shadowRoot.appendChild(popover);
-                                })(this);"
-                                onmouseleave="(function(el){
-                                  const panel = document.getElementById('css-inspector-panel');
-                                  if(!panel || !panel.shadowRoot) return;
-                                  const popover = panel.shadowRoot.querySelector('.font-source-popover');
-                                  if(popover) popover.remove();
-                                })(this);">
-                            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" style="vertical-align: middle;">
-                              <path fill="${themeColors.textSecondary}" fill-rule="evenodd" d="M22 12c0 5.523-4.477 10-10 10S2 17.523 2 12 6.477 2 12 2s10 4.477 10 10M11 8a1 1 0 0 0 1 1h.008a1 1 0 1 0 0-2H12a1 1 0 0 0-1 1m1 9a1 1 0 0 0 1-1v-5a1 1 0 1 0-2 0v5a1 1 0 0 0 1 1" clip-rule="evenodd"/>
-                            </svg>
-                          </span>
-                        </span>`
-                  }
-                </div>
-            </div>
-          </div>
-        `;
-        })
-        .join("");
-
-      fontsView.innerHTML = `
-      <div style="margin-bottom: 12px;">
-        <div style="font-size: 13px; font-weight: 600; color: ${
-          themeColors.textPrimary
-        }; font-family: 'Inter', sans-serif;">${fonts.length} ${
-        fonts.length === 1 ? "font" : "fonts"
-      }</div>
-      </div>
-      <div>
-        ${fontList}
-      </div>
-    `; // Update panel height after content is rendered - use double RAF to ensure layout is complete
-      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
-      requestAnimationFrame(() => {
-        requestAnimationFrame(() => {
-          // Check if view is hidden (opacity: 0) - if so, skip updatePanelHeight
-          // Tab handlers will manually calculate and animate height during transitions
-          const isHidden =
-            fontsView.style.opacity === "0" ||
-            (this.shadowRoot &&
-              window.getComputedStyle(fontsView).opacity === "0");
-          if (!isHidden) {
-            this.updatePanelHeight(false, true);
+          // If widths match (within 2px tolerance for rounding), this is likely the rendered font
+          if (Math.abs(testWidth - actualWidth) <= 2) {
+            return candidate;
           }
+        }
+      } catch (e) {
+        // Fallback if canvas method fails
+        console.debug("[CSS Inspector] Font detection failed:", e);
+      }
 
-          // Apply squircle clip-path to font cards
-          const fontCards = fontsView.querySelectorAll(".font-card-squircle");
-          fontCards.forEach((card) => {
-            const rect = card.getBoundingClientRect();
-            if (rect.width > 0 && rect.height > 0) {
-              const path = this.createSquircleClipPath(
-                rect.width,
-                rect.height,
-                12
-              );
-              card.style.clipPath = `path('${path}')`;
-            }
-          });
+      return null;
+    }
 
-          // Clear rendering flag after render completes
-          this.isRenderingFonts = false;
-        });
-      });
+    isElementVisible(element, styles, rect) {
+      // Basic visibility checks
+      if (
+        styles.display === "none" ||
+        styles.visibility === "hidden" ||
+        styles.opacity === "0" ||
+        rect.width === 0 ||
+        rect.height === 0
+      ) {
+        return false;
+      }
 
-      // Add event listeners for copy functionality
-      setTimeout(() => {
-        const copyElements = fontsView.querySelectorAll("[data-copy-value]");
-        copyElements.forEach((el) => {
-          el.addEventListener("click", async (e) => {
-            e.stopPropagation();
-            const value = el.getAttribute("data-copy-value");
-            const message = el.getAttribute("data-copy-message") || "Copied";
-            try {
-              await navigator.clipboard.writeText(value);
-              if (this.showToast) {
-                this.showToast(message, el);
-              }
-            } catch (err) {
-              console.error("Failed to copy:", err);
-            }
-          });
-        });
-      }, 0);
+      // REMOVED: Viewport-based off-screen check
+      // This was excluding elements scrolled out of view, which prevents
+      // detecting all fonts on the page regardless of scroll position.
+      // Elements that are truly hidden will still be excluded by other checks
+      // (display: none, visibility: hidden, opacity: 0, width/height 0, etc.)
+
+      // Check if element has transform that makes it invisible
+      const transform = styles.transform;
+      if (transform && transform !== "none") {
+        // Check for scale(0) or translate that moves it far off-screen
+        if (
+          transform.includes("scale(0)") ||
+          transform.includes("scaleX(0)") ||
+          transform.includes("scaleY(0)")
+        ) {
+          return false;
+        }
+      }
+
+      // Check if element is inside a hidden container
+      let parent = element.parentElement;
+      let depth = 0;
+      while (parent && depth < 10) {
+        const parentStyles = window.getComputedStyle(parent);
+
+        if (
+          parentStyles.display === "none" ||
+          parentStyles.visibility === "hidden" ||
+          parentStyles.opacity === "0"
+        ) {
+          return false;
+        }
+
+        // REMOVED: Parent width/height === 0 check using viewport-relative coordinates
+        // This was incorrectly filtering out elements scrolled out of view.
+        // When an element is scrolled out of view, its parent's viewport-relative dimensions
+        // (from getBoundingClientRect()) may be 0 even though the element is visible in
+        // document coordinates. We want to detect all fonts on the page regardless of scroll
+        // position, so this check has been removed.
+
+        // REMOVED: Overflow hidden check using viewport-relative coordinates
+        // This was incorrectly filtering out elements scrolled out of view.
+        // When an element is scrolled out of view, its viewport-relative coordinates
+        // (from getBoundingClientRect()) will be outside the parent's viewport-relative
+        // bounds, even though it's still within the parent in document coordinates.
+        // We want to detect all fonts on the page regardless of scroll position,
+        // so this check has been removed.
+
+        parent = parent.parentElement;
+        depth++;
+      }
+
+      return true;
     }
 
-    openColorsWindow(colors) {
-      const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Color Palette - Designspector</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            padding: 24px;
-            background: #fafafa;
-            color: #333;
-          }
-          .header { margin-bottom: 24px; }
-          h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
-          .count { color: #666; font-size: 14px; }
-          .color-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
-            gap: 16px;
-          }
-          .color-card {
-            background: white;
-            padding: 16px;
-            border-radius: 8px;
-            border: 1px solid #e0e0e0;
-            transition: transform 0.2s, box-shadow 0.2s;
-            cursor: pointer;
-          }
-          .color-card:hover {
-            transform: translateY(-2px);
-            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
-          }
-          .color-swatch {
-            width: 100%;
-            height: 100px;
-            border-radius: 6px;
-            margin-bottom: 12px;
-            border: 1px solid rgba(0, 0, 0, 0.1);
-            box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
-          }
-          .color-hex {
-            font-size: 16px;
-            font-weight: 600;
-            font-family: 'Courier New', monospace;
-            margin-bottom: 4px;
-          }
-          .color-info {
-            font-size: 12px;
-            color: #666;
-          }
-          .color-info strong { color: #333; }
-          .categories {
-            margin-top: 8px;
-            display: flex;
-            flex-wrap: wrap;
-            gap: 4px;
-          }
-          .category-tag {
-            padding: 2px 6px;
-            background: #f0f0f0;
-            border-radius: 4px;
-            font-size: 10px;
-            text-transform: uppercase;
-            font-weight: 600;
-            color: #666;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>Color Palette</h1>
-          <p class="count">${colors.length} unique colors found</p>
-        </div>
-        <div class="color-grid">
-          ${colors
-            .map(
-              (color) => `
-            <div class="color-card" onclick="copyColor('${color.hex}')">
-              <div class="color-swatch" style="background: ${color.hex}"></div>
-              <div class="color-hex">${color.hex}</div>
-              <div class="color-info">
-                <strong>${color.instances}</strong> ${
-                color.instances === 1 ? "instance" : "instances"
-              }
-              </div>
-              ${
-                color.categories && color.categories.length > 0
-                  ? `
-              <div class="categories">
-                ${color.categories
-                  .map((cat) => `<span class="category-tag">${cat}</span>`)
-                  .join("")}
-              </div>
-              `
-                  : ""
+    getFontSourceUrl(fontFamily) {
+      const cleanFontName = fontFamily.replace(/['"]/g, "").trim();
+      const originalFontName = fontFamily.replace(/['"]/g, "").trim();
+
+      // #region agent log
+      fetch(
+        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            location: "content.js:3455",
+            message: "getFontSourceUrl entry",
+            data: { cleanFontName, originalFontName },
+            timestamp: Date.now(),
+            sessionId: "debug-session",
+            runId: "run1",
+            hypothesisId: "A",
+          }),
+        }
+      ).catch(() => {});
+      // #endregion
+
+      // Parse Google Fonts from link tags (cache this for performance)
+      if (!this._googleFontsCache) {
+        this._googleFontsCache = this.parseGoogleFontsFromLinks();
+      }
+      const googleFontsSet = this._googleFontsCache;
+
+      // Parse Fontshare from link tags (cache this for performance)
+      if (!this._fontshareCache) {
+        this._fontshareCache = this.parseFontshareFromLinks();
+      }
+      const fontshareSet = this._fontshareCache;
+
+      // #region agent log
+      fetch(
+        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            location: "content.js:3470",
+            message: "Parsed font sets",
+            data: {
+              googleFontsSetSize: googleFontsSet.size,
+              fontshareSetSize: fontshareSet.size,
+              googleFontsArray: Array.from(googleFontsSet),
+              fontshareArray: Array.from(fontshareSet),
+            },
+            timestamp: Date.now(),
+            sessionId: "debug-session",
+            runId: "run1",
+            hypothesisId: "E",
+          }),
+        }
+      ).catch(() => {});
+      // #endregion
+
+      // Check for Typekit/Adobe Fonts scripts
+      const hasTypekit =
+        document.querySelectorAll('script[src*="use.typekit.net"]').length > 0;
+      const hasAdobeFonts =
+        document.querySelectorAll('link[href*="fonts.adobe.com"]').length > 0;
+
+      // Check @font-face rules to find where font is loaded from
+      const styleSheets = Array.from(document.styleSheets);
+      let fontSource = null;
+      let detectedSourceType = null; // 'google', 'adobe', or 'fontshare'
+
+      try {
+        for (const sheet of styleSheets) {
+          try {
+            const rules = Array.from(sheet.cssRules || []);
+            for (const rule of rules) {
+              if (rule instanceof CSSFontFaceRule) {
+                const ruleFontFamily = rule.style.fontFamily
+                  .replace(/['"]/g, "")
+                  .trim();
+                // Normalize both names for comparison (handles hyphens vs spaces)
+                const ruleFontNormalized =
+                  this.normalizeFontNameForComparison(ruleFontFamily);
+                const cleanFontNormalized =
+                  this.normalizeFontNameForComparison(cleanFontName);
+
+                if (
+                  ruleFontNormalized === cleanFontNormalized ||
+                  ruleFontNormalized.includes(cleanFontNormalized) ||
+                  cleanFontNormalized.includes(ruleFontNormalized)
+                ) {
+                  const src = rule.style.src;
+                  if (src) {
+                    // Handle multiple URLs in src (comma-separated fallbacks)
+                    const urlMatches = src.match(/url\(['"]?([^'"]+)['"]?\)/g);
+                    if (urlMatches) {
+                      for (const urlMatch of urlMatches) {
+                        const url = urlMatch.match(
+                          /url\(['"]?([^'"]+)['"]?\)/
+                        )[1];
+
+                        // #region agent log
+                        if (
+                          cleanFontName.includes("Clash") ||
+                          cleanFontName.includes("Instrument")
+                        ) {
+                          fetch(
+                            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+                            {
+                              method: "POST",
+                              headers: { "Content-Type": "application/json" },
+                              body: JSON.stringify({
+                                location: "content.js:3510",
+                                message: "@font-face URL found",
+                                data: { cleanFontName, ruleFontFamily, url },
+                                timestamp: Date.now(),
+                                sessionId: "debug-session",
+                                runId: "run1",
+                                hypothesisId: "A",
+                              }),
+                            }
+                          ).catch(() => {});
+                        }
+                        // #endregion
+
+                        // Detect platform from URL using flexible detection
+                        const detectedPlatform =
+                          this.detectFontPlatformFromUrl(url);
+                        if (detectedPlatform) {
+                          detectedSourceType = detectedPlatform.sourceId;
+                          // Store platform info for URL construction
+                          this._detectedPlatform = detectedPlatform;
+                          break;
+                        }
+                      }
+                      if (detectedSourceType) break;
+                    }
+                  }
+                }
               }
-            </div>
-          `
-            )
-            .join("")}
-        </div>
-        <script>
-          function copyColor(hex) {
-            navigator.clipboard.writeText(hex).then(() => {
-              alert('Copied ' + hex + ' to clipboard!');
-            });
+            }
+            if (detectedSourceType) break;
+          } catch (e) {
+            // Cross-origin stylesheet, skip
+            continue;
           }
-        </script>
-      </body>
-      </html>
-    `;
+        }
+      } catch (e) {
+        // Error accessing stylesheets
+      }
 
-      const blob = new Blob([html], { type: "text/html" });
-      const url = URL.createObjectURL(blob);
-      window.open(url, "_blank", "width=900,height=700");
-    }
+      // #region agent log
+      fetch(
+        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            location: "content.js:3549",
+            message: "After @font-face detection",
+            data: { detectedSourceType, hasTypekit, hasAdobeFonts },
+            timestamp: Date.now(),
+            sessionId: "debug-session",
+            runId: "run1",
+            hypothesisId: "A",
+          }),
+        }
+      ).catch(() => {});
+      // #endregion
 
-    openTypographyWindow(typography) {
-      const html = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Typography - Designspector</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            padding: 24px;
-            background: #fafafa;
-            color: #333;
-          }
-          .header { margin-bottom: 24px; }
-          h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
-          .count { color: #666; font-size: 14px; }
-          .typography-list {
-            display: flex;
-            flex-direction: column;
-            gap: 16px;
-          }
-          .typography-item {
-            background: white;
-            padding: 20px;
-            border-radius: 8px;
-            border: 1px solid #e0e0e0;
-          }
-          .typography-preview {
-            font-size: 32px;
-            line-height: 1.4;
-            margin-bottom: 16px;
-            padding-bottom: 16px;
-            border-bottom: 1px solid #f0f0f0;
-            color: #333;
-          }
-          .typography-info {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 12px;
-            font-size: 13px;
-          }
-          .info-item {
-            display: flex;
-            justify-content: space-between;
-          }
-          .info-label {
-            color: #666;
-            font-weight: 500;
+      // Construct URL based on detected source type
+      if (detectedSourceType === "google") {
+        // Normalize font name for comparison (hyphens/spaces)
+        const fontNameNormalized =
+          this.normalizeFontNameForComparison(cleanFontName);
+
+        // Check if font matches any in Google Fonts set (with normalized comparison)
+        const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
+          const googleFontNormalized =
+            this.normalizeFontNameForComparison(font);
+          return googleFontNormalized === fontNameNormalized;
+        });
+
+        if (isInGoogleFonts) {
+          // Find the exact font name from the set (preserve casing from link tag)
+          const exactFontName =
+            Array.from(googleFontsSet).find((font) => {
+              const googleFontNormalized =
+                this.normalizeFontNameForComparison(font);
+              return googleFontNormalized === fontNameNormalized;
+            }) || originalFontName;
+
+          // Preserve original casing for Google Fonts URL (e.g., "EB Garamond" not "eb garamond")
+          // Google Fonts URLs use + for spaces and preserve casing
+          const cleanName = exactFontName.replace(/\s+/g, "+");
+          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
+        } else {
+          // Font detected from @font-face URL but not in parsed link tags
+          // Construct URL using original font name (may have been loaded via @import or other methods)
+          // Preserve original casing for Google Fonts URL
+          // #region agent log
+          fetch(
+            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                location: "content.js:3576",
+                message: "Google Fonts from @font-face but not in set",
+                data: { cleanFontName, originalFontName, isInGoogleFonts },
+                timestamp: Date.now(),
+                sessionId: "debug-session",
+                runId: "run1",
+                hypothesisId: "A",
+              }),
+            }
+          ).catch(() => {});
+          // #endregion
+          const cleanName = originalFontName.replace(/\s+/g, "+");
+          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
+        }
+      } else if (this._detectedPlatform && this._detectedPlatform.urlPattern) {
+        // Use platform's URL pattern for other detected platforms
+        fontSource = this._detectedPlatform.urlPattern(originalFontName);
+        // Clear the stored platform info after use
+        this._detectedPlatform = null;
+      }
+
+      // Fallback: If no source detected via @font-face URLs, try to match by font name
+      // This handles cases where fonts are loaded via CSS @import or cross-origin stylesheets
+      if (!fontSource) {
+        const fontNameNormalized =
+          this.normalizeFontNameForComparison(cleanFontName);
+
+        // #region agent log
+        fetch(
+          "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              location: "content.js:3602",
+              message: "Entering fallback logic",
+              data: { cleanFontName, fontNameNormalized },
+              timestamp: Date.now(),
+              sessionId: "debug-session",
+              runId: "run1",
+              hypothesisId: "B",
+            }),
           }
-          .info-value {
-            font-weight: 600;
-            color: #333;
+        ).catch(() => {});
+        // #endregion
+
+        // Step 1: Check all parsed sets first (most reliable)
+        // Check Google Fonts parsed set
+        const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
+          const googleFontNormalized =
+            this.normalizeFontNameForComparison(font);
+          return googleFontNormalized === fontNameNormalized;
+        });
+
+        // #region agent log
+        fetch(
+          "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+          {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              location: "content.js:3612",
+              message: "Google Fonts set check result",
+              data: {
+                isInGoogleFonts,
+                fontNameNormalized,
+                googleFontsArray: Array.from(googleFontsSet),
+              },
+              timestamp: Date.now(),
+              sessionId: "debug-session",
+              runId: "run1",
+              hypothesisId: "B",
+            }),
           }
-          .instances {
-            margin-top: 12px;
-            padding-top: 12px;
-            border-top: 1px solid #f0f0f0;
-            font-size: 12px;
-            color: #666;
+        ).catch(() => {});
+        // #endregion
+
+        if (isInGoogleFonts) {
+          // Find the exact font name from the set
+          const exactFontName =
+            Array.from(googleFontsSet).find((font) => {
+              const googleFontNormalized =
+                this.normalizeFontNameForComparison(font);
+              return googleFontNormalized === fontNameNormalized;
+            }) || originalFontName;
+
+          // Preserve original casing for Google Fonts URL
+          const cleanName = exactFontName.replace(/\s+/g, "+");
+          fontSource = `https://fonts.google.com/specimen/${cleanName}`;
+          detectedSourceType = "google";
+        } else {
+          // Check Fontshare parsed set
+          const isInFontshare = Array.from(fontshareSet).some((font) => {
+            const fontshareNormalized =
+              this.normalizeFontNameForComparison(font);
+            return fontshareNormalized === fontNameNormalized;
+          });
+
+          // #region agent log
+          fetch(
+            "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                location: "content.js:3633",
+                message: "Fontshare set check result",
+                data: {
+                  isInFontshare,
+                  fontNameNormalized,
+                  fontshareArray: Array.from(fontshareSet),
+                },
+                timestamp: Date.now(),
+                sessionId: "debug-session",
+                runId: "run1",
+                hypothesisId: "B",
+              }),
+            }
+          ).catch(() => {});
+          // #endregion
+
+          if (isInFontshare) {
+            // Find the exact font name from the set
+            const exactFontName =
+              Array.from(fontshareSet).find((font) => {
+                const fontshareNormalized =
+                  this.normalizeFontNameForComparison(font);
+                return fontshareNormalized === fontNameNormalized;
+              }) || originalFontName;
+
+            // Convert to URL format
+            let baseName = exactFontName.toLowerCase();
+            baseName = baseName.replace(
+              /\s+(pro|std|display|text|variable)$/i,
+              ""
+            );
+            const cleanName = baseName.replace(/\s+/g, "-");
+            fontSource = `https://www.fontshare.com/fonts/${cleanName}`;
+            detectedSourceType = "fontshare";
+          } else {
+            // Step 2: Check platform indicators (link tags) if font not in any parsed set
+            // Priority: Adobe (most reliable) → Fontshare → Google Fonts
+
+            // Check Adobe Fonts first (if Typekit/Adobe indicators are present)
+            // This is more reliable than checking link tags
+            if (hasTypekit || hasAdobeFonts) {
+              // Try to match font name and assume it's from Adobe
+              // This handles cases where @font-face rules aren't accessible (cross-origin, etc.)
+              detectedSourceType = "adobe";
+              let baseName = cleanFontName.toLowerCase();
+              baseName = baseName.replace(
+                /\s+(pro|std|display|text|variable)$/i,
+                ""
+              );
+              const cleanName = baseName.replace(/\s+/g, "-");
+              fontSource = `https://fonts.adobe.com/fonts/${cleanName}`;
+            }
+            // REMOVED: Fallback to construct URLs just because link tags exist
+            // This was causing false positives - fonts not on Google Fonts/Fontshare were getting links
+            // Only construct URLs when font is in parsed set OR detected from @font-face URLs
+            // If we can't detect the source, return null instead of guessing
           }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>📝 Typography</h1>
-          <p class="count">${typography.length} unique font ${
-        typography.length === 1 ? "family" : "families"
-      } found</p>
-        </div>
-        <div class="typography-list">
-          ${typography
-            .map(
-              (font, index) => `
-            <div class="typography-item">
-              <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 16px;">
-                <span style="font-size: 14px; font-weight: 600; color: #666; min-width: 80px;">${
-                  index === 0
-                    ? "Primary"
-                    : index === 1
-                    ? "Secondary"
-                    : index === 2
-                    ? "Tertiary"
-                    : ""
-                }</span>
-                <div class="typography-preview" style="font-family: ${
-                  font.fontFamily
-                }; font-size: 32px; line-height: 1.4; flex: 1;">
-                  The quick brown fox jumps over the lazy dog
-                </div>
-              </div>
-              <div class="typography-info">
-                <div class="info-item">
-                  <span class="info-label">Font Family:</span>
-                  <span class="info-value">${font.fontFamily}</span>
-                </div>
-                <div class="info-item">
-                  <span class="info-label">Sizes:</span>
-                  <span class="info-value">${
-                    font.sizes && font.sizes.length > 0
-                      ? font.sizes.map((s) => `${s}px`).join(", ")
-                      : "N/A"
-                  }</span>
-                </div>
-                <div class="info-item">
-                  <span class="info-label">Weights:</span>
-                  <span class="info-value">${
-                    font.weights && font.weights.length > 0
-                      ? font.weights.join(", ")
-                      : "N/A"
-                  }</span>
-                </div>
-              </div>
-              <div class="instances">
-                Used <strong>${font.instances}</strong> ${
-                font.instances === 1 ? "time" : "times"
-              } on this page
-              </div>
-            </div>
-          `
-            )
-            .join("")}
+        }
+      }
+
+      // Threshold-based fallback: only construct URL if platform indicators exist and font is not a system font
+      if (!fontSource) {
+        // System font check
+        const systemFonts = new Set([
+          "arial",
+          "helvetica",
+          "times",
+          "times new roman",
+          "courier",
+          "courier new",
+          "verdana",
+          "georgia",
+          "palatino",
+          "garamond",
+          "bookman",
+          "comic sans ms",
+          "trebuchet ms",
+          "arial black",
+          "impact",
+          "tahoma",
+          "century gothic",
+          "lucida console",
+          "lucida sans unicode",
+          "segoe ui",
+          "calibri",
+          "cambria",
+          "candara",
+          "consolas",
+          "constantia",
+          "corbel",
+          "franklin gothic medium",
+          "gadget",
+          "geneva",
+          "gill sans",
+          "goudy old style",
+          "hoefler text",
+          "lucida bright",
+          "lucida fax",
+          "lucida handwriting",
+          "lucida sans",
+          "lucida sans typewriter",
+          "monaco",
+          "palatino linotype",
+          "papyrus",
+          "perpetua",
+          "rockwell",
+          "rockwell extra bold",
+          "sans-serif",
+          "serif",
+          "monospace",
+          "cursive",
+          "fantasy",
+          "ui-serif",
+          "ui-sans-serif",
+          "ui-monospace",
+          "ui-rounded",
+          "system-ui",
+          "emoji",
+          "math",
+          "fangsong",
+        ]);
+
+        const fontNameLower = cleanFontName.toLowerCase();
+        const isSystemFont =
+          systemFonts.has(fontNameLower) ||
+          fontNameLower.includes("system") ||
+          fontNameLower.startsWith("ui-");
+
+        // Only construct URL if not a system font AND platform indicators exist
+        if (!isSystemFont) {
+          // Priority: Google Fonts → Adobe Fonts → Fontshare
+          if (googleFontsSet.size > 0) {
+            // Check if font name matches a font in the parsed Google Fonts set
+            const fontNameNormalized =
+              this.normalizeFontNameForComparison(cleanFontName);
+            const isInGoogleFonts = Array.from(googleFontsSet).some((font) => {
+              const googleFontNormalized =
+                this.normalizeFontNameForComparison(font);
+              return googleFontNormalized === fontNameNormalized;
+            });
+
+            if (isInGoogleFonts) {
+              // Font name matches a font in the parsed set, construct Google Fonts URL
+              const exactFontName =
+                Array.from(googleFontsSet).find((font) => {
+                  const googleFontNormalized =
+                    this.normalizeFontNameForComparison(font);
+                  return googleFontNormalized === fontNameNormalized;
+                }) || originalFontName;
+              const cleanName = exactFontName.replace(/\s+/g, "+");
+              fontSource = `https://fonts.google.com/specimen/${cleanName}`;
+              detectedSourceType = "google";
+            }
+          } else if (hasTypekit || hasAdobeFonts) {
+            // Adobe Fonts indicators exist, construct Adobe Fonts URL
+            // Note: We don't have a parsed set for Adobe fonts, so we rely on indicators
+            let baseName = cleanFontName.toLowerCase();
+            baseName = baseName.replace(
+              /\s+(pro|std|display|text|variable)$/i,
+              ""
+            );
+            const cleanName = baseName.replace(/\s+/g, "-");
+            fontSource = `https://fonts.adobe.com/fonts/${cleanName}`;
+            detectedSourceType = "adobe";
+          } else if (fontshareSet.size > 0) {
+            // Check if font name matches a font in the parsed Fontshare set
+            const fontNameNormalized =
+              this.normalizeFontNameForComparison(cleanFontName);
+            const isInFontshare = Array.from(fontshareSet).some((font) => {
+              const fontshareNormalized =
+                this.normalizeFontNameForComparison(font);
+              return fontshareNormalized === fontNameNormalized;
+            });
+
+            if (isInFontshare) {
+              // Font name matches a font in the parsed set, construct Fontshare URL
+              const exactFontName =
+                Array.from(fontshareSet).find((font) => {
+                  const fontshareNormalized =
+                    this.normalizeFontNameForComparison(font);
+                  return fontshareNormalized === fontNameNormalized;
+                }) || originalFontName;
+              let baseName = exactFontName.toLowerCase();
+              baseName = baseName.replace(
+                /\s+(pro|std|display|text|variable)$/i,
+                ""
+              );
+              const cleanName = baseName.replace(/\s+/g, "-");
+              fontSource = `https://www.fontshare.com/fonts/${cleanName}`;
+              detectedSourceType = "fontshare";
+            }
+          }
+          // If no platform indicators exist or font doesn't match parsed set, fontSource remains null (show "Source not detected")
+        }
+      }
+
+      // #region agent log
+      fetch(
+        "http://127.0.0.1:7242/ingest/f39900fe-c8d4-4476-a6da-eb8eed4bf005",
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            location: "content.js:3697",
+            message: "getFontSourceUrl result",
+            data: { cleanFontName, fontSource, detectedSourceType },
+            timestamp: Date.now(),
+            sessionId: "debug-session",
+            runId: "run1",
+            hypothesisId: "A",
+          }),
+        }
+      ).catch(() => {});
+      // #endregion
+
+      // Return object with url, source type, and platform name, or null if no source found
+      let platformName = null;
+      if (this._detectedPlatform) {
+        platformName = this._detectedPlatform.name;
+        this._detectedPlatform = null; // Clear after use
+      } else if (detectedSourceType === "google") {
+        platformName = "Google Fonts";
+      } else if (detectedSourceType === "adobe") {
+        platformName = "Adobe Fonts";
+      } else if (detectedSourceType === "fontshare") {
+        platformName = "Fontshare";
+      }
+
+      return fontSource
+        ? {
+            url: fontSource,
+            source: detectedSourceType,
+            platformName: platformName,
+          }
+        : null;
+    }
+
+    renderFontsView() {
+      // Prevent duplicate calls
+      if (this.isRenderingFonts) {
+        return;
+      }
+      this.isRenderingFonts = true;
+      const fonts = this.extractTypography();
+      // #region agent log
+      const instrumentSerifInFonts = fonts.find(
+        (f) =>
+          f.fontFamily === "Instrument Serif" ||
+          f.fontFamily.includes("Instrument Serif")
+      );
+      // #endregion
+      if (!this.shadowRoot) {
+        this.isRenderingFonts = false;
+        return;
+      }
+      const fontsView = this.shadowRoot.querySelector("#overview-fonts-view");
+      if (!fontsView) {
+        this.isRenderingFonts = false;
+        return;
+      }
+
+      const themeColors = this.getThemeColors();
+
+      if (fonts.length === 0) {
+        fontsView.innerHTML = `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No fonts found</p>
         </div>
-      </body>
-      </html>
+      `;
+        this.isRenderingFonts = false;
+        return;
+      }
+
+      // Create font list
+      const fontList = fonts
+        .map((font, index) => {
+          // Determine usage label (Primary, Secondary, Tertiary)
+          let label =
+            index === 0
+              ? "Primary"
+              : index === 1
+              ? "Secondary"
+              : index === 2
+              ? "Tertiary"
+              : "";
+
+          // Check if font is a display font (maxFontSize > 60px)
+          const isDisplayFont = font.maxFontSize > 60;
+          if (isDisplayFont) {
+            // Add Display label (can be combined with Primary/Secondary/Tertiary)
+            label = label ? `${label} • Display` : "Display";
+          }
+
+          const fontSourceUrl = this.getFontSourceUrl(font.fontFamily);
+
+          return `
+          <div style="background: ${
+            themeColors.bgSecondary
+          }; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; padding: 16px; margin-bottom: 12px;"
+               class="font-card-squircle">
+            <div style="display: flex; flex-direction: column; align-items: center; gap: 10px;">
+              ${
+                label
+                  ? `<div style="font-size: 11px; font-weight: 600; color: ${themeColors.textSecondary}; text-transform: uppercase; letter-spacing: 0.5px; font-family: 'Inter', sans-serif;">${label}</div>`
+                  : ""
+              }
+              <div style="font-family: ${
+                font.fontFamily
+              }; font-size: 48px; line-height: 1; color: ${
+            themeColors.textPrimary
+          }; font-weight: 400; text-align: center;">
+                  Ag
+                </div>
+                <div style="display: flex; flex-direction: column; align-items: center; gap: 4px; margin-top: 4px;">
+                  <div style="display: flex; align-items: center; justify-content: center; font-size: 13px; color: ${
+                    themeColors.textPrimary
+                  }; font-family: 'Inter', sans-serif; font-weight: 500;">
+                    <span style="cursor: pointer; padding: 4px 8px; border-radius: 4px; transition: all 0.2s; display: inline-flex; align-items: center; gap: 6px; border: 1px solid transparent;" 
+                          onmouseover="this.style.background='${
+                            themeColors.bgHover
+                          }'; this.style.borderColor='${themeColors.bgHover}';" 
+                          onmouseout="this.style.background='transparent'; this.style.borderColor='transparent';"
+                          data-copy-value="${font.fontFamily}" 
+                          data-copy-message="Font family copied">
+                          ${font.fontFamily}
+                          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" style="flex-shrink: 0; opacity: 0.6;"><path fill="${
+                            themeColors.textPrimary
+                          }" d="M4 5.4C4 4.622 4.622 4 5.4 4h7.2c.778 0 1.4.622 1.4 1.4V6a1 1 0 1 0 2 0v-.6C16 3.518 14.482 2 12.6 2H5.4A3.394 3.394 0 0 0 2 5.4v7.2C2 14.482 3.518 16 5.4 16H6a1 1 0 1 0 0-2h-.6c-.778 0-1.4-.622-1.4-1.4z"/><path fill="${
+            themeColors.textPrimary
+          }" d="M9 11.4A2.4 2.4 0 0 1 11.4 9h7.2a2.4 2.4 0 0 1 2.4 2.4v7.2a2.4 2.4 0 0 1-2.4 2.4h-7.2A2.4 2.4 0 0 1 9 18.6z"/></svg>
+                        </span>
+                  </div>
+                  ${
+                    fontSourceUrl
+                      ? `<a href="${
+                          fontSourceUrl.url
+                        }" target="_blank" rel="noopener noreferrer" style="font-size: 11px; color: ${
+                          themeColors.textSecondary
+                        }; text-decoration: none; transition: color 0.2s; display: inline-flex; align-items: center; gap: 2px;" onmouseover="this.style.color='${
+                          themeColors.textPrimary
+                        }'; this.querySelector('svg path').setAttribute('stroke', '${
+                          themeColors.textPrimary
+                        }');" onmouseout="this.style.color='${
+                          themeColors.textSecondary
+                        }'; this.querySelector('svg path').setAttribute('stroke', '${
+                          themeColors.textSecondary
+                        }');">
+                          View on ${
+                            fontSourceUrl.platformName ||
+                            (fontSourceUrl.source === "google"
+                              ? "Google Fonts"
+                              : fontSourceUrl.source === "adobe"
+                              ? "Adobe Fonts"
+                              : fontSourceUrl.source === "fontshare"
+                              ? "Fontshare"
+                              : "Unknown Source")
+                          }
+                          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" fill="none" viewBox="0 0 24 24" style="flex-shrink: 0;"><path stroke="${
+                            themeColors.textSecondary
+                          }" stroke-linecap="round" stroke-linejoin="round" stroke-width="1.5" d="m8 16 8-8m0 0v5m0-5h-5"/></svg>
+                        </a>`
+                      : `<span style="font-size: 11px; color: ${themeColors.textSecondary}; display: inline-flex; align-items: center; gap: 4px;">
+                          Source unavailable
+                          <span style="display: inline-flex; align-items: center; cursor: pointer; position: relative;" 
+                                onmouseenter="(function(el){
+                                  const panel = document.getElementById('css-inspector-panel');
+                                  if(!panel || !panel.shadowRoot) return;
+                                  const existingPopover = panel.shadowRoot.querySelector('.font-source-popover');
+                                  if(existingPopover) existingPopover.remove();
+                                  const elRect = el.getBoundingClientRect();
+                                  const popover = document.createElement('div');
+                                  popover.className = 'font-source-popover';
+                                  popover.innerHTML = 'This font is self-hosted on the site. Self-hosted fonts don\\'t expose their original source, so it can\\'t always be identified.';
+                                  
+                                  // Calculate position: center horizontally on icon, position below
+                                  const popoverWidth = 240;
+                                  const iconCenterX = elRect.left + (elRect.width / 2);
+                                  const popoverLeft = iconCenterX - (popoverWidth / 2);
+                                  
+                                  // Ensure popover stays within viewport (8px margin from edges)
+                                  const viewportWidth = window.innerWidth;
+                                  const minLeft = 8;
+                                  const maxLeft = viewportWidth - popoverWidth - 8;
+                                  const adjustedLeft = Math.max(minLeft, Math.min(popoverLeft, maxLeft));
+                                  
+                                  // Position below icon, or above if not enough space below
+                                  const spaceBelow = window.innerHeight - elRect.bottom;
+                                  const spaceAbove = elRect.top;
+                                  const popoverHeight = 80; // Approximate height
+                                  const showAbove = spaceBelow < popoverHeight && spaceAbove > spaceBelow;
+                                  const topPosition = showAbove 
+                                    ? (elRect.top - popoverHeight - 4) 
+                                    : (elRect.bottom + 4);
+                                  
+                                  popover.style.cssText = 'position: fixed; top: ' + topPosition + 'px; left: ' + adjustedLeft + 'px; width: ' + popoverWidth + 'px; background: ${themeColors.bgTertiary}; color: ${themeColors.textPrimary}; padding: 8px 12px; border-radius: 6px; font-size: 11px; font-family: Inter, sans-serif; line-height: 1.4; z-index: 2147483648; pointer-events: none; box-shadow: 0 2px 8px rgba(0,0,0,0.3);';
+                                  panel.shadowRoot.appendChild(popover);
+                                })(this);"
+                                onmouseleave="(function(el){
+                                  const panel = document.getElementById('css-inspector-panel');
+                                  if(!panel || !panel.shadowRoot) return;
+                                  const popover = panel.shadowRoot.querySelector('.font-source-popover');
+                                  if(popover) popover.remove();
+                                })(this);">
+                            <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" style="vertical-align: middle;">
+                              <path fill="${themeColors.textSecondary}" fill-rule="evenodd" d="M22 12c0 5.523-4.477 10-10 10S2 17.523 2 12 6.477 2 12 2s10 4.477 10 10M11 8a1 1 0 0 0 1 1h.008a1 1 0 1 0 0-2H12a1 1 0 0 0-1 1m1 9a1 1 0 0 0 1-1v-5a1 1 0 1 0-2 0v5a1 1 0 0 0 1 1" clip-rule="evenodd"/>
+                            </svg>
+                          </span>
+                        </span>`
+                  }
+                </div>
+            </div>
+          </div>
+        `;
+        })
+        .join("");
+
+      const showTextStyles = this.fontsViewMode === "styles";
+      const showTypeScale = this.fontsViewMode === "scale";
+      const textStyles = showTextStyles ? this.extractTextStyles() : [];
+      const typeScale = showTypeScale
+        ? analyzeTypeScale(this.getTypeScaleUsages(), this.typeScaleRatio)
+        : null;
+
+      fontsView.innerHTML = `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${
+        showTextStyles
+          ? `${textStyles.length} text ${
+              textStyles.length === 1 ? "style" : "styles"
+            }`
+          : showTypeScale
+          ? `${typeScale ? typeScale.sizes.length : 0} ${
+              typeScale && typeScale.sizes.length === 1 ? "size" : "sizes"
+            }`
+          : `${fonts.length} ${fonts.length === 1 ? "font" : "fonts"}`
+      }</div>
+        <button id="fonts-export-toggle" style="padding: 4px 10px; border: 1px solid ${
+          themeColors.border
+        }; background: ${themeColors.bgSecondary}; color: ${
+        themeColors.textPrimary
+      }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; transition: all 0.2s; outline: none;" onmouseover="this.style.background='${
+        themeColors.bgHover
+      }'" onmouseout="this.style.background='${
+        themeColors.bgSecondary
+      }'">Export</button>
+      </div>
+      <div id="fonts-export-menu" style="display: none; flex-wrap: wrap; gap: 6px; margin-bottom: 12px;">
+        ${getTypographyExportFormats()
+          .map(
+            (format) => `
+          <button data-export-format="${format.id}" style="padding: 6px 10px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textPrimary}; font-size: 11px; font-family: 'Inter', sans-serif; border-radius: 8px; cursor: pointer; transition: all 0.2s; outline: none;" onmouseover="this.style.background='${themeColors.bgHover}'" onmouseout="this.style.background='${themeColors.bgSecondary}'">${format.label}</button>
+        `
+          )
+          .join("")}
+      </div>
+      <div style="margin-bottom: 12px;">
+        ${this.renderFontsViewSwitch(themeColors)}
+      </div>
+      <div>
+        ${
+          showTextStyles
+            ? this.renderTextStylesList(textStyles, themeColors)
+            : showTypeScale
+            ? this.renderTypeScaleView(
+                typeScale,
+                fonts[0] ? fonts[0].fontFamily : "",
+                themeColors
+              )
+            : fontList
+        }
+      </div>
+    `; // Update panel height after content is rendered - use double RAF to ensure layout is complete
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          // Check if view is hidden (opacity: 0) - if so, skip updatePanelHeight
+          // Tab handlers will manually calculate and animate height during transitions
+          const isHidden =
+            fontsView.style.opacity === "0" ||
+            (this.shadowRoot &&
+              window.getComputedStyle(fontsView).opacity === "0");
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
+          }
+
+          // Apply squircle clip-path to font cards
+          const fontCards = fontsView.querySelectorAll(".font-card-squircle");
+          fontCards.forEach((card) => {
+            const rect = card.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+              const path = this.createSquircleClipPath(
+                rect.width,
+                rect.height,
+                12
+              );
+              card.style.clipPath = `path('${path}')`;
+            }
+          });
+
+          // Clear rendering flag after render completes
+          this.isRenderingFonts = false;
+        });
+      });
+
+      // Add event listeners for copy functionality
+      setTimeout(() => {
+        fontsView.querySelectorAll("[data-fonts-view]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            if (button.dataset.fontsView === this.fontsViewMode) return;
+            this.fontsViewMode = button.dataset.fontsView;
+            localStorage.setItem("css-inspector-fonts-view", this.fontsViewMode);
+            this.renderFontsView();
+          });
+        });
+
+        // Export menu toggle and format buttons (exports the text styles)
+        const exportToggle = fontsView.querySelector("#fonts-export-toggle");
+        const exportMenu = fontsView.querySelector("#fonts-export-menu");
+        if (exportToggle && exportMenu) {
+          exportToggle.addEventListener("click", (e) => {
+            e.stopPropagation();
+            exportMenu.style.display =
+              exportMenu.style.display === "none" ? "flex" : "none";
+            this.updatePanelHeight(false, true);
+          });
+          exportMenu
+            .querySelectorAll("[data-export-format]")
+            .forEach((button) => {
+              button.addEventListener("click", (e) => {
+                e.stopPropagation();
+                this.exportTypography(button.dataset.exportFormat, button);
+              });
+            });
+        }
+
+        // Type scale: ratio override and locating off-scale sizes
+        const ratioSelect = fontsView.querySelector("#type-scale-ratio");
+        if (ratioSelect) {
+          ratioSelect.addEventListener("click", (e) => e.stopPropagation());
+          ratioSelect.addEventListener("change", () => {
+            this.typeScaleRatio =
+              ratioSelect.value === "auto"
+                ? null
+                : parseFloat(ratioSelect.value);
+            this.renderFontsView();
+          });
+        }
+        fontsView.querySelectorAll("[data-locate-size]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const usage =
+              typeScale &&
+              typeScale.sizes[parseInt(button.dataset.locateSize, 10)];
+            if (!usage) return;
+            this.startLocate({
+              label: `${formatTypographyNumber(usage.size)}px`,
+              note: usage.onScale ? "" : "off-scale",
+              elements: usage.elements,
+              getRoles: (element) => [element.tagName.toLowerCase()],
+            });
+          });
+        });
+
+        const copyElements = fontsView.querySelectorAll("[data-copy-value]");
+        copyElements.forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            const message = el.getAttribute("data-copy-message") || "Copied";
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(message, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+      }, 0);
+    }
+
+    // Families / Text styles switch in the Fonts tab header
+    renderFontsViewSwitch(themeColors) {
+      const modes = [
+        { id: "families", label: "Families" },
+        { id: "styles", label: "Text styles" },
+        { id: "scale", label: "Scale" },
+      ];
+      return `
+        <div style="display: flex; gap: 2px; padding: 2px; background: ${
+          themeColors.segmentBg
+        }; border-radius: 9999px; width: fit-content;">
+          ${modes
+            .map(
+              (mode) => `
+            <button data-fonts-view="${mode.id}" style="padding: 3px 10px; border: none; background: ${
+                mode.id === this.fontsViewMode
+                  ? themeColors.segmentActive
+                  : "transparent"
+              }; color: ${
+                mode.id === this.fontsViewMode
+                  ? themeColors.textPrimary
+                  : themeColors.textSecondary
+              }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none; white-space: nowrap;">${
+                mode.label
+              }</button>
+          `
+            )
+            .join("")}
+        </div>
+      `;
+    }
+
+    // Font sizes in use with their instance counts and elements
+    // (text styles keep per-element counts, extractTypography() only keeps unique sizes)
+    getTypeScaleUsages() {
+      const bySize = new Map();
+      this.extractTextStyles().forEach((style) => {
+        const size = Math.round(style.fontSize * 100) / 100;
+        const usage = bySize.get(size) || { size, instances: 0, elements: [] };
+        usage.instances += style.instances;
+        usage.elements.push(...style.elements);
+        bySize.set(size, usage);
+      });
+      return Array.from(bySize.values());
+    }
+
+    // Type scale ladder: one row per step of the fitted scale, then the sizes that miss it
+    renderTypeScaleView(typeScale, fontFamily, themeColors) {
+      if (!typeScale) {
+        return `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No font sizes found</p>
+        </div>
+      `;
+      }
+
+      const px = (value) => `${formatTypographyNumber(value)}px`;
+      const percent = (value) => `${Math.round(value * 100)}%`;
+      const sampleFamily = (fontFamily || "inherit").replace(/"/g, "'");
+      const offScale = typeScale.sizes
+        .map((usage, index) => ({ usage, index }))
+        .filter(({ usage }) => !usage.onScale);
+
+      const ratioOptions = [
+        `<option value="auto"${
+          this.typeScaleRatio === null ? " selected" : ""
+        }>Best fit</option>`,
+        ...typeScale.candidates.map(
+          (candidate) =>
+            `<option value="${candidate.ratio}"${
+              this.typeScaleRatio === candidate.ratio ? " selected" : ""
+            }>${candidate.label} ${candidate.ratio} · ${percent(
+              candidate.fit
+            )}</option>`
+        ),
+      ].join("");
+
+      const ladder = typeScale.steps
+        .map((step) => {
+          const used = step.sizes.length > 0;
+          return `
+          <div style="display: flex; align-items: center; gap: 12px; padding: 6px 0; border-bottom: 1px solid ${
+            themeColors.border
+          };">
+            <span style="min-width: 24px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${
+            step.step > 0 ? `+${step.step}` : step.step
+          }</span>
+            <span style="min-width: 56px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Courier New', monospace;">${px(step.size)}</span>
+            <span style="flex: 1; min-width: 0; font-family: ${sampleFamily}; font-size: ${Math.min(
+            step.size,
+            48
+          )}px; line-height: 1.1; color: ${
+            themeColors.textPrimary
+          }; opacity: ${
+            used ? 1 : 0.3
+          }; white-space: nowrap; overflow: hidden;">Aa</span>
+            <span style="font-size: 11px; color: ${
+              used ? themeColors.textPrimary : themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif; text-align: right; white-space: nowrap;">${
+            used
+              ? step.sizes
+                  .map(
+                    (match) =>
+                      `${px(match.usage.size)} × ${match.usage.instances}`
+                  )
+                  .join("<br>")
+              : "unused"
+          }</span>
+          </div>`;
+        })
+        .join("");
+
+      const offScaleList =
+        offScale.length > 0
+          ? offScale
+              .map(
+                ({ usage, index }) => `
+          <div style="display: flex; align-items: center; gap: 8px; padding: 6px 0; font-size: 11px; font-family: 'Inter', sans-serif; color: ${
+            themeColors.textSecondary
+          };">
+            <span style="width: 6px; height: 6px; border-radius: 50%; background: #F59E0B; flex-shrink: 0;"></span>
+            <span style="min-width: 56px; font-family: 'Courier New', monospace; font-weight: 600; color: ${
+              themeColors.textPrimary
+            };">${px(usage.size)}</span>
+            <span style="flex: 1; min-width: 0;">nearest ${px(usage.expected)} (${
+                  usage.deviation > 0 ? "+" : ""
+                }${(usage.deviation * 100).toFixed(1)}%) · ${usage.instances} ${
+                  usage.instances === 1 ? "use" : "uses"
+                }</span>
+            <button data-locate-size="${index}" style="padding: 2px 8px; border: 1px solid ${
+                  themeColors.border
+                }; background: ${themeColors.bgPrimary}; color: ${
+                  themeColors.textPrimary
+                }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Locate</button>
+          </div>`
+              )
+              .join("")
+          : `<div style="font-size: 11px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">Every size sits on the scale</div>`;
+
+      return `
+        <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px;" class="font-card-squircle">
+          <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 8px;">
+            <div style="font-size: 12px; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Inter', sans-serif;">Base <strong>${px(
+        typeScale.base
+      )}</strong> · ${typeScale.label} ×${typeScale.ratio} · ${percent(
+        typeScale.fit
+      )} fit</div>
+            <select id="type-scale-ratio" title="Scale ratio" style="max-width: 140px; padding: 1px 4px; border: 1px solid ${
+              themeColors.border
+            }; background: ${themeColors.bgPrimary}; color: ${
+        themeColors.textSecondary
+      }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 6px; cursor: pointer; outline: none;">${ratioOptions}</select>
+          </div>
+          ${ladder}
+        </div>
+        <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px; padding: 12px 16px; margin-bottom: 12px;" class="font-card-squircle">
+          <div style="font-size: 12px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif; margin-bottom: 4px;">Off-scale sizes (${
+        offScale.length
+      })</div>
+          ${offScaleList}
+        </div>
+      `;
+    }
+
+    // Text style cards: semantic name, live preview with the page's own text and the spec
+    renderTextStylesList(textStyles, themeColors) {
+      if (textStyles.length === 0) {
+        return `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No text styles found</p>
+        </div>
+      `;
+      }
+
+      return textStyles
+        .map((style) => {
+          const fontStack = this.escapeHtml(style.fontStack);
+          const previewText = this.escapeHtml(
+            style.sampleText.length > 80
+              ? `${style.sampleText.slice(0, 80)}…`
+              : style.sampleText
+          );
+          const css = this.escapeHtml(formatTextStyleCss(style));
+
+          return `
+          <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; padding: 12px 16px; margin-bottom: 8px;" class="font-card-squircle">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 6px;">
+              <span style="padding: 2px 6px; background: ${
+                themeColors.bgPrimary
+              }; border-radius: 4px; font-size: 10px; text-transform: uppercase; font-weight: 600; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif;">${this.escapeHtml(
+            style.name
+          )}</span>
+              <span style="font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">${style.instances} ${
+            style.instances === 1 ? "use" : "uses"
+          }</span>
+            </div>
+            <div title="${
+              style.fontSize > 48 ? "Preview capped at 48px" : ""
+            }" style="font-family: ${fontStack}; font-size: ${Math.min(
+            style.fontSize,
+            48
+          )}px; font-weight: ${style.fontWeight}; line-height: 1.25; letter-spacing: ${
+            style.letterSpacing
+          }; text-transform: ${style.textTransform}; color: ${
+            themeColors.textPrimary
+          }; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${previewText}</div>
+            <div style="margin-top: 6px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Courier New', monospace; cursor: pointer;" data-copy-value="${css}" data-copy-message="Text style copied">${this.escapeHtml(
+            describeTextStyle(style)
+          )}</div>
+          </div>
+        `;
+        })
+        .join("");
+    }
+
+    // Tokens tab: the page's CSS variables, or the audit against an imported token file
+    renderTokensView() {
+      if (!this.shadowRoot) return;
+      const tokensView = this.shadowRoot.querySelector("#overview-tokens-view");
+      if (!tokensView) return;
+
+      const themeColors = this.getThemeColors();
+      const showAudit = this.tokensViewMode === "audit";
+      const { tokens, sheets } = this.getTokenUsage();
+      if (!tokens.some((token) => token.kind === this.tokensViewKind)) {
+        this.tokensViewKind = "all";
+      }
+      const visibleTokens = tokens.filter(
+        (token) =>
+          this.tokensViewKind === "all" || token.kind === this.tokensViewKind
+      );
+      const audit = showAudit ? this.runTokenAudit() : null;
+      const offTokenCount = audit
+        ? audit.reduce((sum, category) => sum + category.findings.length, 0)
+        : 0;
+
+      tokensView.innerHTML = `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${
+        showAudit
+          ? audit
+            ? `${offTokenCount} off-token ${
+                offTokenCount === 1 ? "value" : "values"
+              }`
+            : "Token audit"
+          : `${tokens.length} ${tokens.length === 1 ? "variable" : "variables"}`
+      }</div>
+        <div style="font-size: 11px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">${
+        showAudit
+          ? ""
+          : `${
+              tokens.filter((token) => token.scopes.length > 0).length
+            } with scoped overrides`
+      }</div>
+      </div>
+      <div style="margin-bottom: 12px;">
+        ${this.renderTokensViewSwitch(themeColors)}
+      </div>
+      ${
+        showAudit
+          ? this.renderTokenAuditView(audit, themeColors)
+          : this.renderTokenVariablesList(
+              tokens,
+              visibleTokens,
+              sheets,
+              themeColors
+            )
+      }
+    `;
+
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          const isHidden =
+            tokensView.style.opacity === "0" ||
+            window.getComputedStyle(tokensView).opacity === "0";
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
+          }
+
+          const tokenCards = tokensView.querySelectorAll(".token-card-squircle");
+          tokenCards.forEach((card) => {
+            const rect = card.getBoundingClientRect();
+            if (rect.width > 0 && rect.height > 0) {
+              const path = this.createSquircleClipPath(
+                rect.width,
+                rect.height,
+                12
+              );
+              card.style.clipPath = `path('${path}')`;
+            }
+          });
+        });
+      });
+
+      setTimeout(() => {
+        tokensView.querySelectorAll("[data-tokens-view]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            if (button.dataset.tokensView === this.tokensViewMode) return;
+            this.tokensViewMode = button.dataset.tokensView;
+            localStorage.setItem(
+              "css-inspector-tokens-view",
+              this.tokensViewMode
+            );
+            this.renderTokensView();
+          });
+        });
+
+        tokensView.querySelectorAll("[data-tokens-kind]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            if (button.dataset.tokensKind === this.tokensViewKind) return;
+            this.tokensViewKind = button.dataset.tokensKind;
+            this.renderTokensView();
+          });
+        });
+
+        tokensView.querySelectorAll("[data-locate-token]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const token =
+              visibleTokens[parseInt(button.dataset.locateToken, 10)];
+            if (!token) return;
+            const isColor =
+              token.kind === "color" && this.isValidColor(token.value);
+            this.startLocate({
+              label: token.name,
+              note: isColor
+                ? this.formatColorValue(token.value)
+                : token.value,
+              swatch: isColor
+                ? this.getColorSwatchBackground(token.value)
+                : null,
+              elements: token.elements,
+              getRoles: (element) => [element.tagName.toLowerCase()],
+            });
+          });
+        });
+
+        // Token audit: import / remove the token file and locate findings
+        const fileInput = tokensView.querySelector("#token-audit-file");
+        tokensView
+          .querySelectorAll("[data-token-audit-import]")
+          .forEach((button) => {
+            button.addEventListener("click", (e) => {
+              e.stopPropagation();
+              if (fileInput) fileInput.click();
+            });
+          });
+        if (fileInput) {
+          fileInput.addEventListener("click", (e) => e.stopPropagation());
+          fileInput.addEventListener("change", () => {
+            if (fileInput.files && fileInput.files[0]) {
+              this.importTokenAuditFile(fileInput.files[0]);
+            }
+          });
+        }
+        const removeButton = tokensView.querySelector("#token-audit-remove");
+        if (removeButton) {
+          removeButton.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.removeTokenAuditFile();
+          });
+        }
+        tokensView
+          .querySelectorAll("[data-locate-finding]")
+          .forEach((button) => {
+            button.addEventListener("click", (e) => {
+              e.stopPropagation();
+              const [categoryIndex, findingIndex] = button.dataset.locateFinding
+                .split(":")
+                .map((value) => parseInt(value, 10));
+              const category = audit && audit[categoryIndex];
+              const finding = category && category.findings[findingIndex];
+              if (!finding) return;
+              this.startLocate({
+                label: this.formatTokenAuditValue(category.id, finding.value),
+                note: finding.nearest
+                  ? `nearest ${finding.nearest.path}`
+                  : "off-token",
+                swatch:
+                  category.id === "color"
+                    ? this.getColorSwatchBackground(finding.value)
+                    : null,
+                elements: finding.elements,
+                getRoles: (element) =>
+                  category.id === "color"
+                    ? this.getColorRoles(
+                        element,
+                        new Set([getColorKey(this.parseColor(finding.value))])
+                      )
+                    : [element.tagName.toLowerCase()],
+              });
+            });
+          });
+
+        tokensView.querySelectorAll("[data-copy-value]").forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            const message = el.getAttribute("data-copy-message") || "Copied";
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(message, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+      }, 0);
+    }
+
+    // Variables / Audit switch in the Tokens tab header
+    renderTokensViewSwitch(themeColors) {
+      const modes = [
+        { id: "variables", label: "Variables" },
+        { id: "audit", label: "Audit" },
+      ];
+      return `
+        <div style="display: flex; gap: 2px; padding: 2px; background: ${
+          themeColors.segmentBg
+        }; border-radius: 9999px; width: fit-content;">
+          ${modes
+            .map(
+              (mode) => `
+            <button data-tokens-view="${mode.id}" style="padding: 3px 10px; border: none; background: ${
+                mode.id === this.tokensViewMode
+                  ? themeColors.segmentActive
+                  : "transparent"
+              }; color: ${
+                mode.id === this.tokensViewMode
+                  ? themeColors.textPrimary
+                  : themeColors.textSecondary
+              }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none; white-space: nowrap;">${
+                mode.label
+              }</button>
+          `
+            )
+            .join("")}
+        </div>
+      `;
+    }
+
+    // Every CSS custom property the page defines or references, most used first,
+    // with its value, aliases, scoped overrides and usage counts
+    renderTokenVariablesList(tokens, visibleTokens, sheets, themeColors) {
+      const unreadableNote =
+        sheets.unreadable > 0
+          ? `<div style="margin-bottom: 12px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${sheets.unreadable} cross-origin ${
+              sheets.unreadable === 1 ? "stylesheet" : "stylesheets"
+            } couldn't be read</div>`
+          : "";
+
+      if (tokens.length === 0) {
+        return `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No CSS variables found</p>
+        </div>
+        ${unreadableNote}
+      `;
+      }
+
+      const kinds = [
+        { id: "all", label: "All" },
+        { id: "color", label: "Color" },
+        { id: "spacing", label: "Spacing" },
+        { id: "radius", label: "Radius" },
+        { id: "font", label: "Font" },
+        { id: "other", label: "Other" },
+      ].filter(
+        (kind) =>
+          kind.id === "all" || tokens.some((token) => token.kind === kind.id)
+      );
+
+      const tokenList = visibleTokens
+        .map((token, index) => {
+          const isColor =
+            token.kind === "color" && this.isValidColor(token.value);
+          const displayValue = isColor
+            ? this.formatColorValue(token.value)
+            : token.value;
+          const usage = [
+            `${token.elements.length} ${
+              token.elements.length === 1 ? "element" : "elements"
+            }`,
+            `${token.references} ${token.references === 1 ? "ref" : "refs"}`,
+          ].join(" · ");
+
+          return `
+          <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; padding: 10px 12px; margin-bottom: 8px;" class="token-card-squircle">
+            <div style="display: flex; align-items: center; gap: 8px; min-width: 0;">
+              ${
+                isColor
+                  ? `<span style="width: 16px; height: 16px; border-radius: 5px; flex-shrink: 0; border: 1px solid ${
+                      themeColors.border
+                    }; background: ${this.getColorSwatchBackground(
+                      token.value
+                    )};"></span>`
+                  : ""
+              }
+              <span data-copy-value="var(${token.name})" data-copy-message="Variable copied" style="font-size: 12px; font-weight: 600; color: ${
+                themeColors.textPrimary
+              }; font-family: 'Courier New', monospace; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0;">${this.escapeHtml(
+            token.name
+          )}</span>
+              <span style="margin-left: auto; flex-shrink: 0; font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">${usage}</span>
+            </div>
+            <div style="display: flex; align-items: center; gap: 8px; margin-top: 4px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif; min-width: 0;">
+              <span data-copy-value="${this.escapeHtml(
+                displayValue
+              )}" data-copy-message="Value copied" title="${this.escapeHtml(
+            token.authored
+          )}" style="font-family: 'Courier New', monospace; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0;">${
+            token.defined
+              ? this.escapeHtml(displayValue || "(empty)")
+              : `<span style="color: #F59E0B;">not defined in a readable stylesheet</span>`
+          }</span>
+              ${
+                token.alias
+                  ? `<span style="flex-shrink: 0; font-family: 'Courier New', monospace;">→ ${this.escapeHtml(
+                      token.alias
+                    )}</span>`
+                  : ""
+              }
+              ${
+                token.scopes.length > 0
+                  ? `<span title="${this.escapeHtml(
+                      token.scopes.join("\n")
+                    )}" style="flex-shrink: 0; padding: 1px 6px; background: ${
+                      themeColors.bgPrimary
+                    }; border-radius: 4px;">${token.scopes.length} ${
+                      token.scopes.length === 1 ? "scope" : "scopes"
+                    }</span>`
+                  : ""
+              }
+              ${
+                token.elements.length > 0
+                  ? `<button data-locate-token="${index}" style="margin-left: auto; flex-shrink: 0; padding: 2px 8px; border: 1px solid ${
+                      themeColors.border
+                    }; background: ${themeColors.bgPrimary}; color: ${
+                      themeColors.textPrimary
+                    }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Locate</button>`
+                  : ""
+              }
+            </div>
+          </div>
+        `;
+        })
+        .join("");
+
+      return `
+      ${unreadableNote}
+      <div style="display: flex; flex-wrap: wrap; gap: 2px; padding: 2px; margin-bottom: 12px; background: ${
+        themeColors.segmentBg
+      }; border-radius: 9999px; width: fit-content;">
+        ${kinds
+          .map(
+            (kind) => `
+          <button data-tokens-kind="${kind.id}" style="padding: 3px 10px; border: none; background: ${
+              kind.id === this.tokensViewKind
+                ? themeColors.segmentActive
+                : "transparent"
+            }; color: ${
+              kind.id === this.tokensViewKind
+                ? themeColors.textPrimary
+                : themeColors.textSecondary
+            }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none; white-space: nowrap;">${
+              kind.label
+            }</button>
+        `
+          )
+          .join("")}
+      </div>
+      <div>
+        ${tokenList}
+      </div>
+    `;
+    }
+
+    // Audit view of the Tokens tab: the imported token file and, per category,
+    // the page values that don't match a token with the nearest one
+    renderTokenAuditView(audit, themeColors) {
+      const buttonStyle = `padding: 4px 10px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textPrimary}; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;`;
+      const fileInput = `<input type="file" id="token-audit-file" accept=".json,application/json" style="display: none;">`;
+      const error = this.tokenAuditError
+        ? `<div style="margin-top: 8px; font-size: 11px; color: #ef4444; font-family: 'Inter', sans-serif;">${this.escapeHtml(
+            this.tokenAuditError
+          )}</div>`
+        : "";
+
+      if (!this.tokenAuditFile) {
+        return `
+        <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+          themeColors.border
+        }; border-radius: 12px; padding: 16px;" class="token-card-squircle">
+          <div style="font-size: 12px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif; line-height: 1.5; margin-bottom: 12px;">Import a W3C Design Tokens (DTCG) or Style Dictionary JSON file to check this page's colors, fonts, spacing and radius against it.</div>
+          <button data-token-audit-import style="${buttonStyle}">Import token file</button>
+          ${fileInput}
+          ${error}
+        </div>
+      `;
+      }
+
+      const file = this.tokenAuditFile;
+      const fileCard = `
+        <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px; font-family: 'Inter', sans-serif;">
+          <div style="flex: 1; min-width: 0;">
+            <div style="font-size: 12px; font-weight: 600; color: ${
+              themeColors.textPrimary
+            }; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+        file.name
+      )}</div>
+            <div style="font-size: 11px; color: ${themeColors.textSecondary};">${
+        file.tokens.length
+      } tokens · ${
+        file.format === "dtcg" ? "W3C Design Tokens" : "Style Dictionary"
+      }</div>
+          </div>
+          <button data-token-audit-import style="${buttonStyle}">Replace</button>
+          <button id="token-audit-remove" style="${buttonStyle}">Remove</button>
+          ${fileInput}
+        </div>
+        ${error}
+      `;
+
+      const categories = audit
+        .map((category, categoryIndex) => {
+          const status =
+            category.tokenCount === 0
+              ? "No tokens in file"
+              : category.findings.length === 0
+              ? `All ${category.checked} on-token`
+              : `${category.findings.length} of ${category.checked} off-token`;
+
+          const findings = category.findings
+            .map((finding, findingIndex) => {
+              const display = this.formatTokenAuditValue(
+                category.id,
+                finding.value
+              );
+              const nearest = finding.nearest
+                ? `${this.escapeHtml(finding.nearest.path)} (${this.escapeHtml(
+                    this.formatTokenAuditValue(
+                      category.id,
+                      finding.nearest.value
+                    )
+                  )}) · ${this.formatTokenAuditDistance(
+                    category.id,
+                    finding.nearest.distance
+                  )}`
+                : "no matching token";
+
+              return `
+              <div style="display: flex; align-items: center; gap: 8px; padding: 6px 0; border-top: 1px solid ${
+                themeColors.border
+              }; font-size: 11px; font-family: 'Inter', sans-serif; color: ${
+                themeColors.textSecondary
+              };">
+                ${
+                  category.id === "color"
+                    ? `<span style="width: 14px; height: 14px; border-radius: 4px; flex-shrink: 0; border: 1px solid ${
+                        themeColors.border
+                      }; background: ${this.getColorSwatchBackground(
+                        finding.value
+                      )};"></span>`
+                    : ""
+                }
+                <div style="flex: 1; min-width: 0;">
+                  <div data-copy-value="${this.escapeHtml(
+                    display
+                  )}" data-copy-message="Value copied" style="font-family: 'Courier New', monospace; font-weight: 600; color: ${
+                themeColors.textPrimary
+              }; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+                display
+              )} <span style="font-family: 'Inter', sans-serif; font-weight: 400; color: ${
+                themeColors.textSecondary
+              };">× ${finding.instances}</span></div>
+                  <div style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">→ ${nearest}</div>
+                </div>
+                ${
+                  finding.elements && finding.elements.length > 0
+                    ? `<button data-locate-finding="${categoryIndex}:${findingIndex}" style="flex-shrink: 0; padding: 2px 8px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgPrimary}; color: ${themeColors.textPrimary}; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Locate</button>`
+                    : ""
+                }
+              </div>`;
+            })
+            .join("");
+
+          return `
+          <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; padding: 10px 12px; margin-bottom: 8px;" class="token-card-squircle">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: ${
+              findings ? "6px" : "0"
+            }; font-family: 'Inter', sans-serif;">
+              <span style="font-size: 12px; font-weight: 600; color: ${
+                themeColors.textPrimary
+              };">${category.label}</span>
+              <span style="font-size: 11px; color: ${
+                category.findings.length > 0
+                  ? "#F59E0B"
+                  : themeColors.textSecondary
+              };">${status}</span>
+            </div>
+            ${findings}
+          </div>
+        `;
+        })
+        .join("");
+
+      return `${fileCard}${categories}`;
+    }
+
+    // Display value of a page or token value in an audit category
+    formatTokenAuditValue(categoryId, value) {
+      if (categoryId === "color") {
+        const color =
+          typeof value === "string"
+            ? this.parseColor(value)
+            : parseTokenColor(value);
+        return color
+          ? formatColor(color, this.colorFormat) || formatHex(color)
+          : String(value);
+      }
+      if (categoryId === "fontFamily") {
+        return Array.isArray(value) ? value.join(", ") : String(value);
+      }
+      if (categoryId === "fontWeight") {
+        return String(value);
+      }
+      const px =
+        typeof value === "number"
+          ? value
+          : parseTokenDimension(value, this.getRootFontSize());
+      return px === null ? String(value) : `${formatTypographyNumber(px)}px`;
+    }
+
+    // Distance from the nearest token: ΔE 2000 for colors, px or weight steps otherwise
+    formatTokenAuditDistance(categoryId, distance) {
+      if (categoryId === "color") return `ΔE ${distance.toFixed(1)}`;
+      if (categoryId === "fontWeight") return `${distance} off`;
+      return `${formatTypographyNumber(distance)}px off`;
+    }
+
+    // Shadows tab: every distinct shadow grouped by kind, box shadows ordered as
+    // an elevation scale, with instance counts and Locate
+    renderShadowsView() {
+      if (!this.shadowRoot) return;
+      const shadowsView = this.shadowRoot.querySelector(
+        "#overview-shadows-view"
+      );
+      if (!shadowsView) return;
+
+      const themeColors = this.getThemeColors();
+      const shadows = this.extractShadows();
+      const formatColor = (color) => this.formatColorValue(color);
+      const boxShadows = shadows.filter((shadow) => shadow.kind === "box");
+      const elevationCss = `:root {\n${boxShadows
+        .map(
+          (shadow, index) =>
+            `  --elevation-${index + 1}: ${formatShadowValue(
+              shadow.layers,
+              "box",
+              formatColor
+            )};`
+        )
+        .join("\n")}\n}`;
+
+      const renderShadowCard = (shadow, label) => {
+        const css = formatShadowCss(shadow.layers, shadow.kind, formatColor);
+        const index = shadows.indexOf(shadow);
+        return `
+          <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+          themeColors.border
+        }; border-radius: 12px; padding: 10px 12px; margin-bottom: 8px; display: flex; align-items: center; gap: 12px;" class="shadow-card-squircle">
+            ${this.renderShadowPreview(
+              shadow.kind,
+              shadow.value,
+              themeColors,
+              56
+            )}
+            <div style="flex: 1; min-width: 0;">
+              <div style="display: flex; align-items: center; gap: 8px;">
+                <span style="font-size: 12px; font-weight: 600; color: ${
+                  themeColors.textPrimary
+                }; font-family: 'Inter', sans-serif;">${label}</span>
+                <span style="font-size: 11px; color: ${
+                  themeColors.textSecondary
+                }; font-family: 'Inter', sans-serif;">${shadow.instances} ${
+          shadow.instances === 1 ? "instance" : "instances"
+        } · ${shadow.layers.length} ${
+          shadow.layers.length === 1 ? "layer" : "layers"
+        }</span>
+                <button data-locate-shadow="${index}" style="margin-left: auto; flex-shrink: 0; padding: 2px 8px; border: 1px solid ${
+                  themeColors.border
+                }; background: ${themeColors.bgPrimary}; color: ${
+          themeColors.textPrimary
+        }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Locate</button>
+              </div>
+              <div data-copy-value="${this.escapeHtml(
+                css
+              )}" data-copy-message="Shadow CSS copied" title="${this.escapeHtml(
+          css
+        )}" style="margin-top: 4px; font-size: 11px; font-family: 'Courier New', monospace; color: ${
+          themeColors.textSecondary
+        }; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+          formatShadowValue(shadow.layers, shadow.kind, formatColor)
+        )}</div>
+            </div>
+          </div>
+        `;
+      };
+
+      const groups = getShadowKinds()
+        .map((kind) => {
+          const kindShadows = shadows.filter(
+            (shadow) => shadow.kind === kind.id
+          );
+          if (kindShadows.length === 0) return "";
+          return `
+          <div style="margin-bottom: 16px;">
+            <div style="margin-bottom: 8px; display: flex; align-items: center; justify-content: space-between; gap: 8px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">
+              <span>${kind.label}s · ${kindShadows.length}</span>
+              ${
+                kind.id === "box"
+                  ? `<span data-copy-value="${this.escapeHtml(
+                      elevationCss
+                    )}" data-copy-message="Elevation scale copied" style="cursor: pointer; color: ${
+                      themeColors.textPrimary
+                    };">Copy as variables</span>`
+                  : ""
+              }
+            </div>
+            ${kindShadows
+              .map((shadow, index) =>
+                renderShadowCard(
+                  shadow,
+                  kind.id === "box"
+                    ? `Elevation ${index + 1}`
+                    : `${kind.label} ${index + 1}`
+                )
+              )
+              .join("")}
+          </div>
+        `;
+        })
+        .join("");
+
+      shadowsView.innerHTML =
+        shadows.length === 0
+          ? `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No shadows found</p>
+        </div>
+      `
+          : `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${shadows.length} ${
+              shadows.length === 1 ? "shadow" : "shadows"
+            }</div>
+        <div style="font-size: 11px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">${boxShadows.length} ${
+              boxShadows.length === 1 ? "elevation" : "elevations"
+            }</div>
+      </div>
+      ${groups}
+    `;
+
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          const isHidden =
+            shadowsView.style.opacity === "0" ||
+            window.getComputedStyle(shadowsView).opacity === "0";
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
+          }
+
+          shadowsView
+            .querySelectorAll(".shadow-card-squircle")
+            .forEach((card) => {
+              const rect = card.getBoundingClientRect();
+              if (rect.width > 0 && rect.height > 0) {
+                const path = this.createSquircleClipPath(
+                  rect.width,
+                  rect.height,
+                  12
+                );
+                card.style.clipPath = `path('${path}')`;
+              }
+            });
+        });
+      });
+
+      setTimeout(() => {
+        shadowsView
+          .querySelectorAll("[data-locate-shadow]")
+          .forEach((button) => {
+            button.addEventListener("click", (e) => {
+              e.stopPropagation();
+              const shadow =
+                shadows[parseInt(button.dataset.locateShadow, 10)];
+              if (!shadow) return;
+              const kind = getShadowKinds().find(
+                (entry) => entry.id === shadow.kind
+              );
+              this.startLocate({
+                label: kind.label,
+                note: formatShadowValue(shadow.layers, shadow.kind),
+                elements: shadow.elements,
+                getRoles: (element) => [element.tagName.toLowerCase()],
+              });
+            });
+          });
+
+        shadowsView.querySelectorAll("[data-copy-value]").forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            const message = el.getAttribute("data-copy-message") || "Copied";
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(message, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+      }, 0);
+    }
+
+    // Breakpoints tab: the page's @media width breakpoints on a timeline with
+    // the current viewport, and a preview of the page at a chosen width
+    renderBreakpointsView() {
+      if (!this.shadowRoot) return;
+      const breakpointsView = this.shadowRoot.querySelector(
+        "#overview-breakpoints-view"
+      );
+      if (!breakpointsView) return;
+
+      const themeColors = this.getThemeColors();
+      const index = this.getStyleRuleIndex();
+      const breakpoints = collectBreakpoints(index.rules);
+      const ranges = buildBreakpointRanges(
+        breakpoints.map((breakpoint) => breakpoint.width)
+      );
+      const viewportWidth = window.innerWidth;
+      const previewWidth = this.breakpointPreviewWidth;
+
+      // Timeline scale: a little past the last breakpoint or the viewport
+      const scaleMax = Math.max(
+        breakpoints.length > 0
+          ? breakpoints[breakpoints.length - 1].width * 1.2
+          : 0,
+        viewportWidth * 1.05
+      );
+      const position = (width) =>
+        `${Math.min(100, (width / scaleMax) * 100).toFixed(2)}%`;
+      // Width a range is previewed at: its first width, or its last for the
+      // range below the first breakpoint
+      const rangePreviewWidth = (range) =>
+        range.min === 0 && range.max !== null ? range.max : range.min;
+
+      const timeline = `
+        <div style="position: relative; height: 28px; margin-bottom: 4px; border-radius: 8px; overflow: hidden; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${themeColors.border};">
+          ${ranges
+            .map((range, rangeIndex) => {
+              const end = range.max === null ? scaleMax : range.max + 1;
+              const current =
+                viewportWidth >= range.min &&
+                (range.max === null || viewportWidth <= range.max);
+              return `<div data-preview-width="${rangePreviewWidth(
+                range
+              )}" title="${this.escapeHtml(
+                formatBreakpointRange(range)
+              )} · click to preview" style="position: absolute; top: 0; bottom: 0; left: ${position(
+                range.min
+              )}; width: calc(${position(end)} - ${position(
+                range.min
+              )}); background: ${
+                current
+                  ? themeColors.segmentActive
+                  : rangeIndex % 2 === 0
+                  ? "transparent"
+                  : themeColors.segmentBg
+              }; border-left: ${
+                rangeIndex === 0 ? "none" : `1px solid ${themeColors.border}`
+              }; cursor: pointer; box-sizing: border-box;"></div>`;
+            })
+            .join("")}
+          <div title="Viewport ${viewportWidth}px" style="position: absolute; top: 0; bottom: 0; left: ${position(
+            viewportWidth
+          )}; width: 2px; margin-left: -1px; background: #3B82F6; pointer-events: none;"></div>
+          ${
+            previewWidth
+              ? `<div title="Preview ${previewWidth}px" style="position: absolute; top: 0; bottom: 0; left: ${position(
+                  previewWidth
+                )}; width: 0; margin-left: -1px; border-left: 2px dashed ${
+                  themeColors.textPrimary
+                }; pointer-events: none;"></div>`
+              : ""
+          }
+        </div>
+        <div style="position: relative; height: 14px; margin-bottom: 16px; font-size: 10px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">
+          <span style="position: absolute; left: 0;">0</span>
+          <span style="position: absolute; left: ${position(
+            viewportWidth
+          )}; transform: translateX(-50%); color: #3B82F6; white-space: nowrap;">${viewportWidth}px</span>
+          <span style="position: absolute; right: 0;">${Math.round(
+            scaleMax
+          )}px</span>
+        </div>
+      `;
+
+      const list = breakpoints
+        .map((breakpoint) => {
+          const active = viewportWidth >= breakpoint.width;
+          return `
+          <div style="display: flex; align-items: center; gap: 10px; padding: 8px 12px; margin-bottom: 6px; background: ${
+            themeColors.bgSecondary
+          }; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px;" class="breakpoint-card-squircle">
+            <span data-copy-value="${
+              breakpoint.width
+            }px" data-copy-message="Breakpoint copied" title="${
+            active
+              ? "At or below the viewport width"
+              : "Above the viewport width"
+          }" style="flex-shrink: 0; width: 56px; font-size: 12px; font-weight: 600; color: ${
+            active ? themeColors.textPrimary : themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif; cursor: pointer;">${
+            breakpoint.width
+          }px</span>
+            <div style="flex: 1; min-width: 0; display: flex; flex-wrap: wrap; gap: 4px;">
+              ${breakpoint.features
+                .map(
+                  (feature) => `<span data-copy-value="${this.escapeHtml(
+                    `@media (${feature})`
+                  )}" data-copy-message="Media query copied" style="padding: 1px 6px; background: ${
+                    themeColors.bgPrimary
+                  }; border: 1px solid ${
+                    themeColors.border
+                  }; border-radius: 4px; font-size: 10px; color: ${
+                    themeColors.textSecondary
+                  }; font-family: 'Courier New', monospace; cursor: pointer;">${this.escapeHtml(
+                    feature
+                  )}</span>`
+                )
+                .join("")}
+            </div>
+            <span style="flex-shrink: 0; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${breakpoint.ruleCount} ${
+            breakpoint.ruleCount === 1 ? "rule" : "rules"
+          }</span>
+            <button data-preview-width="${
+              breakpoint.width
+            }" style="flex-shrink: 0; padding: 2px 8px; border: 1px solid ${
+            themeColors.border
+          }; background: ${themeColors.bgPrimary}; color: ${
+            themeColors.textPrimary
+          }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Preview</button>
+          </div>
+        `;
+        })
+        .join("");
+
+      const buttonStyle = `padding: 6px 12px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textPrimary}; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;`;
+      const previewControls = `
+          <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 8px;">
+            <div style="font-size: 13px; font-weight: 600; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Inter', sans-serif;">Preview at width</div>
+            <input id="breakpoint-preview-width" type="number" min="200" max="3840" value="${
+              previewWidth || viewportWidth
+            }" style="margin-left: auto; width: 72px; box-sizing: border-box; padding: 4px 6px; background: ${
+              themeColors.bgSecondary
+            }; border: 1px solid ${themeColors.border}; border-radius: 6px; color: ${
+              themeColors.textPrimary
+            }; font-size: 11px; font-family: 'Inter', sans-serif; outline: none;">
+            <button id="breakpoint-preview-open" style="${buttonStyle}">Preview</button>
+            ${
+              previewWidth
+                ? `<button id="breakpoint-preview-close" style="${buttonStyle}">Close</button>`
+                : ""
+            }
+          </div>
+      `;
+      // The page is framed in a sandbox without allow-same-origin: its scripts
+      // run under an opaque origin, so they can't reach into the inspected
+      // page or the panel, and without allow-top-navigation they can't
+      // navigate the tab away. Cookies and storage aren't available to it
+      const previewFrame = previewWidth
+        ? `
+          <div id="breakpoint-preview-frame" style="position: relative; height: 360px; overflow: hidden; background: #FFFFFF; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px;">
+            <iframe src="${this.escapeHtml(
+              window.location.href
+            )}" sandbox="allow-scripts allow-forms" title="Page at ${previewWidth}px" style="position: absolute; top: 0; left: 0; width: ${previewWidth}px; height: 360px; border: none; transform-origin: 0 0;"></iframe>
+          </div>
+          <div id="breakpoint-preview-note" style="margin-top: 6px; font-size: 10px; color: ${
+            themeColors.textTertiary
+          }; font-family: 'Inter', sans-serif;">Rendered at ${previewWidth}px, without the page's cookies or storage. Sites that don't allow being framed stay blank.</div>`
+        : "";
+
+      // The preview lives outside the part that's re-rendered, so the framed
+      // page isn't reloaded unless the preview width changes
+      if (!breakpointsView.querySelector("#breakpoint-content")) {
+        breakpointsView.innerHTML = `
+      <div id="breakpoint-content"></div>
+      <div style="margin-top: 16px;">
+        <div id="breakpoint-preview-controls"></div>
+        <div id="breakpoint-preview-area"></div>
+      </div>
+    `;
+      }
+      const content = breakpointsView.querySelector("#breakpoint-content");
+      const controls = breakpointsView.querySelector(
+        "#breakpoint-preview-controls"
+      );
+      const previewArea = breakpointsView.querySelector(
+        "#breakpoint-preview-area"
+      );
+
+      content.innerHTML = `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${breakpoints.length} ${
+        breakpoints.length === 1 ? "breakpoint" : "breakpoints"
+      }</div>
+        <div style="font-size: 11px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">Viewport ${viewportWidth}px</div>
+      </div>
+      ${
+        breakpoints.length === 0
+          ? `
+        <div style="text-align: center; padding: 24px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px; margin: 0;">No width breakpoints found</p>
+        </div>
+      `
+          : `${timeline}${list}`
+      }
+      ${
+        index.sheets.unreadable > 0
+          ? `<div style="margin-top: 8px; font-size: 10px; color: ${
+              themeColors.textTertiary
+            }; font-family: 'Inter', sans-serif;">${
+              index.sheets.unreadable
+            } cross-origin stylesheet${
+              index.sheets.unreadable === 1 ? "" : "s"
+            } couldn't be read.</div>`
+          : ""
+      }
+    `;
+      controls.innerHTML = previewControls;
+      if (previewArea.dataset.width !== String(previewWidth || "")) {
+        previewArea.dataset.width = String(previewWidth || "");
+        previewArea.innerHTML = previewFrame;
+      } else if (previewWidth) {
+        // Same width: keep the loaded page, only follow the theme
+        const frame = previewArea.querySelector("#breakpoint-preview-frame");
+        const note = previewArea.querySelector("#breakpoint-preview-note");
+        if (frame) frame.style.borderColor = themeColors.border;
+        if (note) note.style.color = themeColors.textTertiary;
+      }
+
+      // Fit the preview into the panel, scaling the page down
+      const fitPreview = () => {
+        const frame = breakpointsView.querySelector(
+          "#breakpoint-preview-frame"
+        );
+        const iframe = frame ? frame.querySelector("iframe") : null;
+        if (!iframe || !previewWidth || frame.clientWidth === 0) return;
+        const scale = Math.min(1, frame.clientWidth / previewWidth);
+        iframe.style.transform = `scale(${scale})`;
+        iframe.style.height = `${Math.round(frame.clientHeight / scale)}px`;
+        const note = breakpointsView.querySelector("#breakpoint-preview-note");
+        if (note && scale < 1) {
+          note.textContent = `Rendered at ${previewWidth}px, shown at ${Math.round(
+            scale * 100
+          )}%, without the page's cookies or storage. Sites that don't allow being framed stay blank.`;
+        }
+      };
+
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          fitPreview();
+          const isHidden =
+            breakpointsView.style.opacity === "0" ||
+            window.getComputedStyle(breakpointsView).opacity === "0";
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
+          }
+
+          breakpointsView
+            .querySelectorAll(".breakpoint-card-squircle")
+            .forEach((card) => {
+              const rect = card.getBoundingClientRect();
+              if (rect.width > 0 && rect.height > 0) {
+                const path = this.createSquircleClipPath(
+                  rect.width,
+                  rect.height,
+                  12
+                );
+                card.style.clipPath = `path('${path}')`;
+              }
+            });
+        });
+      });
+
+      setTimeout(() => {
+        const openPreview = (width) => {
+          if (!Number.isFinite(width) || width <= 0) return;
+          this.breakpointPreviewWidth = Math.round(
+            Math.min(3840, Math.max(200, width))
+          );
+          this.renderBreakpointsView();
+        };
+
+        breakpointsView
+          .querySelectorAll("[data-preview-width]")
+          .forEach((el) => {
+            el.addEventListener("click", (e) => {
+              e.stopPropagation();
+              openPreview(parseInt(el.dataset.previewWidth, 10));
+            });
+          });
+
+        const widthInput = breakpointsView.querySelector(
+          "#breakpoint-preview-width"
+        );
+        const openButton = breakpointsView.querySelector(
+          "#breakpoint-preview-open"
+        );
+        const closeButton = breakpointsView.querySelector(
+          "#breakpoint-preview-close"
+        );
+        if (widthInput) {
+          widthInput.addEventListener("keydown", (e) => {
+            e.stopPropagation();
+            if (e.key === "Enter") {
+              e.preventDefault();
+              openPreview(parseFloat(widthInput.value));
+            }
+          });
+        }
+        if (openButton) {
+          openButton.addEventListener("click", (e) => {
+            e.stopPropagation();
+            openPreview(parseFloat(widthInput.value));
+          });
+        }
+        if (closeButton) {
+          closeButton.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.breakpointPreviewWidth = null;
+            this.renderBreakpointsView();
+          });
+        }
+
+        breakpointsView.querySelectorAll("[data-copy-value]").forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            const message = el.getAttribute("data-copy-message") || "Copied";
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(message, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+      }, 0);
+    }
+
+    // Assets tab: the page's images, SVGs, backgrounds, icons, Open Graph
+    // images and posters with their size and type, filterable by where they
+    // come from and by file type, each downloadable or all of them as a zip
+    renderAssetsView() {
+      if (!this.shadowRoot) return;
+      const assetsView = this.shadowRoot.querySelector(
+        "#overview-assets-view"
+      );
+      if (!assetsView) return;
+
+      const themeColors = this.getThemeColors();
+      const assets = this.extractAssets();
+      const sources = getAssetSources().filter((source) =>
+        assets.some((asset) => asset.sources.includes(source.id))
+      );
+      const types = Array.from(
+        new Set(assets.map((asset) => asset.type || "Other"))
+      ).sort();
+      // Drop filters that no longer match anything
+      if (!sources.some((source) => source.id === this.assetSourceFilter)) {
+        this.assetSourceFilter = "all";
+      }
+      if (!types.includes(this.assetTypeFilter)) {
+        this.assetTypeFilter = "all";
+      }
+      const filtered = assets.filter(
+        (asset) =>
+          (this.assetSourceFilter === "all" ||
+            asset.sources.includes(this.assetSourceFilter)) &&
+          (this.assetTypeFilter === "all" ||
+            (asset.type || "Other") === this.assetTypeFilter)
+      );
+      const sourceLabel = (id) =>
+        (getAssetSources().find((source) => source.id === id) || {}).label ||
+        id;
+
+      const renderChip = (attribute, value, label, active) => `
+          <button ${attribute}="${this.escapeHtml(
+        value
+      )}" style="padding: 3px 8px; border: 1px solid ${
+        themeColors.border
+      }; background: ${
+        active ? themeColors.segmentActive : themeColors.bgSecondary
+      }; color: ${
+        active ? themeColors.textPrimary : themeColors.textSecondary
+      }; font-size: 11px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">${this.escapeHtml(
+        label
+      )}</button>`;
+      const filters = `
+        <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 6px;">
+          ${renderChip(
+            "data-asset-source",
+            "all",
+            "All sources",
+            this.assetSourceFilter === "all"
+          )}
+          ${sources
+            .map((source) =>
+              renderChip(
+                "data-asset-source",
+                source.id,
+                source.label,
+                this.assetSourceFilter === source.id
+              )
+            )
+            .join("")}
+        </div>
+        <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 12px;">
+          ${renderChip(
+            "data-asset-type",
+            "all",
+            "All types",
+            this.assetTypeFilter === "all"
+          )}
+          ${types
+            .map((type) =>
+              renderChip(
+                "data-asset-type",
+                type,
+                type,
+                this.assetTypeFilter === type
+              )
+            )
+            .join("")}
+        </div>
+      `;
+
+      const renderAssetCard = (asset) => {
+        const index = assets.indexOf(asset);
+        // SVG markup is previewed through an <img> so its scripts never run
+        const previewSrc = asset.markup
+          ? `data:image/svg+xml;charset=utf-8,${encodeURIComponent(
+              asset.markup
+            )}`
+          : asset.url;
+        const size = asset.pending
+          ? "Loading…"
+          : asset.width && asset.height
+          ? `${Math.round(asset.width)} × ${Math.round(asset.height)}`
+          : "—";
+        return `
+          <div style="background: ${themeColors.bgSecondary}; border: 1px solid ${
+          themeColors.border
+        }; border-radius: 12px; overflow: hidden; min-width: 0; display: flex; flex-direction: column;" class="asset-card-squircle">
+            <div style="height: 72px; display: flex; align-items: center; justify-content: center; padding: 6px; box-sizing: border-box; background-color: ${
+              themeColors.bgPrimary
+            }; background-image: linear-gradient(45deg, ${
+          themeColors.segmentBg
+        } 25%, transparent 25%, transparent 75%, ${
+          themeColors.segmentBg
+        } 75%), linear-gradient(45deg, ${
+          themeColors.segmentBg
+        } 25%, transparent 25%, transparent 75%, ${
+          themeColors.segmentBg
+        } 75%); background-size: 12px 12px; background-position: 0 0, 6px 6px;">
+              <img src="${this.escapeHtml(
+                previewSrc
+              )}" alt="" loading="lazy" style="max-width: 100%; max-height: 100%; object-fit: contain;">
+            </div>
+            <div style="padding: 8px 10px; min-width: 0;">
+              <div ${
+                asset.url
+                  ? `data-copy-value="${this.escapeHtml(
+                      asset.url
+                    )}" data-copy-message="URL copied" title="${this.escapeHtml(
+                      asset.url
+                    )}"`
+                  : ""
+              } style="font-size: 11px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; cursor: ${
+          asset.url ? "pointer" : "default"
+        };">${this.escapeHtml(asset.fileName)}</div>
+              <div style="margin-top: 2px; font-size: 10px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${size} · ${this.escapeHtml(
+          asset.type || "Other"
+        )} · ${this.escapeHtml(
+          asset.sources.map(sourceLabel).join(", ")
+        )}</div>
+              <div style="display: flex; gap: 4px; margin-top: 6px;">
+                <button data-asset-download="${index}" style="padding: 2px 8px; border: 1px solid ${
+          themeColors.border
+        }; background: ${themeColors.bgPrimary}; color: ${
+          themeColors.textPrimary
+        }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Download</button>
+                ${
+                  asset.elements.length > 0
+                    ? `<button data-asset-locate="${index}" style="padding: 2px 8px; border: 1px solid ${
+                        themeColors.border
+                      }; background: ${themeColors.bgPrimary}; color: ${
+                        themeColors.textPrimary
+                      }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Locate</button>`
+                    : ""
+                }
+              </div>
+            </div>
+          </div>
+        `;
+      };
+
+      assetsView.innerHTML =
+        assets.length === 0
+          ? `
+        <div style="text-align: center; padding: 40px 20px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">
+          <p style="font-size: 14px;">No assets found</p>
+        </div>
+      `
+          : `
+      <div style="margin-bottom: 12px; display: flex; align-items: center; justify-content: space-between; gap: 8px;">
+        <div style="font-size: 13px; font-weight: 600; color: ${
+          themeColors.textPrimary
+        }; font-family: 'Inter', sans-serif;">${
+              filtered.length === assets.length
+                ? assets.length
+                : `${filtered.length} of ${assets.length}`
+            } ${assets.length === 1 ? "asset" : "assets"}</div>
+        <button data-assets-zip ${
+          filtered.length === 0 ? "disabled" : ""
+        } style="padding: 4px 10px; border: 1px solid ${
+              themeColors.border
+            }; background: ${themeColors.bgSecondary}; color: ${
+              themeColors.textPrimary
+            }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Download ${
+              filtered.length === assets.length ? "all" : "filtered"
+            } as .zip</button>
+      </div>
+      ${filters}
+      <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px;">
+        ${filtered.map(renderAssetCard).join("")}
+      </div>
+    `;
+
+      // Skip updatePanelHeight if view is hidden (opacity: 0) - tab handlers will handle height manually
+      requestAnimationFrame(() => {
+        requestAnimationFrame(() => {
+          const isHidden =
+            assetsView.style.opacity === "0" ||
+            window.getComputedStyle(assetsView).opacity === "0";
+          if (!isHidden) {
+            this.updatePanelHeight(false, true);
+          }
+
+          assetsView
+            .querySelectorAll(".asset-card-squircle")
+            .forEach((card) => {
+              const rect = card.getBoundingClientRect();
+              if (rect.width > 0 && rect.height > 0) {
+                const path = this.createSquircleClipPath(
+                  rect.width,
+                  rect.height,
+                  12
+                );
+                card.style.clipPath = `path('${path}')`;
+              }
+            });
+        });
+      });
+
+      setTimeout(() => {
+        assetsView.querySelectorAll("[data-asset-source]").forEach((chip) => {
+          chip.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.assetSourceFilter = chip.dataset.assetSource;
+            this.renderAssetsView();
+          });
+        });
+        assetsView.querySelectorAll("[data-asset-type]").forEach((chip) => {
+          chip.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.assetTypeFilter = chip.dataset.assetType;
+            this.renderAssetsView();
+          });
+        });
+
+        assetsView
+          .querySelectorAll("[data-asset-download]")
+          .forEach((button) => {
+            button.addEventListener("click", (e) => {
+              e.stopPropagation();
+              const asset =
+                assets[parseInt(button.dataset.assetDownload, 10)];
+              if (asset) this.downloadAsset(asset, button);
+            });
+          });
+
+        assetsView.querySelectorAll("[data-asset-locate]").forEach((button) => {
+          button.addEventListener("click", (e) => {
+            e.stopPropagation();
+            const asset = assets[parseInt(button.dataset.assetLocate, 10)];
+            if (!asset) return;
+            this.startLocate({
+              label: sourceLabel(asset.sources[0]),
+              note: asset.fileName,
+              elements: asset.elements,
+              getRoles: (element) => [element.tagName.toLowerCase()],
+            });
+          });
+        });
+
+        const zipButton = assetsView.querySelector("[data-assets-zip]");
+        if (zipButton) {
+          zipButton.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.downloadAssetsZip(filtered, zipButton);
+          });
+        }
+
+        assetsView.querySelectorAll("[data-copy-value]").forEach((el) => {
+          el.addEventListener("click", async (e) => {
+            e.stopPropagation();
+            const value = el.getAttribute("data-copy-value");
+            const message = el.getAttribute("data-copy-message") || "Copied";
+            try {
+              await navigator.clipboard.writeText(value);
+              if (this.showToast) {
+                this.showToast(message, el);
+              }
+            } catch (err) {
+              console.error("Failed to copy:", err);
+            }
+          });
+        });
+      }, 0);
+    }
+
+    // Contents of an asset as a Blob (for the zip): inline SVG markup as a
+    // file, anything else fetched from its URL
+    async getAssetBlob(asset) {
+      if (asset.markup) {
+        return new Blob([asset.markup], { type: "image/svg+xml" });
+      }
+      return this.fetchAssetBlob(asset.url);
+    }
+
+    // Saves one asset from the Assets tab, by URL when it has one
+    async downloadAsset(asset, button = null) {
+      try {
+        await this.saveAssetFile(
+          sanitizeFileName(asset.fileName),
+          asset.markup
+            ? new Blob([asset.markup], { type: "image/svg+xml" })
+            : await this.getAssetDownloadSource(asset.url)
+        );
+        this.showToast(`${asset.fileName} downloaded`, button);
+      } catch (error) {
+        console.error("[CSS Inspector] Failed to download asset:", error);
+        this.showToast("Couldn't download this file", button);
+      }
+    }
+
+    // Fetches the assets one after another and saves them as one zip,
+    // skipping any that can't be read or are over the worker's size cap
+    async downloadAssetsZip(assets, button = null) {
+      if (this.isZippingAssets || assets.length === 0) return;
+      this.isZippingAssets = true;
+      const label = button ? button.textContent : "";
+      const usedNames = new Set();
+      const files = [];
+      let tooLarge = 0;
+
+      try {
+        for (let i = 0; i < assets.length; i++) {
+          if (button) {
+            button.textContent = `Zipping ${i + 1}/${assets.length}…`;
+          }
+          try {
+            const blob = await this.getAssetBlob(assets[i]);
+            files.push({
+              name: getUniqueFileName(
+                sanitizeFileName(assets[i].fileName),
+                usedNames
+              ),
+              data: new Uint8Array(await blob.arrayBuffer()),
+            });
+          } catch (error) {
+            if (error.tooLarge) tooLarge++;
+            console.warn(
+              `[CSS Inspector] Skipped ${assets[i].url} in the zip:`,
+              error
+            );
+          }
+        }
+
+        const tooLargeNote =
+          tooLarge > 0 ? ` (${tooLarge} over 25 MB left out)` : "";
+        if (files.length === 0) {
+          this.showToast(
+            `Couldn't read any of these files${tooLargeNote}`,
+            button
+          );
+          return;
+        }
+        await this.saveAssetFile(
+          `${this.getExportFileBaseName()}-assets.zip`,
+          new Blob([buildZip(files)], { type: "application/zip" })
+        );
+        this.showToast(
+          files.length === assets.length
+            ? `${files.length} assets zipped`
+            : `${files.length} of ${assets.length} assets zipped${tooLargeNote}`,
+          button
+        );
+      } finally {
+        this.isZippingAssets = false;
+        if (button) button.textContent = label;
+      }
+    }
+
+    openColorsWindow(colors) {
+      // Pre-build every export so the standalone window can download them
+      // without access to the extension's utils
+      // (binary formats such as .ase are passed as base64)
+      const exports = getColorExportFormats().map((format) => {
+        const content = format.build(colors, this.getExportFileBaseName());
+        return {
+          label: format.label,
+          filename: `${this.getExportFileBaseName()}-colors.${format.extension}`,
+          mimeType: format.mimeType,
+          base64: !!format.binary,
+          content: format.binary ? this.encodeBase64(content) : content,
+        };
+      });
+      const exportsJson = JSON.stringify(exports).replace(/</g, "\\u003c");
+
+      const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Color Palette - Designspector</title>
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            padding: 24px;
+            background: #fafafa;
+            color: #333;
+          }
+          .header { margin-bottom: 24px; }
+          h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+          .count { color: #666; font-size: 14px; }
+          .color-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+            gap: 16px;
+          }
+          .color-card {
+            background: white;
+            padding: 16px;
+            border-radius: 8px;
+            border: 1px solid #e0e0e0;
+            transition: transform 0.2s, box-shadow 0.2s;
+            cursor: pointer;
+          }
+          .color-card:hover {
+            transform: translateY(-2px);
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+          }
+          .color-swatch {
+            width: 100%;
+            height: 100px;
+            border-radius: 6px;
+            margin-bottom: 12px;
+            border: 1px solid rgba(0, 0, 0, 0.1);
+            box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+          }
+          .color-hex {
+            font-size: 16px;
+            font-weight: 600;
+            font-family: 'Courier New', monospace;
+            margin-bottom: 4px;
+          }
+          .color-info {
+            font-size: 12px;
+            color: #666;
+          }
+          .color-info strong { color: #333; }
+          .categories {
+            margin-top: 8px;
+            display: flex;
+            flex-wrap: wrap;
+            gap: 4px;
+          }
+          .category-tag {
+            padding: 2px 6px;
+            background: #f0f0f0;
+            border-radius: 4px;
+            font-size: 10px;
+            text-transform: uppercase;
+            font-weight: 600;
+            color: #666;
+          }
+          .export-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-top: 12px;
+          }
+          .export-button {
+            padding: 6px 12px;
+            border: 1px solid #e0e0e0;
+            border-radius: 6px;
+            background: white;
+            font-size: 12px;
+            color: #333;
+            cursor: pointer;
+          }
+          .export-button:hover { background: #f0f0f0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>Color Palette</h1>
+          <p class="count">${colors.length} unique colors found</p>
+          <div class="export-actions">
+            ${exports
+              .map(
+                (item, index) =>
+                  `<button class="export-button" onclick="downloadExport(${index})">Export ${item.label}</button>`
+              )
+              .join("")}
+          </div>
+        </div>
+        <div class="color-grid">
+          ${colors
+            .map(
+              (color) => `
+            <div class="color-card" onclick="copyColor('${color.hex}')">
+              <div class="color-swatch" style="background: ${this.getColorSwatchBackground(
+                color.value || color.hex
+              )}"></div>
+              <div class="color-hex">${color.hex}</div>
+              ${
+                color.alpha !== undefined && color.alpha < 1
+                  ? `<div class="color-info">${formatRgba(
+                      this.parseColor(color.value || color.hex)
+                    )}</div>`
+                  : ""
+              }
+              ${
+                color.inGamut === false
+                  ? `<div class="color-info" title="Hex is the closest sRGB match">${color.value} · outside sRGB</div>`
+                  : ""
+              }
+              <div class="color-info">
+                <strong>${color.instances}</strong> ${
+                color.instances === 1 ? "instance" : "instances"
+              }
+              </div>
+              ${
+                color.categories && color.categories.length > 0
+                  ? `
+              <div class="categories">
+                ${color.categories
+                  .map((cat) => `<span class="category-tag">${cat}</span>`)
+                  .join("")}
+              </div>
+              `
+                  : ""
+              }
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+        <script>
+          function copyColor(hex) {
+            navigator.clipboard.writeText(hex).then(() => {
+              alert('Copied ' + hex + ' to clipboard!');
+            });
+          }
+          const paletteExports = ${exportsJson};
+          function downloadExport(index) {
+            const item = paletteExports[index];
+            const data = item.base64
+              ? Uint8Array.from(atob(item.content), (c) => c.charCodeAt(0))
+              : item.content;
+            const url = URL.createObjectURL(new Blob([data], { type: item.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = item.filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+          }
+        </script>
+      </body>
+      </html>
+    `;
+
+      const blob = new Blob([html], { type: "text/html" });
+      const url = URL.createObjectURL(blob);
+      window.open(url, "_blank", "width=900,height=700");
+    }
+
+    openTypographyWindow(typography) {
+      // Pre-build the text style exports so the standalone window can download them
+      const textStyles = this.extractTextStyles();
+      const exports = getTypographyExportFormats().map((format) => ({
+        label: format.label,
+        filename: `${this.getExportFileBaseName()}-typography.${
+          format.extension
+        }`,
+        mimeType: format.mimeType,
+        content: format.build(textStyles),
+      }));
+      const exportsJson = JSON.stringify(exports).replace(/</g, "\\u003c");
+
+      const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Typography - Designspector</title>
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            padding: 24px;
+            background: #fafafa;
+            color: #333;
+          }
+          .header { margin-bottom: 24px; }
+          h1 { font-size: 24px; font-weight: 600; margin-bottom: 8px; }
+          .count { color: #666; font-size: 14px; }
+          .typography-list {
+            display: flex;
+            flex-direction: column;
+            gap: 16px;
+          }
+          .typography-item {
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            border: 1px solid #e0e0e0;
+          }
+          .typography-preview {
+            font-size: 32px;
+            line-height: 1.4;
+            margin-bottom: 16px;
+            padding-bottom: 16px;
+            border-bottom: 1px solid #f0f0f0;
+            color: #333;
+          }
+          .typography-info {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: 12px;
+            font-size: 13px;
+          }
+          .info-item {
+            display: flex;
+            justify-content: space-between;
+          }
+          .info-label {
+            color: #666;
+            font-weight: 500;
+          }
+          .info-value {
+            font-weight: 600;
+            color: #333;
+          }
+          .instances {
+            margin-top: 12px;
+            padding-top: 12px;
+            border-top: 1px solid #f0f0f0;
+            font-size: 12px;
+            color: #666;
+          }
+          .export-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
+            margin-top: 12px;
+          }
+          .export-button {
+            padding: 6px 12px;
+            border: 1px solid #e0e0e0;
+            border-radius: 6px;
+            background: white;
+            font-size: 12px;
+            color: #333;
+            cursor: pointer;
+          }
+          .export-button:hover { background: #f0f0f0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>📝 Typography</h1>
+          <p class="count">${typography.length} unique font ${
+        typography.length === 1 ? "family" : "families"
+      } found · ${textStyles.length} text ${
+        textStyles.length === 1 ? "style" : "styles"
+      }</p>
+          <div class="export-actions">
+            ${exports
+              .map(
+                (item, index) =>
+                  `<button class="export-button" onclick="downloadExport(${index})">Export ${item.label}</button>`
+              )
+              .join("")}
+          </div>
+        </div>
+        <div class="typography-list">
+          ${typography
+            .map(
+              (font, index) => `
+            <div class="typography-item">
+              <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 16px;">
+                <span style="font-size: 14px; font-weight: 600; color: #666; min-width: 80px;">${
+                  index === 0
+                    ? "Primary"
+                    : index === 1
+                    ? "Secondary"
+                    : index === 2
+                    ? "Tertiary"
+                    : ""
+                }</span>
+                <div class="typography-preview" style="font-family: ${
+                  font.fontFamily
+                }; font-size: 32px; line-height: 1.4; flex: 1;">
+                  The quick brown fox jumps over the lazy dog
+                </div>
+              </div>
+              <div class="typography-info">
+                <div class="info-item">
+                  <span class="info-label">Font Family:</span>
+                  <span class="info-value">${font.fontFamily}</span>
+                </div>
+                <div class="info-item">
+                  <span class="info-label">Sizes:</span>
+                  <span class="info-value">${
+                    font.sizes && font.sizes.length > 0
+                      ? font.sizes.map((s) => `${s}px`).join(", ")
+                      : "N/A"
+                  }</span>
+                </div>
+                <div class="info-item">
+                  <span class="info-label">Weights:</span>
+                  <span class="info-value">${
+                    font.weights && font.weights.length > 0
+                      ? font.weights.join(", ")
+                      : "N/A"
+                  }</span>
+                </div>
+              </div>
+              <div class="instances">
+                Used <strong>${font.instances}</strong> ${
+                font.instances === 1 ? "time" : "times"
+              } on this page
+              </div>
+            </div>
+          `
+            )
+            .join("")}
+        </div>
+        <script>
+          const typographyExports = ${exportsJson};
+          function downloadExport(index) {
+            const item = typographyExports[index];
+            const url = URL.createObjectURL(new Blob([item.content], { type: item.mimeType }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = item.filename;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+          }
+        </script>
+      </body>
+      </html>
+    `;
+
+      const blob = new Blob([html], { type: "text/html" });
+      const url = URL.createObjectURL(blob);
+      window.open(url, "_blank", "width=900,height=700");
+    }
+
+    // Cached getComputedStyle for performance
+    getCachedComputedStyle(element) {
+      // Use element as cache key (DOM elements are unique)
+      const cacheKey = element;
+      let cached = this.styleCache.get(cacheKey);
+      if (!cached) {
+        cached = window.getComputedStyle(element);
+        this.styleCache.set(cacheKey, cached);
+      }
+      return cached;
+    }
+
+    updateInspectorPanel(element, isSelected = false, skipAnimation = false) {
+      if (!this.inspectorPanel) return;
+
+      // If an element is locked and we're trying to update with a different element (not from a click),
+      // skip the update to prevent flickering
+      if (
+        this.selectedElement &&
+        this.selectedElement !== element &&
+        !isSelected
+      ) {
+        return;
+      }
+
+      const styles = this.getCachedComputedStyle(element);
+      const rect = element.getBoundingClientRect();
+      const elementInfo = this.extractElementInfo(element, styles, rect);
+
+      // Determine element type and what to show
+      // Check if element has text content or is a text-related element
+      const hasTextContent =
+        element.innerText && element.innerText.trim().length > 0;
+      const isTextElement = [
+        "P",
+        "H1",
+        "H2",
+        "H3",
+        "H4",
+        "H5",
+        "H6",
+        "SPAN",
+        "A",
+        "BUTTON",
+        "LABEL",
+        "LI",
+        "TD",
+        "TH",
+        "DT",
+        "DD",
+        "STRONG",
+        "EM",
+        "B",
+        "I",
+        "CODE",
+        "PRE",
+        "BLOCKQUOTE",
+      ].includes(element.tagName.toUpperCase());
+      const hasText = hasTextContent || isTextElement;
+
+      if (!this.shadowRoot) return;
+      const infoDiv = this.shadowRoot.querySelector("#element-info");
+      if (infoDiv) {
+        if (skipAnimation) {
+          // Instant update without animation
+          infoDiv.style.transition = "none";
+          infoDiv.innerHTML = this.formatElementInfo(
+            elementInfo,
+            true,
+            hasText
+          );
+          this.normalizeInspectorSpacing(); // Normalize spacing to override page CSS
+          this.bindPseudoElementTabs(infoDiv, elementInfo);
+          this.bindLayoutSection(infoDiv);
+          this.bindStatesSection(infoDiv);
+          this.bindMediaSection(infoDiv);
+          infoDiv.style.opacity = "1";
+          infoDiv.style.transform = "translateY(0)";
+          // Update panel height for instant updates
+          setTimeout(() => {
+            this.updatePanelHeight();
+
+            // Apply squircle clip-paths to inspector elements
+            this.applyInspectorSquircles();
+          }, 0);
+        } else {
+          // Smooth fade out transition
+          infoDiv.style.transition =
+            "opacity 0.15s ease-out, transform 0.15s ease-out";
+          infoDiv.style.opacity = "0";
+          infoDiv.style.transform = "translateY(-6px)";
+
+          // Update content after fade out starts
+          setTimeout(() => {
+            infoDiv.innerHTML = this.formatElementInfo(
+              elementInfo,
+              true,
+              hasText
+            );
+            this.normalizeInspectorSpacing(); // Normalize spacing to override page CSS
+            this.bindPseudoElementTabs(infoDiv, elementInfo);
+            this.bindLayoutSection(infoDiv);
+            this.bindStatesSection(infoDiv);
+            this.bindMediaSection(infoDiv);
+
+            // Smooth fade in transition
+            requestAnimationFrame(() => {
+              infoDiv.style.transition =
+                "opacity 0.2s ease-out, transform 0.2s ease-out";
+              infoDiv.style.opacity = "1";
+              infoDiv.style.transform = "translateY(0)";
+              // Update panel height after content is updated
+              this.updatePanelHeight();
+
+              // Apply squircle clip-paths to inspector elements
+              this.applyInspectorSquircles();
+            });
+          }, 150);
+        }
+      }
+
+      // Add copy button listeners
+      setTimeout(() => {
+        if (!this.shadowRoot) return;
+
+        this.shadowRoot.querySelectorAll("[data-color]").forEach((btn) => {
+          btn.addEventListener("click", (e) => {
+            const color = e.target.closest("[data-color]").dataset.color;
+            navigator.clipboard.writeText(color).then(() => {
+              const originalText = e.target.textContent;
+              e.target.textContent = "Copied";
+              setTimeout(() => {
+                e.target.textContent = originalText;
+              }, 1000);
+            });
+          });
+        });
+
+        // Add font preview copy listener
+        this.shadowRoot
+          .querySelectorAll(".font-preview-copyable")
+          .forEach((el) => {
+            el.addEventListener("click", (e) => {
+              const fontFamily = el.dataset.fontFamily;
+              if (fontFamily) {
+                navigator.clipboard
+                  .writeText(fontFamily)
+                  .then(() => {
+                    this.showToast("Font family copied", el);
+                  })
+                  .catch((err) => {
+                    console.warn(
+                      "[Designspector] Failed to copy font family:",
+                      err
+                    );
+                  });
+              }
+            });
+          });
+
+        this.bindColorFormatSelects(this.shadowRoot);
+
+        // Add copy listeners for all copyable elements
+        this.shadowRoot.querySelectorAll("[data-copy-value]").forEach((el) => {
+          el.addEventListener("click", (e) => {
+            e.stopPropagation();
+            if (this.styleEditMode && this.isEditableValue(el)) {
+              this.startStyleEdit(el);
+              return;
+            }
+            const value = el.dataset.copyValue;
+            const message = el.dataset.copyMessage || "Copied";
+            if (value) {
+              navigator.clipboard
+                .writeText(value)
+                .then(() => {
+                  this.showToast(message, el);
+                })
+                .catch((err) => {
+                  console.error("[Designspector] Failed to copy:", err);
+                });
+            }
+          });
+        });
+
+        this.markEditableValues();
+        this.renderStyleEditBar();
+      }, 0);
+    }
+
+    showEmptyState() {
+      if (!this.inspectorPanel) return;
+      if (!this.shadowRoot) return;
+      const infoDiv = this.shadowRoot.querySelector("#element-info");
+      if (infoDiv) {
+        // Smooth transition out
+        infoDiv.style.transition =
+          "opacity 0.2s ease-out, transform 0.2s ease-out";
+        infoDiv.style.opacity = "0";
+        infoDiv.style.transform = "translateY(-8px)";
+
+        setTimeout(() => {
+          infoDiv.innerHTML = `
+          <div style="text-align: center; padding: 40px 20px; color: #8B8B8B;">
+            <p style="margin: 8px 0; font-size: 14px; color: #E5E5E5; font-family: 'Inter', sans-serif;">Hover over any element to preview its styles</p>
+            <p style="font-size: 12px; color: #8B8B8B; font-family: 'Inter', sans-serif;">Click an element to lock it for inspection</p>
+          </div>
+        `;
+
+          // Smooth transition in
+          requestAnimationFrame(() => {
+            infoDiv.style.opacity = "1";
+            infoDiv.style.transform = "translateY(0)";
+          });
+        }, 200);
+      }
+    }
+
+    sendElementUpdateToPopup(
+      element,
+      isSelected = false,
+      skipAnimation = false
+    ) {
+      // Update the panel on the page directly (not popup)
+      if (this.inspectorPanel) {
+        clearTimeout(this.updateTimeout);
+        this.updateTimeout = setTimeout(() => {
+          this.updateInspectorPanel(element, isSelected, skipAnimation);
+        }, 50);
+      }
+
+      // Also try to send to popup if it's open (for when popup is viewing inspector)
+      try {
+        const styles = this.getCachedComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        const elementInfo = this.extractElementInfo(element, styles, rect);
+
+        chrome.runtime.sendMessage(
+          {
+            action: "elementUpdate",
+            elementInfo: elementInfo,
+            isSelected: isSelected,
+          },
+          (response) => {
+            if (chrome.runtime.lastError) {
+              // Popup might be closed, that's okay
+            }
+          }
+        );
+      } catch (error) {
+        // Silently handle errors
+      }
+    }
+
+    handleMouseOver(e) {
+      if (!this.isActive) return;
+
+      // Don't process events for the document or html/body tags
+      const element = e.target;
+      if (
+        !element ||
+        element === document ||
+        element === document.documentElement ||
+        element === document.body
+      ) {
+        return;
+      }
+
+      // Skip if hovering over inspector panel or highlights
+      // (and the rulers, eyedropper and region capture layers)
+      if (element.closest('[id^="css-inspector-"]')) {
+        return;
+      }
+
+      // Alt-hover measures from the locked element to this one
+      if (
+        e.altKey &&
+        this.selectedElement &&
+        element !== this.selectedElement
+      ) {
+        this.updateMeasureOverlay(element);
+      } else if (this.measureTarget) {
+        this.removeMeasureOverlay();
+      }
+
+      if (element.classList.contains("css-inspector-selected")) {
+        return; // Don't highlight already selected elements
+      }
+
+      // Remove previous hover highlight (but keep selected element locked)
+      if (
+        this.hoveredElement &&
+        this.hoveredElement !== this.selectedElement &&
+        this.hoveredElement !== element
+      ) {
+        this.removeOverlay("hover");
+      }
+
+      // Always allow highlighting on hover (even when element is locked)
+      // But only update panel if no element is locked
+      if (element !== this.selectedElement) {
+        this.hoveredElement = element;
+
+        // During scrolling, just update overlay position (lightweight)
+        if (this.isScrolling) {
+          requestAnimationFrame(() => {
+            this.updateOverlay("hover", element);
+          });
+        } else {
+          // Use debounced update for better performance
+          this.debouncedMouseOver(element);
+        }
+      }
+    }
+
+    handleMouseOut(e) {
+      if (!this.isActive) return;
+      const element = e.target;
+
+      // Don't clear selected element (it stays locked)
+      if (element === this.selectedElement) {
+        return;
+      }
+
+      // Remove highlight from hovered element (but keep selected element visible)
+      if (element !== this.selectedElement) {
+        this.removeOverlay("hover");
+      }
+
+      if (this.hoveredElement === element) {
+        this.hoveredElement = null;
+        // If we have a selected element, don't trigger any updates - just keep showing it (locked)
+        // This prevents flickering when hovering over other elements
+        if (!this.selectedElement && this.inspectorPanel) {
+          // Clear the header when hover stops (if no element is locked)
+          this.updateLockedElementHeader(null);
+          this.showEmptyState();
+        }
+      }
+    }
+
+    handleKeyDown(e) {
+      if (!this.isActive || e.key !== "Alt") return;
+      if (
+        this.selectedElement &&
+        this.hoveredElement &&
+        this.hoveredElement !== this.selectedElement
+      ) {
+        this.updateMeasureOverlay(this.hoveredElement);
+      }
+    }
+
+    handleKeyUp(e) {
+      if (e.key === "Alt") {
+        this.removeMeasureOverlay();
+      }
+    }
+
+    handleMouseDown(e) {
+      if (!this.isActive) return;
+
+      // Don't process events for the document or html/body tags
+      const element = e.target;
+      if (
+        !element ||
+        element === document ||
+        element === document.documentElement ||
+        element === document.body
+      ) {
+        return;
+      }
+
+      // Skip if clicking on inspector panel
+      // (and the rulers, eyedropper and region capture layers)
+      if (element.closest('[id^="css-inspector-"]')) {
+        return;
+      }
+
+      // Track mousedown position to detect drag vs click
+      this.lastMouseDownPos = {
+        x: e.clientX,
+        y: e.clientY,
+        time: Date.now(),
+      };
+    }
+
+    handleClick(e) {
+      if (!this.isActive) return;
+
+      // Don't process events for the document or html/body tags
+      const element = e.target;
+      if (
+        !element ||
+        element === document ||
+        element === document.documentElement ||
+        element === document.body
+      ) {
+        return;
+      }
+
+      // Skip if clicking on inspector panel
+      // (and the rulers, eyedropper and region capture layers)
+      if (element.closest('[id^="css-inspector-"]')) {
+        return;
+      }
+
+      // Detect if this was a drag gesture vs a click
+      // If mouse moved significantly (>5px) or took too long (>500ms), it's likely a drag
+      const isDrag =
+        this.lastMouseDownPos &&
+        (Math.abs(e.clientX - this.lastMouseDownPos.x) > 5 ||
+          Math.abs(e.clientY - this.lastMouseDownPos.y) > 5 ||
+          Date.now() - this.lastMouseDownPos.time > 500);
+
+      // Only prevent default for actual clicks, not drag gestures (which are used for scrolling)
+      if (!isDrag) {
+        // Prevent default behavior for clicks to avoid page interactions
+        // (navigation, form submission, text selection, etc.)
+        e.preventDefault();
+        e.stopPropagation();
+        e.stopImmediatePropagation();
+      } else {
+        // For drags, just stop propagation but allow default behavior (scrolling)
+        e.stopPropagation();
+        // Clear the mousedown position since this was a drag
+        this.lastMouseDownPos = null;
+        return; // Don't process drags as clicks
+      }
+
+      // Check if this is the same element that's already being displayed (before we update selectedElement)
+      // If so, skip animation to avoid re-animating the same content
+      const wasAlreadySelected = this.selectedElement === element;
+      const isSameAsHovered = this.hoveredElement === element;
+      const skipAnimation = wasAlreadySelected || isSameAsHovered;
+
+      // Clear mousedown position since we processed this as a click
+      this.lastMouseDownPos = null;
+
+      this.lockElement(element, skipAnimation);
+    }
+
+    // Lock (select) an element in the inspector and make sure it's fully visible
+    lockElement(element, skipAnimation = false) {
+      // Remove previous selection highlight
+      if (this.selectedElement && this.selectedElement !== element) {
+        this.removeOverlay("selected");
+      }
+
+      // Lock (select) the element
+      this.selectedElement = element;
+      this.removeMeasureOverlay();
+      if (this.hoveredElement === element) {
+        this.removeOverlay("hover");
+        this.hoveredElement = null;
+      }
+      this.updateOverlay("selected", element);
+
+      // Ensure the selected element is fully visible (accounting for outline offset and inspector panel)
+      const rect = element.getBoundingClientRect();
+      const outlineWidth = 3; // Selected has 3px outline
+      const outlineOffset = 2;
+      const viewportPadding = 10;
+      const inspectorPanelWidth = 380; // Panel width from CSS
+      const inspectorPanelRightMargin = 20; // Panel right margin from CSS
+      const effectiveViewportRight =
+        window.innerWidth - inspectorPanelWidth - inspectorPanelRightMargin;
+      const totalExtension = outlineWidth + outlineOffset;
+
+      const currentScrollX = window.scrollX || window.pageXOffset || 0;
+      const currentScrollY = window.scrollY || window.pageYOffset || 0;
+
+      // Calculate outline bounds in viewport coordinates
+      const outlineLeft = rect.left - totalExtension;
+      const outlineRight = rect.right + totalExtension;
+      const outlineTop = rect.top - totalExtension;
+      const outlineBottom = rect.bottom + totalExtension;
+
+      // Calculate absolute document coordinates of outline edges
+      const outlineDocLeft = rect.left + currentScrollX - totalExtension;
+      const outlineDocRight = rect.right + currentScrollX + totalExtension;
+      const outlineDocTop = rect.top + currentScrollY - totalExtension;
+      const outlineDocBottom = rect.bottom + currentScrollY + totalExtension;
+
+      // Calculate desired scroll positions
+      let newScrollX = currentScrollX;
+      let newScrollY = currentScrollY;
+
+      // Left edge: if outline extends beyond viewport left, scroll right
+      if (outlineLeft < viewportPadding) {
+        newScrollX = outlineDocLeft - viewportPadding;
+      }
+      // Right edge: if outline extends beyond effective viewport right, scroll left
+      else if (outlineRight > effectiveViewportRight - viewportPadding) {
+        newScrollX =
+          outlineDocRight - (effectiveViewportRight - viewportPadding);
+      }
+
+      // Top edge: if outline extends beyond viewport top, scroll down
+      if (outlineTop < viewportPadding) {
+        newScrollY = outlineDocTop - viewportPadding;
+      }
+      // Bottom edge: if outline extends beyond viewport bottom, scroll up
+      else if (outlineBottom > window.innerHeight - viewportPadding) {
+        newScrollY = outlineDocBottom - (window.innerHeight - viewportPadding);
+      }
+
+      // Ensure scroll positions are non-negative
+      newScrollX = Math.max(0, newScrollX);
+      newScrollY = Math.max(0, newScrollY);
+
+      // Apply scroll if position changed
+      if (newScrollX !== currentScrollX || newScrollY !== currentScrollY) {
+        window.scrollTo(newScrollX, newScrollY);
+        // Update overlay after scroll
+        requestAnimationFrame(() => {
+          this.updateOverlay("selected", element);
+        });
+      }
+
+      // Update panel header to show locked element identifier (with full opacity dot)
+      this.updateLockedElementHeader(element, true); // true = locked
+
+      // Send update to popup with locked state (skipAnimation was determined above)
+      clearTimeout(this.updateTimeout);
+      this.updateTimeout = setTimeout(() => {
+        this.sendElementUpdateToPopup(element, true, skipAnimation);
+      }, 50);
+    }
+
+    getElementIdentifier(element) {
+      const tag = element.tagName.toLowerCase();
+      const id = element.id ? `#${element.id}` : "";
+      const classList = Array.from(element.classList);
+      const classString = classList.length > 0 ? "." + classList.join(".") : "";
+      return `${tag}${id}${classString}`;
+    }
+
+    getElementTypeLabel(element) {
+      if (!element) return "Element";
+
+      const tagName = element.tagName.toLowerCase();
+
+      // Check for specific tags first
+      if (tagName === "img" || tagName === "picture") {
+        return "Image";
+      } else if (tagName === "video") {
+        return "Video";
+      } else if (tagName === "svg") {
+        return "SVG";
+      } else if (tagName === "a") {
+        return "Link";
+      } else if (tagName === "button") {
+        return "Button";
+      } else if (["input", "textarea", "select"].includes(tagName)) {
+        return "Input";
+      } else if (
+        [
+          "p",
+          "h1",
+          "h2",
+          "h3",
+          "h4",
+          "h5",
+          "h6",
+          "span",
+          "li",
+          "td",
+          "th",
+          "label",
+          "strong",
+          "em",
+          "b",
+          "i",
+        ].includes(tagName)
+      ) {
+        return "Text";
+      } else if (
+        tagName === "div" ||
+        tagName === "section" ||
+        tagName === "article" ||
+        tagName === "main" ||
+        tagName === "header" ||
+        tagName === "footer" ||
+        tagName === "aside" ||
+        tagName === "nav"
+      ) {
+        // Check for image content in containers
+        if (element.querySelector("img")) {
+          return "Image";
+        } else {
+          const styles = this.getCachedComputedStyle(element);
+          if (
+            styles.backgroundImage &&
+            styles.backgroundImage !== "none" &&
+            styles.backgroundImage.includes("url(")
+          ) {
+            return "Image";
+          } else if (
+            element.textContent &&
+            element.textContent.trim().length > 0
+          ) {
+            return "Text";
+          } else {
+            return "Container";
+          }
+        }
+      } else {
+        // Default: capitalize first letter
+        return tagName.charAt(0).toUpperCase() + tagName.slice(1);
+      }
+    }
+
+    updateLockedElementHeader(element, isLocked = true) {
+      if (!this.inspectorPanel) return;
+
+      if (!this.shadowRoot) return;
+      const lockedInfo = this.shadowRoot.querySelector("#locked-element-info");
+      const websiteInfo = this.shadowRoot.querySelector("#website-info");
+
+      if (element) {
+        // Show element info, hide website info
+        // Format: "Type.tag" (e.g., "Text.p", "Image.div", "Button.button")
+        const tagName = element.tagName.toLowerCase();
+        const typeLabel = this.getElementTypeLabel(element);
+        const typeLabelEscaped = typeLabel
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;");
+        const tagNameEscaped = tagName
+          .replace(/</g, "&lt;")
+          .replace(/>/g, "&gt;");
+
+        if (lockedInfo) {
+          const colors = this.getThemeColors();
+          // Dot styling: gray when hovered (turned off), green with glow when locked (turned on)
+          const dotColor = isLocked ? "#10B981" : colors.textTertiary; // Green when locked, gray when hovered
+          const dotGlow = isLocked
+            ? "0 0 12px rgba(16, 185, 129, 0.8), 0 0 8px rgba(16, 185, 129, 0.6), 0 0 4px rgba(16, 185, 129, 0.4)"
+            : "none";
+          lockedInfo.style.display = "flex";
+          lockedInfo.style.alignItems = "center";
+          lockedInfo.style.flexWrap = "wrap";
+          lockedInfo.style.gap = "8px";
+          lockedInfo.innerHTML = `
+          <div style="width: 8px; height: 8px; background: ${dotColor}; border-radius: 50%; flex-shrink: 0; box-shadow: ${dotGlow}; transition: background 0.2s, box-shadow 0.2s;"></div>
+          <div style="font-size: 24px; font-weight: 600; color: ${colors.textPrimary}; font-family: 'Inter', sans-serif; letter-spacing: -0.01em;">
+            <span>${typeLabelEscaped}.</span>
+            <span style="opacity: 0.75;">${tagNameEscaped}</span>
+      </div>
+          ${isLocked ? this.renderCaptureControls(colors) : ""}
     `;
+          if (isLocked) {
+            this.bindCaptureControls(lockedInfo, element);
+          }
+        }
 
-      const blob = new Blob([html], { type: "text/html" });
-      const url = URL.createObjectURL(blob);
-      window.open(url, "_blank", "width=900,height=700");
+        if (websiteInfo) {
+          websiteInfo.style.display = "none";
+        }
+      } else {
+        // Hide element info, show website info
+        if (lockedInfo) {
+          lockedInfo.style.display = "none";
+          lockedInfo.innerHTML = "";
+        }
+
+        if (websiteInfo) {
+          websiteInfo.style.display = "flex";
+        }
+      }
     }
 
-    // Cached getComputedStyle for performance
-    getCachedComputedStyle(element) {
-      // Use element as cache key (DOM elements are unique)
-      const cacheKey = element;
-      let cached = this.styleCache.get(cacheKey);
-      if (!cached) {
-        cached = window.getComputedStyle(element);
-        this.styleCache.set(cacheKey, cached);
+    unlockElement() {
+      if (this.selectedElement) {
+        this.removeOverlay("selected");
+        this.selectedElement = null;
       }
-      return cached;
+
+      // Update header to show website info again
+      this.updateLockedElementHeader(null);
+
+      // Show empty state
+      this.showEmptyState();
+      this.renderStyleEditBar();
     }
 
-    updateInspectorPanel(element, isSelected = false, skipAnimation = false) {
-      if (!this.inspectorPanel) return;
+    // Values that can be edited in place: the locked element's own sections,
+    // not its pseudo-element tabs
+    isEditableValue(el) {
+      if (!el.dataset.editProperty || !this.selectedElement) return false;
+      const view = el.closest("[data-pseudo-view]");
+      return !view || view.dataset.pseudoView === "element";
+    }
 
-      // If an element is locked and we're trying to update with a different element (not from a click),
-      // skip the update to prevent flickering
+    // Dashed outline on the editable values while edit mode is on
+    markEditableValues() {
+      if (!this.shadowRoot) return;
+      const infoDiv = this.shadowRoot.querySelector("#element-info");
+      if (!infoDiv) return;
+      infoDiv.querySelectorAll("[data-edit-property]").forEach((el) => {
+        const editable = this.styleEditMode && this.isEditableValue(el);
+        el.style.outline = editable ? "1px dashed #3B82F6" : "";
+        el.style.outlineOffset = editable ? "2px" : "";
+        el.title = editable ? `Edit ${el.dataset.editProperty}` : "";
+      });
+    }
+
+    // Swaps a value in the inspector for a text input; Enter or leaving the
+    // field applies it to the locked element, Escape cancels
+    startStyleEdit(el) {
+      const element = this.selectedElement;
+      const property = el.dataset.editProperty;
+      if (!element || !property || el.querySelector("input")) return;
+
+      const colors = this.getThemeColors();
+      const originalValue = el.dataset.copyValue || "";
+      const input = document.createElement("input");
+      input.type = "text";
+      input.value = originalValue;
+      input.spellcheck = false;
+      input.style.cssText = `width: 100%; min-width: 48px; box-sizing: border-box; padding: 2px 4px; border: 1px solid #3B82F6; border-radius: 4px; background: ${colors.bgPrimary}; color: ${colors.textPrimary}; font-size: 12px; font-family: 'Courier New', monospace; outline: none;`;
+      el.innerHTML = "";
+      el.appendChild(input);
+
+      let done = false;
+      const finish = (apply) => {
+        if (done) return;
+        done = true;
+        if (
+          !apply ||
+          !this.applyStyleEdit(element, property, input.value, originalValue)
+        ) {
+          // Put the original value back
+          this.updateInspectorPanel(element, true, true);
+        }
+      };
+      ["click", "mousedown"].forEach((type) =>
+        input.addEventListener(type, (e) => e.stopPropagation())
+      );
+      input.addEventListener("keydown", (e) => {
+        e.stopPropagation();
+        if (e.key === "Enter") {
+          e.preventDefault();
+          finish(true);
+        } else if (e.key === "Escape") {
+          e.preventDefault();
+          finish(false);
+        }
+      });
+      input.addEventListener("blur", () => finish(true));
+      input.focus();
+      input.select();
+    }
+
+    // Sets a property on the element as an !important inline style and
+    // records it on the edit history (dropping anything that could be redone)
+    // Returns false for an empty or invalid value, and for one that leaves the
+    // shown value as it was (clicking a value and then away isn't an edit)
+    applyStyleEdit(element, property, rawValue, originalValue = "") {
+      const value = normalizeStyleEditValue(property, rawValue);
+      if (!value) return false;
+      const from = window.getComputedStyle(element).getPropertyValue(property);
       if (
-        this.selectedElement &&
-        this.selectedElement !== element &&
-        !isSelected
+        isSameStyleValue(
+          value,
+          normalizeStyleEditValue(property, originalValue)
+        ) ||
+        isSameStyleValue(value, from)
       ) {
+        return false;
+      }
+      if (!CSS.supports(property, value)) {
+        this.showToast(`Invalid ${property} value`);
+        return false;
+      }
+
+      const edit = {
+        element,
+        selector: getUniqueSelector(element),
+        property,
+        from,
+        to: value,
+        previous: {
+          value: element.style.getPropertyValue(property),
+          priority: element.style.getPropertyPriority(property),
+        },
+      };
+      this.styleEdits = this.styleEdits.slice(0, this.styleEditIndex);
+      this.styleEdits.push(edit);
+      this.styleEditIndex = this.styleEdits.length;
+      element.style.setProperty(property, value, "important");
+      this.refreshAfterStyleEdit(element);
+      return true;
+    }
+
+    // Puts back the inline value an edit replaced
+    revertStyleEdit(edit) {
+      if (edit.previous.value) {
+        edit.element.style.setProperty(
+          edit.property,
+          edit.previous.value,
+          edit.previous.priority
+        );
+      } else {
+        edit.element.style.removeProperty(edit.property);
+      }
+    }
+
+    undoStyleEdit() {
+      if (this.styleEditIndex === 0) return;
+      this.styleEditIndex--;
+      const edit = this.styleEdits[this.styleEditIndex];
+      this.revertStyleEdit(edit);
+      this.showToast(`Undid ${edit.property} on ${edit.selector}`);
+      this.refreshAfterStyleEdit(edit.element);
+    }
+
+    redoStyleEdit() {
+      if (this.styleEditIndex >= this.styleEdits.length) return;
+      const edit = this.styleEdits[this.styleEditIndex];
+      this.styleEditIndex++;
+      edit.element.style.setProperty(edit.property, edit.to, "important");
+      this.showToast(`Redid ${edit.property} on ${edit.selector}`);
+      this.refreshAfterStyleEdit(edit.element);
+    }
+
+    // Reverts every applied edit and empties the history
+    resetStyleEdits() {
+      while (this.styleEditIndex > 0) {
+        this.styleEditIndex--;
+        this.revertStyleEdit(this.styleEdits[this.styleEditIndex]);
+      }
+      this.styleEdits = [];
+      this.refreshAfterStyleEdit(this.selectedElement);
+    }
+
+    // Re-reads the locked element after an edit to it; edits to other
+    // elements (undo / redo across elements) only update the edit bar
+    refreshAfterStyleEdit(element) {
+      this.interactiveStateCache = null;
+      this.matchedRuleCache = null;
+      if (element && element === this.selectedElement) {
+        this.updateOverlay("selected", element);
+        this.updateInspectorPanel(element, true, true);
+      } else {
+        this.renderStyleEditBar();
+      }
+    }
+
+    // The applied edits folded into a CSS patch, one rule per element
+    getStyleEditCss() {
+      const groups = buildStyleEditDiff(
+        this.styleEdits.slice(0, this.styleEditIndex)
+      );
+      if (groups.length === 0) return "";
+      return formatStyleEditCss(groups, window.location.href);
+    }
+
+    // Edit mode toggle, undo / redo and the CSS patch export, shown above the
+    // element info while an element is locked or there are edits
+    renderStyleEditBar() {
+      if (!this.shadowRoot) return;
+      const bar = this.shadowRoot.querySelector("#style-edit-bar");
+      if (!bar) return;
+
+      if (!this.selectedElement && this.styleEdits.length === 0) {
+        if (bar.style.display !== "none") {
+          bar.style.display = "none";
+          bar.innerHTML = "";
+          this.updatePanelHeight(false, true);
+        }
         return;
       }
 
+      const colors = this.getThemeColors();
+      const applied = this.styleEditIndex;
+      const canUndo = applied > 0;
+      const canRedo = applied < this.styleEdits.length;
+      const buttonStyle = (enabled) =>
+        `padding: 2px 8px; border: 1px solid ${colors.border}; background: ${
+          colors.bgPrimary
+        }; color: ${
+          colors.textPrimary
+        }; font-size: 12px; font-family: 'Inter', sans-serif; border-radius: 6px; cursor: ${
+          enabled ? "pointer" : "default"
+        }; opacity: ${enabled ? "1" : "0.4"}; outline: none;`;
+
+      bar.innerHTML = `
+        <div style="margin-bottom: 16px; padding: 8px 12px; background: ${
+          colors.bgSecondary
+        }; border: 1px solid ${
+        this.styleEditMode ? "#3B82F6" : colors.border
+      }; border-radius: 12px; display: flex; align-items: center; gap: 6px;">
+          <button data-style-edit-mode style="padding: 3px 8px; border: none; background: ${
+            this.styleEditMode ? colors.segmentActive : "transparent"
+          }; color: ${
+        this.styleEditMode ? colors.textPrimary : colors.textSecondary
+      }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; white-space: nowrap;">Edit ${
+        this.styleEditMode ? "on" : "off"
+      }</button>
+          <span style="flex: 1; min-width: 0; font-size: 11px; color: ${
+            colors.textSecondary
+          }; font-family: 'Inter', sans-serif; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${
+        applied > 0
+          ? `${applied} edit${applied === 1 ? "" : "s"}`
+          : this.styleEditMode
+          ? "Click a value to edit it"
+          : "No edits"
+      }</span>
+          <button data-style-edit-undo title="Undo" style="${buttonStyle(
+            canUndo
+          )}">↶</button>
+          <button data-style-edit-redo title="Redo" style="${buttonStyle(
+            canRedo
+          )}">↷</button>
+          <button data-style-edit-copy title="Copy the edits as CSS" style="${buttonStyle(
+            canUndo
+          )}">CSS</button>
+          <button data-style-edit-download title="Download the edits as a .css file" style="${buttonStyle(
+            canUndo
+          )}">↓</button>
+          <button data-style-edit-reset title="Revert all edits" style="${buttonStyle(
+            this.styleEdits.length > 0
+          )}">×</button>
+        </div>
+      `;
+      bar.style.display = "block";
+
+      const bind = (selector, handler) => {
+        const button = bar.querySelector(selector);
+        if (!button) return;
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          handler(button);
+        });
+      };
+      bind("[data-style-edit-mode]", () => {
+        this.styleEditMode = !this.styleEditMode;
+        this.markEditableValues();
+        this.renderStyleEditBar();
+      });
+      bind("[data-style-edit-undo]", () => this.undoStyleEdit());
+      bind("[data-style-edit-redo]", () => this.redoStyleEdit());
+      bind("[data-style-edit-copy]", (button) => {
+        const css = this.getStyleEditCss();
+        if (!css) return;
+        navigator.clipboard
+          .writeText(css)
+          .then(() => this.showToast("Style edits copied", button))
+          .catch((err) => {
+            console.error("[CSS Inspector] Failed to copy style edits:", err);
+          });
+      });
+      bind("[data-style-edit-download]", () => {
+        const css = this.getStyleEditCss();
+        if (!css) return;
+        this.downloadFile(
+          `${this.getExportFileBaseName()}-style-edits.css`,
+          css,
+          "text/css"
+        );
+        this.showToast("Style edits exported");
+      });
+      bind("[data-style-edit-reset]", () => {
+        if (this.styleEdits.length > 0) this.resetStyleEdits();
+      });
+
+      this.updatePanelHeight(false, true);
+    }
+
+    // Locate mode: outline a set of elements on the page and step through them,
+    // locking each one in the inspector
+    // label/note describe what is being located as plain text, swatch is an
+    // optional CSS background
+    // and getRoles(element) returns short tags shown next to each element in the list
+    startLocate({ label, note = "", swatch = null, elements, getRoles }) {
+      this.stopLocate();
+
+      // Page order, so prev/next walks the page top to bottom
+      const items = Array.from(new Set(elements || []))
+        .filter((element) => element.isConnected)
+        .sort((a, b) =>
+          a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING
+            ? -1
+            : 1
+        )
+        .map((element) => ({
+          element,
+          roles: getRoles ? getRoles(element) : [],
+        }));
+
+      this.locateState = {
+        label,
+        note,
+        swatch,
+        items,
+        index: 0,
+        overlays: items.map((item) =>
+          this.createOverlay("locate", item.element)
+        ),
+      };
+
+      if (!this.isActive) {
+        this.setInspectorState(true);
+      }
+      this.renderLocateBar();
+      if (items.length > 0) {
+        this.stepLocate(0);
+      }
+    }
+
+    // Locate every element that uses one of the given palette colors
+    // (a single color or all variants of a near-duplicate group)
+    startColorLocate(colors) {
+      const keys = new Set();
+      const elements = [];
+      (colors || []).forEach((color) => {
+        const parsed = this.parseColor(color.value || color.hex);
+        if (parsed) keys.add(getColorKey(parsed));
+        elements.push(...(color.elements || []));
+      });
+
+      const primary = (colors && colors[0]) || {};
+      this.startLocate({
+        label:
+          this.formatColorValue(primary.value || primary.hex) ||
+          primary.hex ||
+          "",
+        note:
+          colors && colors.length > 1 ? `+${colors.length - 1} similar` : "",
+        swatch: this.getColorSwatchBackground(primary.value || primary.hex),
+        elements,
+        getRoles: (element) => this.getColorRoles(element, keys),
+      });
+    }
+
+    // Which of text / background / border on the element use one of the located colors
+    getColorRoles(element, keys) {
       const styles = this.getCachedComputedStyle(element);
-      const rect = element.getBoundingClientRect();
-      const elementInfo = this.extractElementInfo(element, styles, rect);
+      const matches = (value) => {
+        const parsed = this.parseColor(value);
+        return !!parsed && keys.has(getColorKey(parsed));
+      };
+      // Each side separately: the borderColor shorthand is empty in some
+      // browsers and only one side may use the color
+      const matchesBorder = (sideStyles) =>
+        ["Top", "Right", "Bottom", "Left"].some((side) =>
+          matches(sideStyles[`border${side}Color`])
+        );
+      const roles = [];
+      if (matches(styles.color)) roles.push("text");
+      if (matches(styles.backgroundColor)) roles.push("background");
+      if (matchesBorder(styles)) roles.push("border");
+      const inGradient = parseGradientList(styles.backgroundImage).some(
+        (gradient) => gradient.stops.some((stop) => matches(stop.color))
+      );
+      if (inGradient) roles.push("gradient");
+      this.getPseudoElementStyles(element, styles, true).forEach((pseudo) => {
+        const pseudoStyles = pseudo.styles;
+        if (
+          matches(pseudoStyles.color) ||
+          matches(pseudoStyles.backgroundColor) ||
+          matchesBorder(pseudoStyles)
+        ) {
+          roles.push(pseudo.kind.selector);
+        }
+      });
+      return roles;
+    }
 
-      // Determine element type and what to show
-      // Check if element has text content or is a text-related element
-      const hasTextContent =
-        element.innerText && element.innerText.trim().length > 0;
-      const isTextElement = [
-        "P",
-        "H1",
-        "H2",
-        "H3",
-        "H4",
-        "H5",
-        "H6",
-        "SPAN",
-        "A",
-        "BUTTON",
-        "LABEL",
-        "LI",
-        "TD",
-        "TH",
-        "DT",
-        "DD",
-        "STRONG",
-        "EM",
-        "B",
-        "I",
-        "CODE",
-        "PRE",
-        "BLOCKQUOTE",
-      ].includes(element.tagName.toUpperCase());
-      const hasText = hasTextContent || isTextElement;
+    // Scroll to the n-th located element (wrapping around) and lock it in the inspector
+    stepLocate(index) {
+      if (!this.locateState || this.locateState.items.length === 0) return;
 
-      if (!this.shadowRoot) return;
-      const infoDiv = this.shadowRoot.querySelector("#element-info");
-      if (infoDiv) {
-        if (skipAnimation) {
-          // Instant update without animation
-          infoDiv.style.transition = "none";
-          infoDiv.innerHTML = this.formatElementInfo(
-            elementInfo,
-            true,
-            hasText
-          );
-          this.normalizeInspectorSpacing(); // Normalize spacing to override page CSS
-          infoDiv.style.opacity = "1";
-          infoDiv.style.transform = "translateY(0)";
-          // Update panel height for instant updates
-          setTimeout(() => {
-            this.updatePanelHeight();
+      const count = this.locateState.items.length;
+      this.locateState.index = ((index % count) + count) % count;
+      const { element } = this.locateState.items[this.locateState.index];
 
-            // Apply squircle clip-paths to inspector elements
-            this.applyInspectorSquircles();
-          }, 0);
-        } else {
-          // Smooth fade out transition
-          infoDiv.style.transition =
-            "opacity 0.15s ease-out, transform 0.15s ease-out";
-          infoDiv.style.opacity = "0";
-          infoDiv.style.transform = "translateY(-6px)";
+      element.scrollIntoView({ block: "center", inline: "nearest" });
+      this.lockElement(element);
+      this.renderLocateBar();
+      requestAnimationFrame(() => {
+        this.updateLocateOverlays();
+      });
+    }
+
+    updateLocateOverlays() {
+      if (!this.locateState) return;
+      const totalExtension = 4; // 2px outline + 2px offset, as in createOverlay
+
+      this.locateState.items.forEach((item, i) => {
+        const overlay = this.locateState.overlays[i];
+        if (!overlay) return;
+        const rect = item.element.getBoundingClientRect();
+        overlay.style.left = `${rect.left - totalExtension}px`;
+        overlay.style.top = `${rect.top - totalExtension}px`;
+        overlay.style.width = `${rect.width + totalExtension * 2}px`;
+        overlay.style.height = `${rect.height + totalExtension * 2}px`;
+      });
+    }
 
-          // Update content after fade out starts
-          setTimeout(() => {
-            infoDiv.innerHTML = this.formatElementInfo(
-              elementInfo,
-              true,
-              hasText
-            );
-            this.normalizeInspectorSpacing(); // Normalize spacing to override page CSS
+    stopLocate() {
+      if (this.locateState) {
+        this.locateState.overlays.forEach((overlay) => {
+          if (overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+          }
+        });
+        this.locateState = null;
+      }
+      // Also remove any orphaned locate overlays
+      document.querySelectorAll(".css-inspector-overlay-locate").forEach((el) => {
+        if (el.parentNode) {
+          el.parentNode.removeChild(el);
+        }
+      });
+      this.renderLocateBar();
+    }
 
-            // Smooth fade in transition
-            requestAnimationFrame(() => {
-              infoDiv.style.transition =
-                "opacity 0.2s ease-out, transform 0.2s ease-out";
-              infoDiv.style.opacity = "1";
-              infoDiv.style.transform = "translateY(0)";
-              // Update panel height after content is updated
-              this.updatePanelHeight();
+    // Navigation for Locate mode, shown above the element info in the inspector
+    renderLocateBar() {
+      if (!this.shadowRoot) return;
+      const bar = this.shadowRoot.querySelector("#locate-bar");
+      if (!bar) return;
 
-              // Apply squircle clip-paths to inspector elements
-              this.applyInspectorSquircles();
-            });
-          }, 150);
+      if (!this.locateState) {
+        if (bar.style.display !== "none") {
+          bar.style.display = "none";
+          bar.innerHTML = "";
+          this.updatePanelHeight(false, true);
         }
+        return;
       }
 
-      // Add copy button listeners
-      setTimeout(() => {
-        if (!this.shadowRoot) return;
+      const themeColors = this.getThemeColors();
+      const { label, note, swatch, items, index } = this.locateState;
+      const buttonStyle = `padding: 2px 8px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgPrimary}; color: ${themeColors.textPrimary}; font-size: 12px; font-family: 'Inter', sans-serif; border-radius: 6px; cursor: pointer; outline: none;`;
 
-        this.shadowRoot.querySelectorAll("[data-color]").forEach((btn) => {
-          btn.addEventListener("click", (e) => {
-            const color = e.target.closest("[data-color]").dataset.color;
-            navigator.clipboard.writeText(color).then(() => {
-              const originalText = e.target.textContent;
-              e.target.textContent = "Copied";
-              setTimeout(() => {
-                e.target.textContent = originalText;
-              }, 1000);
-            });
-          });
-        });
+      const list = items
+        .map((item, i) => {
+          const identifier = this.escapeHtml(
+            this.getElementIdentifier(item.element)
+          );
+          return `
+          <div data-locate-index="${i}" style="display: flex; align-items: center; gap: 8px; padding: 4px 6px; border-radius: 6px; cursor: pointer; font-size: 11px; background: ${
+            i === index ? themeColors.bgHover : "transparent"
+          }; color: ${
+            i === index ? themeColors.textPrimary : themeColors.textSecondary
+          };">
+            <span style="min-width: 20px; font-family: 'Inter', sans-serif;">${
+              i + 1
+            }</span>
+            <span style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: 'Courier New', monospace;">${identifier}</span>
+            <span style="font-family: 'Inter', sans-serif; font-size: 10px; white-space: nowrap;">${this.escapeHtml(
+              item.roles.join(", ")
+            )}</span>
+          </div>`;
+        })
+        .join("");
 
-        // Add font preview copy listener
-        this.shadowRoot
-          .querySelectorAll(".font-preview-copyable")
-          .forEach((el) => {
-            el.addEventListener("click", (e) => {
-              const fontFamily = el.dataset.fontFamily;
-              if (fontFamily) {
-                navigator.clipboard
-                  .writeText(fontFamily)
-                  .then(() => {
-                    this.showToast("Font family copied", el);
-                  })
-                  .catch((err) => {
-                    console.warn(
-                      "[Designspector] Failed to copy font family:",
-                      err
-                    );
-                  });
-              }
-            });
-          });
+      bar.innerHTML = `
+        <div style="margin-bottom: 16px; padding: 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid #F59E0B; border-radius: 12px; display: flex; flex-direction: column; gap: 8px;">
+          <div style="display: flex; align-items: center; gap: 8px;">
+            ${
+              swatch
+                ? `<div style="width: 16px; height: 16px; flex-shrink: 0; border-radius: 4px; border: 1px solid ${themeColors.border}; background: ${swatch};"></div>`
+                : ""
+            }
+            <div style="flex: 1; min-width: 0; font-size: 12px; font-family: 'Inter', sans-serif; color: ${
+              themeColors.textPrimary
+            }; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+              Locating <span style="font-family: 'Courier New', monospace; font-weight: 600;">${this.escapeHtml(
+        label
+      )}</span>${
+        note
+          ? `<span style="color: ${
+              themeColors.textSecondary
+            };"> ${this.escapeHtml(note)}</span>`
+          : ""
+      }
+            </div>
+            <span style="font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif; white-space: nowrap;">${
+        items.length > 0 ? `${index + 1} / ${items.length}` : "0 / 0"
+      }</span>
+            <button id="locate-prev" title="Previous element" style="${buttonStyle}">‹</button>
+            <button id="locate-next" title="Next element" style="${buttonStyle}">›</button>
+            <button id="locate-close" title="Exit Locate" style="${buttonStyle}">×</button>
+          </div>
+          ${
+            items.length > 0
+              ? `<div id="locate-list" style="position: relative; max-height: 140px; overflow-y: auto; display: flex; flex-direction: column; gap: 2px;">${list}</div>`
+              : `<div style="font-size: 11px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">None of these elements are on the page anymore</div>`
+          }
+        </div>
+      `;
+      bar.style.display = "block";
 
-        // Add copy listeners for all copyable elements
-        this.shadowRoot.querySelectorAll("[data-copy-value]").forEach((el) => {
-          el.addEventListener("click", (e) => {
+      setTimeout(() => {
+        const prev = bar.querySelector("#locate-prev");
+        const next = bar.querySelector("#locate-next");
+        const close = bar.querySelector("#locate-close");
+        if (prev) {
+          prev.addEventListener("click", (e) => {
             e.stopPropagation();
-            const value = el.dataset.copyValue;
-            const message = el.dataset.copyMessage || "Copied";
-            if (value) {
-              navigator.clipboard
-                .writeText(value)
-                .then(() => {
-                  this.showToast(message, el);
-                })
-                .catch((err) => {
-                  console.error("[Designspector] Failed to copy:", err);
-                });
-            }
+            this.stepLocate(this.locateState.index - 1);
+          });
+        }
+        if (next) {
+          next.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.stepLocate(this.locateState.index + 1);
+          });
+        }
+        if (close) {
+          close.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.stopLocate();
+          });
+        }
+        bar.querySelectorAll("[data-locate-index]").forEach((row) => {
+          row.addEventListener("click", (e) => {
+            e.stopPropagation();
+            this.stepLocate(parseInt(row.dataset.locateIndex, 10));
           });
         });
+
+        // Keep the current element visible in the list
+        const list = bar.querySelector("#locate-list");
+        const activeRow = bar.querySelector(`[data-locate-index="${index}"]`);
+        if (list && activeRow) {
+          list.scrollTop =
+            activeRow.offsetTop - list.clientHeight / 2 + activeRow.offsetHeight / 2;
+        }
       }, 0);
+
+      this.updatePanelHeight(false, true);
     }
 
-    showEmptyState() {
-      if (!this.inspectorPanel) return;
-      if (!this.shadowRoot) return;
-      const infoDiv = this.shadowRoot.querySelector("#element-info");
-      if (infoDiv) {
-        // Smooth transition out
-        infoDiv.style.transition =
-          "opacity 0.2s ease-out, transform 0.2s ease-out";
-        infoDiv.style.opacity = "0";
-        infoDiv.style.transform = "translateY(-8px)";
+    extractElementInfo(element, styles, rect) {
+      const classList = Array.from(element.classList);
+      const classString = classList.length > 0 ? "." + classList.join(".") : "";
 
-        setTimeout(() => {
-          infoDiv.innerHTML = `
-          <div style="text-align: center; padding: 40px 20px; color: #8B8B8B;">
-            <p style="margin: 8px 0; font-size: 14px; color: #E5E5E5; font-family: 'Inter', sans-serif;">Hover over any element to preview its styles</p>
-            <p style="font-size: 12px; color: #8B8B8B; font-family: 'Inter', sans-serif;">Click an element to lock it for inspection</p>
-          </div>
-        `;
+      return {
+        tag: element.tagName.toLowerCase(),
+        classes: classString,
+        id: element.id || null,
+        dimensions: {
+          width: Math.round(rect.width),
+          height: Math.round(rect.height),
+        },
+        typography: {
+          fontFamily: styles.fontFamily,
+          fontSize: styles.fontSize,
+          fontWeight: styles.fontWeight,
+          lineHeight: styles.lineHeight,
+          letterSpacing: styles.letterSpacing,
+        },
+        spacing: this.extractElementSpacing(styles),
+        colors: {
+          color: styles.color,
+          backgroundColor: styles.backgroundColor,
+          borderColor: styles.borderColor || styles.borderTopColor,
+        },
+        border: {
+          radius: styles.borderRadius,
+          width: {
+            top: this.parseValue(styles.borderTopWidth),
+            right: this.parseValue(styles.borderRightWidth),
+            bottom: this.parseValue(styles.borderBottomWidth),
+            left: this.parseValue(styles.borderLeftWidth),
+          },
+          style: styles.borderStyle,
+        },
+        position: {
+          top: Math.round(rect.top),
+          left: Math.round(rect.left),
+        },
+        gradients: parseGradientList(styles.backgroundImage),
+        shadows: getElementShadows(styles),
+        layout: this.extractLayoutInfo(element, styles),
+        media:
+          element === this.selectedElement
+            ? this.extractMediaInfo(element, styles)
+            : null,
+        tokens: this.getTokenReferences(element),
+        pseudoElements: this.extractPseudoElements(element, styles),
+        // Forcing states touches the DOM, so only the locked element is compared
+        states:
+          element === this.selectedElement
+            ? this.extractInteractiveStates(element)
+            : null,
+        rules:
+          element === this.selectedElement
+            ? this.getMatchedRules(element)
+            : null,
+        breakpoints:
+          element === this.selectedElement
+            ? this.getBreakpointValues(element)
+            : null,
+      };
+    }
 
-          // Smooth transition in
-          requestAnimationFrame(() => {
-            infoDiv.style.opacity = "1";
-            infoDiv.style.transform = "translateY(0)";
+    // Computed styles of the element in each interactive state, read by
+    // switching on the page's state rules through the state attribute (on
+    // the element and, for :hover / :active / :focus-within, its ancestors)
+    // While measuring, every state rule only matches the attribute, so the
+    // real pointer or focus on the element doesn't leak into Default
+    // Returns { states: [{ id, label, values, changes }], unreadable } or null
+    // when neither the element nor the page has states
+    extractInteractiveStates(element) {
+      if (
+        this.interactiveStateCache &&
+        this.interactiveStateCache.element === element
+      ) {
+        return this.interactiveStateCache.states;
+      }
+
+      const tag = element.tagName.toLowerCase();
+      const isFormControl = [
+        "button",
+        "input",
+        "select",
+        "textarea",
+        "fieldset",
+        "optgroup",
+        "option",
+      ].includes(tag);
+      const isInteractive =
+        isFormControl ||
+        (tag === "a" && element.hasAttribute("href")) ||
+        tag === "summary" ||
+        element.hasAttribute("tabindex") ||
+        element.isContentEditable;
+
+      if (!this.stateRuleCache) {
+        this.stateRuleCache = collectStateRules(document);
+      }
+      const stateRules = this.stateRuleCache;
+      if (stateRules.rules.length === 0 && !isInteractive) {
+        this.interactiveStateCache = { element, states: null };
+        return null;
+      }
+
+      const attribute = getStateAttribute();
+      const ancestors = [];
+      for (let node = element.parentElement; node; node = node.parentElement) {
+        ancestors.push(node);
+      }
+      const setState = (elementValue, ancestorValue) => {
+        element.setAttribute(attribute, elementValue);
+        ancestors.forEach((ancestor) =>
+          ancestor.setAttribute(attribute, ancestorValue)
+        );
+      };
+
+      const computed = window.getComputedStyle(element);
+      const snapshot = () => {
+        const values = {};
+        getStateDiffProperties().forEach((property) => {
+          values[property] = computed.getPropertyValue(property);
+        });
+        return values;
+      };
+
+      const style = document.createElement("style");
+      style.id = "css-inspector-state-styles";
+      style.textContent = getStateResetCss();
+      (document.head || document.documentElement).appendChild(style);
+
+      const states = [];
+      try {
+        setState("", "");
+        setStateRulesRewritten(stateRules, true);
+        let base = null;
+        getInteractiveStates().forEach((state) => {
+          if (state.formControlsOnly && !isFormControl) return;
+          setState(
+            state.pseudoClasses.join(" "),
+            (state.ancestorPseudoClasses || []).join(" ")
+          );
+          const values = snapshot();
+          if (!base) base = values;
+          states.push({
+            id: state.id,
+            label: state.label,
+            values,
+            changes: diffStateStyles(base, values),
           });
-        }, 200);
+        });
+      } catch (error) {
+        console.warn(
+          "[CSS Inspector] Failed to read interactive states:",
+          error
+        );
+      } finally {
+        // Settle back on the default values while transitions are still off,
+        // so leaving a forced state doesn't animate on the page
+        setState("", "");
+        setStateRulesRewritten(stateRules, false);
+        computed.getPropertyValue("color");
+        element.removeAttribute(attribute);
+        ancestors.forEach((ancestor) => ancestor.removeAttribute(attribute));
+        style.remove();
       }
+
+      const result =
+        states.length > 0
+          ? {
+              states,
+              unreadable: stateRules.unreadable,
+            }
+          : null;
+      this.interactiveStateCache = { element, states: result };
+      return result;
     }
 
-    sendElementUpdateToPopup(
-      element,
-      isSelected = false,
-      skipAnimation = false
-    ) {
-      // Update the panel on the page directly (not popup)
-      if (this.inspectorPanel) {
-        clearTimeout(this.updateTimeout);
-        this.updateTimeout = setTimeout(() => {
-          this.updateInspectorPanel(element, isSelected, skipAnimation);
-        }, 50);
+    // Computed styles of the pseudo-elements the element renders (or, for
+    // ::selection, styles): [{ kind, styles }] in tab order
+    // Page-wide scans pass targetedOnly to read only the kinds the page's
+    // stylesheets target, instead of up to five more getComputedStyle() calls
+    // per element
+    getPseudoElementStyles(element, styles, targetedOnly = false) {
+      const tag = element.tagName.toLowerCase();
+      const targeted = targetedOnly ? this.getTargetedPseudoElements() : null;
+      return getPseudoElementKinds()
+        .filter((kind) => {
+          // Skip the getComputedStyle() calls that can't match
+          if (targeted && !targeted.has(kind.id)) return false;
+          if (kind.id === "marker") return /list-item/.test(styles.display);
+          if (kind.id === "placeholder") {
+            return tag === "input" || tag === "textarea";
+          }
+          return true;
+        })
+        .map((kind) => ({
+          kind,
+          styles: window.getComputedStyle(element, kind.selector),
+        }))
+        .filter((pseudo) =>
+          isPseudoElementRendered(pseudo.kind.id, pseudo.styles, styles, element)
+        );
+    }
+
+    // Pseudo-element kinds some rule of the style rule index targets, or null
+    // when a stylesheet can't be read and any kind may be styled
+    getTargetedPseudoElements() {
+      const index = this.getStyleRuleIndex();
+      if (index.targetedPseudoElements === undefined) {
+        index.targetedPseudoElements =
+          index.sheets.unreadable > 0
+            ? null
+            : getTargetedPseudoElements(
+                index.rules.map((entry) => entry.selector)
+              );
       }
+      return index.targetedPseudoElements;
+    }
 
-      // Also try to send to popup if it's open (for when popup is viewing inspector)
-      try {
-        const styles = this.getCachedComputedStyle(element);
-        const rect = element.getBoundingClientRect();
-        const elementInfo = this.extractElementInfo(element, styles, rect);
+    // Pseudo-element tabs of the inspector: each pseudo-element's content plus
+    // an info object shaped like extractElementInfo()'s, read from its own
+    // computed styles
+    extractPseudoElements(element, styles) {
+      // Generated boxes that aren't laid out as blocks report width "auto"
+      const size = (value) =>
+        /px$/.test(value) ? Math.round(parseFloat(value)) : value;
+
+      return this.getPseudoElementStyles(element, styles).map(
+        ({ kind, styles: pseudoStyles }) => {
+          let text = parsePseudoContent(pseudoStyles.content);
+          if (kind.id === "placeholder") {
+            text = element.getAttribute("placeholder");
+          } else if (kind.id === "marker" && !text) {
+            text =
+              styles.listStyleImage && styles.listStyleImage !== "none"
+                ? styles.listStyleImage
+                : styles.listStyleType;
+          }
+
+          return {
+            id: kind.id,
+            selector: kind.selector,
+            content: pseudoStyles.content,
+            text,
+            display: pseudoStyles.display,
+            position: pseudoStyles.position,
+            // ::before / ::after without string content (icons drawn with
+            // backgrounds, borders) have no text to show typography for
+            hasText:
+              (kind.id !== "before" && kind.id !== "after") ||
+              /["']/.test(pseudoStyles.content),
+            info: {
+              tag: `${element.tagName.toLowerCase()}${kind.selector}`,
+              classes: "",
+              id: null,
+              dimensions: {
+                width: size(pseudoStyles.width),
+                height: size(pseudoStyles.height),
+              },
+              typography: {
+                fontFamily: pseudoStyles.fontFamily,
+                fontSize: pseudoStyles.fontSize,
+                fontWeight: pseudoStyles.fontWeight,
+                lineHeight: pseudoStyles.lineHeight,
+                letterSpacing: pseudoStyles.letterSpacing,
+              },
+              spacing: this.extractElementSpacing(pseudoStyles),
+              colors: {
+                color: pseudoStyles.color,
+                backgroundColor: pseudoStyles.backgroundColor,
+                borderColor:
+                  pseudoStyles.borderColor || pseudoStyles.borderTopColor,
+              },
+              border: {
+                radius: pseudoStyles.borderRadius,
+                width: {
+                  top: this.parseValue(pseudoStyles.borderTopWidth),
+                  right: this.parseValue(pseudoStyles.borderRightWidth),
+                  bottom: this.parseValue(pseudoStyles.borderBottomWidth),
+                  left: this.parseValue(pseudoStyles.borderLeftWidth),
+                },
+                style: pseudoStyles.borderStyle,
+              },
+              gradients: parseGradientList(pseudoStyles.backgroundImage),
+              shadows: getElementShadows(pseudoStyles),
+              layout: null,
+              tokens: [],
+              pseudoElements: [],
+            },
+          };
+        }
+      );
+    }
+
+    // The media an element shows, for the Media section: { kind, target }
+    // with target the element holding the asset (the <img> of a <picture>,
+    // the outermost <svg> of a shape), or null for elements without one
+    getMediaElement(element, styles) {
+      const tagName = element.tagName.toLowerCase();
+      if (tagName === "img") {
+        const inPicture =
+          element.parentElement &&
+          element.parentElement.tagName.toLowerCase() === "picture";
+        return { kind: inPicture ? "picture" : "img", target: element };
+      }
+      if (tagName === "picture") {
+        const image = element.querySelector(":scope > img");
+        return image ? { kind: "picture", target: image } : null;
+      }
+      if (tagName === "video") {
+        return { kind: "video", target: element };
+      }
+      if (element instanceof SVGElement) {
+        let svg = tagName === "svg" ? element : element.ownerSVGElement;
+        while (svg && svg.ownerSVGElement) svg = svg.ownerSVGElement;
+        return svg ? { kind: "svg", target: svg } : null;
+      }
+      if (getCssUrls(styles.backgroundImage).length > 0) {
+        return { kind: "background", target: element };
+      }
+      return null;
+    }
+
+    // Natural size of an image URL, loaded off-page: the size, null when it
+    // doesn't load, or a promise while it's loading
+    loadImageNaturalSize(url) {
+      if (this.mediaSizeCache.has(url)) {
+        return this.mediaSizeCache.get(url);
+      }
+      const pending = new Promise((resolve) => {
+        const image = new Image();
+        image.onload = () =>
+          resolve({ width: image.naturalWidth, height: image.naturalHeight });
+        image.onerror = () => resolve(null);
+        image.src = url;
+      }).then((size) => {
+        this.mediaSizeCache.set(url, size);
+      });
+      this.mediaSizeCache.set(url, pending);
+      return pending;
+    }
 
-        chrome.runtime.sendMessage(
-          {
-            action: "elementUpdate",
-            elementInfo: elementInfo,
-            isSelected: isSelected,
-          },
-          (response) => {
-            if (chrome.runtime.lastError) {
-              // Popup might be closed, that's okay
-            }
-          }
+    // Resource timing entry for an asset URL as { transferSize, encodedSize,
+    // decodedSize, duration, cached, restricted }, or null when the page has
+    // no entry for it (data: URLs, entries cleared by the page)
+    // Cross-origin entries without Timing-Allow-Origin report no sizes
+    getResourceTiming(url) {
+      if (!url || /^(data|blob):/i.test(url)) return null;
+      let entries = [];
+      try {
+        entries = performance.getEntriesByName(
+          new URL(url, document.baseURI).href,
+          "resource"
         );
       } catch (error) {
-        // Silently handle errors
+        return null;
       }
+      const entry = entries[entries.length - 1];
+      if (!entry) return null;
+      const restricted =
+        entry.transferSize === 0 &&
+        entry.encodedBodySize === 0 &&
+        entry.decodedBodySize === 0;
+      return {
+        transferSize: entry.transferSize,
+        encodedSize: entry.encodedBodySize,
+        decodedSize: entry.decodedBodySize,
+        duration: Math.round(entry.duration),
+        cached: !restricted && entry.transferSize === 0,
+        restricted,
+      };
     }
 
-    handleMouseOver(e) {
-      if (!this.isActive) return;
+    // Natural vs rendered size, srcset choice, fit, transfer size and loading
+    // attributes of the image, video, inline SVG or background image an
+    // element shows (see getMediaElement), or null for other elements
+    // A background image's natural size is loaded first; the panel updates
+    // once it's known
+    extractMediaInfo(element, styles) {
+      const media = this.getMediaElement(element, styles);
+      if (!media) return null;
+
+      const { kind, target } = media;
+      const targetStyles =
+        target === element ? styles : this.getCachedComputedStyle(target);
+      const rect = target.getBoundingClientRect();
+      const px = (value) => parseFloat(value) || 0;
+      const paddingBox = {
+        width:
+          rect.width -
+          px(targetStyles.borderLeftWidth) -
+          px(targetStyles.borderRightWidth),
+        height:
+          rect.height -
+          px(targetStyles.borderTopWidth) -
+          px(targetStyles.borderBottomWidth),
+      };
+      const contentBox = {
+        width:
+          paddingBox.width -
+          px(targetStyles.paddingLeft) -
+          px(targetStyles.paddingRight),
+        height:
+          paddingBox.height -
+          px(targetStyles.paddingTop) -
+          px(targetStyles.paddingBottom),
+      };
+      // An attribute's value, its name for a bare boolean attribute, or the
+      // fallback when it's missing
+      const attribute = (name, fallback = null) =>
+        target.hasAttribute(name)
+          ? target.getAttribute(name) || name
+          : fallback;
+      const resolve = (url) => {
+        try {
+          return new URL(url, document.baseURI).href;
+        } catch (error) {
+          return url;
+        }
+      };
 
-      // Don't process events for the document or html/body tags
-      const element = e.target;
-      if (
-        !element ||
-        element === document ||
-        element === document.documentElement ||
-        element === document.body
-      ) {
-        return;
+      const info = {
+        kind,
+        label: {
+          img: "Image",
+          picture: "Picture",
+          video: "Video",
+          svg: "Inline SVG",
+          background: "Background image",
+        }[kind],
+        url: null,
+        fileName: null,
+        type: "",
+        natural: null,
+        rendered: null,
+        pixelRatio: window.devicePixelRatio || 1,
+        oversampling: null,
+        vector: false,
+        srcset: null,
+        fit: [],
+        attributes: [],
+        resource: null,
+        layerCount: 1,
+        pending: false,
+      };
+
+      // Size an object-fit replaced element draws its content at
+      const fittedSize = (natural) => {
+        const fit = targetStyles.objectFit;
+        if (fit === "fill" || !natural.width || !natural.height) {
+          return contentBox;
+        }
+        const drawn =
+          fit === "none"
+            ? natural
+            : getBackgroundRenderedSize(
+                natural,
+                contentBox,
+                fit === "cover" ? "cover" : "contain"
+              );
+        // scale-down: the smaller of none and contain
+        return fit === "scale-down" && natural.width < drawn.width
+          ? natural
+          : drawn;
+      };
+
+      if (kind === "img" || kind === "picture") {
+        info.url = target.currentSrc || target.src || null;
+        info.natural = {
+          width: target.naturalWidth,
+          height: target.naturalHeight,
+        };
+        info.rendered = fittedSize(info.natural);
+        info.fit = [
+          ["object-fit", targetStyles.objectFit],
+          ["object-position", targetStyles.objectPosition],
+        ];
+        info.attributes = [
+          ["loading", attribute("loading", "eager (default)")],
+          ["decoding", attribute("decoding", "auto (default)")],
+          ["fetchpriority", attribute("fetchpriority", "auto (default)")],
+        ];
+
+        // The srcset the browser picked the current source from
+        const sources = (
+          kind === "picture"
+            ? Array.from(
+                target.parentElement.querySelectorAll(":scope > source")
+              )
+            : []
+        ).concat([target]);
+        const describeSource = (source) =>
+          source === target
+            ? "<img>"
+            : `<source${["media", "type"]
+                .filter((name) => source.getAttribute(name))
+                .map((name) => ` ${name}="${source.getAttribute(name)}"`)
+                .join("")}>`;
+        const current = info.url ? resolve(info.url) : null;
+        const withSrcset = sources.filter((source) =>
+          source.getAttribute("srcset")
+        );
+        const chosenSource =
+          withSrcset.find((source) =>
+            parseSrcset(source.getAttribute("srcset")).some(
+              (candidate) => resolve(candidate.url) === current
+            )
+          ) || withSrcset[0];
+        if (chosenSource) {
+          info.srcset = {
+            source: describeSource(chosenSource),
+            sourceCount: withSrcset.length,
+            sizes: chosenSource.getAttribute("sizes") || null,
+            candidates: parseSrcset(chosenSource.getAttribute("srcset")).map(
+              (candidate) => ({
+                url: candidate.url,
+                descriptor: candidate.descriptor,
+                chosen: resolve(candidate.url) === current,
+              })
+            ),
+          };
+        }
+      } else if (kind === "video") {
+        info.url = target.currentSrc || target.src || null;
+        info.natural = { width: target.videoWidth, height: target.videoHeight };
+        info.rendered = fittedSize(info.natural);
+        info.fit = [
+          ["object-fit", targetStyles.objectFit],
+          ["object-position", targetStyles.objectPosition],
+        ];
+        info.attributes = [
+          ["preload", attribute("preload", "auto (default)")],
+          ["autoplay", attribute("autoplay", "off")],
+          ["muted", attribute("muted", "off")],
+          ["loop", attribute("loop", "off")],
+          ["playsinline", attribute("playsinline", "off")],
+          ["poster", attribute("poster", "none")],
+        ];
+      } else if (kind === "svg") {
+        const viewBox = target.viewBox && target.viewBox.baseVal;
+        info.type = "SVG";
+        info.vector = true;
+        info.fileName = `${this.getExportFileBaseName()}-graphic.svg`;
+        info.natural =
+          viewBox && viewBox.width && viewBox.height
+            ? { width: viewBox.width, height: viewBox.height }
+            : null;
+        info.rendered = { width: rect.width, height: rect.height };
+        info.attributes = [
+          ["viewBox", attribute("viewBox", "none")],
+          [
+            "preserveAspectRatio",
+            attribute("preserveAspectRatio", "xMidYMid meet (default)"),
+          ],
+        ];
+      } else {
+        const urls = getCssUrls(styles.backgroundImage);
+        info.url = resolve(urls[0]);
+        info.layerCount = urls.length;
+        info.fit = [
+          ["background-size", styles.backgroundSize],
+          ["background-position", styles.backgroundPosition],
+          ["background-repeat", styles.backgroundRepeat],
+        ];
+
+        const natural = this.loadImageNaturalSize(info.url);
+        if (natural && typeof natural.then === "function") {
+          info.pending = true;
+          natural.then(() => {
+            if (this.selectedElement !== element) return;
+            this.updateInspectorPanel(element, true, true);
+          });
+        } else if (natural) {
+          info.natural = natural;
+          info.rendered = getBackgroundRenderedSize(
+            natural,
+            paddingBox,
+            styles.backgroundSize
+          );
+        }
       }
 
-      // Skip if hovering over inspector panel or highlights
-      if (element.closest("#css-inspector-panel")) {
-        return;
+      if (info.url) {
+        info.type = info.type || getAssetType(info.url);
+        info.fileName = getAssetFileName(
+          info.url,
+          `${this.getExportFileBaseName()}-${kind}`
+        );
+        info.resource = this.getResourceTiming(info.url);
       }
-      if (element.classList.contains("css-inspector-selected")) {
-        return; // Don't highlight already selected elements
+      if (info.type === "SVG") info.vector = true;
+      if (!info.vector && info.natural && info.rendered) {
+        info.oversampling = getOversampling(
+          info.natural.width,
+          info.rendered.width,
+          info.pixelRatio
+        );
       }
+      return info;
+    }
 
-      // Remove previous hover highlight (but keep selected element locked)
-      if (
-        this.hoveredElement &&
-        this.hoveredElement !== this.selectedElement &&
-        this.hoveredElement !== element
-      ) {
-        this.removeOverlay("hover");
-      }
+    // Flex / grid container properties plus the number of in-flow items,
+    // null for other elements
+    extractLayoutInfo(element, styles) {
+      const layout = getElementLayout(styles);
+      if (!layout) return null;
+      layout.itemCount = Array.from(element.children).filter((child) => {
+        const childStyles = this.getCachedComputedStyle(child);
+        return (
+          childStyles.display !== "none" &&
+          childStyles.position !== "absolute" &&
+          childStyles.position !== "fixed"
+        );
+      }).length;
+      return layout;
+    }
 
-      // Always allow highlighting on hover (even when element is locked)
-      // But only update panel if no element is locked
-      if (element !== this.selectedElement) {
-        this.hoveredElement = element;
+    // Margin and padding per side, as shown in the box model preview
+    extractElementSpacing(styles) {
+      return {
+        margin: {
+          top: this.parseValue(styles.marginTop),
+          right: this.parseValue(styles.marginRight),
+          bottom: this.parseValue(styles.marginBottom),
+          left: this.parseValue(styles.marginLeft),
+        },
+        padding: {
+          top: this.parseValue(styles.paddingTop),
+          right: this.parseValue(styles.paddingRight),
+          bottom: this.parseValue(styles.paddingBottom),
+          left: this.parseValue(styles.paddingLeft),
+        },
+      };
+    }
 
-        // During scrolling, just update overlay position (lightweight)
-        if (this.isScrolling) {
-          requestAnimationFrame(() => {
-            this.updateOverlay("hover", element);
-          });
-        } else {
-          // Use debounced update for better performance
-          this.debouncedMouseOver(element);
-        }
+    parseValue(value) {
+      // Convert computed values to numbers with units
+      if (value === "0px" || value === "0") return "0";
+      return value;
+    }
+
+    // Drops the token caches affected by a batch of DOM mutations
+    // Changes to the inspector's own panel and overlays are ignored, added or
+    // removed stylesheets and inline style edits also rebuild the stylesheet index
+    invalidateTokenCaches(mutations) {
+      const isInspectorNode = (node) =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        !!node.closest('[id^="css-inspector"], .css-inspector-overlay');
+      const pageMutations = mutations.filter((mutation) =>
+        mutation.type === "attributes"
+          ? !isInspectorNode(mutation.target)
+          : Array.from(mutation.addedNodes)
+              .concat(Array.from(mutation.removedNodes))
+              .some((node) => !isInspectorNode(node))
+      );
+      if (pageMutations.length === 0) return;
+
+      this.tokenUsageCache = null;
+      this.tokenReferenceCache = new WeakMap();
+      this.interactiveStateCache = null;
+      this.matchedRuleCache = null;
+      const touchesStyles = pageMutations.some((mutation) =>
+        mutation.type === "attributes"
+          ? mutation.attributeName === "style"
+          : Array.from(mutation.addedNodes)
+              .concat(Array.from(mutation.removedNodes))
+              .some(
+                (node) => node.nodeName === "STYLE" || node.nodeName === "LINK"
+              )
+      );
+      if (touchesStyles) {
+        this.customPropertyCache = null;
+        this.stateRuleCache = null;
+        this.styleRuleCache = null;
+        this.stylesheetLineCache = new Map();
       }
     }
 
-    handleMouseOut(e) {
-      if (!this.isActive) return;
-      const element = e.target;
+    // Index of every custom property definition and var() usage in the page's
+    // readable stylesheets, keyed by custom property name and by CSS property
+    getCustomPropertyIndex() {
+      if (this.customPropertyCache) {
+        return this.customPropertyCache;
+      }
 
-      // Don't clear selected element (it stays locked)
-      if (element === this.selectedElement) {
-        return;
+      const groups = getTokenPropertyGroups();
+      const tracked = Array.from(
+        new Set(groups.flatMap((group) => group.properties))
+      );
+      const collected = collectCustomProperties(document, tracked);
+
+      const definitionsByName = new Map();
+      collected.definitions.forEach((definition) => {
+        if (!definitionsByName.has(definition.name)) {
+          definitionsByName.set(definition.name, []);
+        }
+        definitionsByName.get(definition.name).push(definition);
+      });
+
+      const declarationsByProperty = new Map();
+      collected.declarations.forEach((declaration) => {
+        if (!declarationsByProperty.has(declaration.property)) {
+          declarationsByProperty.set(declaration.property, []);
+        }
+        declarationsByProperty.get(declaration.property).push(declaration);
+      });
+
+      this.customPropertyCache = {
+        groups,
+        definitions: collected.definitions,
+        declarations: collected.declarations,
+        definitionsByName,
+        declarationsByProperty,
+        sheets: collected.sheets,
+      };
+      return this.customPropertyCache;
+    }
+
+    // Every style rule in the page's readable stylesheets (see collectStyleRules)
+    getStyleRuleIndex() {
+      if (!this.styleRuleCache) {
+        this.styleRuleCache = collectStyleRules(document);
       }
+      return this.styleRuleCache;
+    }
 
-      // Remove highlight from hovered element (but keep selected element visible)
-      if (element !== this.selectedElement) {
-        this.removeOverlay("hover");
+    // Source lines of a stylesheet's style rules, from a <style> element's text
+    // or the fetched file. Returns the lines, null when the source can't be
+    // read, or a promise while the file is loading
+    loadStylesheetLines(sheet) {
+      if (this.stylesheetLineCache.has(sheet)) {
+        return this.stylesheetLineCache.get(sheet);
       }
 
-      if (this.hoveredElement === element) {
-        this.hoveredElement = null;
-        // If we have a selected element, don't trigger any updates - just keep showing it (locked)
-        // This prevents flickering when hovering over other elements
-        if (!this.selectedElement && this.inspectorPanel) {
-          // Clear the header when hover stops (if no element is locked)
-          this.updateLockedElementHeader(null);
-          this.showEmptyState();
-        }
+      const selectors = this.getStyleRuleIndex()
+        .rules.filter((entry) => entry.sheet === sheet)
+        .map((entry) => entry.rule.selectorText);
+      const owner = sheet.ownerNode;
+      if (owner && owner.nodeName === "STYLE") {
+        const lines = matchRuleLines(
+          scanStyleRulePreludes(owner.textContent),
+          selectors
+        );
+        this.stylesheetLineCache.set(sheet, lines);
+        return lines;
+      }
+      if (!sheet.href) {
+        this.stylesheetLineCache.set(sheet, null);
+        return null;
       }
+
+      // A readable linked sheet is same-origin or CORS-enabled, so its text can
+      // be fetched (normally straight from the cache)
+      const pending = fetch(sheet.href)
+        .then((response) =>
+          response.ok
+            ? response.text()
+            : Promise.reject(new Error(`HTTP ${response.status}`))
+        )
+        .then((text) => {
+          this.stylesheetLineCache.set(
+            sheet,
+            matchRuleLines(scanStyleRulePreludes(text), selectors)
+          );
+        })
+        .catch((error) => {
+          console.warn(
+            `[CSS Inspector] Failed to read ${sheet.href} for rule lines:`,
+            error
+          );
+          this.stylesheetLineCache.set(sheet, null);
+        });
+      this.stylesheetLineCache.set(sheet, pending);
+      return pending;
     }
 
-    handleMouseDown(e) {
-      if (!this.isActive) return;
+    // Longhands a declaration sets ("margin" → margin-top, ...), read back from
+    // a scratch style declaration
+    getDeclarationLonghands(property, value) {
+      if (property.startsWith("--")) return [property];
+      const key = `${property}:${value}`;
+      if (!this.longhandCache.has(key)) {
+        const probe = document.createElement("div").style;
+        probe.setProperty(property, value);
+        const longhands = Array.from(probe);
+        this.longhandCache.set(
+          key,
+          longhands.length > 0 ? longhands : [property]
+        );
+      }
+      return this.longhandCache.get(key);
+    }
 
-      // Don't process events for the document or html/body tags
-      const element = e.target;
+    // Style rules whose selectors match the element, whatever their at-rule
+    // conditions, plus its inline style, each declaration carrying its cascade
+    // rank and the longhands it sets (cached with the matched rules)
+    getCandidateRules(element) {
       if (
-        !element ||
-        element === document ||
-        element === document.documentElement ||
-        element === document.body
+        !this.matchedRuleCache ||
+        this.matchedRuleCache.element !== element
       ) {
-        return;
+        this.matchedRuleCache = { element };
+      }
+      if (this.matchedRuleCache.candidates) {
+        return this.matchedRuleCache.candidates;
       }
 
-      // Skip if clicking on inspector panel
-      if (element.closest("#css-inspector-panel")) {
-        return;
+      const index = this.getStyleRuleIndex();
+      const layerCount = index.layers.length;
+      const candidates = [];
+
+      index.rules.forEach((entry) => {
+        const specificity = this.getDeclarationSpecificity(entry, element);
+        if (!specificity) return;
+        candidates.push({
+          selector: entry.selector,
+          matchedSelectors: entry.selectorParts
+            .filter((part) => {
+              try {
+                return element.matches(part.selector);
+              } catch (error) {
+                return false;
+              }
+            })
+            .map((part) => part.selector),
+          specificity,
+          layerIndex: entry.layer ? index.layers.indexOf(entry.layer) : -1,
+          order: entry.order,
+          entry,
+          declarations: parseDeclarations(entry.rule.style.cssText),
+        });
+      });
+
+      if (element.style && element.style.length > 0) {
+        candidates.push({
+          selector: "element.style",
+          matchedSelectors: [],
+          specificity: [1, 0, 0, 0],
+          layerIndex: -1,
+          order: Number.MAX_SAFE_INTEGER,
+          inline: true,
+          entry: null,
+          declarations: parseDeclarations(element.style.cssText),
+        });
       }
 
-      // Track mousedown position to detect drag vs click
-      this.lastMouseDownPos = {
-        x: e.clientX,
-        y: e.clientY,
-        time: Date.now(),
-      };
+      candidates.forEach((rule) => {
+        rule.rank = getCascadeRank(
+          false,
+          rule.layerIndex,
+          layerCount,
+          rule.specificity,
+          rule.order,
+          rule.inline
+        );
+        rule.declarations.forEach((declaration) => {
+          declaration.rank = getCascadeRank(
+            declaration.important,
+            rule.layerIndex,
+            layerCount,
+            rule.specificity,
+            rule.order,
+            rule.inline
+          );
+          declaration.longhands = this.getDeclarationLonghands(
+            declaration.property,
+            declaration.value
+          );
+        });
+      });
+
+      this.matchedRuleCache.candidates = candidates;
+      return candidates;
     }
 
-    handleClick(e) {
-      if (!this.isActive) return;
+    // Winning declaration per longhand among the given candidate rules
+    getCascadeWinners(rules) {
+      const winners = new Map();
+      rules.forEach((rule) => {
+        rule.declarations.forEach((declaration) => {
+          declaration.longhands.forEach((longhand) => {
+            const current = winners.get(longhand);
+            if (
+              !current ||
+              compareCascadeRank(declaration.rank, current.rank) > 0
+            ) {
+              winners.set(longhand, declaration);
+            }
+          });
+        });
+      });
+      return winners;
+    }
 
-      // Don't process events for the document or html/body tags
-      const element = e.target;
-      if (
-        !element ||
-        element === document ||
-        element === document.documentElement ||
-        element === document.body
-      ) {
-        return;
+    // Rules matching the locked element in cascade order (winning rule first):
+    // its inline style and every rule from a readable stylesheet whose
+    // @media / @supports conditions hold, with each declaration marked when
+    // a higher-ranked one sets the same properties
+    // Returns { rules: [{ selector, matchedSelectors, specificity, source,
+    // href, line, conditions, declarations }], sheets } (plain data)
+    getMatchedRules(element) {
+      const candidates = this.getCandidateRules(element);
+      if (this.matchedRuleCache.rules) {
+        return this.matchedRuleCache.rules;
       }
 
-      // Skip if clicking on inspector panel
-      if (element.closest("#css-inspector-panel")) {
-        return;
+      const matched = candidates.filter(
+        (rule) =>
+          !rule.entry || this.isRuleConditionActive(rule.entry.conditions)
+      );
+      const winners = this.getCascadeWinners(matched);
+
+      const pending = [];
+      const rules = matched
+        .slice()
+        .sort((a, b) => compareCascadeRank(b.rank, a.rank))
+        .map((rule) => {
+          let line = null;
+          if (rule.entry) {
+            const lines = this.loadStylesheetLines(rule.entry.sheet);
+            if (Array.isArray(lines)) {
+              line = lines[rule.entry.index] || null;
+            } else if (lines && typeof lines.then === "function") {
+              pending.push(lines);
+            }
+          }
+          return {
+            selector: rule.selector,
+            matchedSelectors: rule.matchedSelectors,
+            // Inline styles are shown as such, rules as [ids, classes, types]
+            specificity: rule.entry ? rule.specificity.slice(1) : null,
+            source: rule.entry ? rule.entry.source : "Inline style",
+            href: rule.entry ? rule.entry.href : null,
+            line,
+            conditions: rule.entry ? rule.entry.conditions : [],
+            declarations: rule.declarations.map((declaration) => ({
+              property: declaration.property,
+              value: declaration.value,
+              important: declaration.important,
+              overridden: !declaration.longhands.some(
+                (longhand) => winners.get(longhand) === declaration
+              ),
+            })),
+          };
+        });
+
+      const result = { rules, sheets: this.getStyleRuleIndex().sheets };
+      this.matchedRuleCache.rules = result;
+
+      // Show the lines once the linked stylesheets have been read
+      if (pending.length > 0) {
+        Promise.all(pending).then(() => {
+          if (this.selectedElement !== element) return;
+          this.matchedRuleCache = null;
+          this.updateInspectorPanel(element, true, true);
+        });
       }
+      return result;
+    }
 
-      // Detect if this was a drag gesture vs a click
-      // If mouse moved significantly (>5px) or took too long (>500ms), it's likely a drag
-      const isDrag =
-        this.lastMouseDownPos &&
-        (Math.abs(e.clientX - this.lastMouseDownPos.x) > 5 ||
-          Math.abs(e.clientY - this.lastMouseDownPos.y) > 5 ||
-          Date.now() - this.lastMouseDownPos.time > 500);
+    // Value a declaration gives one of its longhands ("margin: 0 auto" →
+    // "auto" for margin-left); shorthands the browser can't split ahead of
+    // var() substitution keep their whole value
+    getLonghandValue(declaration, longhand) {
+      if (declaration.property === longhand) return declaration.value;
+      const key = `${declaration.property}:${declaration.value}→${longhand}`;
+      if (!this.longhandCache.has(key)) {
+        const probe = document.createElement("div").style;
+        probe.setProperty(declaration.property, declaration.value);
+        this.longhandCache.set(
+          key,
+          probe.getPropertyValue(longhand) || declaration.value
+        );
+      }
+      return this.longhandCache.get(key);
+    }
 
-      // Only prevent default for actual clicks, not drag gestures (which are used for scrolling)
-      if (!isDrag) {
-        // Prevent default behavior for clicks to avoid page interactions
-        // (navigation, form submission, text selection, etc.)
-        e.preventDefault();
-        e.stopPropagation();
-        e.stopImmediatePropagation();
-      } else {
-        // For drags, just stop propagation but allow default behavior (scrolling)
-        e.stopPropagation();
-        // Clear the mousedown position since this was a drag
-        this.lastMouseDownPos = null;
-        return; // Don't process drags as clicks
+    // How the locked element's typography, spacing and layout declarations
+    // change across the page's breakpoints: the cascade is re-run for each
+    // width range with the @media conditions evaluated at its first width
+    // Returns { ranges: [{ min, max, label, current }], groups: [{ label,
+    // rows: [{ property, values }] }] } with a value (or null when no
+    // matching rule sets it) per range, or null when the page has no
+    // width breakpoints
+    getBreakpointValues(element) {
+      const candidates = this.getCandidateRules(element);
+      if (this.matchedRuleCache.breakpoints !== undefined) {
+        return this.matchedRuleCache.breakpoints;
       }
 
-      // Check if this is the same element that's already being displayed (before we update selectedElement)
-      // If so, skip animation to avoid re-animating the same content
-      const wasAlreadySelected = this.selectedElement === element;
-      const isSameAsHovered = this.hoveredElement === element;
-      const skipAnimation = wasAlreadySelected || isSameAsHovered;
+      const breakpoints = collectBreakpoints(this.getStyleRuleIndex().rules);
+      let result = null;
+      if (breakpoints.length > 0) {
+        const ranges = buildBreakpointRanges(
+          breakpoints.map((breakpoint) => breakpoint.width)
+        );
+        const viewportWidth = window.innerWidth;
+        const winnersPerRange = ranges.map((range) =>
+          this.getCascadeWinners(
+            candidates.filter(
+              (rule) =>
+                !rule.entry ||
+                this.isRuleConditionActive(rule.entry.conditions, range.min)
+            )
+          )
+        );
 
-      // Remove previous selection highlight
-      if (this.selectedElement && this.selectedElement !== element) {
-        this.removeOverlay("selected");
+        const groups = getBreakpointPropertyGroups()
+          .map((group) => ({
+            label: group.label,
+            rows: group.properties
+              .map((property) => ({
+                property,
+                values: winnersPerRange.map((winners) => {
+                  const declaration = winners.get(property);
+                  return declaration
+                    ? `${this.getLonghandValue(declaration, property)}${
+                        declaration.important ? " !important" : ""
+                      }`
+                    : null;
+                }),
+              }))
+              // Only properties a breakpoint changes
+              .filter((row) =>
+                row.values.some((value) => value !== row.values[0])
+              ),
+          }))
+          .filter((group) => group.rows.length > 0);
+
+        result = {
+          ranges: ranges.map((range) => ({
+            min: range.min,
+            max: range.max,
+            label: formatBreakpointRange(range),
+            current:
+              viewportWidth >= range.min &&
+              (range.max === null || viewportWidth <= range.max),
+          })),
+          groups,
+        };
       }
 
-      // Clear mousedown position since we processed this as a click
-      this.lastMouseDownPos = null;
+      this.matchedRuleCache.breakpoints = result;
+      return result;
+    }
+
+    // Whether a rule's @media / @supports conditions hold right now, or with
+    // the viewport at the given width
+    // (@container, @layer and @scope are treated as applying)
+    isRuleConditionActive(conditions, width = null) {
+      const matchQuery = (query) => window.matchMedia(query).matches;
+      return (conditions || []).every((condition) => {
+        try {
+          if (condition.type === "media") {
+            return width === null
+              ? matchQuery(condition.text)
+              : evaluateMediaAtWidth(condition.text, width, matchQuery);
+          }
+          if (condition.type === "supports") {
+            return CSS.supports(condition.text);
+          }
+        } catch (error) {
+          return true;
+        }
+        return true;
+      });
+    }
+
+    // Specificity of a declaration for an element as [inline, ids, classes, types],
+    // or null when none of its selectors match the element
+    getDeclarationSpecificity(declaration, element) {
+      if (declaration.element) {
+        return declaration.element === element ? [1, 0, 0, 0] : null;
+      }
+      if (!declaration.selectorParts) {
+        declaration.selectorParts = splitSelectorList(declaration.selector).map(
+          (selector) => ({
+            selector,
+            specificity: [0].concat(calculateSpecificity(selector)),
+          })
+        );
+      }
+
+      let best = null;
+      declaration.selectorParts.forEach((part) => {
+        try {
+          if (
+            element.matches(part.selector) &&
+            (!best || compareSpecificity(part.specificity, best) > 0)
+          ) {
+            best = part.specificity;
+          }
+        } catch (error) {
+          // Selectors the matcher doesn't support (vendor pseudo-classes, ...)
+        }
+      });
+      return best;
+    }
 
-      // Lock (select) the clicked element
-      this.selectedElement = element;
-      if (this.hoveredElement === element) {
-        this.removeOverlay("hover");
-        this.hoveredElement = null;
+    // Position of a style rule's cascade layer in the style rule index's
+    // layer order (-1 for unlayered rules and ones the index doesn't hold)
+    getRuleLayerIndex(rule) {
+      const index = this.getStyleRuleIndex();
+      if (!index.layerIndexByRule) {
+        index.layerIndexByRule = new Map(
+          index.rules.map((entry) => [
+            entry.rule,
+            entry.layer ? index.layers.indexOf(entry.layer) : -1,
+          ])
+        );
       }
-      this.updateOverlay("selected", element);
+      return index.layerIndexByRule.has(rule)
+        ? index.layerIndexByRule.get(rule)
+        : -1;
+    }
 
-      // Ensure the selected element is fully visible (accounting for outline offset and inspector panel)
-      const rect = element.getBoundingClientRect();
-      const outlineWidth = 3; // Selected has 3px outline
-      const outlineOffset = 2;
-      const viewportPadding = 10;
-      const inspectorPanelWidth = 380; // Panel width from CSS
-      const inspectorPanelRightMargin = 20; // Panel right margin from CSS
-      const effectiveViewportRight =
-        window.innerWidth - inspectorPanelWidth - inspectorPanelRightMargin;
-      const totalExtension = outlineWidth + outlineOffset;
+    // The declaration that wins the cascade for an element among candidates,
+    // ranked with getCascadeRank() like the Matched Rules list: !important,
+    // cascade layers, inline style, specificity, then source order
+    // User agent styles aren't modelled
+    findWinningDeclaration(element, candidates) {
+      const layerCount = this.getStyleRuleIndex().layers.length;
+      let winner = null;
+      let winnerRank = null;
+
+      candidates.forEach((declaration) => {
+        const specificity = this.getDeclarationSpecificity(
+          declaration,
+          element
+        );
+        if (!specificity) return;
+        if (!this.isRuleConditionActive(declaration.conditions)) return;
+
+        const rank = getCascadeRank(
+          declaration.important,
+          declaration.rule ? this.getRuleLayerIndex(declaration.rule) : -1,
+          layerCount,
+          specificity,
+          declaration.order,
+          Boolean(declaration.element)
+        );
+        if (!winner || compareCascadeRank(rank, winnerRank) > 0) {
+          winner = declaration;
+          winnerRank = rank;
+        }
+      });
 
-      const currentScrollX = window.scrollX || window.pageXOffset || 0;
-      const currentScrollY = window.scrollY || window.pageYOffset || 0;
+      return winner;
+    }
 
-      // Calculate outline bounds in viewport coordinates
-      const outlineLeft = rect.left - totalExtension;
-      const outlineRight = rect.right + totalExtension;
-      const outlineTop = rect.top - totalExtension;
-      const outlineBottom = rect.bottom + totalExtension;
+    // Finds the definition of a custom property that applies to an element
+    // Custom properties inherit, so the nearest ancestor defining it wins
+    // Returns { definition, element } or null
+    findCustomPropertyDefinition(element, name) {
+      const candidates =
+        this.getCustomPropertyIndex().definitionsByName.get(name) || [];
+      if (candidates.length === 0) return null;
+
+      let target = element;
+      while (target && target.nodeType === Node.ELEMENT_NODE) {
+        const definition = this.findWinningDeclaration(target, candidates);
+        if (definition) {
+          return { definition, element: target };
+        }
+        target = target.parentElement;
+      }
+      return null;
+    }
 
-      // Calculate absolute document coordinates of outline edges
-      const outlineDocLeft = rect.left + currentScrollX - totalExtension;
-      const outlineDocRight = rect.right + currentScrollX + totalExtension;
-      const outlineDocTop = rect.top + currentScrollY - totalExtension;
-      const outlineDocBottom = rect.bottom + currentScrollY + totalExtension;
+    // Follows a custom property through its aliases (--button-bg: var(--primary);
+    // --primary: var(--blue-500); ...) as seen from an element
+    // Returns [{ name, value, selector, source }], the first entry being name itself
+    resolveTokenAliasChain(element, name) {
+      const chain = [];
+      const visited = new Set();
+      let current = name;
+      let context = element;
+
+      while (current && !visited.has(current) && chain.length < 10) {
+        visited.add(current);
+        const found = this.findCustomPropertyDefinition(context, current);
+        chain.push({
+          name: current,
+          value: found ? found.definition.value : null,
+          selector: found
+            ? found.definition.selector ||
+              this.getElementIdentifier(found.definition.element)
+            : null,
+          source: found ? found.definition.source : null,
+        });
+        if (!found) break;
+        current = getAliasTarget(found.definition.value);
+        context = found.element;
+      }
 
-      // Calculate desired scroll positions
-      let newScrollX = currentScrollX;
-      let newScrollY = currentScrollY;
+      return chain;
+    }
 
-      // Left edge: if outline extends beyond viewport left, scroll right
-      if (outlineLeft < viewportPadding) {
-        newScrollX = outlineDocLeft - viewportPadding;
-      }
-      // Right edge: if outline extends beyond effective viewport right, scroll left
-      else if (outlineRight > effectiveViewportRight - viewportPadding) {
-        newScrollX =
-          outlineDocRight - (effectiveViewportRight - viewportPadding);
+    // Which custom properties an element's colors, spacing, radius and font
+    // values come from, with each variable's alias chain and resolved value
+    // Inherited properties are traced to the ancestor that sets them
+    getTokenReferences(element) {
+      if (this.tokenReferenceCache.has(element)) {
+        return this.tokenReferenceCache.get(element);
       }
 
-      // Top edge: if outline extends beyond viewport top, scroll down
-      if (outlineTop < viewportPadding) {
-        newScrollY = outlineDocTop - viewportPadding;
-      }
-      // Bottom edge: if outline extends beyond viewport bottom, scroll up
-      else if (outlineBottom > window.innerHeight - viewportPadding) {
-        newScrollY = outlineDocBottom - (window.innerHeight - viewportPadding);
-      }
+      const index = this.getCustomPropertyIndex();
+      const references = [];
 
-      // Ensure scroll positions are non-negative
-      newScrollX = Math.max(0, newScrollX);
-      newScrollY = Math.max(0, newScrollY);
+      if (index.definitions.length > 0) {
+        index.groups.forEach((group) => {
+          const candidates = group.properties.flatMap(
+            (property) => index.declarationsByProperty.get(property) || []
+          );
+          if (!candidates.some((declaration) => declaration.refs.length > 0)) {
+            return;
+          }
 
-      // Apply scroll if position changed
-      if (newScrollX !== currentScrollX || newScrollY !== currentScrollY) {
-        window.scrollTo(newScrollX, newScrollY);
-        // Update overlay after scroll
-        requestAnimationFrame(() => {
-          this.updateOverlay("selected", element);
+          let target = element;
+          while (target && target.nodeType === Node.ELEMENT_NODE) {
+            const winner = this.findWinningDeclaration(target, candidates);
+            if (winner) {
+              if (winner.refs.length > 0) {
+                const targetStyles = this.getCachedComputedStyle(target);
+                references.push({
+                  key: group.key,
+                  label: group.label,
+                  kind: group.kind,
+                  property: winner.property,
+                  value: winner.value,
+                  selector:
+                    winner.selector || this.getElementIdentifier(target),
+                  source: winner.source,
+                  inheritedFrom:
+                    target !== element
+                      ? this.getElementIdentifier(target)
+                      : null,
+                  tokens: winner.refs.map((name) => ({
+                    name,
+                    chain: this.resolveTokenAliasChain(target, name),
+                    resolved: targetStyles.getPropertyValue(name).trim(),
+                  })),
+                });
+              }
+              break;
+            }
+
+            // Only keep walking up while the value really is inherited
+            // (user agent styles such as link colors stop the search)
+            const parent = target.parentElement;
+            if (
+              !group.inherited ||
+              !parent ||
+              this.getCachedComputedStyle(target).getPropertyValue(
+                group.computed
+              ) !==
+                this.getCachedComputedStyle(parent).getPropertyValue(
+                  group.computed
+                )
+            ) {
+              break;
+            }
+            target = parent;
+          }
         });
       }
 
-      // Update panel header to show locked element identifier (with full opacity dot)
-      this.updateLockedElementHeader(element, true); // true = locked
-
-      // Send update to popup with locked state (skipAnimation was determined above)
-      clearTimeout(this.updateTimeout);
-      this.updateTimeout = setTimeout(() => {
-        this.sendElementUpdateToPopup(element, true, skipAnimation);
-      }, 50);
+      this.tokenReferenceCache.set(element, references);
+      return references;
     }
 
-    getElementIdentifier(element) {
-      const tag = element.tagName.toLowerCase();
-      const id = element.id ? `#${element.id}` : "";
-      const classList = Array.from(element.classList);
-      const classString = classList.length > 0 ? "." + classList.join(".") : "";
-      return `${tag}${id}${classString}`;
-    }
+    // Custom properties in use across the page for the Tokens tab
+    // Each token has its root value, scoped overrides, aliases and how many
+    // declarations and elements reference it
+    getTokenUsage() {
+      if (this.tokenUsageCache) {
+        return this.tokenUsageCache;
+      }
 
-    getElementTypeLabel(element) {
-      if (!element) return "Element";
+      const index = this.getCustomPropertyIndex();
+      const rootStyles = window.getComputedStyle(document.documentElement);
+      const tokens = new Map();
+      const getToken = (name) => {
+        if (!tokens.has(name)) {
+          tokens.set(name, {
+            name,
+            definitions: index.definitionsByName.get(name) || [],
+            references: 0,
+            aliasedBy: [],
+            elements: new Set(),
+          });
+        }
+        return tokens.get(name);
+      };
 
-      const tagName = element.tagName.toLowerCase();
+      index.definitionsByName.forEach((definitions, name) => {
+        getToken(name);
+        definitions.forEach((definition) => {
+          getVarReferences(definition.value).forEach((ref) => {
+            const token = getToken(ref);
+            token.references++;
+            if (!token.aliasedBy.includes(name)) token.aliasedBy.push(name);
+          });
+        });
+      });
 
-      // Check for specific tags first
-      if (tagName === "img") {
-        return "Image";
-      } else if (tagName === "a") {
-        return "Link";
-      } else if (tagName === "button") {
-        return "Button";
-      } else if (["input", "textarea", "select"].includes(tagName)) {
-        return "Input";
-      } else if (
-        [
-          "p",
-          "h1",
-          "h2",
-          "h3",
-          "h4",
-          "h5",
-          "h6",
-          "span",
-          "li",
-          "td",
-          "th",
-          "label",
-          "strong",
-          "em",
-          "b",
-          "i",
-        ].includes(tagName)
-      ) {
-        return "Text";
-      } else if (
-        tagName === "div" ||
-        tagName === "section" ||
-        tagName === "article" ||
-        tagName === "main" ||
-        tagName === "header" ||
-        tagName === "footer" ||
-        tagName === "aside" ||
-        tagName === "nav"
-      ) {
-        // Check for image content in containers
-        if (element.querySelector("img")) {
-          return "Image";
+      // Elements are counted per selector that references the token
+      // (whether the declaration wins the cascade isn't checked here)
+      const matchedBySelector = new Map();
+      index.declarations.forEach((declaration) => {
+        if (declaration.refs.length === 0) return;
+        let elements;
+        if (declaration.element) {
+          elements = [declaration.element];
+        } else if (matchedBySelector.has(declaration.selector)) {
+          elements = matchedBySelector.get(declaration.selector);
         } else {
-          const styles = this.getCachedComputedStyle(element);
-          if (
-            styles.backgroundImage &&
-            styles.backgroundImage !== "none" &&
-            styles.backgroundImage.includes("url(")
-          ) {
-            return "Image";
-          } else if (
-            element.textContent &&
-            element.textContent.trim().length > 0
-          ) {
-            return "Text";
-          } else {
-            return "Container";
+          try {
+            elements = Array.from(
+              document.querySelectorAll(declaration.selector)
+            );
+          } catch (error) {
+            elements = [];
           }
+          matchedBySelector.set(declaration.selector, elements);
         }
-      } else {
-        // Default: capitalize first letter
-        return tagName.charAt(0).toUpperCase() + tagName.slice(1);
-      }
-    }
-
-    updateLockedElementHeader(element, isLocked = true) {
-      if (!this.inspectorPanel) return;
+        declaration.refs.forEach((ref) => {
+          const token = getToken(ref);
+          token.references++;
+          elements.forEach((element) => token.elements.add(element));
+        });
+      });
 
-      if (!this.shadowRoot) return;
-      const lockedInfo = this.shadowRoot.querySelector("#locked-element-info");
-      const websiteInfo = this.shadowRoot.querySelector("#website-info");
+      const result = Array.from(tokens.values())
+        .map((token) => {
+          const rootDefinition =
+            token.definitions.filter((definition) => definition.isRoot).pop() ||
+            null;
+          const value =
+            rootStyles.getPropertyValue(token.name).trim() ||
+            (rootDefinition ? rootDefinition.value : "") ||
+            (token.definitions[0] ? token.definitions[0].value : "");
+          return {
+            name: token.name,
+            value,
+            authored: rootDefinition
+              ? rootDefinition.value
+              : token.definitions[0]
+              ? token.definitions[0].value
+              : null,
+            alias: getAliasTarget(
+              rootDefinition
+                ? rootDefinition.value
+                : token.definitions[0]
+                ? token.definitions[0].value
+                : ""
+            ),
+            kind: classifyTokenValue(token.name, value),
+            defined: token.definitions.length > 0,
+            scopes: Array.from(
+              new Set(
+                token.definitions
+                  .filter((definition) => !definition.isRoot)
+                  .map(
+                    (definition) =>
+                      definition.selector ||
+                      this.getElementIdentifier(definition.element)
+                  )
+              )
+            ),
+            references: token.references,
+            aliasedBy: token.aliasedBy,
+            elements: Array.from(token.elements).filter(
+              (element) =>
+                element.isConnected &&
+                !element.closest(
+                  '[id^="css-inspector"], .css-inspector-overlay'
+                )
+            ),
+          };
+        })
+        .sort(
+          (a, b) =>
+            b.elements.length - a.elements.length ||
+            b.references - a.references ||
+            a.name.localeCompare(b.name)
+        );
 
-      if (element) {
-        // Show element info, hide website info
-        // Format: "Type.tag" (e.g., "Text.p", "Image.div", "Button.button")
-        const tagName = element.tagName.toLowerCase();
-        const typeLabel = this.getElementTypeLabel(element);
-        const typeLabelEscaped = typeLabel
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;");
-        const tagNameEscaped = tagName
-          .replace(/</g, "&lt;")
-          .replace(/>/g, "&gt;");
+      this.tokenUsageCache = { tokens: result, sheets: index.sheets };
+      return this.tokenUsageCache;
+    }
 
-        if (lockedInfo) {
-          const colors = this.getThemeColors();
-          // Dot styling: gray when hovered (turned off), green with glow when locked (turned on)
-          const dotColor = isLocked ? "#10B981" : colors.textTertiary; // Green when locked, gray when hovered
-          const dotGlow = isLocked
-            ? "0 0 12px rgba(16, 185, 129, 0.8), 0 0 8px rgba(16, 185, 129, 0.6), 0 0 4px rgba(16, 185, 129, 0.4)"
-            : "none";
-          lockedInfo.style.display = "flex";
-          lockedInfo.style.alignItems = "center";
-          lockedInfo.style.gap = "8px";
-          lockedInfo.innerHTML = `
-          <div style="width: 8px; height: 8px; background: ${dotColor}; border-radius: 50%; flex-shrink: 0; box-shadow: ${dotGlow}; transition: background 0.2s, box-shadow 0.2s;"></div>
-          <div style="font-size: 24px; font-weight: 600; color: ${colors.textPrimary}; font-family: 'Inter', sans-serif; letter-spacing: -0.01em;">
-            <span>${typeLabelEscaped}.</span>
-            <span style="opacity: 0.75;">${tagNameEscaped}</span>
-      </div>
-    `;
-        }
+    // Root font size in px, for rem based token values
+    getRootFontSize() {
+      return (
+        parseFloat(window.getComputedStyle(document.documentElement).fontSize) ||
+        16
+      );
+    }
 
-        if (websiteInfo) {
-          websiteInfo.style.display = "none";
-        }
-      } else {
-        // Hide element info, show website info
-        if (lockedInfo) {
-          lockedInfo.style.display = "none";
-          lockedInfo.innerHTML = "";
+    // Loads the token file saved for the audit (kept in extension storage so it
+    // applies on every site, e.g. each release candidate's URL)
+    loadTokenAuditFile() {
+      if (!chrome.storage || !chrome.storage.local) return;
+      chrome.storage.local.get("css-inspector-token-file", (stored) => {
+        const saved = stored && stored["css-inspector-token-file"];
+        if (!saved) return;
+        try {
+          this.tokenAuditFile = {
+            name: saved.name,
+            ...parseDesignTokenFile(saved.text),
+          };
+        } catch (error) {
+          console.warn("[CSS Inspector] Saved token file is invalid:", error);
         }
+      });
+    }
 
-        if (websiteInfo) {
-          websiteInfo.style.display = "flex";
-        }
-      }
+    // Parses and saves a token file picked in the Audit view
+    importTokenAuditFile(file) {
+      file
+        .text()
+        .then((text) => {
+          const parsed = parseDesignTokenFile(text);
+          this.tokenAuditFile = { name: file.name, ...parsed };
+          this.tokenAuditError = null;
+          if (chrome.storage && chrome.storage.local) {
+            chrome.storage.local.set({
+              "css-inspector-token-file": { name: file.name, text },
+            });
+          }
+          this.renderTokensView();
+          const importButton = this.shadowRoot
+            ? this.shadowRoot.querySelector("[data-token-audit-import]")
+            : null;
+          this.showToast("Token file imported", importButton);
+        })
+        .catch((error) => {
+          this.tokenAuditError = `${file.name}: ${error.message}`;
+          this.renderTokensView();
+        });
     }
 
-    unlockElement() {
-      if (this.selectedElement) {
-        this.removeOverlay("selected");
-        this.selectedElement = null;
+    removeTokenAuditFile() {
+      this.tokenAuditFile = null;
+      this.tokenAuditError = null;
+      if (chrome.storage && chrome.storage.local) {
+        chrome.storage.local.remove("css-inspector-token-file");
       }
-
-      // Update header to show website info again
-      this.updateLockedElementHeader(null);
-
-      // Show empty state
-      this.showEmptyState();
+      this.renderTokensView();
     }
 
-    extractElementInfo(element, styles, rect) {
-      const classList = Array.from(element.classList);
-      const classString = classList.length > 0 ? "." + classList.join(".") : "";
+    // Values in use on the page, per audit category, with the elements using them
+    // Colors come from extractColors(), families from extractTypography(), sizes and
+    // weights from the text styles and spacing / radius from extractSpacingValues()
+    getTokenAuditValues() {
+      const textStyles = this.extractTextStyles();
+      const aggregate = (entries) => {
+        const byValue = new Map();
+        entries.forEach(({ value, elements }) => {
+          const usage = byValue.get(value) || {
+            value,
+            instances: 0,
+            elements: [],
+          };
+          usage.instances += elements.length;
+          usage.elements.push(...elements);
+          byValue.set(value, usage);
+        });
+        return Array.from(byValue.values());
+      };
+
+      const spacingValues = this.extractSpacingValues();
 
       return {
-        tag: element.tagName.toLowerCase(),
-        classes: classString,
-        id: element.id || null,
-        dimensions: {
-          width: Math.round(rect.width),
-          height: Math.round(rect.height),
-        },
-        typography: {
-          fontFamily: styles.fontFamily,
-          fontSize: styles.fontSize,
-          fontWeight: styles.fontWeight,
-          lineHeight: styles.lineHeight,
-          letterSpacing: styles.letterSpacing,
-        },
-        spacing: {
-          margin: {
-            top: this.parseValue(styles.marginTop),
-            right: this.parseValue(styles.marginRight),
-            bottom: this.parseValue(styles.marginBottom),
-            left: this.parseValue(styles.marginLeft),
-          },
-          padding: {
-            top: this.parseValue(styles.paddingTop),
-            right: this.parseValue(styles.paddingRight),
-            bottom: this.parseValue(styles.paddingBottom),
-            left: this.parseValue(styles.paddingLeft),
-          },
-        },
-        colors: {
-          color: styles.color,
-          backgroundColor: styles.backgroundColor,
-          borderColor: styles.borderColor || styles.borderTopColor,
-        },
-        border: {
-          radius: styles.borderRadius,
-          width: {
-            top: this.parseValue(styles.borderTopWidth),
-            right: this.parseValue(styles.borderRightWidth),
-            bottom: this.parseValue(styles.borderBottomWidth),
-            left: this.parseValue(styles.borderLeftWidth),
-          },
-          style: styles.borderStyle,
-        },
-        position: {
-          top: Math.round(rect.top),
-          left: Math.round(rect.left),
-        },
+        color: this.extractColors().map((color) => ({
+          value: color.value || color.hex,
+          instances: color.instances,
+          elements: color.elements || [],
+        })),
+        fontFamily: this.extractTypography().map((font) => {
+          const family = font.fontFamily.toLowerCase();
+          return {
+            value: font.fontFamily,
+            instances: font.instances,
+            elements: textStyles
+              .filter(
+                (style) =>
+                  style.fontFamily.toLowerCase() === family ||
+                  getTokenFontFamilies(style.fontStack).includes(family)
+              )
+              .flatMap((style) => style.elements),
+          };
+        }),
+        fontSize: this.getTypeScaleUsages().map((usage) => ({
+          value: usage.size,
+          instances: usage.instances,
+          elements: usage.elements,
+        })),
+        fontWeight: aggregate(
+          textStyles.map((style) => ({
+            value: parseFloat(style.fontWeight) || 400,
+            elements: style.elements,
+          }))
+        ),
+        spacing: spacingValues.spacing,
+        radius: spacingValues.radius,
       };
     }
 
-    parseValue(value) {
-      // Convert computed values to numbers with units
-      if (value === "0px" || value === "0") return "0";
-      return value;
+    // Runs the audit of the page against the imported token file (null without one)
+    runTokenAudit() {
+      if (!this.tokenAuditFile) return null;
+      return auditValuesAgainstTokens(
+        this.tokenAuditFile.tokens,
+        this.getTokenAuditValues(),
+        { rootFontSize: this.getRootFontSize() }
+      );
     }
 
     getInspectorCursor() {
@@ -5573,7 +12024,11 @@
       const bgColorTextColor =
         this.getLuminance(bgColorDisplay) > 0.5 ? "#000" : "#FFF";
 
-      return `
+      // Pseudo-element sizes can be "auto"
+      const formatSize = (value) =>
+        typeof value === "number" ? `${value}px` : value;
+
+      const elementHtml = `
       <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
         <div style="margin-bottom: 10px;">
           <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
@@ -5587,16 +12042,16 @@
         colors.border
       }; border-radius: 12px; cursor: pointer; transition: all 0.2s;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${
         colors.bgSecondary
-      }'" data-copy-value="${
+      }'" data-copy-value="${formatSize(
         info.dimensions.width
-      }px" data-copy-message="Width copied">
+      )}" data-copy-message="Width copied" data-edit-property="width">
             <div style="color: ${
               colors.textSecondary
             }; font-size: 11px; font-family: 'Inter', sans-serif; margin-bottom: 4px;">Width</div>
             <div style="color: ${
               colors.textPrimary
             }; font-weight: 600; font-size: 18px; font-family: 'Inter', sans-serif;">
-              ${info.dimensions.width}px
+              ${formatSize(info.dimensions.width)}
           </div>
           </div>
           <div style="padding: 12px; background: ${
@@ -5605,16 +12060,16 @@
         colors.border
       }; border-radius: 12px; cursor: pointer; transition: all 0.2s;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'" onmouseout="this.style.background='${
         colors.bgSecondary
-      }'" data-copy-value="${
+      }'" data-copy-value="${formatSize(
         info.dimensions.height
-      }px" data-copy-message="Height copied">
+      )}" data-copy-message="Height copied" data-edit-property="height">
             <div style="color: ${
               colors.textSecondary
             }; font-size: 11px; font-family: 'Inter', sans-serif; margin-bottom: 4px;">Height</div>
             <div style="color: ${
               colors.textPrimary
             }; font-weight: 600; font-size: 18px; font-family: 'Inter', sans-serif;">
-              ${info.dimensions.height}px
+              ${formatSize(info.dimensions.height)}
             </div>
           </div>
         </div>
@@ -5669,7 +12124,7 @@
               colors.bgSecondary
             }'; this.style.borderColor='${colors.border}'" data-copy-value="${
               info.typography.fontSize
-            }" data-copy-message="Font size copied">
+            }" data-copy-message="Font size copied" data-edit-property="font-size">
             <div style="color: ${
               colors.textSecondary
             }; font-size: 10px; font-family: 'Inter', sans-serif; margin-bottom: 4px; font-weight: 400;">Size</div>
@@ -5687,7 +12142,7 @@
               colors.bgSecondary
             }'; this.style.borderColor='${colors.border}'" data-copy-value="${
               info.typography.fontWeight
-            }" data-copy-message="Font weight copied">
+            }" data-copy-message="Font weight copied" data-edit-property="font-weight">
             <div style="color: ${
               colors.textSecondary
             }; font-size: 10px; font-family: 'Inter', sans-serif; margin-bottom: 4px; font-weight: 400;">Weight</div>
@@ -5705,7 +12160,7 @@
               colors.bgSecondary
             }'; this.style.borderColor='${colors.border}'" data-copy-value="${
               info.typography.lineHeight
-            }" data-copy-message="Line height copied">
+            }" data-copy-message="Line height copied" data-edit-property="line-height">
             <div style="color: ${
               colors.textSecondary
             }; font-size: 10px; font-family: 'Inter', sans-serif; margin-bottom: 4px; font-weight: 400;">Line</div>
@@ -5718,7 +12173,7 @@
           ${
             info.typography.letterSpacing !== "normal"
               ? `
-          <div style="padding: 8px 10px; background: ${colors.bgSecondary}; border: 1px solid ${colors.border}; border-radius: 12px; cursor: pointer; transition: all 0.2s; text-align: center;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" onmouseout="this.style.background='${colors.bgSecondary}'; this.style.borderColor='${colors.border}'" data-copy-value="${info.typography.letterSpacing}" data-copy-message="Letter spacing copied">
+          <div style="padding: 8px 10px; background: ${colors.bgSecondary}; border: 1px solid ${colors.border}; border-radius: 12px; cursor: pointer; transition: all 0.2s; text-align: center;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" onmouseout="this.style.background='${colors.bgSecondary}'; this.style.borderColor='${colors.border}'" data-copy-value="${info.typography.letterSpacing}" data-copy-message="Letter spacing copied" data-edit-property="letter-spacing">
             <div style="color: ${colors.textSecondary}; font-size: 10px; font-family: 'Inter', sans-serif; margin-bottom: 4px; font-weight: 400;">Letter</div>
             <div style="color: ${colors.textPrimary}; font-weight: 500; font-family: 'Inter', sans-serif; font-size: 13px; display: flex; align-items: center; justify-content: center; gap: 4px;">
               <span>${info.typography.letterSpacing}</span>
@@ -5726,7 +12181,7 @@
           </div>
           `
               : `
-          <div style="padding: 8px 10px; background: ${colors.bgSecondary}; border: 1px solid ${colors.border}; border-radius: 12px; cursor: pointer; transition: all 0.2s; text-align: center;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" onmouseout="this.style.background='${colors.bgSecondary}'; this.style.borderColor='${colors.border}'" data-copy-value="0px" data-copy-message="Letter spacing copied">
+          <div style="padding: 8px 10px; background: ${colors.bgSecondary}; border: 1px solid ${colors.border}; border-radius: 12px; cursor: pointer; transition: all 0.2s; text-align: center;" class="inspector-squircle" onmouseover="this.style.background='${hoverBg}'; this.style.borderColor='${hoverBorder}'" onmouseout="this.style.background='${colors.bgSecondary}'; this.style.borderColor='${colors.border}'" data-copy-value="0px" data-copy-message="Letter spacing copied" data-edit-property="letter-spacing">
             <div style="color: ${colors.textSecondary}; font-size: 10px; font-family: 'Inter', sans-serif; margin-bottom: 4px; font-weight: 400;">Letter</div>
             <div style="color: ${colors.textPrimary}; font-weight: 500; font-family: 'Inter', sans-serif; font-size: 13px; display: flex; align-items: center; justify-content: center; gap: 4px;">
               <span>0px</span>
@@ -5763,7 +12218,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.margin.top !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.top-boxRect.top+elRect.height+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.top}" data-copy-message="Margin top copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.top-boxRect.top+elRect.height+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.top}" data-copy-message="Margin top copied" data-edit-property="margin-top"`
                       : ""
                   }>${
         info.spacing.margin.top !== "0"
@@ -5781,7 +12236,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.margin.right !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.right}" data-copy-message="Margin right copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.right}" data-copy-message="Margin right copied" data-edit-property="margin-right"`
                       : ""
                   }>${
         info.spacing.margin.right !== "0"
@@ -5799,7 +12254,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.margin.bottom !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.bottom}" data-copy-message="Margin bottom copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.bottom}" data-copy-message="Margin bottom copied" data-edit-property="margin-bottom"`
                       : ""
                   }>${
         info.spacing.margin.bottom !== "0"
@@ -5817,7 +12272,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.margin.left !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.left}" data-copy-message="Margin left copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'margin');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.margin.left}" data-copy-message="Margin left copied" data-edit-property="margin-left"`
                       : ""
                   }>${
         info.spacing.margin.left !== "0"
@@ -5853,7 +12308,7 @@
                 : "cursor: default;"
             } z-index: 20; color: ${colors.textSecondary};" ${
         info.border.radius !== "0px" && info.border.radius !== "0"
-          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied"`
+          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied" data-edit-property="border-radius"`
           : ""
       }>${
         info.border.radius !== "0px" && info.border.radius !== "0"
@@ -5866,7 +12321,7 @@
                 : "cursor: default;"
             } z-index: 20; color: ${colors.textSecondary};" ${
         info.border.radius !== "0px" && info.border.radius !== "0"
-          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied"`
+          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied" data-edit-property="border-radius"`
           : ""
       }>${
         info.border.radius !== "0px" && info.border.radius !== "0"
@@ -5879,7 +12334,7 @@
                 : "cursor: default;"
             } z-index: 20; color: ${colors.textSecondary};" ${
         info.border.radius !== "0px" && info.border.radius !== "0"
-          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied"`
+          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied" data-edit-property="border-radius"`
           : ""
       }>${
         info.border.radius !== "0px" && info.border.radius !== "0"
@@ -5892,7 +12347,7 @@
                 : "cursor: default;"
             } z-index: 20; color: ${colors.textSecondary};" ${
         info.border.radius !== "0px" && info.border.radius !== "0"
-          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied"`
+          ? `onmouseenter="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent='radius'; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this);" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.border.radius}" data-copy-message="Border radius copied" data-edit-property="border-radius"`
           : ""
       }>${
         info.border.radius !== "0px" && info.border.radius !== "0"
@@ -5913,7 +12368,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.padding.top !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.top-boxRect.top+elRect.height+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.top}" data-copy-message="Padding top copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.top-boxRect.top+elRect.height+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.top}" data-copy-message="Padding top copied" data-edit-property="padding-top"`
                       : ""
                   }>${
         info.spacing.padding.top !== "0"
@@ -5931,7 +12386,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.padding.right !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.right}" data-copy-message="Padding right copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.right}" data-copy-message="Padding right copied" data-edit-property="padding-right"`
                       : ""
                   }>${
         info.spacing.padding.right !== "0"
@@ -5949,7 +12404,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.padding.bottom !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.bottom}" data-copy-message="Padding bottom copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.bottom}" data-copy-message="Padding bottom copied" data-edit-property="padding-bottom"`
                       : ""
                   }>${
         info.spacing.padding.bottom !== "0"
@@ -5967,7 +12422,7 @@
       } white-space: nowrap; z-index: 10;" 
                   ${
                     info.spacing.padding.left !== "0"
-                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.left}" data-copy-message="Padding left copied"`
+                      ? `onmouseover="this.style.opacity='0.7';" onmouseout="this.style.opacity='1';" onmouseenter="(function(el, prop){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const existingPopover=previewBox.querySelector('.spacing-popover'); if(existingPopover) existingPopover.remove(); const elRect=el.getBoundingClientRect(); const boxRect=previewBox.getBoundingClientRect(); const popover=document.createElement('div'); popover.className='spacing-popover'; popover.textContent=prop; popover.style.cssText='position:absolute;top:'+(elRect.bottom-boxRect.top+4)+'px;left:'+(elRect.left-boxRect.left+(elRect.width/2))+'px;transform:translateX(-50%);background:${popoverBg};color:${popoverText};padding:4px 8px;border-radius:4px;font-size:11px;font-family:Inter,sans-serif;white-space:nowrap;z-index:10000;pointer-events:none;';previewBox.appendChild(popover);}})(this,'padding');" onmouseleave="(function(el){const previewBox=el.closest('[id^=spacing-preview-box]'); if(previewBox){const popover=previewBox.querySelector('.spacing-popover'); if(popover) popover.remove();}})(this);" data-copy-value="${info.spacing.padding.left}" data-copy-message="Padding left copied" data-edit-property="padding-left"`
                       : ""
                   }>${
         info.spacing.padding.left !== "0"
@@ -5986,111 +12441,1608 @@
         </div>
       </div>
 
-      ${
-        info.colors &&
-        ((info.colors.color &&
-          info.colors.color !== "rgba(0, 0, 0, 0)" &&
-          info.colors.color !== "transparent") ||
-          (info.colors.backgroundColor &&
-            info.colors.backgroundColor !== "rgba(0, 0, 0, 0)" &&
-            info.colors.backgroundColor !== "transparent") ||
-          (info.colors.borderColor &&
-            this.isValidColor(info.colors.borderColor) &&
-            info.colors.borderColor !== "rgba(0, 0, 0, 0)" &&
-            info.colors.borderColor !== "transparent" &&
-            (info.border.width.top !== "0" ||
-              info.border.width.right !== "0" ||
-              info.border.width.bottom !== "0" ||
-              info.border.width.left !== "0")))
-          ? `
+      ${info.layout ? this.renderLayoutSection(info.layout, colors) : ""}
+      ${info.media ? this.renderMediaSection(info.media, colors) : ""}
+      ${
+        info.states
+          ? this.renderStatesSection(info.states, selector, colors)
+          : ""
+      }
+      ${
+        info.colors &&
+        ((info.colors.color &&
+          info.colors.color !== "rgba(0, 0, 0, 0)" &&
+          info.colors.color !== "transparent") ||
+          (info.colors.backgroundColor &&
+            info.colors.backgroundColor !== "rgba(0, 0, 0, 0)" &&
+            info.colors.backgroundColor !== "transparent") ||
+          (info.colors.borderColor &&
+            this.isValidColor(info.colors.borderColor) &&
+            info.colors.borderColor !== "rgba(0, 0, 0, 0)" &&
+            info.colors.borderColor !== "transparent" &&
+            (info.border.width.top !== "0" ||
+              info.border.width.right !== "0" ||
+              info.border.width.bottom !== "0" ||
+              info.border.width.left !== "0")))
+          ? `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            colors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Colors</h4>
+          </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 4px; color: ${
+              colors.textSecondary
+            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Text${this.renderColorFormatSelect(
+              colors
+            )}</div>
+            <div style="padding: 12px; background: ${(() => {
+              const hex = this.rgbToHex(info.colors.color);
+              return hex
+                ? this.getColorSwatchBackground(info.colors.color)
+                : "#FFFFFF";
+            })()}; border-radius: 12px; border: 1px solid ${
+              colors.border
+            }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${
+              this.formatColorValue(info.colors.color) || "#000000"
+            }" data-copy-message="Text color copied" data-edit-property="color">
+              <div style="color: ${(() => {
+                const hex = this.rgbToHex(info.colors.color) || "#000000";
+                return this.getLuminance(hex) > 0.5 ? "#000" : "#FFF";
+              })()}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
+                <span style="overflow: hidden; text-overflow: ellipsis;">${
+                  this.formatColorValue(info.colors.color) || "#000000"
+                }</span>${this.getGamutBadge(
+                  this.parseColor(info.colors.color),
+                  colors
+                )}
+          </div>
+        </div>
+      </div>
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 4px; color: ${
+              colors.textSecondary
+            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Background${this.renderColorFormatSelect(
+              colors
+            )}</div>
+            <div style="padding: 12px; background: ${this.getColorSwatchBackground(
+              this.rgbToHex(bgColorDisplay) ? bgColorDisplay : "#FFFFFF"
+            )}; border-radius: 12px; border: 1px solid ${
+              colors.border
+            }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${
+              this.formatColorValue(info.colors.backgroundColor) || "#FFFFFF"
+            }" data-copy-message="Background color copied" data-edit-property="background-color">
+              <div style="color: ${bgColorTextColor}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
+                <span style="overflow: hidden; text-overflow: ellipsis;">${
+                  this.formatColorValue(info.colors.backgroundColor) ||
+                  "#FFFFFF"
+                }</span>${this.getGamutBadge(
+        this.parseColor(info.colors.backgroundColor),
+        colors
+      )}
+              </div>
+            </div>
+          </div>
+          ${
+            this.isValidColor(info.colors.borderColor) &&
+            (info.border.width.top !== "0" ||
+              info.border.width.right !== "0" ||
+              info.border.width.bottom !== "0" ||
+              info.border.width.left !== "0")
+              ? `
+          <div style="display: flex; flex-direction: column; gap: 8px;">
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 4px; color: ${
+              colors.textSecondary
+            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Border${this.renderColorFormatSelect(
+              colors
+            )}</div>
+            <div style="padding: 12px; background: ${(() => {
+              const hex = this.rgbToHex(info.colors.borderColor);
+              return hex
+                ? this.getColorSwatchBackground(info.colors.borderColor)
+                : "#FFFFFF";
+            })()}; border-radius: 12px; border: 1px solid ${
+                  colors.border
+                }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${
+                  this.formatColorValue(info.colors.borderColor) || "#000000"
+                }" data-copy-message="Border color copied" data-edit-property="border-color">
+              <div style="color: ${(() => {
+                const hex = this.rgbToHex(info.colors.borderColor) || "#000000";
+                return this.getLuminance(hex) > 0.5 ? "#000" : "#FFF";
+              })()}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
+                <span style="overflow: hidden; text-overflow: ellipsis;">${
+                  this.formatColorValue(info.colors.borderColor) || "#000000"
+                }</span>${this.getGamutBadge(
+                  this.parseColor(info.colors.borderColor),
+                  colors
+                )}
+              </div>
+            </div>
+          </div>
+          `
+              : ""
+          }
+        </div>
+      </div>
+      `
+          : ""
+      }
+      ${
+        info.gradients && info.gradients.length > 0
+          ? `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            colors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Gradients</h4>
+        </div>
+        <div style="display: flex; flex-direction: column; gap: 8px;">
+          ${info.gradients
+            .map((gradient, index) =>
+              this.renderGradientEditor(gradient, index, colors)
+            )
+            .join("")}
+        </div>
+      </div>
+      `
+          : ""
+      }
+      ${
+        info.shadows &&
+        (info.shadows.box.length > 0 ||
+          info.shadows.text.length > 0 ||
+          info.shadows.drop.length > 0)
+          ? `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            colors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Shadows</h4>
+        </div>
+        <div style="display: flex; flex-direction: column; gap: 8px;">
+          ${getShadowKinds()
+            .filter((kind) => info.shadows[kind.id].length > 0)
+            .map((kind) =>
+              this.renderShadowSection(kind, info.shadows[kind.id], colors)
+            )
+            .join("")}
+        </div>
+      </div>
+      `
+          : ""
+      }
+      ${
+        info.rules && info.rules.rules.length > 0
+          ? this.renderRulesSection(info.rules, colors)
+          : ""
+      }
+      ${
+        info.breakpoints
+          ? this.renderBreakpointsSection(info.breakpoints, colors)
+          : ""
+      }
+      ${
+        info.tokens && info.tokens.length > 0
+          ? `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            colors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Variables</h4>
+        </div>
+        <div style="display: flex; flex-direction: column; gap: 8px;">
+          ${info.tokens
+            .map((reference) => this.renderTokenReference(reference, colors))
+            .join("")}
+        </div>
+      </div>
+      `
+          : ""
+      }
+
+    `;
+
+      if (!info.pseudoElements || info.pseudoElements.length === 0) {
+        return elementHtml;
+      }
+      return this.renderPseudoElementTabs(info, elementHtml, isSelected, colors);
+    }
+
+    // Element | ::before | ::after ... tabs over the element's sections, each
+    // pseudo-element tab showing its content and its own sections
+    renderPseudoElementTabs(info, elementHtml, isSelected, themeColors) {
+      const active = info.pseudoElements.some(
+        (pseudo) => pseudo.id === this.activePseudoElementTab
+      )
+        ? this.activePseudoElementTab
+        : "element";
+      const tab = (id, label) =>
+        `<button data-pseudo-tab="${id}" style="flex-shrink: 0; padding: 4px 10px; border: none; background: ${
+          id === active ? themeColors.segmentActive : "transparent"
+        }; color: ${
+          id === active ? themeColors.textPrimary : themeColors.textSecondary
+        }; font-size: 12px; font-weight: 500; font-family: ${
+          id === "element" ? "'Inter', sans-serif" : "'Courier New', monospace"
+        }; border-radius: 9999px; cursor: pointer;">${label}</button>`;
+
+      return `
+      <div data-pseudo-tabs style="display: flex; gap: 2px; padding: 2px; margin-bottom: 16px; background: ${
+        themeColors.segmentBg
+      }; border-radius: 9999px; overflow-x: auto;">
+        ${tab("element", "Element")}
+        ${info.pseudoElements
+          .map((pseudo) => tab(pseudo.id, pseudo.selector))
+          .join("")}
+      </div>
+      <div data-pseudo-view="element" style="display: ${
+        active === "element" ? "block" : "none"
+      };">${elementHtml}</div>
+      ${info.pseudoElements
+        .map(
+          (pseudo) => `
+      <div data-pseudo-view="${pseudo.id}" style="display: ${
+            active === pseudo.id ? "block" : "none"
+          };">
+        ${this.renderPseudoElementContent(pseudo, themeColors)}
+        ${this.formatElementInfo(pseudo.info, isSelected, pseudo.hasText)}
+      </div>`
+        )
+        .join("")}
+    `;
+    }
+
+    // Content section of a pseudo-element tab: the generated text (or marker,
+    // placeholder text) with its content declaration, display and position
+    renderPseudoElementContent(pseudo, themeColors) {
+      const declaration =
+        pseudo.id === "before" || pseudo.id === "after"
+          ? `content: ${pseudo.content};`
+          : "";
+      const preview =
+        pseudo.id === "selection"
+          ? `<span style="padding: 0 2px; color: ${pseudo.info.colors.color}; background: ${pseudo.info.colors.backgroundColor};">Selected text</span>`
+          : this.escapeHtml(pseudo.text) ||
+            `<span style="color: ${themeColors.textSecondary};">Empty</span>`;
+      const badge = (label, value) =>
+        `<span style="padding: 2px 6px; background: ${
+          themeColors.bgPrimary
+        }; border: 1px solid ${
+          themeColors.border
+        }; border-radius: 4px; font-size: 11px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Inter', sans-serif;">${label} <span style="color: ${
+          themeColors.textPrimary
+        }; font-family: 'Courier New', monospace;">${this.escapeHtml(value)}</span></span>`;
+
+      return `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Content</h4>
+        </div>
+        <div style="padding: 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px; display: flex; flex-direction: column; gap: 8px;" class="inspector-squircle">
+          <div data-copy-value="${this.escapeHtml(
+            declaration || pseudo.text
+          )}" data-copy-message="${
+        declaration ? "Content copied" : "Text copied"
+      }" style="font-size: 16px; color: ${
+        themeColors.textPrimary
+      }; font-family: 'Inter', sans-serif; cursor: pointer; overflow-wrap: anywhere;">${preview}</div>
+          ${
+            declaration
+              ? `<div style="font-size: 11px; color: ${
+                  themeColors.textSecondary
+                }; font-family: 'Courier New', monospace; overflow-wrap: anywhere;">${this.escapeHtml(
+                  declaration
+                )}</div>`
+              : ""
+          }
+          ${
+            pseudo.id === "before" || pseudo.id === "after"
+              ? `<div style="display: flex; flex-wrap: wrap; gap: 6px;">${badge(
+                  "display",
+                  pseudo.display
+                )}${badge("position", pseudo.position)}</div>`
+              : ""
+          }
+        </div>
+      </div>
+      `;
+    }
+
+    // Tab switching for the pseudo-element tabs; gradient editors are bound
+    // per view, as every view numbers its gradients from 0
+    bindPseudoElementTabs(root, info) {
+      if (!root) return;
+      const views = root.querySelectorAll("[data-pseudo-view]");
+      if (views.length === 0) {
+        this.bindGradientEditors(root, info);
+        return;
+      }
+
+      views.forEach((view) => {
+        const id = view.dataset.pseudoView;
+        const pseudo = info.pseudoElements.find((item) => item.id === id);
+        this.bindGradientEditors(view, pseudo ? pseudo.info : info);
+      });
+
+      const themeColors = this.getThemeColors();
+      root.querySelectorAll("[data-pseudo-tab]").forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const id = button.dataset.pseudoTab;
+          this.activePseudoElementTab = id;
+          root.querySelectorAll("[data-pseudo-tab]").forEach((other) => {
+            const active = other === button;
+            other.style.background = active
+              ? themeColors.segmentActive
+              : "transparent";
+            other.style.color = active
+              ? themeColors.textPrimary
+              : themeColors.textSecondary;
+          });
+          views.forEach((view) => {
+            view.style.display =
+              view.dataset.pseudoView === id ? "block" : "none";
+          });
+          this.updatePanelHeight(false, true);
+        });
+      });
+    }
+
+    // One property's var() references in the Variables section: the declaration
+    // it came from and each variable's alias chain down to its resolved value
+    renderTokenReference(reference, themeColors) {
+      const tokens = reference.tokens
+        .map((token) => {
+          const isColor =
+            reference.kind === "color" && this.isValidColor(token.resolved);
+          const resolved = isColor
+            ? this.formatColorValue(token.resolved)
+            : token.resolved;
+          const lastLink = token.chain[token.chain.length - 1];
+          const chainTitle = token.chain
+            .map((link) =>
+              link.value === null
+                ? `${link.name}: not defined in a readable stylesheet`
+                : `${link.name}: ${link.value}  (${link.selector})`
+            )
+            .join("\n");
+
+          return `
+          <div data-copy-value="var(${token.name})" data-copy-message="Variable copied" title="${this.escapeHtml(
+            chainTitle
+          )}" style="display: flex; align-items: center; gap: 8px; margin-top: 6px; cursor: pointer; font-size: 12px; font-family: 'Courier New', monospace; min-width: 0;">
+            ${
+              isColor
+                ? `<span style="width: 12px; height: 12px; border-radius: 4px; flex-shrink: 0; border: 1px solid ${
+                    themeColors.border
+                  }; background: ${this.getColorSwatchBackground(
+                    token.resolved
+                  )};"></span>`
+                : ""
+            }
+            <span style="font-weight: 600; color: ${
+              themeColors.textPrimary
+            }; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0;">${token.chain
+            .map((link) => this.escapeHtml(link.name))
+            .join(
+              ` <span style="color: ${themeColors.textSecondary}; font-weight: 400;">→</span> `
+            )}</span>
+            <span style="margin-left: auto; flex-shrink: 0; color: ${
+              lastLink && lastLink.value === null
+                ? "#F59E0B"
+                : themeColors.textSecondary
+            };">${this.escapeHtml(resolved || "unset")}</span>
+          </div>`;
+        })
+        .join("");
+
+      return `
+        <div style="padding: 8px 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          <div style="display: flex; align-items: baseline; justify-content: space-between; gap: 8px; font-size: 11px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif;">
+            <span style="flex-shrink: 0;">${reference.label}</span>
+            <span title="${this.escapeHtml(
+              `${reference.property}: ${reference.value}\n${reference.source}`
+            )}" style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0;">${this.escapeHtml(
+        reference.selector
+      )}${reference.inheritedFrom ? " · inherited" : ""}</span>
+          </div>
+          ${tokens}
+        </div>
+      `;
+    }
+
+    // One gradient in the Gradients section: a live preview with its angle and
+    // color stops as inputs, the CSS to copy and an SVG export for linear ones.
+    // Edits only change the preview, never the page
+    renderGradientEditor(gradient, index, themeColors) {
+      const css = `background-image: ${formatGradient(gradient)};`;
+      const offsets = resolveGradientStops(gradient);
+      const inputStyle = `padding: 2px 4px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgPrimary}; color: ${themeColors.textPrimary}; font-size: 11px; font-family: 'Inter', sans-serif; border-radius: 6px; outline: none;`;
+
+      let colorStopIndex = 0;
+      const stopRows = gradient.stops
+        .map((stop, stopIndex) => {
+          if (!stop.color) return "";
+          const offset = offsets[colorStopIndex++].offset;
+          const parsed = this.parseColor(stop.color);
+          const hex = parsed
+            ? formatHex({ ...parsed, alpha: 1 }).toLowerCase()
+            : "#000000";
+          return `
+          <div style="display: flex; align-items: center; gap: 8px; margin-top: 6px; font-size: 11px; font-family: 'Inter', sans-serif; color: ${
+            themeColors.textSecondary
+          };">
+            <input type="color" data-gradient-stop-color="${index}:${stopIndex}" value="${hex}" title="Stop color" style="width: 22px; height: 22px; padding: 0; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 6px; background: none; cursor: pointer; flex-shrink: 0;">
+            <span data-gradient-stop-label="${index}:${stopIndex}" style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; font-family: 'Courier New', monospace; color: ${
+            themeColors.textPrimary
+          };">${this.escapeHtml(
+            this.formatColorValue(stop.color) || stop.color
+          )}</span>
+            <input type="number" data-gradient-stop-position="${index}:${stopIndex}" value="${formatGradientNumber(
+            offset
+          )}" min="0" max="100" step="1" title="Stop position (%)" style="${inputStyle} width: 48px;">
+            <span>%</span>
+          </div>`;
+        })
+        .join("");
+
+      return `
+        <div data-gradient-editor="${index}" style="padding: 8px 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          <div data-gradient-preview="${index}" style="height: 56px; border-radius: 8px; border: 1px solid ${
+            themeColors.border
+          }; background-image: ${this.escapeHtml(formatGradient(gradient))};"></div>
+          <div style="display: flex; align-items: center; gap: 8px; margin-top: 8px; font-size: 11px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif;">
+            <span data-gradient-description="${index}" style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+        describeGradient(gradient)
+      )}</span>
+            ${
+              gradient.type !== "radial"
+                ? `<input type="number" data-gradient-angle="${index}" value="${formatGradientNumber(
+                    gradient.angle
+                  )}" step="1" title="Angle (deg)" style="${inputStyle} width: 52px;"><span>deg</span>`
+                : ""
+            }
+          </div>
+          ${stopRows}
+          <div style="display: flex; align-items: center; gap: 8px; margin-top: 8px;">
+            <span data-gradient-css="${index}" data-copy-value="${this.escapeHtml(
+        css
+      )}" data-copy-message="Gradient CSS copied" title="${this.escapeHtml(
+        css
+      )}" style="flex: 1; min-width: 0; font-size: 11px; font-family: 'Courier New', monospace; color: ${
+        themeColors.textPrimary
+      }; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+        css
+      )}</span>
+            ${
+              gradient.type === "linear"
+                ? `<button data-gradient-svg="${index}" style="flex-shrink: 0; padding: 2px 8px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgPrimary}; color: ${themeColors.textPrimary}; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">SVG</button>`
+                : ""
+            }
+            <button data-gradient-reset="${index}" style="flex-shrink: 0; padding: 2px 8px; border: 1px solid ${
+              themeColors.border
+            }; background: ${themeColors.bgPrimary}; color: ${
+        themeColors.textPrimary
+      }; font-size: 10px; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer; outline: none;">Reset</button>
+          </div>
+        </div>
+      `;
+    }
+
+    // Wires the Gradients section inputs to working copies of the element's
+    // gradients, updating the preview and copyable CSS as they change
+    bindGradientEditors(root, info) {
+      const gradients = info.gradients || [];
+      if (!root || gradients.length === 0) return;
+      const working = gradients.map((gradient) =>
+        JSON.parse(JSON.stringify(gradient))
+      );
+
+      const refresh = (index) => {
+        const gradient = working[index];
+        const value = formatGradient(gradient);
+        const css = `background-image: ${value};`;
+        const preview = root.querySelector(`[data-gradient-preview="${index}"]`);
+        const cssLabel = root.querySelector(`[data-gradient-css="${index}"]`);
+        const description = root.querySelector(
+          `[data-gradient-description="${index}"]`
+        );
+        if (preview) preview.style.backgroundImage = value;
+        if (cssLabel) {
+          cssLabel.textContent = css;
+          cssLabel.title = css;
+          cssLabel.dataset.copyValue = css;
+        }
+        if (description) description.textContent = describeGradient(gradient);
+      };
+      const parseKey = (key) => key.split(":").map((n) => parseInt(n, 10));
+      const stopInputs = (selector) => root.querySelectorAll(selector);
+
+      root.querySelectorAll("[data-gradient-angle]").forEach((input) => {
+        input.addEventListener("click", (e) => e.stopPropagation());
+        input.addEventListener("input", () => {
+          const index = parseInt(input.dataset.gradientAngle, 10);
+          const angle = parseFloat(input.value);
+          if (!working[index] || isNaN(angle)) return;
+          working[index].angle = angle;
+          refresh(index);
+        });
+      });
+
+      stopInputs("[data-gradient-stop-color]").forEach((input) => {
+        input.addEventListener("click", (e) => e.stopPropagation());
+        input.addEventListener("input", () => {
+          const [index, stopIndex] = parseKey(input.dataset.gradientStopColor);
+          const stop = working[index] && working[index].stops[stopIndex];
+          if (!stop) return;
+          // The color picker is opaque - keep the stop's original alpha
+          const previous = this.parseColor(stop.color);
+          const picked = this.parseColor(input.value);
+          stop.color =
+            previous && picked && previous.alpha < 1
+              ? formatRgba({ ...picked, alpha: previous.alpha })
+              : input.value;
+          const label = root.querySelector(
+            `[data-gradient-stop-label="${input.dataset.gradientStopColor}"]`
+          );
+          if (label) {
+            label.textContent = this.formatColorValue(stop.color) || stop.color;
+          }
+          refresh(index);
+        });
+      });
+
+      stopInputs("[data-gradient-stop-position]").forEach((input) => {
+        input.addEventListener("click", (e) => e.stopPropagation());
+        input.addEventListener("input", () => {
+          const [index, stopIndex] = parseKey(
+            input.dataset.gradientStopPosition
+          );
+          const stop = working[index] && working[index].stops[stopIndex];
+          const position = parseFloat(input.value);
+          if (!stop || isNaN(position)) return;
+          stop.position = `${formatGradientNumber(position)}%`;
+          refresh(index);
+        });
+      });
+
+      // Reset puts the working copy and its inputs back to the computed gradient
+      root.querySelectorAll("[data-gradient-reset]").forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const index = parseInt(button.dataset.gradientReset, 10);
+          if (!gradients[index]) return;
+          working[index] = JSON.parse(JSON.stringify(gradients[index]));
+          const gradient = working[index];
+          const angleInput = root.querySelector(
+            `[data-gradient-angle="${index}"]`
+          );
+          if (angleInput) {
+            angleInput.value = formatGradientNumber(gradient.angle);
+          }
+
+          const offsets = resolveGradientStops(gradient);
+          let colorStopIndex = 0;
+          gradient.stops.forEach((stop, stopIndex) => {
+            if (!stop.color) return;
+            const key = `${index}:${stopIndex}`;
+            const offset = offsets[colorStopIndex++].offset;
+            const parsed = this.parseColor(stop.color);
+            const colorInput = root.querySelector(
+              `[data-gradient-stop-color="${key}"]`
+            );
+            const positionInput = root.querySelector(
+              `[data-gradient-stop-position="${key}"]`
+            );
+            const label = root.querySelector(
+              `[data-gradient-stop-label="${key}"]`
+            );
+            if (colorInput && parsed) {
+              colorInput.value = formatHex({
+                ...parsed,
+                alpha: 1,
+              }).toLowerCase();
+            }
+            if (positionInput) {
+              positionInput.value = formatGradientNumber(offset);
+            }
+            if (label) {
+              label.textContent =
+                this.formatColorValue(stop.color) || stop.color;
+            }
+          });
+          refresh(index);
+        });
+      });
+
+      root.querySelectorAll("[data-gradient-svg]").forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const index = parseInt(button.dataset.gradientSvg, 10);
+          if (!working[index]) return;
+          this.downloadFile(
+            `${this.getExportFileBaseName()}-gradient.svg`,
+            exportGradientsAsSvg([{ gradient: working[index], instances: 1 }]),
+            "image/svg+xml"
+          );
+          this.showToast("SVG exported", button);
+        });
+      });
+    }
+
+    // One shadow kind in the Shadows section: a preview, each layer's offset / blur /
+    // spread / color and the declaration to copy
+    // Layout section for flex and grid containers: the container properties
+    // as copyable declarations, computed track sizes and named areas
+    renderLayoutSection(layout, themeColors) {
+      const gap =
+        layout.rowGap === layout.columnGap
+          ? layout.rowGap
+          : `${layout.rowGap} ${layout.columnGap}`;
+
+      const cells =
+        layout.kind === "flex"
+          ? [
+              ["Direction", "flex-direction", layout.direction],
+              ["Wrap", "flex-wrap", layout.wrap],
+              ["Gap", "gap", gap],
+              ["Justify", "justify-content", layout.justifyContent],
+              ["Align items", "align-items", layout.alignItems],
+              ["Align content", "align-content", layout.alignContent],
+            ]
+          : [
+              ["Gap", "gap", gap],
+              ["Auto flow", "grid-auto-flow", layout.autoFlow],
+              ["Justify content", "justify-content", layout.justifyContent],
+              ["Align content", "align-content", layout.alignContent],
+              ["Justify items", "justify-items", layout.justifyItems],
+              ["Align items", "align-items", layout.alignItems],
+            ];
+
+      const cellHtml = cells
+        .map(
+          ([label, property, value]) => `
+          <div data-copy-value="${this.escapeHtml(
+            `${property}: ${value};`
+          )}" data-copy-message="${label} copied" style="padding: 6px 8px; background: ${
+            themeColors.bgSecondary
+          }; border-radius: 8px; cursor: pointer; min-width: 0;">
+            <div style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${label}</div>
+            <div style="margin-top: 2px; font-size: 11px; font-weight: 500; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Courier New', monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+            value
+          )}</div>
+          </div>`
+        )
+        .join("");
+
+      // Computed track sizes, copyable as the resolved template
+      const renderTracks = (label, property, trackList) => {
+        if (trackList.tracks.length === 0) return "";
+        const template = trackList.tracks
+          .map((size) => `${Math.round(size * 100) / 100}px`)
+          .join(" ");
+        return `
+          <div data-copy-value="${this.escapeHtml(
+            `${property}: ${template};`
+          )}" data-copy-message="${label} copied" style="margin-top: 8px; cursor: pointer;">
+            <div style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${label} · ${
+          trackList.tracks.length
+        }</div>
+            <div style="display: flex; flex-wrap: wrap; gap: 4px; margin-top: 4px;">
+              ${trackList.tracks
+                .map(
+                  (size) =>
+                    `<span style="padding: 2px 6px; background: ${
+                      themeColors.bgPrimary
+                    }; border: 1px solid ${
+                      themeColors.border
+                    }; border-radius: 4px; font-size: 11px; color: ${
+                      themeColors.textPrimary
+                    }; font-family: 'Courier New', monospace;">${
+                      Math.round(size * 10) / 10
+                    }</span>`
+                )
+                .join("")}
+            </div>
+          </div>`;
+      };
+
+      // Named areas drawn on a small map of the grid
+      const renderAreas = () => {
+        if (!layout.areas || layout.areas.length === 0) return "";
+        const columnCount = Math.max(
+          layout.columns.tracks.length,
+          ...layout.areas.map((area) => area.columnEnd - 1)
+        );
+        const rowCount = Math.max(
+          layout.rows.tracks.length,
+          ...layout.areas.map((area) => area.rowEnd - 1)
+        );
+        return `
+          <div style="margin-top: 8px;">
+            <div style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">Areas</div>
+            <div style="display: grid; grid-template-columns: repeat(${columnCount}, 1fr); grid-template-rows: repeat(${rowCount}, 22px); gap: 2px; margin-top: 4px;">
+              ${layout.areas
+                .map(
+                  (area) =>
+                    `<div data-copy-value="${this.escapeHtml(
+                      area.name
+                    )}" data-copy-message="Area name copied" style="grid-column: ${
+                      area.columnStart
+                    } / ${area.columnEnd}; grid-row: ${area.rowStart} / ${
+                      area.rowEnd
+                    }; display: flex; align-items: center; justify-content: center; background: rgba(168, 85, 247, 0.15); border: 1px solid rgba(168, 85, 247, 0.5); border-radius: 4px; font-size: 10px; color: ${
+                      themeColors.textPrimary
+                    }; font-family: 'Courier New', monospace; cursor: pointer; overflow: hidden; white-space: nowrap;">${this.escapeHtml(
+                      area.name
+                    )}</div>`
+                )
+                .join("")}
+            </div>
+          </div>`;
+      };
+
+      return `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Layout</h4>
+          <button data-layout-overlay-toggle style="padding: 3px 8px; background: ${
+            this.layoutOverlayEnabled
+              ? "rgba(168, 85, 247, 0.15)"
+              : themeColors.segmentBg
+          }; border: 1px solid ${
+        this.layoutOverlayEnabled ? "rgba(168, 85, 247, 0.5)" : themeColors.border
+      }; border-radius: 6px; font-size: 11px; color: ${
+        themeColors.textPrimary
+      }; font-family: 'Inter', sans-serif; cursor: pointer;">Overlay ${
+        this.layoutOverlayEnabled ? "on" : "off"
+      }</button>
+        </div>
+        <div style="padding: 8px 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          <div style="display: flex; align-items: baseline; justify-content: space-between; gap: 8px; font-size: 12px; font-weight: 500; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">
+            <span data-copy-value="${this.escapeHtml(
+              `display: ${layout.display};`
+            )}" data-copy-message="Display copied" style="cursor: pointer;">${this.escapeHtml(
+        describeLayout(layout)
+      )}</span>
+            <span style="font-size: 11px; font-weight: 400; color: ${
+              themeColors.textSecondary
+            };">${layout.itemCount} item${layout.itemCount === 1 ? "" : "s"}</span>
+          </div>
+          ${
+            layout.kind === "grid"
+              ? renderTracks("Columns", "grid-template-columns", layout.columns) +
+                renderTracks("Rows", "grid-template-rows", layout.rows) +
+                renderAreas()
+              : ""
+          }
+        </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; margin-top: 8px;">
+          ${cellHtml}
+        </div>
+      </div>
+      `;
+    }
+
+    // Overlay toggle in the Layout section; the choice is remembered
+    bindLayoutSection(root) {
+      const toggle = root && root.querySelector("[data-layout-overlay-toggle]");
+      if (!toggle) return;
+      toggle.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.layoutOverlayEnabled = !this.layoutOverlayEnabled;
+        localStorage.setItem(
+          "css-inspector-layout-overlay",
+          String(this.layoutOverlayEnabled)
+        );
+        const themeColors = this.getThemeColors();
+        const enabled = this.layoutOverlayEnabled;
+        toggle.textContent = `Overlay ${enabled ? "on" : "off"}`;
+        toggle.style.background = enabled
+          ? "rgba(168, 85, 247, 0.15)"
+          : themeColors.segmentBg;
+        toggle.style.borderColor = enabled
+          ? "rgba(168, 85, 247, 0.5)"
+          : themeColors.border;
+        this.updateLayoutOverlay(this.selectedElement);
+      });
+    }
+
+    // Media section: natural vs rendered size with the oversampling ratio, the
+    // srcset candidate in use, fit, transfer size and loading attributes
+    renderMediaSection(media, themeColors) {
+      const round = (value) => Math.round(value * 10) / 10;
+      const formatSize = (size) =>
+        size && size.width && size.height
+          ? `${round(size.width)} × ${round(size.height)}`
+          : "—";
+      const pixelRatio = round(media.pixelRatio);
+
+      let natural = formatSize(media.natural);
+      if (media.pending) natural = "Loading…";
+      if (media.kind === "svg") {
+        natural = media.natural ? `viewBox ${natural}` : "No viewBox";
+      }
+
+      // More than twice the device pixels needed is flagged, as is upscaling
+      let oversampling = media.vector ? "Vector" : "—";
+      let oversamplingColor = themeColors.textPrimary;
+      if (media.oversampling) {
+        oversampling = `${round(media.oversampling)}× at ${pixelRatio}x`;
+        if (media.oversampling > 2) oversamplingColor = "#F59E0B";
+        if (media.oversampling < 1) {
+          oversampling += " (upscaled)";
+          oversamplingColor = "#F59E0B";
+        }
+      }
+
+      let transfer = media.url && /^data:/i.test(media.url) ? "Inline" : "—";
+      let transferTitle = "";
+      if (media.resource) {
+        if (media.resource.restricted) {
+          transfer = "Unknown";
+          transferTitle =
+            "Cross-origin resource without a Timing-Allow-Origin header";
+        } else if (media.resource.cached) {
+          transfer = `Cached · ${formatByteSize(media.resource.encodedSize)}`;
+        } else {
+          transfer = formatByteSize(media.resource.transferSize);
+          transferTitle = `${formatByteSize(
+            media.resource.decodedSize
+          )} decoded · ${media.resource.duration} ms`;
+        }
+      } else if (media.url && transfer === "—") {
+        transferTitle = "No resource timing entry for this URL";
+      }
+
+      const cells = [
+        ["Natural", natural, null],
+        ["Rendered", formatSize(media.rendered), null],
+        ["Oversampling", oversampling, null, oversamplingColor],
+        ["Transfer", transfer, null, null, transferTitle],
+      ]
+        .concat(
+          media.fit.map(([property, value]) => [
+            property,
+            value,
+            `${property}: ${value};`,
+          ])
+        )
+        .concat(
+          media.attributes.map(([name, value]) => [
+            name,
+            value,
+            // Defaults aren't in the markup, so there's nothing to copy
+            /\(default\)$/.test(value) || value === "off" || value === "none"
+              ? null
+              : `${name}="${value}"`,
+          ])
+        );
+
+      const cellHtml = cells
+        .map(
+          ([label, value, copyValue, color, title]) => `
+          <div ${
+            copyValue
+              ? `data-copy-value="${this.escapeHtml(
+                  copyValue
+                )}" data-copy-message="${this.escapeHtml(label)} copied"`
+              : ""
+          } ${
+            title ? `title="${this.escapeHtml(title)}"` : ""
+          } style="padding: 6px 8px; background: ${
+            themeColors.bgSecondary
+          }; border-radius: 8px; cursor: ${
+            copyValue ? "pointer" : "default"
+          }; min-width: 0;">
+            <div style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">${this.escapeHtml(label)}</div>
+            <div style="margin-top: 2px; font-size: 11px; font-weight: 500; color: ${
+              color || themeColors.textPrimary
+            }; font-family: 'Courier New', monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+            value
+          )}</div>
+          </div>`
+        )
+        .join("");
+
+      const srcset = media.srcset
+        ? `
+          <div style="margin-top: 8px;">
+            <div style="font-size: 10px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Inter', sans-serif;">srcset · ${this.escapeHtml(
+            media.srcset.source
+          )}${
+            media.srcset.sourceCount > 1
+              ? ` (of ${media.srcset.sourceCount} sources)`
+              : ""
+          }</div>
+            <div style="display: flex; flex-direction: column; gap: 2px; margin-top: 4px;">
+              ${media.srcset.candidates
+                .map(
+                  (candidate) => `<div data-copy-value="${this.escapeHtml(
+                    candidate.url
+                  )}" data-copy-message="URL copied" title="${this.escapeHtml(
+                    candidate.url
+                  )}" style="display: flex; gap: 8px; padding: 2px 6px; border-radius: 4px; background: ${
+                    candidate.chosen ? themeColors.segmentActive : "transparent"
+                  }; font-size: 11px; font-family: 'Courier New', monospace; color: ${
+                    candidate.chosen
+                      ? themeColors.textPrimary
+                      : themeColors.textSecondary
+                  }; font-weight: ${
+                    candidate.chosen ? 600 : 400
+                  }; cursor: pointer; min-width: 0;"><span style="flex-shrink: 0; width: 48px;">${this.escapeHtml(
+                    candidate.descriptor
+                  )}</span><span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+                    getAssetFileName(candidate.url, candidate.url)
+                  )}</span></div>`
+                )
+                .join("")}
+            </div>
+            ${
+              media.srcset.sizes
+                ? `<div data-copy-value="${this.escapeHtml(
+                    media.srcset.sizes
+                  )}" data-copy-message="sizes copied" style="margin-top: 4px; font-size: 10px; color: ${
+                    themeColors.textSecondary
+                  }; font-family: 'Courier New', monospace; cursor: pointer; overflow-wrap: anywhere;">sizes="${this.escapeHtml(
+                    media.srcset.sizes
+                  )}"</div>`
+                : ""
+            }
+          </div>`
+        : "";
+
+      return `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Media</h4>
+          ${
+            media.url || media.kind === "svg"
+              ? `<button data-media-download style="padding: 3px 8px; background: ${
+                  themeColors.segmentBg
+                }; border: 1px solid ${
+                  themeColors.border
+                }; border-radius: 6px; font-size: 11px; color: ${
+                  themeColors.textPrimary
+                }; font-family: 'Inter', sans-serif; cursor: pointer;">Download</button>`
+              : ""
+          }
+        </div>
+        <div style="padding: 8px 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          <div style="display: flex; align-items: baseline; justify-content: space-between; gap: 8px; font-size: 12px; font-weight: 500; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif; min-width: 0;">
+            <span ${
+              media.url
+                ? `data-copy-value="${this.escapeHtml(
+                    media.url
+                  )}" data-copy-message="URL copied" title="${this.escapeHtml(
+                    media.url
+                  )}"`
+                : ""
+            } style="cursor: ${
+        media.url ? "pointer" : "default"
+      }; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; min-width: 0;">${this.escapeHtml(
+        media.label
+      )}${media.fileName ? ` · ${this.escapeHtml(media.fileName)}` : ""}</span>
+            <span style="flex-shrink: 0; font-size: 11px; font-weight: 400; color: ${
+              themeColors.textSecondary
+            };">${this.escapeHtml(media.type || "Unknown type")}${
+        media.layerCount > 1 ? ` · 1 of ${media.layerCount} layers` : ""
+      }</span>
+          </div>
+          ${srcset}
+        </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 6px; margin-top: 8px;">
+          ${cellHtml}
+        </div>
+      </div>
+      `;
+    }
+
+    // Download button in the Media section
+    bindMediaSection(root) {
+      const button = root && root.querySelector("[data-media-download]");
+      if (!button) return;
+      button.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.downloadMediaAsset(this.selectedElement, button);
+      });
+    }
+
+    // Saves the asset the element shows: inline SVG as markup, anything else
+    // downloaded by the extension from its URL
+    async downloadMediaAsset(element, button = null) {
+      if (!element) return;
+      const styles = this.getCachedComputedStyle(element);
+      const media = this.extractMediaInfo(element, styles);
+      if (!media) return;
+
+      if (media.kind === "svg") {
+        const { target } = this.getMediaElement(element, styles);
+        const svg = target.cloneNode(true);
+        if (!svg.getAttribute("xmlns")) {
+          svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+        }
+        this.downloadFile(
+          media.fileName,
+          new XMLSerializer().serializeToString(svg),
+          "image/svg+xml"
+        );
+        this.showToast("SVG downloaded", button);
+        return;
+      }
+      if (!media.url) return;
+
+      try {
+        await this.saveAssetFile(
+          media.fileName,
+          await this.getAssetDownloadSource(media.url)
+        );
+        this.showToast(`${media.fileName} downloaded`, button);
+      } catch (error) {
+        console.error("[CSS Inspector] Failed to download asset:", error);
+        this.showToast("Couldn't download this file", button);
+      }
+    }
+
+    // States section: a switcher over hover / focus / focus-visible / active /
+    // disabled with each state's changed properties next to their defaults
+    renderStatesSection(states, selector, themeColors) {
+      const compared = states.states.filter((state) => state.id !== "default");
+      const active = compared.some(
+        (state) => state.id === this.activeInteractiveState
+      )
+        ? this.activeInteractiveState
+        : compared[0].id;
+
+      const renderValue = (property, value) => {
+        const isColor =
+          /(^|-)color$/.test(property) && this.isValidColor(value);
+        return `<span style="display: flex; align-items: center; gap: 6px; min-width: 0;">${
+          isColor
+            ? `<span style="width: 12px; height: 12px; flex-shrink: 0; border-radius: 4px; border: 1px solid ${
+                themeColors.border
+              }; background: ${this.getColorSwatchBackground(value)};"></span>`
+            : ""
+        }<span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${this.escapeHtml(
+          value
+        )}">${this.escapeHtml(
+          isColor ? this.formatColorValue(value) : value
+        )}</span></span>`;
+      };
+
+      const tabs = compared
+        .map(
+          (state) =>
+            `<button data-state-tab="${state.id}" style="flex-shrink: 0; padding: 4px 10px; border: none; background: ${
+              state.id === active ? themeColors.segmentActive : "transparent"
+            }; color: ${
+              state.id === active
+                ? themeColors.textPrimary
+                : themeColors.textSecondary
+            }; font-size: 11px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 9999px; cursor: pointer;">${
+              state.label
+            }${
+              state.changes.length > 0 ? ` · ${state.changes.length}` : ""
+            }</button>`
+        )
+        .join("");
+
+      const views = compared
+        .map((state) => {
+          const rows = state.changes
+            .map(
+              (change) => `
+              <span style="font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${
+                change.property
+              }">${change.property}</span>
+              ${renderValue(change.property, change.from)}
+              ${renderValue(change.property, change.to)}`
+            )
+            .join("");
+
+          return `
+          <div data-state-view="${state.id}" style="display: ${
+            state.id === active ? "block" : "none"
+          };">
+            ${
+              state.changes.length > 0
+                ? `
+            <div style="display: grid; grid-template-columns: repeat(3, minmax(0, 1fr)); gap: 6px 8px; align-items: center; font-size: 11px; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Courier New', monospace;">
+              <span style="font-size: 10px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">Property</span>
+              <span style="font-size: 10px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">Default</span>
+              <span style="font-size: 10px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">${state.label}</span>
+              ${rows}
+            </div>
+            <div data-copy-value="${this.escapeHtml(
+              formatStateDiffCss(selector, state, state.changes)
+            )}" data-copy-message="State CSS copied" style="margin-top: 10px; padding: 6px 8px; background: ${
+                    themeColors.bgPrimary
+                  }; border: 1px solid ${
+                    themeColors.border
+                  }; border-radius: 6px; font-size: 11px; color: ${
+                    themeColors.textSecondary
+                  }; font-family: 'Inter', sans-serif; text-align: center; cursor: pointer;">Copy :${
+                    state.id
+                  } CSS</div>`
+                : `<div style="font-size: 11px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">No style changes on :${state.id}</div>`
+            }
+          </div>`;
+        })
+        .join("");
+
+      const notes = [];
+      if (states.unreadable > 0) {
+        notes.push(
+          `${states.unreadable} cross-origin stylesheet${
+            states.unreadable === 1 ? "" : "s"
+          } couldn't be read.`
+        );
+      }
+      notes.push(
+        "Browser default styles (such as the focus ring) aren't included."
+      );
+
+      return `
       <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
         <div style="margin-bottom: 10px;">
           <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
-            colors.textPrimary
-          }; font-family: 'Inter', sans-serif;">Colors</h4>
-          </div>
-        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
-          <div style="display: flex; flex-direction: column; gap: 8px;">
-            <div style="color: ${
-              colors.textSecondary
-            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Text</div>
-            <div style="padding: 12px; background: ${(() => {
-              const hex = this.rgbToHex(info.colors.color);
-              return hex || "#FFFFFF";
-            })()}; border-radius: 12px; border: 1px solid ${
-              colors.border
-            }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${(() => {
-              const hex = this.rgbToHex(info.colors.color);
-              return hex || "#000000";
-            })()}" data-copy-message="Text color copied">
-              <div style="color: ${(() => {
-                const hex = this.rgbToHex(info.colors.color) || "#000000";
-                return this.getLuminance(hex) > 0.5 ? "#000" : "#FFF";
-              })()}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
-                ${(() => {
-                  const hex = this.rgbToHex(info.colors.color);
-                  return hex || "#000000";
-                })()}
-          </div>
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">States</h4>
+        </div>
+        <div style="display: flex; gap: 2px; padding: 2px; margin-bottom: 8px; background: ${
+          themeColors.segmentBg
+        }; border-radius: 9999px; overflow-x: auto;">${tabs}</div>
+        <div style="padding: 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          ${views}
+          <div style="margin-top: 10px; font-size: 10px; color: ${
+            themeColors.textTertiary
+          }; font-family: 'Inter', sans-serif;">${notes.join(" ")}</div>
         </div>
       </div>
-          <div style="display: flex; flex-direction: column; gap: 8px;">
-            <div style="color: ${
-              colors.textSecondary
-            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Background</div>
-            <div style="padding: 12px; background: ${
-              this.rgbToHex(bgColorDisplay) || bgColorDisplay || "#FFFFFF"
-            }; border-radius: 12px; border: 1px solid ${
-              colors.border
-            }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${
-              this.rgbToHex(info.colors.backgroundColor) || "#FFFFFF"
-            }" data-copy-message="Background color copied">
-              <div style="color: ${bgColorTextColor}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
-                ${this.rgbToHex(info.colors.backgroundColor) || "#FFFFFF"}
-              </div>
+      `;
+    }
+
+    // Breakpoints section: the locked element's typography, spacing and layout
+    // values per width range, consecutive ranges with the same value merged
+    renderBreakpointsSection(breakpoints, themeColors) {
+      const renderRow = (row) => {
+        const segments = [];
+        row.values.forEach((value, rangeIndex) => {
+          const range = breakpoints.ranges[rangeIndex];
+          const last = segments[segments.length - 1];
+          if (last && last.value === value) {
+            last.max = range.max;
+            last.current = last.current || range.current;
+          } else {
+            segments.push({
+              value,
+              min: range.min,
+              max: range.max,
+              current: range.current,
+            });
+          }
+        });
+
+        return `
+          <div style="display: flex; align-items: baseline; gap: 8px; padding: 4px 0; min-width: 0;">
+            <span style="flex-shrink: 0; width: 120px; font-size: 11px; color: ${
+              themeColors.textSecondary
+            }; font-family: 'Courier New', monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+          row.property
+        )}</span>
+            <div style="flex: 1; min-width: 0; display: flex; flex-wrap: wrap; gap: 4px;">
+              ${segments
+                .map(
+                  (segment) => `<span ${
+                    segment.value
+                      ? `data-copy-value="${this.escapeHtml(
+                          `${row.property}: ${segment.value};`
+                        )}" data-copy-message="Declaration copied"`
+                      : 'title="Not set by a matching rule"'
+                  } style="display: inline-flex; gap: 6px; padding: 2px 6px; background: ${
+                    segment.current
+                      ? themeColors.segmentActive
+                      : themeColors.bgSecondary
+                  }; border: 1px solid ${
+                    themeColors.border
+                  }; border-radius: 6px; font-size: 11px; cursor: ${
+                    segment.value ? "pointer" : "default"
+                  }; max-width: 100%; min-width: 0;"><span style="flex-shrink: 0; color: ${
+                    themeColors.textSecondary
+                  }; font-family: 'Inter', sans-serif;">${this.escapeHtml(
+                    formatBreakpointRange(segment)
+                  )}</span><span style="color: ${
+                    segment.value
+                      ? themeColors.textPrimary
+                      : themeColors.textTertiary
+                  }; font-family: 'Courier New', monospace; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${
+                    segment.value ? this.escapeHtml(segment.value) : "—"
+                  }</span></span>`
+                )
+                .join("")}
             </div>
           </div>
-          ${
-            this.isValidColor(info.colors.borderColor) &&
-            (info.border.width.top !== "0" ||
-              info.border.width.right !== "0" ||
-              info.border.width.bottom !== "0" ||
-              info.border.width.left !== "0")
-              ? `
-          <div style="display: flex; flex-direction: column; gap: 8px;">
-            <div style="color: ${
-              colors.textSecondary
-            }; font-size: 11px; font-family: 'Inter', sans-serif; font-weight: 400;">Border</div>
-            <div style="padding: 12px; background: ${(() => {
-              const hex = this.rgbToHex(info.colors.borderColor);
-              return hex || "#FFFFFF";
-            })()}; border-radius: 12px; border: 1px solid ${
-                  colors.border
-                }; cursor: pointer; transition: opacity 0.2s; height: 48px; min-height: 48px; max-height: 48px; display: flex; align-items: center; justify-content: space-between; overflow: hidden; box-sizing: border-box;" class="inspector-squircle" onmouseover="this.style.opacity='0.8'" onmouseout="this.style.opacity='1'" data-copy-value="${(() => {
-                  const hex = this.rgbToHex(info.colors.borderColor);
-                  return hex || "#000000";
-                })()}" data-copy-message="Border color copied">
-              <div style="color: ${(() => {
-                const hex = this.rgbToHex(info.colors.borderColor) || "#000000";
-                return this.getLuminance(hex) > 0.5 ? "#000" : "#FFF";
-              })()}; font-weight: 600; font-size: 13px; font-family: 'Inter', sans-serif; display: flex; align-items: center; gap: 8px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; flex: 1; min-width: 0;">
-                ${(() => {
-                  const hex = this.rgbToHex(info.colors.borderColor);
-                  return hex || "#000000";
-                })()}
+        `;
+      };
+
+      return `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="display: flex; align-items: baseline; justify-content: space-between; margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Breakpoints</h4>
+          <span style="font-size: 11px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif;">${
+        breakpoints.ranges.length
+      } ranges · viewport ${window.innerWidth}px</span>
+        </div>
+        ${
+          breakpoints.groups.length === 0
+            ? `<div style="font-size: 11px; color: ${themeColors.textSecondary}; font-family: 'Inter', sans-serif;">No breakpoint changes this element's typography, spacing or layout.</div>`
+            : breakpoints.groups
+                .map(
+                  (group) => `
+          <div style="margin-bottom: 8px;">
+            <div style="margin-bottom: 2px; font-size: 11px; font-weight: 500; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Inter', sans-serif;">${group.label}</div>
+            ${group.rows.map(renderRow).join("")}
+          </div>`
+                )
+                .join("")
+        }
+      </div>
+      `;
+    }
+
+    // Rules section: the rules matching the locked element, winning rule first,
+    // each with its specificity, source line and at-rule context; declarations
+    // that lose the cascade are struck through
+    renderRulesSection(matched, themeColors) {
+      const chip = (text) =>
+        `<span style="padding: 1px 6px; background: ${
+          themeColors.bgPrimary
+        }; border: 1px solid ${
+          themeColors.border
+        }; border-radius: 4px; font-size: 10px; color: ${
+          themeColors.textSecondary
+        }; font-family: 'Courier New', monospace; max-width: 100%; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${this.escapeHtml(
+          text
+        )}">${this.escapeHtml(text)}</span>`;
+
+      const cards = matched.rules
+        .map((rule) => {
+          // Selectors of the list that don't match are dimmed
+          const selectorHtml =
+            rule.matchedSelectors.length > 0
+              ? splitSelectorList(rule.selector)
+                  .map((part) =>
+                    rule.matchedSelectors.includes(part)
+                      ? this.escapeHtml(part)
+                      : `<span style="opacity: 0.45;">${this.escapeHtml(part)}</span>`
+                  )
+                  .join(", ")
+              : this.escapeHtml(rule.selector);
+          const location = formatRuleSource(rule.source, rule.line);
+          const declarations = rule.declarations
+            .map(
+              (declaration) => `
+              <div data-copy-value="${this.escapeHtml(
+                `${declaration.property}: ${declaration.value}${
+                  declaration.important ? " !important" : ""
+                };`
+              )}" data-copy-message="Declaration copied" style="cursor: pointer; overflow-wrap: anywhere; ${
+                declaration.overridden
+                  ? "text-decoration: line-through; opacity: 0.45;"
+                  : ""
+              }"${
+                declaration.overridden
+                  ? ' title="Overridden by a rule higher in the cascade"'
+                  : ""
+              }><span style="color: ${
+                themeColors.textSecondary
+              };">${this.escapeHtml(declaration.property)}</span>: ${this.escapeHtml(
+                declaration.value
+              )}${declaration.important ? " !important" : ""};</div>`
+            )
+            .join("");
+
+          return `
+          <div style="padding: 10px 12px; background: ${
+            themeColors.bgSecondary
+          }; border: 1px solid ${
+            themeColors.border
+          }; border-radius: 12px; display: flex; flex-direction: column; gap: 6px; min-width: 0;" class="inspector-squircle">
+            <div style="display: flex; align-items: baseline; justify-content: space-between; gap: 8px; min-width: 0;">
+              <span data-copy-value="${this.escapeHtml(
+                rule.selector
+              )}" data-copy-message="Selector copied" style="font-size: 12px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Courier New', monospace; cursor: pointer; overflow-wrap: anywhere; min-width: 0;">${selectorHtml}</span>
+              ${
+                rule.specificity
+                  ? `<span title="Specificity (ids, classes, types)" style="flex-shrink: 0; font-size: 10px; color: ${
+                      themeColors.textSecondary
+                    }; font-family: 'Courier New', monospace;">${rule.specificity.join(
+                      ","
+                    )}</span>`
+                  : ""
+              }
+            </div>
+            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 4px; min-width: 0;">
+              <span data-copy-value="${this.escapeHtml(
+                rule.href
+                  ? `${rule.href}${rule.line ? `:${rule.line}` : ""}`
+                  : location
+              )}" data-copy-message="Source copied" title="${this.escapeHtml(
+            rule.href || rule.source
+          )}" style="font-size: 10px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif; cursor: pointer; text-decoration: underline; text-decoration-style: dotted;">${this.escapeHtml(
+            location
+          )}</span>
+              ${rule.conditions
+                .map((condition) =>
+                  chip(
+                    `@${condition.type}${
+                      condition.text ? ` ${condition.text}` : ""
+                    }`
+                  )
+                )
+                .join("")}
+            </div>
+            <div style="display: flex; flex-direction: column; gap: 2px; font-size: 11px; color: ${
+              themeColors.textPrimary
+            }; font-family: 'Courier New', monospace;">${
+            declarations ||
+            `<span style="color: ${themeColors.textSecondary};">No declarations</span>`
+          }</div>
+          </div>`;
+        })
+        .join("");
+
+      const unreadable = matched.sheets.unreadable;
+      return `
+      <div class="inspector-section" style="margin-bottom: 16px; opacity: 1; transform: translateY(0); transition: opacity 0.2s ease-out, transform 0.2s ease-out;">
+        <div style="display: flex; align-items: baseline; justify-content: space-between; margin-bottom: 10px;">
+          <h4 style="margin: 0; font-size: 13px; font-weight: 600; color: ${
+            themeColors.textPrimary
+          }; font-family: 'Inter', sans-serif;">Rules</h4>
+          <span style="font-size: 11px; color: ${
+            themeColors.textSecondary
+          }; font-family: 'Inter', sans-serif;">${matched.rules.length} matched</span>
+        </div>
+        <div style="display: flex; flex-direction: column; gap: 8px;">
+          ${cards}
+        </div>
+        ${
+          unreadable > 0
+            ? `<div style="margin-top: 8px; font-size: 10px; color: ${
+                themeColors.textTertiary
+              }; font-family: 'Inter', sans-serif;">${unreadable} cross-origin stylesheet${
+                unreadable === 1 ? "" : "s"
+              } couldn't be read, so rules from ${
+                unreadable === 1 ? "it" : "them"
+              } aren't listed.</div>`
+            : ""
+        }
+      </div>
+      `;
+    }
+
+    // State switcher in the States section; the picked state is kept for the
+    // next element
+    bindStatesSection(root) {
+      if (!root) return;
+      const themeColors = this.getThemeColors();
+      const tabs = root.querySelectorAll("[data-state-tab]");
+      tabs.forEach((button) => {
+        button.addEventListener("click", (e) => {
+          e.stopPropagation();
+          const id = button.dataset.stateTab;
+          this.activeInteractiveState = id;
+          tabs.forEach((other) => {
+            const active = other === button;
+            other.style.background = active
+              ? themeColors.segmentActive
+              : "transparent";
+            other.style.color = active
+              ? themeColors.textPrimary
+              : themeColors.textSecondary;
+          });
+          root.querySelectorAll("[data-state-view]").forEach((view) => {
+            view.style.display =
+              view.dataset.stateView === id ? "block" : "none";
+          });
+          this.updatePanelHeight(false, true);
+        });
+      });
+    }
+
+    renderShadowSection(kind, layers, themeColors) {
+      const formatColor = (color) => this.formatColorValue(color);
+      const css = formatShadowCss(layers, kind.id, formatColor);
+
+      const layerRows = layers
+        .map((layer) => {
+          const lengths = [
+            ["X", layer.offsetX],
+            ["Y", layer.offsetY],
+            ["Blur", layer.blur],
+          ];
+          if (kind.id === "box") lengths.push(["Spread", layer.spread]);
+          const color = formatColor(layer.color) || layer.color;
+
+          return `
+          <div data-copy-value="${this.escapeHtml(
+            formatShadowLayer(layer, kind.id, formatColor)
+          )}" data-copy-message="Shadow layer copied" style="display: flex; align-items: center; gap: 8px; margin-top: 6px; cursor: pointer; font-size: 11px; font-family: 'Inter', sans-serif; color: ${
+            themeColors.textSecondary
+          }; min-width: 0;">
+            ${lengths
+              .map(
+                ([label, value]) =>
+                  `<span style="flex-shrink: 0;">${label} <span style="color: ${
+                    themeColors.textPrimary
+                  }; font-weight: 500;">${formatShadowLength(value)}</span></span>`
+              )
+              .join("")}
+            ${
+              layer.inset
+                ? `<span style="flex-shrink: 0; padding: 1px 6px; background: ${themeColors.bgPrimary}; border-radius: 4px;">inset</span>`
+                : ""
+            }
+            <span style="margin-left: auto; display: flex; align-items: center; gap: 6px; min-width: 0; font-family: 'Courier New', monospace; color: ${
+              themeColors.textPrimary
+            };">
+              ${
+                this.isValidColor(layer.color)
+                  ? `<span style="width: 12px; height: 12px; border-radius: 4px; flex-shrink: 0; border: 1px solid ${
+                      themeColors.border
+                    }; background: ${this.getColorSwatchBackground(
+                      layer.color
+                    )};"></span>`
+                  : ""
+              }
+              <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+                color
+              )}</span>
+            </span>
+          </div>`;
+        })
+        .join("");
+
+      return `
+        <div style="padding: 8px 12px; background: ${
+          themeColors.bgSecondary
+        }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 12px;" class="inspector-squircle">
+          <div style="display: flex; align-items: center; gap: 12px;">
+            ${this.renderShadowPreview(
+              kind.id,
+              formatShadowValue(layers, kind.id),
+              themeColors,
+              48
+            )}
+            <div style="flex: 1; min-width: 0;">
+              <div style="display: flex; align-items: baseline; justify-content: space-between; gap: 8px; font-size: 11px; color: ${
+                themeColors.textSecondary
+              }; font-family: 'Inter', sans-serif;">
+                <span>${kind.label}</span>
+                <span>${layers.length} ${
+        layers.length === 1 ? "layer" : "layers"
+      }</span>
               </div>
+              <div data-copy-value="${this.escapeHtml(
+                css
+              )}" data-copy-message="Shadow CSS copied" title="${this.escapeHtml(
+        css
+      )}" style="margin-top: 4px; font-size: 11px; font-family: 'Courier New', monospace; color: ${
+        themeColors.textPrimary
+      }; cursor: pointer; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${this.escapeHtml(
+        css
+      )}</div>
             </div>
           </div>
-          `
-              : ""
-          }
+          ${layerRows}
         </div>
-      </div>
-      `
-          : ""
-      }
+      `;
+    }
 
-    `;
+    // A tile showing a shadow value: a card for box-shadow, a glyph for
+    // text-shadow and a rounded shape for drop-shadow()
+    renderShadowPreview(kind, value, themeColors, size) {
+      const cssValue = String(value).replace(/"/g, "&quot;");
+      const surface = this.theme === "light" ? "#FFFFFF" : "#2A2A2A";
+      const target =
+        kind === "text"
+          ? `<span style="font-size: ${Math.round(
+              size / 2
+            )}px; font-weight: 600; font-family: 'Inter', sans-serif; color: ${
+              themeColors.textPrimary
+            }; text-shadow: ${cssValue};">Aa</span>`
+          : `<span style="width: ${Math.round(size * 0.55)}px; height: ${Math.round(
+              size * 0.55
+            )}px; border-radius: 6px; background: ${surface}; ${
+              kind === "drop" ? `filter: ${cssValue}` : `box-shadow: ${cssValue}`
+            };"></span>`;
+
+      return `
+        <div style="width: ${size}px; height: ${size}px; flex-shrink: 0; display: flex; align-items: center; justify-content: center; background: ${
+        themeColors.bgPrimary
+      }; border: 1px solid ${
+        themeColors.border
+      }; border-radius: 10px; overflow: hidden;">
+          ${target}
+        </div>
+      `;
     }
 
     extractColors() {
@@ -6100,6 +14052,31 @@
       }
 
       const colors = new Map();
+      // ::selection colors already counted
+      const selectionKeys = new Set();
+
+      // Dedupe on the full color value so alpha and wide-gamut colors stay distinct
+      const addColor = (rawColor, category, area, element) => {
+        const parsed = this.parseColor(rawColor);
+        if (!parsed || parsed.alpha < 0.01) return;
+        const key = getColorKey(parsed);
+        const existing = colors.get(key) || {
+          hex: formatHex(parsed),
+          value: parsed.value,
+          alpha: parsed.alpha,
+          space: parsed.space,
+          inGamut: parsed.inGamut,
+          instances: 0,
+          area: 0,
+          categories: new Set(),
+          elements: new Set(),
+        };
+        existing.instances++;
+        existing.area += area;
+        existing.categories.add(category);
+        existing.elements.add(element);
+        colors.set(key, existing);
+      };
 
       const allElements = document.querySelectorAll("*");
 
@@ -6232,12 +14209,6 @@
                 // Skip default unstyled link colors
               } else {
                 // Custom styled link color - include it
-                const existing = colors.get(hex) || {
-                  hex,
-                  instances: 0,
-                  area: 0,
-                  categories: new Set(),
-                };
                 // For text, estimate area as 30-50% of element area (text doesn't fill entire element)
                 // Use font size to determine coverage: larger fonts = more coverage
                 const fontSize = parseFloat(styles.fontSize) || 16;
@@ -6246,19 +14217,15 @@
                   Math.max(0.2, fontSize / 40)
                 ); // Between 20-50% based on font size
                 const estimatedTextArea = elementArea * textCoverageRatio;
-                existing.instances++;
-                existing.area += estimatedTextArea;
-                existing.categories.add("typography");
-                colors.set(hex, existing);
+                addColor(
+                  styles.color,
+                  "typography",
+                  estimatedTextArea,
+                  element
+                );
               }
             } else {
               // Not a link or not a default link color - process normally
-              const existing = colors.get(hex) || {
-                hex,
-                instances: 0,
-                area: 0,
-                categories: new Set(),
-              };
               // For text, estimate area as 30-50% of element area (text doesn't fill entire element)
               // Use font size to determine coverage: larger fonts = more coverage
               const fontSize = parseFloat(styles.fontSize) || 16;
@@ -6267,14 +14234,70 @@
                 Math.max(0.2, fontSize / 40)
               ); // Between 20-50% based on font size
               const estimatedTextArea = elementArea * textCoverageRatio;
-              existing.instances++;
-              existing.area += estimatedTextArea;
-              existing.categories.add("typography");
-              colors.set(hex, existing);
+              addColor(
+                styles.color,
+                "typography",
+                estimatedTextArea,
+                element
+              );
             }
           }
         }
 
+        // Gradient stops - each stop gets an equal share of the element's area
+        parseGradientList(styles.backgroundImage).forEach((gradient) => {
+          const colorStops = gradient.stops.filter((stop) => stop.color);
+          colorStops.forEach((stop) => {
+            addColor(
+              stop.color,
+              "gradient",
+              elementArea / colorStops.length,
+              element
+            );
+          });
+        });
+
+        // Pseudo-element colors - generated boxes are weighted by their own
+        // size, or a square of the font size when they have no fixed size
+        this.getPseudoElementStyles(element, styles, true).forEach((pseudo) => {
+          const pseudoStyles = pseudo.styles;
+          const fontSize = parseFloat(pseudoStyles.fontSize) || 16;
+          const pseudoArea =
+            (parseFloat(pseudoStyles.width) || fontSize) *
+            (parseFloat(pseudoStyles.height) || fontSize);
+
+          if (pseudo.kind.id === "selection") {
+            // The same ::selection rule usually styles every element
+            const key = `${pseudoStyles.color}|${pseudoStyles.backgroundColor}`;
+            if (selectionKeys.has(key)) return;
+            selectionKeys.add(key);
+            addColor(pseudoStyles.color, "pseudo", 0, element);
+            addColor(pseudoStyles.backgroundColor, "pseudo", 0, element);
+            return;
+          }
+
+          // Markers and placeholders only add a color when it differs from
+          // the element's text
+          const hasOwnText =
+            pseudo.kind.id === "before" || pseudo.kind.id === "after"
+              ? /["']/.test(pseudoStyles.content)
+              : pseudoStyles.color !== styles.color;
+          if (hasOwnText) {
+            addColor(pseudoStyles.color, "pseudo", fontSize * fontSize, element);
+          }
+          addColor(pseudoStyles.backgroundColor, "pseudo", pseudoArea, element);
+          if (parseFloat(pseudoStyles.borderTopWidth) > 0) {
+            addColor(pseudoStyles.borderTopColor, "pseudo", 0, element);
+          }
+          parseGradientList(pseudoStyles.backgroundImage).forEach((gradient) => {
+            gradient.stops
+              .filter((stop) => stop.color)
+              .forEach((stop) => {
+                addColor(stop.color, "pseudo", 0, element);
+              });
+          });
+        });
+
         // Background color - calculate visible area (parent area minus child areas)
         // Only count if element is large enough (filters out tiny decorative elements)
         const minBackgroundArea = 1000; // Minimum 1000px² to count
@@ -6362,19 +14385,12 @@
 
           // Only count if visible area is significant
           if (visibleArea > 0) {
-            const hex = this.rgbToHex(styles.backgroundColor);
-            if (hex) {
-              const existing = colors.get(hex) || {
-                hex,
-                instances: 0,
-                area: 0,
-                categories: new Set(),
-              };
-              existing.instances++;
-              existing.area += visibleArea;
-              existing.categories.add("background");
-              colors.set(hex, existing);
-            }
+            addColor(
+              styles.backgroundColor,
+              "background",
+              visibleArea,
+              element
+            );
           }
         }
 
@@ -6386,31 +14402,24 @@
           borderColor !== "transparent" &&
           styles.borderWidth !== "0px"
         ) {
-          const hex = this.rgbToHex(borderColor);
-          if (hex) {
-            const existing = colors.get(hex) || {
-              hex,
-              instances: 0,
-              area: 0,
-              categories: new Set(),
-            };
-            // Calculate border area: perimeter × border width
-            const borderWidth = parseFloat(styles.borderWidth) || 1;
-            const borderArea = (rect.width * 2 + rect.height * 2) * borderWidth;
-            existing.instances++;
-            existing.area += borderArea;
-            existing.categories.add("border");
-            colors.set(hex, existing);
-          }
+          // Calculate border area: perimeter × border width
+          const borderWidth = parseFloat(styles.borderWidth) || 1;
+          const borderArea = (rect.width * 2 + rect.height * 2) * borderWidth;
+          addColor(borderColor, "border", borderArea, element);
         }
       });
 
       const result = Array.from(colors.values())
         .map((color) => ({
           hex: color.hex,
+          value: color.value,
+          alpha: color.alpha,
+          space: color.space,
+          inGamut: color.inGamut,
           instances: color.instances,
           area: color.area,
           categories: Array.from(color.categories),
+          elements: Array.from(color.elements),
         }))
         .sort((a, b) => b.area - a.area); // Sort by area instead of instances
 
@@ -6448,6 +14457,461 @@
       return result;
     }
 
+    // Group text by the full (family, size, weight, line-height, letter-spacing,
+    // text-transform) tuple so sizes stay paired with their weights and line heights
+    extractTextStyles() {
+      if (this.textStylesExtractionCache) {
+        return this.textStylesExtractionCache;
+      }
+
+      const styleMap = new Map();
+
+      document.querySelectorAll("*").forEach((element) => {
+        // Skip inspector panel and overlay elements
+        if (
+          element.id === "css-inspector-panel" ||
+          element.closest("#css-inspector-panel") ||
+          element.classList.contains("css-inspector-overlay") ||
+          element.classList.contains("css-inspector-highlight") ||
+          ["script", "style", "noscript", "template"].includes(
+            element.tagName.toLowerCase()
+          )
+        ) {
+          return;
+        }
+
+        // Only elements that render their own text (not just their children's)
+        const ownText = Array.from(element.childNodes)
+          .filter((node) => node.nodeType === Node.TEXT_NODE)
+          .map((node) => node.textContent)
+          .join(" ")
+          .replace(/\s+/g, " ")
+          .trim();
+        if (!ownText) return;
+
+        const styles = this.getCachedComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        if (!this.isElementVisible(element, styles, rect)) return;
+
+        const key = getTextStyleKey(styles);
+        const style = styleMap.get(key) || {
+          fontFamily: getPrimaryFontFamily(styles.fontFamily),
+          fontStack: styles.fontFamily,
+          fontSize: parseFloat(styles.fontSize) || 16,
+          fontWeight: styles.fontWeight,
+          lineHeight: styles.lineHeight,
+          letterSpacing: styles.letterSpacing,
+          textTransform: styles.textTransform,
+          instances: 0,
+          tags: {},
+          elements: [],
+          sampleText: ownText,
+        };
+        const tag = element.tagName.toLowerCase();
+        style.instances++;
+        style.tags[tag] = (style.tags[tag] || 0) + 1;
+        style.elements.push(element);
+        // Prefer a sample that's long enough to show the style off
+        if (
+          style.sampleText.length < 12 &&
+          ownText.length > style.sampleText.length
+        ) {
+          style.sampleText = ownText;
+        }
+        styleMap.set(key, style);
+      });
+
+      const result = Array.from(styleMap.values());
+      const names = nameTextStyles(result);
+      result.forEach((style, index) => {
+        style.name = names[index];
+      });
+      // Type ramp order: largest first, most used first within a size
+      result.sort(
+        (a, b) => b.fontSize - a.fontSize || b.instances - a.instances
+      );
+
+      this.textStylesExtractionCache = result;
+      return result;
+    }
+
+    // Non-zero spacing (margin / padding sides) and corner radius values across
+    // visible elements, each with the elements using it
+    extractSpacingValues() {
+      if (this.spacingExtractionCache) {
+        return this.spacingExtractionCache;
+      }
+
+      const spacing = new Map();
+      const radius = new Map();
+      const addValue = (map, value, element) => {
+        const px = Math.round(Math.abs(parseFloat(value)) * 100) / 100;
+        if (!px || /%/.test(value)) return;
+        const usage = map.get(px) || { value: px, instances: 0, elements: [] };
+        // Count each element once per value
+        if (usage.elements[usage.elements.length - 1] === element) return;
+        usage.instances++;
+        usage.elements.push(element);
+        map.set(px, usage);
+      };
+
+      document.querySelectorAll("*").forEach((element) => {
+        // Skip inspector panel and overlay elements
+        if (
+          element.id === "css-inspector-panel" ||
+          element.closest("#css-inspector-panel") ||
+          element.classList.contains("css-inspector-overlay") ||
+          ["script", "style", "noscript", "template", "head"].includes(
+            element.tagName.toLowerCase()
+          )
+        ) {
+          return;
+        }
+
+        const styles = this.getCachedComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        if (!this.isElementVisible(element, styles, rect)) return;
+
+        const elementSpacing = this.extractElementSpacing(styles);
+        ["margin", "padding"].forEach((box) => {
+          Object.values(elementSpacing[box]).forEach((value) =>
+            addValue(spacing, value, element)
+          );
+        });
+        [
+          styles.borderTopLeftRadius,
+          styles.borderTopRightRadius,
+          styles.borderBottomRightRadius,
+          styles.borderBottomLeftRadius,
+        ].forEach((value) => addValue(radius, value, element));
+      });
+
+      const byUse = (a, b) => b.instances - a.instances;
+      this.spacingExtractionCache = {
+        spacing: Array.from(spacing.values()).sort(byUse),
+        radius: Array.from(radius.values()).sort(byUse),
+      };
+      return this.spacingExtractionCache;
+    }
+
+    // Distinct gradients across visible elements' background-image layers, most
+    // used first, each with the elements using it
+    extractGradients() {
+      if (this.gradientExtractionCache) {
+        return this.gradientExtractionCache;
+      }
+
+      const gradients = new Map();
+      document.querySelectorAll("*").forEach((element) => {
+        // Skip inspector panel and overlay elements
+        if (
+          element.id === "css-inspector-panel" ||
+          element.closest("#css-inspector-panel") ||
+          element.classList.contains("css-inspector-overlay") ||
+          ["script", "style", "noscript", "template", "head"].includes(
+            element.tagName.toLowerCase()
+          )
+        ) {
+          return;
+        }
+
+        const styles = this.getCachedComputedStyle(element);
+        if (!styles.backgroundImage || styles.backgroundImage === "none") {
+          return;
+        }
+        const rect = element.getBoundingClientRect();
+        if (!this.isElementVisible(element, styles, rect)) return;
+
+        parseGradientList(styles.backgroundImage).forEach((gradient) => {
+          const value = formatGradient(gradient);
+          const entry = gradients.get(value) || {
+            gradient,
+            value,
+            instances: 0,
+            elements: [],
+          };
+          entry.instances++;
+          entry.elements.push(element);
+          gradients.set(value, entry);
+        });
+      });
+
+      this.gradientExtractionCache = Array.from(gradients.values()).sort(
+        (a, b) => b.instances - a.instances
+      );
+      return this.gradientExtractionCache;
+    }
+
+    // Distinct shadows across visible elements (box-shadow, text-shadow and
+    // filter: drop-shadow()), each with its parsed layers, elevation and elements
+    extractShadows() {
+      if (this.shadowExtractionCache) {
+        return this.shadowExtractionCache;
+      }
+
+      const shadows = new Map();
+      document.querySelectorAll("*").forEach((element) => {
+        // Skip inspector panel and overlay elements
+        if (
+          element.id === "css-inspector-panel" ||
+          element.closest("#css-inspector-panel") ||
+          element.classList.contains("css-inspector-overlay") ||
+          ["script", "style", "noscript", "template", "head"].includes(
+            element.tagName.toLowerCase()
+          )
+        ) {
+          return;
+        }
+
+        const styles = this.getCachedComputedStyle(element);
+        const rect = element.getBoundingClientRect();
+        if (!this.isElementVisible(element, styles, rect)) return;
+
+        const elementShadows = getElementShadows(styles);
+        getShadowKinds().forEach((kind) => {
+          const layers = elementShadows[kind.id];
+          if (layers.length === 0) return;
+          // text-shadow is inherited - only count it where it's set, not on every descendant
+          if (
+            kind.id === "text" &&
+            element.parentElement &&
+            this.getCachedComputedStyle(element.parentElement).textShadow ===
+              styles.textShadow
+          ) {
+            return;
+          }
+
+          const value = formatShadowValue(layers, kind.id);
+          const key = `${kind.id}|${value}`;
+          const shadow = shadows.get(key) || {
+            kind: kind.id,
+            value,
+            layers,
+            elevation: getShadowElevation(layers),
+            instances: 0,
+            elements: [],
+          };
+          shadow.instances++;
+          shadow.elements.push(element);
+          shadows.set(key, shadow);
+        });
+      });
+
+      // Lowest elevation first so box shadows read as the page's elevation scale
+      this.shadowExtractionCache = Array.from(shadows.values()).sort(
+        (a, b) => a.elevation - b.elevation || b.instances - a.instances
+      );
+      return this.shadowExtractionCache;
+    }
+
+    // Every image, inline SVG, CSS background image, favicon / touch icon,
+    // Open Graph image and video poster on the page, one entry per URL (or
+    // per SVG markup) with where it's used, largest first
+    // Sizes of images that aren't drawn by an <img> are loaded first; the
+    // Assets tab updates once they're known
+    extractAssets() {
+      if (this.assetExtractionCache) {
+        return this.assetExtractionCache;
+      }
+
+      const assets = new Map();
+      const baseName = this.getExportFileBaseName();
+      const resolve = (url) => {
+        try {
+          return new URL(url, document.baseURI).href;
+        } catch (error) {
+          return null;
+        }
+      };
+      const addAsset = (source, key, fields, element) => {
+        if (!assets.has(key)) {
+          assets.set(key, {
+            key,
+            url: null,
+            markup: null,
+            sources: [],
+            type: "",
+            fileName: "",
+            width: null,
+            height: null,
+            pending: false,
+            instances: 0,
+            elements: [],
+            ...fields,
+          });
+        }
+        const asset = assets.get(key);
+        if (!asset.sources.includes(source)) asset.sources.push(source);
+        if (!asset.width && fields.width) {
+          asset.width = fields.width;
+          asset.height = fields.height;
+        }
+        asset.instances++;
+        // <link> and <meta> tags have nothing to locate on the page
+        if (document.body && document.body.contains(element)) {
+          asset.elements.push(element);
+        }
+      };
+      const addUrl = (source, url, element, size = null) => {
+        const href = url ? resolve(url) : null;
+        if (!href) return;
+        addAsset(
+          source,
+          href,
+          {
+            url: href,
+            type: getAssetType(href),
+            fileName: getAssetFileName(href, `${baseName}-${source}`),
+            width: size && size.width ? size.width : null,
+            height: size && size.height ? size.height : null,
+          },
+          element
+        );
+      };
+
+      document.querySelectorAll("*").forEach((element) => {
+        // Skip inspector panel and overlay elements
+        const tagName = element.tagName.toLowerCase();
+        if (
+          element.id === "css-inspector-panel" ||
+          element.closest("#css-inspector-panel") ||
+          element.classList.contains("css-inspector-overlay") ||
+          [
+            "script",
+            "style",
+            "noscript",
+            "template",
+            "head",
+            "link",
+            "meta",
+            "title",
+          ].includes(tagName)
+        ) {
+          return;
+        }
+
+        if (element instanceof SVGElement) {
+          // Only whole inline graphics, not the shapes inside them
+          if (tagName !== "svg" || element.ownerSVGElement) return;
+          // Serialized as XML (with its namespace) so it stands as a file
+          const markup = new XMLSerializer().serializeToString(element);
+          const viewBox = element.viewBox && element.viewBox.baseVal;
+          const rect = element.getBoundingClientRect();
+          addAsset(
+            "svg",
+            `svg:${markup.replace(/\s+/g, " ").trim()}`,
+            {
+              markup,
+              type: "SVG",
+              width:
+                viewBox && viewBox.width ? viewBox.width : rect.width || null,
+              height:
+                viewBox && viewBox.height
+                  ? viewBox.height
+                  : rect.height || null,
+            },
+            element
+          );
+          return;
+        }
+
+        if (tagName === "img") {
+          addUrl("image", element.currentSrc || element.src, element, {
+            width: element.naturalWidth,
+            height: element.naturalHeight,
+          });
+        }
+        if (tagName === "video" && element.getAttribute("poster")) {
+          addUrl("poster", element.getAttribute("poster"), element);
+        }
+
+        const styles = this.getCachedComputedStyle(element);
+        [
+          styles.backgroundImage,
+          window.getComputedStyle(element, "::before").backgroundImage,
+          window.getComputedStyle(element, "::after").backgroundImage,
+        ].forEach((value) => {
+          if (!value || value === "none") return;
+          getCssUrls(value).forEach((url) =>
+            addUrl("background", url, element)
+          );
+        });
+      });
+
+      document
+        .querySelectorAll(
+          'link[rel~="icon"], link[rel~="apple-touch-icon"], link[rel~="apple-touch-icon-precomposed"], link[rel~="mask-icon"]'
+        )
+        .forEach((link) => {
+          const sizes = (link.getAttribute("sizes") || "").match(
+            /^(\d+)x(\d+)/i
+          );
+          addUrl(
+            "icon",
+            link.getAttribute("href"),
+            link,
+            sizes ? { width: +sizes[1], height: +sizes[2] } : null
+          );
+        });
+
+      document
+        .querySelectorAll(
+          'meta[property="og:image"], meta[property="og:image:url"], meta[property="og:image:secure_url"], meta[name="twitter:image"], meta[property="twitter:image"]'
+        )
+        .forEach((meta) => {
+          addUrl("social", meta.getAttribute("content"), meta);
+        });
+
+      const list = Array.from(assets.values());
+      const byArea = (a, b) =>
+        (b.width || 0) * (b.height || 0) - (a.width || 0) * (a.height || 0);
+      list
+        .filter((asset) => asset.markup)
+        .forEach((asset, index) => {
+          asset.fileName = `${baseName}-svg-${index + 1}.svg`;
+        });
+
+      // Load the sizes nothing on the page reports, except lazy <img>s that
+      // haven't loaded yet
+      const pending = [];
+      list.forEach((asset) => {
+        if (asset.width || !asset.url) return;
+        if (asset.sources.length === 1 && asset.sources[0] === "image") return;
+        const size = this.loadImageNaturalSize(asset.url);
+        const apply = (loaded) => {
+          if (!loaded) return;
+          asset.width = loaded.width;
+          asset.height = loaded.height;
+        };
+        if (size && typeof size.then === "function") {
+          asset.pending = true;
+          pending.push(
+            size.then(() => {
+              asset.pending = false;
+              apply(this.mediaSizeCache.get(asset.url));
+            })
+          );
+        } else {
+          apply(size);
+        }
+      });
+      if (pending.length > 0) {
+        Promise.all(pending).then(() => {
+          if (this.assetExtractionCache !== list) return;
+          list.sort(byArea);
+          if (
+            !this.isInspectorMode &&
+            this.getActiveOverviewTab() === "assets"
+          ) {
+            this.renderAssetsView();
+          }
+        });
+      }
+
+      this.assetExtractionCache = list.sort(byArea);
+      return this.assetExtractionCache;
+    }
+
     extractTypography() {
       // Return cached result if available
       if (this.typographyExtractionCache) {
@@ -8087,6 +16551,84 @@
       return rgbToHex(rgb);
     }
 
+    parseColor(value) {
+      return parseColor(value);
+    }
+
+    // Swatch background that renders the original color (wide gamut included)
+    // over a checkerboard so translucent colors read as translucent
+    getColorSwatchBackground(value) {
+      const safeValue = (value || "#000000").replace(/[<>"']/g, "");
+      return `linear-gradient(${safeValue}, ${safeValue}), repeating-conic-gradient(#CCCCCC 0% 25%, #FFFFFF 0% 50%) 50% / 12px 12px`;
+    }
+
+    // Small badge for colors that the sRGB hex can't represent exactly
+    getGamutBadge(color, themeColors) {
+      if (!color || color.inGamut !== false) return "";
+      const spaceLabel = (color.space || "wide gamut").toUpperCase();
+      return `<span title="Outside the sRGB gamut (${spaceLabel}) - hex is the closest sRGB match" style="padding: 1px 4px; background: ${themeColors.bgPrimary}; border: 1px solid #F59E0B; border-radius: 4px; font-size: 9px; font-weight: 600; color: #F59E0B; font-family: 'Inter', sans-serif; letter-spacing: 0.02em;">${spaceLabel}</span>`;
+    }
+
+    getStoredColorFormat() {
+      const stored = localStorage.getItem("css-inspector-color-format");
+      return getColorFormats().some((format) => format.id === stored)
+        ? stored
+        : "hex";
+    }
+
+    // Remember the chosen color format and re-render every place that shows colors
+    setColorFormat(format) {
+      if (!getColorFormats().some((f) => f.id === format)) return;
+      this.colorFormat = format;
+      localStorage.setItem("css-inspector-color-format", format);
+
+      if (this.selectedElement) {
+        // Keep the scroll position so the switcher stays under the cursor
+        const panelContent = this.shadowRoot
+          ? this.shadowRoot.querySelector("#panel-content")
+          : null;
+        const savedScrollTop = panelContent ? panelContent.scrollTop : 0;
+        this.updateInspectorPanel(this.selectedElement, true, true);
+        if (panelContent) {
+          panelContent.scrollTop = savedScrollTop;
+        }
+      } else if (this.inspectorPanel) {
+        this.renderColorsView();
+      }
+    }
+
+    // Format any CSS color string in the chosen format (falls back to hex)
+    formatColorValue(value, format = this.colorFormat) {
+      const color = this.parseColor(value);
+      if (!color) return this.rgbToHex(value);
+      if (color.alpha < 0.01) return null;
+      return formatColor(color, format) || formatHex(color);
+    }
+
+    renderColorFormatSelect(themeColors) {
+      const options = getColorFormats()
+        .map(
+          (format) =>
+            `<option value="${format.id}"${
+              format.id === this.colorFormat ? " selected" : ""
+            }>${format.label}</option>`
+        )
+        .join("");
+      return `<select data-color-format-select title="Color format" style="padding: 1px 4px; border: 1px solid ${themeColors.border}; background: ${themeColors.bgSecondary}; color: ${themeColors.textSecondary}; font-size: 10px; font-weight: 500; font-family: 'Inter', sans-serif; border-radius: 6px; cursor: pointer; outline: none;">${options}</select>`;
+    }
+
+    bindColorFormatSelects(root) {
+      if (!root) return;
+      root.querySelectorAll("[data-color-format-select]").forEach((select) => {
+        // Keep the click from reaching copy handlers / page click handling
+        select.addEventListener("click", (e) => e.stopPropagation());
+        select.addEventListener("change", (e) => {
+          e.stopPropagation();
+          this.setColorFormat(select.value);
+        });
+      });
+    }
+
     parseBorderRadius(radius) {
       if (!radius || radius === "0" || radius === "0px") return "0";
       // Extract the first value if it's a multi-value radius (e.g., "8px 4px" -> "8")
@@ -8167,10 +16709,14 @@
 
       // Parse message to extract property name (remove "copied" suffix, case-insensitive)
       // Handles formats like "Width copied", "Font size copied", "Color copied", etc.
+      // Also handles "... exported" so downloads reuse the same toast
       let propertyName = message.trim();
-      const copiedMatch = propertyName.match(/^(.+?)\s+copied$/i);
+      let actionLabel = "Copied";
+      const copiedMatch = propertyName.match(/^(.+?)\s+(copied|exported|imported)$/i);
       if (copiedMatch) {
         propertyName = copiedMatch[1]; // Extract the property name before "copied"
+        actionLabel =
+          copiedMatch[2].toLowerCase() === "exported" ? "Exported" : "Copied";
       } else if (propertyName.toLowerCase() === "copied") {
         propertyName = ""; // Handle case where message is just "Copied"
       }
@@ -8246,7 +16792,7 @@
       <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" style="margin-right: 6px; flex-shrink: 0;">
         <path fill="#10B981" d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/>
       </svg>
-      <span style="color: ${copiedColor};">Copied: </span><span style="color: ${propertyColor};">${propertyName}</span>
+      <span style="color: ${copiedColor};">${actionLabel}: </span><span style="color: ${propertyColor};">${propertyName}</span>
     `;
 
       // Set timeout to animate out and remove
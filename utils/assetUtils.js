@@ -0,0 +1,142 @@
+// Asset extraction helper functions for CSS Inspector extension
+// Labels the page's assets by where they come from and packs downloads into
+// a zip archive without any library (stored, uncompressed entries)
+
+/**
+ * Where an asset was found, in filter order
+ */
+function getAssetSources() {
+  return [
+    { id: "image", label: "Images" },
+    { id: "svg", label: "SVG" },
+    { id: "background", label: "Backgrounds" },
+    { id: "icon", label: "Icons" },
+    { id: "social", label: "Open Graph" },
+    { id: "poster", label: "Posters" },
+  ];
+}
+
+/**
+ * File name that isn't taken yet among used (a Set, which it's added to):
+ * "logo.png", then "logo-2.png", "logo-3.png", ...
+ */
+function getUniqueFileName(name, used) {
+  const dot = name.lastIndexOf(".");
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : "";
+  let candidate = name;
+  for (let count = 2; used.has(candidate.toLowerCase()); count++) {
+    candidate = `${base}-${count}${extension}`;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * CRC-32 checksum of a byte array, as zip entries need
+ */
+function crc32(bytes) {
+  const table = [];
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table.push(c >>> 0);
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive of [{ name, data: Uint8Array }] with every entry stored as is
+ * (images are compressed already) and UTF-8 file names
+ * Returns the archive as a Uint8Array
+ */
+function buildZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  // MS-DOS time and date the zip format stores
+  const dosTime =
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2);
+  const dosDate =
+    ((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const data = file.data;
+    const checksum = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true); // Local file header signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // Flags: UTF-8 file name
+    local.setUint16(8, 0, true); // Method: stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true); // Central directory signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and attributes stay zero
+    central.setUint32(42, offset, true); // Offset of the local header
+
+    localParts.push(new Uint8Array(local.buffer), name, data);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true); // End of central directory signature
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Offset of the central directory
+
+  const parts = localParts.concat(centralParts, [new Uint8Array(end.buffer)]);
+  const zip = new Uint8Array(
+    parts.reduce((sum, part) => sum + part.length, 0)
+  );
+  let position = 0;
+  parts.forEach((part) => {
+    zip.set(part, position);
+    position += part.length;
+  });
+  return zip;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getAssetSources,
+    getUniqueFileName,
+    crc32,
+    buildZip,
+  };
+}
@@ -0,0 +1,247 @@
+// Responsive breakpoint helper functions for CSS Inspector extension
+// Reads the width conditions out of @media queries so they can be placed on a
+// timeline and evaluated at any viewport width, not just the current one
+
+/**
+ * Computed properties compared across breakpoints, grouped the way the
+ * Breakpoints section lists them
+ */
+function getBreakpointPropertyGroups() {
+  return [
+    {
+      label: "Typography",
+      properties: [
+        "font-size",
+        "line-height",
+        "font-weight",
+        "letter-spacing",
+        "text-align",
+      ],
+    },
+    {
+      label: "Spacing",
+      properties: [
+        "margin-top",
+        "margin-right",
+        "margin-bottom",
+        "margin-left",
+        "padding-top",
+        "padding-right",
+        "padding-bottom",
+        "padding-left",
+        "row-gap",
+        "column-gap",
+      ],
+    },
+    {
+      label: "Layout",
+      properties: [
+        "display",
+        "position",
+        "flex-direction",
+        "flex-wrap",
+        "justify-content",
+        "align-items",
+        "grid-template-columns",
+        "width",
+        "max-width",
+        "height",
+        "order",
+      ],
+    },
+  ];
+}
+
+/**
+ * A media query length in pixels ("48em" → 768), or null for units that
+ * depend on more than the viewport. em and rem use the 16px initial font size
+ */
+function parseMediaLength(text) {
+  const match = String(text || "")
+    .trim()
+    .match(/^(-?\d*\.?\d+)(px|em|rem)?$/i);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  const unit = (match[2] || "").toLowerCase();
+  if (!unit) return value === 0 ? 0 : null;
+  return unit === "px" ? value : value * 16;
+}
+
+/**
+ * Comparisons a parenthesized width feature makes, as [{ op, value }] read
+ * "width <op> value": "min-width: 600px" → [{ op: ">=", value: 600 }],
+ * "400px <= width < 50em" → [{ op: ">=", value: 400 }, { op: "<", value: 800 }]
+ * Returns null when the feature isn't about width or can't be read
+ */
+function parseWidthFeature(feature) {
+  const text = String(feature || "").trim();
+  const flip = { "<": ">", "<=": ">=", ">": "<", ">=": "<=", "=": "=" };
+  const isWidth = (name) => /^(device-)?width$/i.test(name.trim());
+
+  const plain = text.match(/^(min-|max-)?(device-)?width\s*:\s*(.+)$/i);
+  if (plain) {
+    const value = parseMediaLength(plain[3]);
+    if (value === null) return null;
+    const prefix = (plain[1] || "").toLowerCase();
+    const op = prefix === "min-" ? ">=" : prefix === "max-" ? "<=" : "=";
+    return [{ op, value }];
+  }
+
+  const parts = text.split(/(<=|>=|<|>|=)/).map((part) => part.trim());
+  const comparisons = [];
+  if (parts.length === 3 && isWidth(parts[0])) {
+    comparisons.push({ op: parts[1], value: parseMediaLength(parts[2]) });
+  } else if (parts.length === 3 && isWidth(parts[2])) {
+    comparisons.push({ op: flip[parts[1]], value: parseMediaLength(parts[0]) });
+  } else if (parts.length === 5 && isWidth(parts[2])) {
+    comparisons.push({ op: flip[parts[1]], value: parseMediaLength(parts[0]) });
+    comparisons.push({ op: parts[3], value: parseMediaLength(parts[4]) });
+  } else {
+    return null;
+  }
+  return comparisons.every((comparison) => comparison.value !== null)
+    ? comparisons
+    : null;
+}
+
+/**
+ * Parenthesized width features of a media query with their comparisons
+ * Returns [{ text, comparisons }], text being the feature without parentheses
+ */
+function getMediaWidthFeatures(mediaText) {
+  const features = [];
+  const pattern = /\(([^()]*\bwidth\b[^()]*)\)/gi;
+  let match;
+  while ((match = pattern.exec(String(mediaText || "")))) {
+    const comparisons = parseWidthFeature(match[1]);
+    if (comparisons) {
+      features.push({ text: match[1].trim().replace(/\s+/g, " "), comparisons });
+    }
+  }
+  return features;
+}
+
+/**
+ * Whether "width <op> value" holds at a width
+ */
+function compareWidth(width, op, value) {
+  if (op === ">=") return width >= value;
+  if (op === ">") return width > value;
+  if (op === "<=") return width <= value;
+  if (op === "<") return width < value;
+  return width === value;
+}
+
+/**
+ * Whole-pixel widths where a comparison starts or stops holding
+ * (">= 768" → 768, "<= 767.98" → 768, "= 500" → 500 and 501)
+ */
+function getComparisonBoundaries(comparison) {
+  const { op, value } = comparison;
+  if (op === ">=" || op === "<") return [Math.ceil(value)];
+  if (op === ">" || op === "<=") return [Math.floor(value) + 1];
+  return [Math.ceil(value), Math.floor(value) + 1];
+}
+
+/**
+ * Evaluates a media query list at a viewport width: its width features are
+ * decided against the width and the rest of the query is left to matchQuery
+ * (normally window.matchMedia), which sees the width features swapped for
+ * ones that always or never match
+ */
+function evaluateMediaAtWidth(mediaText, width, matchQuery) {
+  const rewritten = String(mediaText || "").replace(
+    /\(([^()]*\bwidth\b[^()]*)\)/gi,
+    (group, feature) => {
+      const comparisons = parseWidthFeature(feature);
+      if (!comparisons) return group;
+      return comparisons.every((comparison) =>
+        compareWidth(width, comparison.op, comparison.value)
+      )
+        ? "(min-width: 0px)"
+        : "(min-width: 999999px)";
+    }
+  );
+  return matchQuery(rewritten);
+}
+
+/**
+ * Breakpoints of a set of style rules (as listed by collectStyleRules()): each
+ * width where an @media condition starts or stops holding, with the features
+ * that put it there and how many rules depend on it
+ * Returns [{ width, features: [text], ruleCount }] sorted by width
+ */
+function collectBreakpoints(rules) {
+  const breakpoints = new Map();
+  (rules || []).forEach((entry) => {
+    const widths = new Set();
+    entry.conditions
+      .filter((condition) => condition.type === "media")
+      .forEach((condition) => {
+        getMediaWidthFeatures(condition.text).forEach((feature) => {
+          feature.comparisons.forEach((comparison) => {
+            getComparisonBoundaries(comparison).forEach((width) => {
+              if (width <= 0) return;
+              if (!breakpoints.has(width)) {
+                breakpoints.set(width, {
+                  width,
+                  features: [],
+                  ruleCount: 0,
+                });
+              }
+              const breakpoint = breakpoints.get(width);
+              if (!breakpoint.features.includes(feature.text)) {
+                breakpoint.features.push(feature.text);
+              }
+              widths.add(width);
+            });
+          });
+        });
+      });
+    widths.forEach((width) => {
+      breakpoints.get(width).ruleCount++;
+    });
+  });
+  return Array.from(breakpoints.values()).sort((a, b) => a.width - b.width);
+}
+
+/**
+ * Viewport width ranges between breakpoints: [{ min, max }], max being null
+ * for the last, open-ended range
+ */
+function buildBreakpointRanges(widths) {
+  const sorted = Array.from(new Set(widths))
+    .filter((width) => width > 0)
+    .sort((a, b) => a - b);
+  const starts = [0].concat(sorted);
+  return starts.map((min, index) => ({
+    min,
+    max: index < starts.length - 1 ? starts[index + 1] - 1 : null,
+  }));
+}
+
+/**
+ * Label for a width range ("< 768px", "768–1023px", "≥ 1024px")
+ */
+function formatBreakpointRange(range) {
+  if (range.min === 0 && range.max !== null) return `< ${range.max + 1}px`;
+  if (range.max === null) return `≥ ${range.min}px`;
+  if (range.min === range.max) return `${range.min}px`;
+  return `${range.min}–${range.max}px`;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getBreakpointPropertyGroups,
+    parseMediaLength,
+    parseWidthFeature,
+    getMediaWidthFeatures,
+    compareWidth,
+    getComparisonBoundaries,
+    evaluateMediaAtWidth,
+    collectBreakpoints,
+    buildBreakpointRanges,
+    formatBreakpointRange,
+  };
+}
@@ -0,0 +1,78 @@
+// Visible-tab capture helper functions for CSS Inspector extension
+// Maps CSS pixels to the device pixels of a captureVisibleTab() screenshot and
+// plans the scroll steps for capturing elements taller than the viewport
+
+/**
+ * Device pixels per CSS pixel in a capture: the screenshot is taken at the
+ * display's resolution, so this is devicePixelRatio (including page zoom) as
+ * measured from the image itself
+ */
+function getCaptureScale(imageWidth, viewportWidth) {
+  if (!imageWidth || !viewportWidth) return 1;
+  return imageWidth / viewportWidth;
+}
+
+/**
+ * The capture pixel under a viewport point (CSS px), clamped to the image
+ * Returns { x, y } in device pixels
+ */
+function getCapturePixel(clientX, clientY, scale, imageWidth, imageHeight) {
+  return {
+    x: Math.min(imageWidth - 1, Math.max(0, Math.floor(clientX * scale))),
+    y: Math.min(imageHeight - 1, Math.max(0, Math.floor(clientY * scale))),
+  };
+}
+
+/**
+ * CSS color for a sampled pixel (rgb() when opaque, rgba() otherwise)
+ */
+function formatSampledColor(r, g, b, a = 255) {
+  if (a >= 255) return `rgb(${r}, ${g}, ${b})`;
+  return `rgba(${r}, ${g}, ${b}, ${Math.round((a / 255) * 1000) / 1000})`;
+}
+
+/**
+ * Scroll positions for capturing a box taller than the viewport in slices
+ * top / height: the box in document px, maxScroll: the largest window.scrollY.
+ * Returns [{ scrollY, sourceTop, outputTop, height }]: after scrolling to scrollY,
+ * the slice starts sourceTop px down the viewport and goes outputTop px down
+ * the stitched image
+ */
+function getStitchPlan(top, height, viewportHeight, maxScroll) {
+  const steps = [];
+  let covered = 0;
+  while (covered < height) {
+    const scrollY = Math.min(maxScroll, Math.max(0, top + covered));
+    const sourceTop = top + covered - scrollY;
+    const sliceHeight = Math.min(height - covered, viewportHeight - sourceTop);
+    // The rest of the box is outside the scrollable page
+    if (sliceHeight <= 0) break;
+    steps.push({ scrollY, sourceTop, outputTop: covered, height: sliceHeight });
+    covered += sliceHeight;
+  }
+  return steps;
+}
+
+/**
+ * A viewport rect ({ left, top, width, height }) clipped to the viewport,
+ * or null when nothing of it is visible
+ */
+function clipRectToViewport(rect, viewportWidth, viewportHeight) {
+  const left = Math.max(0, rect.left);
+  const top = Math.max(0, rect.top);
+  const right = Math.min(viewportWidth, rect.left + rect.width);
+  const bottom = Math.min(viewportHeight, rect.top + rect.height);
+  if (right - left < 1 || bottom - top < 1) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getCaptureScale,
+    getCapturePixel,
+    formatSampledColor,
+    getStitchPlan,
+    clipRectToViewport,
+  };
+}
@@ -0,0 +1,357 @@
+// Color palette export helpers for CSS Inspector extension
+// Turns the extractColors() result into design-token files
+
+/**
+ * Lists the available palette export formats
+ */
+function getColorExportFormats() {
+  return [
+    {
+      id: "w3c",
+      label: "Design Tokens (W3C)",
+      extension: "tokens.json",
+      mimeType: "application/json",
+      build: exportColorsAsW3CTokens,
+    },
+    {
+      id: "css",
+      label: "CSS Variables",
+      extension: "css",
+      mimeType: "text/css",
+      build: exportColorsAsCssVariables,
+    },
+    {
+      id: "scss",
+      label: "SCSS Variables",
+      extension: "scss",
+      mimeType: "text/x-scss",
+      build: exportColorsAsScssVariables,
+    },
+    {
+      id: "tailwind",
+      label: "Tailwind Config",
+      extension: "tailwind.config.js",
+      mimeType: "text/javascript",
+      build: exportColorsAsTailwindConfig,
+    },
+    {
+      id: "style-dictionary",
+      label: "Style Dictionary",
+      extension: "style-dictionary.json",
+      mimeType: "application/json",
+      build: exportColorsAsStyleDictionary,
+    },
+    {
+      id: "ase",
+      label: "Adobe Swatch Exchange",
+      extension: "ase",
+      mimeType: "application/octet-stream",
+      binary: true,
+      build: exportColorsAsAse,
+    },
+    {
+      id: "gpl",
+      label: "GIMP Palette",
+      extension: "gpl",
+      mimeType: "text/plain",
+      build: exportColorsAsGpl,
+    },
+    {
+      id: "sketch",
+      label: "Sketch Palette",
+      extension: "sketchpalette",
+      mimeType: "application/json",
+      build: exportColorsAsSketchPalette,
+    },
+  ];
+}
+
+/**
+ * Assigns a stable token name to each color from its primary category and rank
+ * Colors are expected in extractColors() order (largest area first), so the
+ * most prominent background becomes "background-1", the next "background-2", etc.
+ */
+function buildColorTokenEntries(colors) {
+  const rankByGroup = {};
+
+  return (colors || []).map((color) => {
+    const group =
+      color.categories && color.categories.length > 0
+        ? color.categories[0]
+        : "other";
+    rankByGroup[group] = (rankByGroup[group] || 0) + 1;
+    const rank = rankByGroup[group];
+
+    return {
+      name: `${group}-${rank}`,
+      group: group,
+      rank: rank,
+      value: color.hex,
+      // CSS-based formats keep wide-gamut colors in their own space
+      css: color.inGamut === false && color.value ? color.value : color.hex,
+      color: color,
+    };
+  });
+}
+
+/**
+ * Describes where a color is used (for token descriptions and comments)
+ */
+function describeColorUsage(color) {
+  const categories =
+    color.categories && color.categories.length > 0
+      ? color.categories.join(", ")
+      : "uncategorized";
+  const instances = color.instances || 0;
+  return `${categories} · ${instances} ${
+    instances === 1 ? "instance" : "instances"
+  }`;
+}
+
+/**
+ * W3C Design Tokens Community Group format (color.<group>.<rank>)
+ */
+function exportColorsAsW3CTokens(colors) {
+  const tokens = { color: {} };
+
+  buildColorTokenEntries(colors).forEach((entry) => {
+    if (!tokens.color[entry.group]) {
+      tokens.color[entry.group] = { $type: "color" };
+    }
+    tokens.color[entry.group][entry.rank] = {
+      $value: entry.value,
+      $type: "color",
+      $description: describeColorUsage(entry.color),
+    };
+  });
+
+  return JSON.stringify(tokens, null, 2);
+}
+
+/**
+ * CSS custom properties on :root
+ */
+function exportColorsAsCssVariables(colors) {
+  const lines = buildColorTokenEntries(colors).map(
+    (entry) =>
+      `  --color-${entry.name}: ${entry.css}; /* ${describeColorUsage(
+        entry.color
+      )} */`
+  );
+  return `:root {\n${lines.join("\n")}\n}\n`;
+}
+
+/**
+ * SCSS variables plus a $colors map for iteration
+ */
+function exportColorsAsScssVariables(colors) {
+  const entries = buildColorTokenEntries(colors);
+  const variables = entries.map(
+    (entry) =>
+      `$color-${entry.name}: ${entry.css}; // ${describeColorUsage(
+        entry.color
+      )}`
+  );
+  const mapLines = entries.map(
+    (entry) => `  "${entry.name}": $color-${entry.name},`
+  );
+  return `${variables.join("\n")}\n\n$colors: (\n${mapLines.join("\n")}\n);\n`;
+}
+
+/**
+ * Tailwind theme.colors object (bg-background-1, text-typography-2, ...)
+ */
+function exportColorsAsTailwindConfig(colors) {
+  const groups = {};
+  buildColorTokenEntries(colors).forEach((entry) => {
+    if (!groups[entry.group]) {
+      groups[entry.group] = {};
+    }
+    groups[entry.group][entry.rank] = entry.css;
+  });
+
+  const body = JSON.stringify({ theme: { colors: groups } }, null, 2);
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${body};\n`;
+}
+
+/**
+ * Style Dictionary source format (color.<group>.<rank>.value)
+ */
+function exportColorsAsStyleDictionary(colors) {
+  const tokens = { color: {} };
+
+  buildColorTokenEntries(colors).forEach((entry) => {
+    if (!tokens.color[entry.group]) {
+      tokens.color[entry.group] = {};
+    }
+    tokens.color[entry.group][entry.rank] = {
+      value: entry.value,
+      comment: describeColorUsage(entry.color),
+    };
+  });
+
+  return JSON.stringify(tokens, null, 2);
+}
+
+/**
+ * Groups token entries into swatch groups by category (typography, background, border)
+ * A color used in several categories appears in each of its groups
+ */
+function groupColorTokenEntries(colors) {
+  const groups = new Map();
+
+  buildColorTokenEntries(colors).forEach((entry) => {
+    const categories =
+      entry.color.categories && entry.color.categories.length > 0
+        ? entry.color.categories
+        : ["other"];
+    categories.forEach((category) => {
+      if (!groups.has(category)) {
+        groups.set(category, []);
+      }
+      groups.get(category).push(entry);
+    });
+  });
+
+  return Array.from(groups.entries()).map(([group, entries]) => ({
+    group,
+    entries,
+  }));
+}
+
+/**
+ * Adobe Swatch Exchange (.ase) binary - one swatch group per category
+ * Layout: "ASEF", version 1.0, block count, then group-start / color / group-end blocks
+ */
+function exportColorsAsAse(colors) {
+  const blocks = [];
+
+  const encodeName = (name) => {
+    // UTF-16BE, null terminated, prefixed with its length in code units
+    const bytes = [];
+    const length = name.length + 1;
+    bytes.push((length >> 8) & 0xff, length & 0xff);
+    for (let i = 0; i < name.length; i++) {
+      const code = name.charCodeAt(i);
+      bytes.push((code >> 8) & 0xff, code & 0xff);
+    }
+    bytes.push(0, 0);
+    return bytes;
+  };
+
+  const float32 = (value) => {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, value, false);
+    return [view.getUint8(0), view.getUint8(1), view.getUint8(2), view.getUint8(3)];
+  };
+
+  groupColorTokenEntries(colors).forEach(({ group, entries }) => {
+    blocks.push({ type: 0xc001, data: encodeName(group) });
+
+    entries.forEach((entry) => {
+      const rgb = hexToRgb(entry.value);
+      if (!rgb) return;
+      const data = encodeName(`${entry.name} ${entry.value}`);
+      data.push(0x52, 0x47, 0x42, 0x20); // "RGB "
+      data.push(...float32(rgb.r / 255), ...float32(rgb.g / 255), ...float32(rgb.b / 255));
+      data.push(0x00, 0x02); // Normal (process) color
+      blocks.push({ type: 0x0001, data });
+    });
+
+    blocks.push({ type: 0xc002, data: [] });
+  });
+
+  const size = blocks.reduce((sum, block) => sum + 6 + block.data.length, 12);
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x41, 0x53, 0x45, 0x46], 0); // "ASEF"
+  view.setUint16(4, 1);
+  view.setUint16(6, 0);
+  view.setUint32(8, blocks.length);
+
+  let offset = 12;
+  blocks.forEach((block) => {
+    view.setUint16(offset, block.type);
+    view.setUint32(offset + 2, block.data.length);
+    bytes.set(block.data, offset + 6);
+    offset += 6 + block.data.length;
+  });
+
+  return bytes;
+}
+
+/**
+ * GIMP / Inkscape palette (.gpl) - groups become comment headers
+ */
+function exportColorsAsGpl(colors, paletteName = "Designspector") {
+  const lines = [
+    "GIMP Palette",
+    `Name: ${paletteName}`,
+    "Columns: 8",
+    "#",
+  ];
+
+  groupColorTokenEntries(colors).forEach(({ group, entries }) => {
+    lines.push(`# ${group}`);
+    entries.forEach((entry) => {
+      const rgb = hexToRgb(entry.value);
+      if (!rgb) return;
+      const channels = [rgb.r, rgb.g, rgb.b]
+        .map((value) => String(value).padStart(3, " "))
+        .join(" ");
+      lines.push(`${channels}\t${entry.name} ${entry.value}`);
+    });
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Sketch Palettes plugin format (.sketchpalette)
+ * The format has no groups, so colors are ordered by group and named "<group>/<token>"
+ * (Sketch shows "/" separated names as folders)
+ */
+function exportColorsAsSketchPalette(colors) {
+  const paletteColors = [];
+
+  groupColorTokenEntries(colors).forEach(({ group, entries }) => {
+    entries.forEach((entry) => {
+      const rgb = hexToRgb(entry.value);
+      if (!rgb) return;
+      paletteColors.push({
+        name: `${group}/${entry.name}`,
+        red: rgb.r / 255,
+        green: rgb.g / 255,
+        blue: rgb.b / 255,
+        alpha: rgb.a,
+      });
+    });
+  });
+
+  return JSON.stringify(
+    {
+      compatibleVersion: "2.0",
+      pluginVersion: "2.22",
+      colors: paletteColors,
+    },
+    null,
+    2
+  );
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getColorExportFormats,
+    buildColorTokenEntries,
+    exportColorsAsW3CTokens,
+    exportColorsAsCssVariables,
+    exportColorsAsScssVariables,
+    exportColorsAsTailwindConfig,
+    exportColorsAsStyleDictionary,
+    groupColorTokenEntries,
+    exportColorsAsAse,
+    exportColorsAsGpl,
+    exportColorsAsSketchPalette,
+  };
+}
@@ -1,161 +1,765 @@
 // Shared color utility functions for CSS Inspector extension
 
 /**
- * Converts RGB/RGBA color string to hex format
- * Handles modern color formats (LAB, LCH, etc.) using browser conversion
+ * Parses any CSS color into a color model that keeps alpha and the source color space
+ * Supports hex, rgb(), hsl(), hwb(), lab(), lch(), oklab(), oklch(), color() and named colors
+ * Returns { r, g, b, alpha, space, coords, value, inGamut } where r/g/b are sRGB 0-255
+ * (clipped to the sRGB gamut for display) and inGamut flags colors sRGB can't show,
+ * or null if the value isn't a color
  */
-function rgbToHex(rgb) {
-  if (!rgb) return "#000000";
-  if (rgb === "transparent") return null;
-  if (rgb.startsWith("#")) return rgb.toUpperCase();
-
-  // Handle rgb() format
-  const rgbMatch = rgb.match(/^rgb\((\d+),\s*(\d+),\s*(\d+)\)$/);
-  if (rgbMatch) {
-    const r = parseInt(rgbMatch[1], 10);
-    const g = parseInt(rgbMatch[2], 10);
-    const b = parseInt(rgbMatch[3], 10);
-    return (
-      "#" +
-      [r, g, b]
-        .map((x) => {
-          const hex = x.toString(16);
-          return hex.length === 1 ? "0" + hex : hex;
-        })
-        .join("")
-        .toUpperCase()
-    );
+function parseColor(value) {
+  if (!value || typeof value !== "string") return null;
+  const input = value.trim().toLowerCase();
+  if (!input) return null;
+
+  if (input === "transparent") {
+    return buildColorFromSrgb([0, 0, 0], 0, "srgb", [0, 0, 0], value);
   }
 
-  // Handle rgba() format
-  const rgbaMatch = rgb.match(
-    /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/
-  );
-  if (rgbaMatch) {
-    // Check if alpha is 0 or very close to 0 (transparent)
-    const alpha = rgbaMatch[4] ? parseFloat(rgbaMatch[4]) : 1;
-    if (alpha === 0 || alpha < 0.01) {
-      return null; // Transparent, return null
-    }
-    const r = parseInt(rgbaMatch[1], 10);
-    const g = parseInt(rgbaMatch[2], 10);
-    const b = parseInt(rgbaMatch[3], 10);
-    return (
-      "#" +
-      [r, g, b]
-        .map((x) => {
-          const hex = x.toString(16);
-          return hex.length === 1 ? "0" + hex : hex;
-        })
-        .join("")
-        .toUpperCase()
-    );
+  if (input.startsWith("#")) {
+    return parseHexColor(input, value);
   }
 
-  // Explicitly detect LAB, LCH, and other modern color formats
-  const isModernColorFormat = /^(lab|lch|oklab|oklch|color)\(/i.test(rgb);
-
-  // Handle modern color formats (LAB, LCH, etc.) by using browser's conversion
-  // Method 1: Use a temporary element with forced reflow
-  if (typeof document !== "undefined" && document.body) {
-    const tempEl = document.createElement("div");
-    tempEl.style.color = rgb;
-    tempEl.style.position = "absolute";
-    tempEl.style.visibility = "hidden";
-    tempEl.style.top = "-9999px";
-    tempEl.style.left = "-9999px";
-    tempEl.style.width = "1px";
-    tempEl.style.height = "1px";
-    tempEl.style.opacity = "1";
-    tempEl.style.display = "block";
+  const fnMatch = input.match(/^([a-z-]+)\((.*)\)$/);
+  if (fnMatch) {
+    const parsed = parseColorFunction(fnMatch[1], fnMatch[2], value);
+    if (parsed) return parsed;
+  }
 
+  // Named colors and system colors - canvas normalizes them to hex / rgba()
+  if (typeof document !== "undefined") {
     try {
-      document.body.appendChild(tempEl);
-      // Force a reflow to ensure browser processes the color
-      void tempEl.offsetWidth;
+      const ctx = document.createElement("canvas").getContext("2d");
+      if (ctx) {
+        const sentinel = "#010203";
+        ctx.fillStyle = sentinel;
+        ctx.fillStyle = value;
+        const normalized = ctx.fillStyle;
+        if (normalized !== sentinel && normalized.toLowerCase() !== input) {
+          const resolved = parseColor(normalized);
+          if (resolved) {
+            resolved.value = value.trim();
+            return resolved;
+          }
+        }
+      }
+    } catch (e) {
+      // Canvas unavailable, treat as unparseable
+    }
+  }
 
-      const computedColor = window.getComputedStyle(tempEl).color;
+  return null;
+}
 
-      // Remove element immediately
-      if (tempEl.parentNode) {
-        document.body.removeChild(tempEl);
-      }
+/**
+ * Parses #rgb, #rgba, #rrggbb and #rrggbbaa
+ */
+function parseHexColor(input, original) {
+  let hex = input.slice(1);
+  if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) {
+    return null;
+  }
+  if (hex.length <= 4) {
+    hex = hex
+      .split("")
+      .map((c) => c + c)
+      .join("");
+  }
+  const channels = [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const alpha = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1;
+  return buildColorFromSrgb(
+    channels.map((c) => c / 255),
+    alpha,
+    "srgb",
+    channels,
+    original
+  );
+}
 
-      // If the browser converted it to RGB or hex, recurse to parse the result
-      if (
-        computedColor &&
-        computedColor !== rgb &&
-        computedColor !== "" &&
-        (computedColor.startsWith("rgb") || computedColor.startsWith("#"))
-      ) {
-        const result = rgbToHex(computedColor);
-        if (result) return result;
-      }
-    } catch (e) {
-      // Clean up on error
-      if (tempEl.parentNode) {
-        try {
-          document.body.removeChild(tempEl);
-        } catch (cleanupError) {
-          // Ignore cleanup errors
-        }
-      }
+/**
+ * Parses functional notations, both legacy comma syntax and modern space / slash syntax
+ */
+function parseColorFunction(name, body, original) {
+  let args = body.trim();
+  let space = name;
+
+  if (name === "color") {
+    const spaceMatch = args.match(/^([a-z0-9-]+)\s+(.*)$/);
+    if (!spaceMatch) return null;
+    space = spaceMatch[1];
+    args = spaceMatch[2];
+  }
+
+  // Split off alpha ("/ a" in modern syntax, 4th comma value in legacy syntax)
+  let alphaToken = null;
+  let parts;
+  if (args.includes("/")) {
+    const [main, alpha] = args.split("/");
+    alphaToken = alpha.trim();
+    parts = main.trim().split(/\s+/);
+  } else if (args.includes(",")) {
+    parts = args.split(",").map((p) => p.trim());
+    if (parts.length === 4) {
+      alphaToken = parts.pop();
     }
+  } else {
+    parts = args.split(/\s+/);
   }
+  if (parts.length !== 3) return null;
 
-  // Method 2: Try using canvas as fallback for LAB colors
-  // Canvas can render modern color formats and extract RGB values
-  if (isModernColorFormat && typeof document !== "undefined") {
-    try {
-      const canvas = document.createElement("canvas");
-      canvas.width = 1;
-      canvas.height = 1;
-      const ctx = canvas.getContext("2d");
-      if (ctx) {
-        ctx.fillStyle = rgb;
-        ctx.fillRect(0, 0, 1, 1);
-        const imageData = ctx.getImageData(0, 0, 1, 1);
-        const r = imageData.data[0];
-        const g = imageData.data[1];
-        const b = imageData.data[2];
-        const a = imageData.data[3];
-
-        // Check if alpha is very low (transparent)
-        if (a < 10) {
-          return null;
-        }
+  const alpha =
+    alphaToken === null ? 1 : clampUnit(parseColorNumber(alphaToken, 1));
+  if (isNaN(alpha)) return null;
 
-        // Return hex value
-        return (
-          "#" +
-          [r, g, b]
-            .map((x) => x.toString(16).padStart(2, "0"))
-            .join("")
-            .toUpperCase()
+  switch (name) {
+    case "rgb":
+    case "rgba": {
+      const channels = parts.map((p) => parseColorNumber(p, 255));
+      if (channels.some(isNaN)) return null;
+      return buildColorFromSrgb(
+        channels.map((c) => c / 255),
+        alpha,
+        "srgb",
+        channels,
+        original
+      );
+    }
+    case "hsl":
+    case "hsla": {
+      const h = parseHue(parts[0]);
+      const sat = parseColorNumber(parts[1], 100) / 100;
+      const light = parseColorNumber(parts[2], 100) / 100;
+      if ([h, sat, light].some(isNaN)) return null;
+      return buildColorFromSrgb(
+        hslToSrgb(h, sat, light),
+        alpha,
+        "srgb",
+        [h, sat * 100, light * 100],
+        original
+      );
+    }
+    case "hwb": {
+      const h = parseHue(parts[0]);
+      const white = parseColorNumber(parts[1], 100) / 100;
+      const black = parseColorNumber(parts[2], 100) / 100;
+      if ([h, white, black].some(isNaN)) return null;
+      let rgb;
+      if (white + black >= 1) {
+        const gray = white / (white + black);
+        rgb = [gray, gray, gray];
+      } else {
+        rgb = hslToSrgb(h, 1, 0.5).map(
+          (c) => c * (1 - white - black) + white
         );
       }
-    } catch (canvasError) {
-      // Canvas method failed, continue to next method
+      return buildColorFromSrgb(
+        rgb,
+        alpha,
+        "srgb",
+        [h, white * 100, black * 100],
+        original
+      );
+    }
+    case "lab":
+    case "lch": {
+      const l = parseColorNumber(parts[0], 100);
+      let a;
+      let b;
+      let coords;
+      if (name === "lab") {
+        a = parseColorNumber(parts[1], 125);
+        b = parseColorNumber(parts[2], 125);
+        coords = [l, a, b];
+      } else {
+        const c = parseColorNumber(parts[1], 150);
+        const h = parseHue(parts[2]);
+        a = c * Math.cos((h * Math.PI) / 180);
+        b = c * Math.sin((h * Math.PI) / 180);
+        coords = [l, c, h];
+      }
+      if ([l, a, b].some(isNaN)) return null;
+      const xyz = multiplyColorMatrix(getColorMatrices().D50_TO_D65, labToXyzD50(l, a, b));
+      return buildColorFromXyz(xyz, alpha, name, coords, original);
+    }
+    case "oklab":
+    case "oklch": {
+      const l = parseColorNumber(parts[0], 1);
+      let a;
+      let b;
+      let coords;
+      if (name === "oklab") {
+        a = parseColorNumber(parts[1], 0.4);
+        b = parseColorNumber(parts[2], 0.4);
+        coords = [l, a, b];
+      } else {
+        const c = parseColorNumber(parts[1], 0.4);
+        const h = parseHue(parts[2]);
+        a = c * Math.cos((h * Math.PI) / 180);
+        b = c * Math.sin((h * Math.PI) / 180);
+        coords = [l, c, h];
+      }
+      if ([l, a, b].some(isNaN)) return null;
+      return buildColorFromXyz(oklabToXyz(l, a, b), alpha, name, coords, original);
+    }
+    case "color": {
+      const coords = parts.map((p) => parseColorNumber(p, 1));
+      if (coords.some(isNaN)) return null;
+      const xyz = colorSpaceToXyz(space, coords);
+      if (!xyz) return null;
+      return buildColorFromXyz(xyz, alpha, space, coords, original);
     }
+    default:
+      return null;
   }
+}
 
-  // Method 3: Try to use CSS color name as fallback
-  if (typeof Option !== "undefined") {
-    const s = new Option().style;
-    s.color = rgb;
-    if (s.color !== "" && s.color !== rgb && s.color.startsWith("rgb")) {
-      // Only recurse if the value changed and is RGB format (prevents infinite recursion)
-      return rgbToHex(s.color);
+/**
+ * Parses a number or percentage; percentages are scaled to percentReference
+ * The "none" keyword resolves to 0 per CSS Color 4
+ */
+function parseColorNumber(token, percentReference) {
+  if (token === "none") return 0;
+  if (token.endsWith("%")) {
+    return (parseFloat(token) / 100) * percentReference;
+  }
+  const number = Number(token);
+  return isNaN(number) ? NaN : number;
+}
+
+/**
+ * Parses a hue in degrees (deg, rad, grad and turn units supported)
+ */
+function parseHue(token) {
+  if (token === "none") return 0;
+  const number = parseFloat(token);
+  if (isNaN(number)) return NaN;
+  if (token.endsWith("rad")) return (number * 180) / Math.PI;
+  if (token.endsWith("grad")) return number * 0.9;
+  if (token.endsWith("turn")) return number * 360;
+  return number;
+}
+
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function hslToSrgb(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+/**
+ * Conversion matrices from the CSS Color 4 sample code
+ * (a function so re-injecting this script never redeclares a const)
+ */
+function getColorMatrices() {
+  return {
+    LINEAR_SRGB_TO_XYZ: [
+      [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+      [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+      [0.01933081871559182, 0.11919477979462598, 0.9505321522496606],
+    ],
+    XYZ_TO_LINEAR_SRGB: [
+      [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+      [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+      [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+    ],
+    LINEAR_P3_TO_XYZ: [
+      [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+      [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+      [0, 0.04511338185890264, 1.043944368900976],
+    ],
+    LINEAR_A98_TO_XYZ: [
+      [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+      [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+      [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+    ],
+    LINEAR_PROPHOTO_TO_XYZ_D50: [
+      [0.7977604896723027, 0.13518583717574031, 0.0313493495815248],
+      [0.2880711282292934, 0.7118432178101014, 0.00008565396060525902],
+      [0, 0, 0.8251046025104601],
+    ],
+    LINEAR_REC2020_TO_XYZ: [
+      [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+      [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+      [0, 0.028072693049087428, 1.060985057710791],
+    ],
+    D50_TO_D65: [
+      [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+      [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+      [0.012314014864481998, -0.020507649298898964, 1.330365926242124],
+    ],
+    D65_TO_D50: [
+      [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+      [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+      [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371],
+    ],
+    OKLAB_TO_LMS: [
+      [1.0, 0.3963377773761749, 0.2158037573099136],
+      [1.0, -0.1055613458156586, -0.0638541728258133],
+      [1.0, -0.0894841775298119, -1.2914855480194092],
+    ],
+    XYZ_TO_LMS: [
+      [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+      [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+      [0.0481771893596242, 0.2642395317527308, 0.6335478284694309],
+    ],
+    LMS_TO_OKLAB: [
+      [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+      [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+      [0.0259040424655478, 0.7827717124575296, -0.8086757549230774],
+    ],
+    LMS_TO_XYZ: [
+      [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+      [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+      [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816],
+    ],
+  };
+}
+
+function multiplyColorMatrix(matrix, vector) {
+  return matrix.map(
+    (row) => row[0] * vector[0] + row[1] * vector[1] + row[2] * vector[2]
+  );
+}
+
+function srgbToLinear(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.04045
+    ? value / 12.92
+    : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(value) {
+  const abs = Math.abs(value);
+  return abs <= 0.0031308
+    ? value * 12.92
+    : Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055);
+}
+
+/**
+ * CIE Lab (D50) to XYZ (D50)
+ */
+function labToXyzD50(l, a, b) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const white = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+  const f1 = (l + 16) / 116;
+  const f0 = a / 500 + f1;
+  const f2 = f1 - b / 200;
+  const x = Math.pow(f0, 3) > epsilon ? Math.pow(f0, 3) : (116 * f0 - 16) / kappa;
+  const y = l > kappa * epsilon ? Math.pow(f1, 3) : l / kappa;
+  const z = Math.pow(f2, 3) > epsilon ? Math.pow(f2, 3) : (116 * f2 - 16) / kappa;
+  return [x * white[0], y * white[1], z * white[2]];
+}
+
+/**
+ * OKLab to XYZ (D65)
+ */
+function oklabToXyz(l, a, b) {
+  const matrices = getColorMatrices();
+  const lms = multiplyColorMatrix(matrices.OKLAB_TO_LMS, [l, a, b]).map(
+    (c) => c * c * c
+  );
+  return multiplyColorMatrix(matrices.LMS_TO_XYZ, lms);
+}
+
+/**
+ * color() predefined spaces to XYZ (D65)
+ */
+function colorSpaceToXyz(space, coords) {
+  const matrices = getColorMatrices();
+  switch (space) {
+    case "srgb":
+      return multiplyColorMatrix(
+        matrices.LINEAR_SRGB_TO_XYZ,
+        coords.map(srgbToLinear)
+      );
+    case "srgb-linear":
+      return multiplyColorMatrix(matrices.LINEAR_SRGB_TO_XYZ, coords);
+    case "display-p3":
+      return multiplyColorMatrix(
+        matrices.LINEAR_P3_TO_XYZ,
+        coords.map(srgbToLinear)
+      );
+    case "a98-rgb":
+      return multiplyColorMatrix(
+        matrices.LINEAR_A98_TO_XYZ,
+        coords.map((c) => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256))
+      );
+    case "prophoto-rgb": {
+      const linear = coords.map((c) =>
+        Math.abs(c) <= 16 / 512
+          ? c / 16
+          : Math.sign(c) * Math.pow(Math.abs(c), 1.8)
+      );
+      return multiplyColorMatrix(
+        matrices.D50_TO_D65,
+        multiplyColorMatrix(matrices.LINEAR_PROPHOTO_TO_XYZ_D50, linear)
+      );
+    }
+    case "rec2020": {
+      const alpha = 1.09929682680944;
+      const beta = 0.018053968510807;
+      const linear = coords.map((c) =>
+        Math.abs(c) < beta * 4.5
+          ? c / 4.5
+          : Math.sign(c) *
+            Math.pow((Math.abs(c) + alpha - 1) / alpha, 1 / 0.45)
+      );
+      return multiplyColorMatrix(matrices.LINEAR_REC2020_TO_XYZ, linear);
+    }
+    case "xyz":
+    case "xyz-d65":
+      return coords;
+    case "xyz-d50":
+      return multiplyColorMatrix(matrices.D50_TO_D65, coords);
+    default:
+      return null;
+  }
+}
+
+function buildColorFromXyz(xyz, alpha, space, coords, original) {
+  const linear = multiplyColorMatrix(getColorMatrices().XYZ_TO_LINEAR_SRGB, xyz);
+  return buildColorFromSrgb(linear.map(linearToSrgb), alpha, space, coords, original);
+}
+
+/**
+ * Builds the color model from gamma-encoded sRGB channels (0-1, may be out of range)
+ */
+function buildColorFromSrgb(srgb, alpha, space, coords, original) {
+  const tolerance = 0.0005;
+  const inGamut = srgb.every((c) => c >= -tolerance && c <= 1 + tolerance);
+  const [r, g, b] = srgb.map((c) => Math.round(clampUnit(c) * 255));
+  return {
+    r,
+    g,
+    b,
+    alpha: Math.round(clampUnit(alpha) * 1000) / 1000,
+    space,
+    coords,
+    value: original.trim(),
+    inGamut,
+    // Unclipped XYZ (D65) so LAB / OKLCH output stays exact for wide-gamut colors
+    xyz: multiplyColorMatrix(
+      getColorMatrices().LINEAR_SRGB_TO_XYZ,
+      srgb.map(srgbToLinear)
+    ),
+  };
+}
+
+/**
+ * Formats a parsed color as #RRGGBB, or #RRGGBBAA when it is translucent
+ */
+function formatHex(color) {
+  if (!color) return null;
+  const channels = [color.r, color.g, color.b];
+  if (color.alpha < 1) {
+    channels.push(Math.round(color.alpha * 255));
+  }
+  return (
+    "#" +
+    channels
+      .map((x) => x.toString(16).padStart(2, "0"))
+      .join("")
+      .toUpperCase()
+  );
+}
+
+/**
+ * Formats a parsed color as rgb() or rgba() (sRGB, gamut-clipped)
+ */
+function formatRgba(color) {
+  if (!color) return null;
+  return color.alpha < 1
+    ? `rgba(${color.r}, ${color.g}, ${color.b}, ${color.alpha})`
+    : `rgb(${color.r}, ${color.g}, ${color.b})`;
+}
+
+/**
+ * Lists the color notations offered by the format switchers
+ */
+function getColorFormats() {
+  return [
+    { id: "hex", label: "HEX" },
+    { id: "rgb", label: "RGB" },
+    { id: "hsl", label: "HSL" },
+    { id: "hwb", label: "HWB" },
+    { id: "oklch", label: "OKLCH" },
+    { id: "lab", label: "LAB" },
+    { id: "cmyk", label: "CMYK" },
+  ];
+}
+
+/**
+ * Converts a parsed color to OKLab [L, a, b]
+ */
+function colorToOklab(color) {
+  const matrices = getColorMatrices();
+  const lms = multiplyColorMatrix(matrices.XYZ_TO_LMS, color.xyz).map(Math.cbrt);
+  return multiplyColorMatrix(matrices.LMS_TO_OKLAB, lms);
+}
+
+/**
+ * Converts a parsed color to CIE Lab (D50) [L, a, b]
+ */
+function colorToLab(color) {
+  const kappa = 24389 / 27;
+  const epsilon = 216 / 24389;
+  const white = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+  const xyz = multiplyColorMatrix(getColorMatrices().D65_TO_D50, color.xyz);
+  const [f0, f1, f2] = xyz.map((value, i) => {
+    const v = value / white[i];
+    return v > epsilon ? Math.cbrt(v) : (kappa * v + 16) / 116;
+  });
+  return [116 * f1 - 16, 500 * (f0 - f1), 200 * (f1 - f2)];
+}
+
+/**
+ * Hue, saturation and lightness (0-360, 0-100, 0-100) from the clipped sRGB channels
+ */
+function colorToHsl(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map((c) => c / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  const d = max - min;
+  let h = 0;
+  let s = 0;
+  if (d !== 0) {
+    s = d / (1 - Math.abs(2 * l - 1));
+    if (max === r) h = ((g - b) / d) % 6;
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    h = (h * 60 + 360) % 360;
+  }
+  return [h, s * 100, l * 100];
+}
+
+/**
+ * Formats a parsed color in one of the getColorFormats() notations
+ * CMYK is a naive device-independent approximation (no ICC profile)
+ */
+function formatColor(color, format) {
+  if (!color) return null;
+  const round = (value, digits = 0) => {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+  };
+  const alphaSuffix = color.alpha < 1 ? ` / ${color.alpha}` : "";
+
+  switch (format) {
+    case "rgb":
+      return formatRgba(color);
+    case "hsl": {
+      const [h, s, l] = colorToHsl(color);
+      return `hsl(${round(h)} ${round(s)}% ${round(l)}%${alphaSuffix})`;
+    }
+    case "hwb": {
+      const [h] = colorToHsl(color);
+      const white = Math.min(color.r, color.g, color.b) / 255;
+      const black = 1 - Math.max(color.r, color.g, color.b) / 255;
+      return `hwb(${round(h)} ${round(white * 100)}% ${round(
+        black * 100
+      )}%${alphaSuffix})`;
+    }
+    case "oklch": {
+      const [l, a, b] = colorToOklab(color);
+      const c = Math.sqrt(a * a + b * b);
+      const h = c < 0.0001 ? 0 : ((Math.atan2(b, a) * 180) / Math.PI + 360) % 360;
+      return `oklch(${round(l * 100, 1)}% ${round(c, 3)} ${round(
+        h,
+        1
+      )}${alphaSuffix})`;
     }
+    case "lab": {
+      const [l, a, b] = colorToLab(color);
+      return `lab(${round(l, 1)}% ${round(a, 1)} ${round(b, 1)}${alphaSuffix})`;
+    }
+    case "cmyk": {
+      const [r, g, b] = [color.r, color.g, color.b].map((c) => c / 255);
+      const k = 1 - Math.max(r, g, b);
+      const [c, m, y] =
+        k >= 1 ? [0, 0, 0] : [r, g, b].map((v) => (1 - v - k) / (1 - k));
+      return `cmyk(${[c, m, y, k]
+        .map((v) => `${round(v * 100)}%`)
+        .join(", ")})`;
+    }
+    case "hex":
+    default:
+      return formatHex(color);
   }
+}
+
+/**
+ * Identity key for deduplicating colors on their full value
+ * sRGB colors compare by 8-digit hex; wide-gamut colors by space, coordinates and alpha
+ * so two P3 colors that clip to the same sRGB hex stay distinct
+ */
+function getColorKey(color) {
+  if (!color) return null;
+  if (color.space === "srgb") {
+    return formatHex(color);
+  }
+  const coords = color.coords.map((c) => Math.round(c * 10000) / 10000);
+  return `${color.space}(${coords.join(" ")} / ${color.alpha})`;
+}
+
+/**
+ * CIEDE2000 color difference between two CIE Lab [L, a, b] triplets
+ */
+function deltaE2000(lab1, lab2) {
+  const [l1, a1, b1] = lab1;
+  const [l2, a2, b2] = lab2;
+  const toRad = Math.PI / 180;
+  const pow25To7 = Math.pow(25, 7);
+
+  const c1 = Math.hypot(a1, b1);
+  const c2 = Math.hypot(a2, b2);
+  const cMean7 = Math.pow((c1 + c2) / 2, 7);
+  const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + pow25To7)));
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const hue = (b, a) => {
+    if (a === 0 && b === 0) return 0;
+    const h = Math.atan2(b, a) / toRad;
+    return h < 0 ? h + 360 : h;
+  };
+  const h1p = hue(b1, a1p);
+  const h2p = hue(b2, a2p);
+
+  const deltaLp = l2 - l1;
+  const deltaCp = c2p - c1p;
+  let deltahp = 0;
+  if (c1p * c2p !== 0) {
+    deltahp = h2p - h1p;
+    if (deltahp > 180) deltahp -= 360;
+    else if (deltahp < -180) deltahp += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin((deltahp / 2) * toRad);
+
+  const lpMean = (l1 + l2) / 2;
+  const cpMean = (c1p + c2p) / 2;
+  let hpMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hpMean /= 2;
+    else hpMean = h1p + h2p < 360 ? (hpMean + 360) / 2 : (hpMean - 360) / 2;
+  }
+
+  const t =
+    1 -
+    0.17 * Math.cos((hpMean - 30) * toRad) +
+    0.24 * Math.cos(2 * hpMean * toRad) +
+    0.32 * Math.cos((3 * hpMean + 6) * toRad) -
+    0.2 * Math.cos((4 * hpMean - 63) * toRad);
+  const deltaTheta = 30 * Math.exp(-Math.pow((hpMean - 275) / 25, 2));
+  const cpMean7 = Math.pow(cpMean, 7);
+  const rc = 2 * Math.sqrt(cpMean7 / (cpMean7 + pow25To7));
+  const sl =
+    1 +
+    (0.015 * Math.pow(lpMean - 50, 2)) /
+      Math.sqrt(20 + Math.pow(lpMean - 50, 2));
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const rt = -Math.sin(2 * deltaTheta * toRad) * rc;
+
+  return Math.sqrt(
+    Math.pow(deltaLp / sl, 2) +
+      Math.pow(deltaCp / sc, 2) +
+      Math.pow(deltaHp / sh, 2) +
+      rt * (deltaCp / sc) * (deltaHp / sh)
+  );
+}
 
-  // If all methods fail and it's a modern color format, return a default black
-  // This prevents showing raw LAB strings in the UI
-  if (isModernColorFormat) {
-    return "#000000";
+/**
+ * Perceptual distance between two parsed colors
+ * "ciede2000" returns ΔE2000; "oklab" returns the OKLab euclidean distance scaled
+ * by 100 so both metrics share roughly the same threshold range (~2 = just noticeable)
+ */
+function getColorDistance(color1, color2, metric = "ciede2000") {
+  if (!color1 || !color2) return Infinity;
+  if (metric === "oklab") {
+    const [l1, a1, b1] = colorToOklab(color1);
+    const [l2, a2, b2] = colorToOklab(color2);
+    return Math.hypot(l1 - l2, a1 - a2, b1 - b2) * 100;
   }
+  return deltaE2000(colorToLab(color1), colorToLab(color2));
+}
+
+/**
+ * Groups extractColors() entries into clusters of perceptual near-duplicates
+ * Colors are expected largest area first, so each cluster's representative is its
+ * most prominent variant. A threshold of 0 disables grouping.
+ * Returns [{ representative, variants: [{ color, distance }], instances, area, categories }]
+ */
+function clusterColors(colors, threshold = 2, metric = "ciede2000") {
+  const clusters = [];
 
-  return "#000000";
+  (colors || []).forEach((color) => {
+    const parsed = parseColor(color.value || color.hex);
+    if (!parsed) return;
+
+    let match = null;
+    let matchDistance = Infinity;
+    if (threshold > 0) {
+      clusters.forEach((cluster) => {
+        // Translucent and opaque versions of a color are intentionally different
+        if (Math.abs(cluster.parsed.alpha - parsed.alpha) > 0.05) return;
+        const distance = getColorDistance(cluster.parsed, parsed, metric);
+        if (distance <= threshold && distance < matchDistance) {
+          match = cluster;
+          matchDistance = distance;
+        }
+      });
+    }
+
+    if (match) {
+      match.variants.push({ color, distance: matchDistance });
+      match.instances += color.instances || 0;
+      match.area += color.area || 0;
+      (color.categories || []).forEach((category) =>
+        match.categories.add(category)
+      );
+    } else {
+      clusters.push({
+        representative: color,
+        parsed: parsed,
+        variants: [{ color, distance: 0 }],
+        instances: color.instances || 0,
+        area: color.area || 0,
+        categories: new Set(color.categories || []),
+      });
+    }
+  });
+
+  return clusters.map((cluster) => ({
+    representative: cluster.representative,
+    variants: cluster.variants,
+    instances: cluster.instances,
+    area: cluster.area,
+    categories: Array.from(cluster.categories),
+  }));
+}
+
+/**
+ * Converts a CSS color string to hex format
+ * Keeps alpha as #RRGGBBAA and clips wide-gamut colors (lab, oklch, display-p3, ...) to sRGB;
+ * returns null for fully transparent or unparseable colors
+ */
+function rgbToHex(rgb) {
+  if (!rgb) return "#000000";
+  const color = parseColor(rgb);
+  if (!color || color.alpha < 0.01) {
+    return null;
+  }
+  return formatHex(color);
 }
 
 /**
@@ -177,16 +781,20 @@ function isValidColor(color) {
 }
 
 /**
- * Converts hex color string to RGB object
+ * Converts hex color string (3, 4, 6 or 8 digits) to RGB object with alpha
  */
 function hexToRgb(hex) {
   if (!hex) return null;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result
+  const color = parseHexColor(
+    hex.startsWith("#") ? hex.toLowerCase() : `#${hex.toLowerCase()}`,
+    hex
+  );
+  return color
     ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16),
+        r: color.r,
+        g: color.g,
+        b: color.b,
+        a: color.alpha,
       }
     : null;
 }
@@ -252,6 +860,17 @@ function calculateContrast(color1, color2) {
 // Export functions for use in modules
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
+    parseColor,
+    formatHex,
+    formatRgba,
+    formatColor,
+    getColorFormats,
+    colorToOklab,
+    colorToLab,
+    getColorKey,
+    deltaE2000,
+    getColorDistance,
+    clusterColors,
     rgbToHex,
     isValidColor,
     hexToRgb,
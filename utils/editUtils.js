@@ -0,0 +1,172 @@
+// Live style editing helper functions for CSS Inspector extension
+// Normalizes edited values and folds the edit history into a CSS patch
+
+/**
+ * Properties where a bare number means pixels ("18" → "18px"); line-height and
+ * font-weight keep bare numbers as they're valid there
+ */
+function getPixelDefaultProperties() {
+  return [
+    "width",
+    "height",
+    "font-size",
+    "letter-spacing",
+    "margin-top",
+    "margin-right",
+    "margin-bottom",
+    "margin-left",
+    "padding-top",
+    "padding-right",
+    "padding-bottom",
+    "padding-left",
+    "border-radius",
+  ];
+}
+
+/**
+ * Cleans up a value typed into the inspector: trims it, drops a trailing ";"
+ * and adds px to bare numbers where CSS requires a unit. Returns "" for empty input
+ */
+function normalizeStyleEditValue(property, value) {
+  const trimmed = String(value || "")
+    .trim()
+    .replace(/;+$/, "")
+    .trim();
+  if (!trimmed) return "";
+  if (
+    getPixelDefaultProperties().includes(property) &&
+    /^-?(\d+\.?\d*|\.\d+)$/.test(trimmed)
+  ) {
+    return `${trimmed}px`;
+  }
+  return trimmed;
+}
+
+/**
+ * Whether two values of a property are the same: equal ignoring case and
+ * spacing, or the same color written differently ("#FF0000" and
+ * "rgb(255, 0, 0)", compared after parseColor())
+ */
+function isSameStyleValue(a, b) {
+  const normalize = (value) =>
+    String(value || "")
+      .trim()
+      .replace(/\s+/g, " ")
+      .toLowerCase();
+  if (normalize(a) === normalize(b)) return true;
+  const colorA = parseColor(String(a || ""));
+  const colorB = parseColor(String(b || ""));
+  return Boolean(
+    colorA && colorB && getColorKey(colorA) === getColorKey(colorB)
+  );
+}
+
+/**
+ * A selector that matches only this element: its id when unique, otherwise the
+ * tag and classes, qualified with :nth-of-type() and parent selectors until it
+ * is unique in the document
+ */
+function getUniqueSelector(element, doc = element.ownerDocument) {
+  const escape = (value) =>
+    typeof CSS !== "undefined" && CSS.escape ? CSS.escape(value) : value;
+  const isUnique = (selector) => {
+    try {
+      return doc.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  if (element.id && isUnique(`#${escape(element.id)}`)) {
+    return `#${escape(element.id)}`;
+  }
+
+  const parts = [];
+  let node = element;
+  while (node && node.nodeType === 1 && node !== doc.documentElement) {
+    let part = node.tagName.toLowerCase();
+    if (node.id && isUnique(`#${escape(node.id)}`)) {
+      parts.unshift(`#${escape(node.id)}`);
+      break;
+    }
+    const classes = Array.from(node.classList).slice(0, 3);
+    if (classes.length > 0) {
+      part += classes.map((name) => `.${escape(name)}`).join("");
+    }
+
+    const parent = node.parentElement;
+    if (parent) {
+      const sameTag = Array.from(parent.children).filter(
+        (child) => child.tagName === node.tagName
+      );
+      const selector = [part].concat(parts).join(" > ");
+      if (sameTag.length > 1 && !isUnique(selector)) {
+        part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+
+    parts.unshift(part);
+    if (isUnique(parts.join(" > "))) break;
+    node = parent;
+  }
+  return parts.join(" > ");
+}
+
+/**
+ * Folds applied edits ([{ selector, property, from, to }] in order) into one
+ * change per selector and property: the value before the first edit and after
+ * the last. Properties set back to their original value are left out
+ * Returns [{ selector, changes: [{ property, from, to }] }]
+ */
+function buildStyleEditDiff(edits) {
+  const groups = new Map();
+  (edits || []).forEach((edit) => {
+    if (!groups.has(edit.selector)) groups.set(edit.selector, new Map());
+    const changes = groups.get(edit.selector);
+    const existing = changes.get(edit.property);
+    changes.set(edit.property, {
+      property: edit.property,
+      from: existing ? existing.from : edit.from,
+      to: edit.to,
+    });
+  });
+
+  return Array.from(groups.entries())
+    .map(([selector, changes]) => ({
+      selector,
+      changes: Array.from(changes.values()).filter(
+        (change) => !isSameStyleValue(change.from, change.to)
+      ),
+    }))
+    .filter((group) => group.changes.length > 0);
+}
+
+/**
+ * CSS patch for a folded diff: one rule per selector with the new declarations
+ * and the computed value each one replaces in a comment
+ */
+function formatStyleEditCss(groups, source = "") {
+  const header = source ? `/* Style edits for ${source} */\n\n` : "";
+  const rules = groups.map((group) => {
+    const declarations = group.changes
+      .map(
+        (change) =>
+          `  ${change.property}: ${change.to}; /* was ${change.from || "unset"} */`
+      )
+      .join("\n");
+    return `${group.selector} {\n${declarations}\n}`;
+  });
+  return `${header}${rules.join("\n\n")}\n`;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPixelDefaultProperties,
+    normalizeStyleEditValue,
+    isSameStyleValue,
+    getUniqueSelector,
+    buildStyleEditDiff,
+    formatStyleEditCss,
+  };
+}
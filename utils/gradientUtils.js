@@ -0,0 +1,446 @@
+// Gradient helper functions for CSS Inspector extension
+// Parses linear / radial / conic gradients from background-image values and
+// exports them as CSS and SVG. Uses splitCssTopLevel() from shadowUtils.js
+
+/**
+ * Lists the available gradient export formats
+ */
+function getGradientExportFormats() {
+  return [
+    {
+      id: "css",
+      label: "CSS",
+      extension: "gradients.css",
+      mimeType: "text/css",
+      build: exportGradientsAsCss,
+    },
+    {
+      id: "svg",
+      label: "SVG",
+      extension: "gradients.svg",
+      mimeType: "image/svg+xml",
+      build: exportGradientsAsSvg,
+    },
+  ];
+}
+
+/**
+ * Parses every gradient layer of a background-image value (url() layers are skipped)
+ */
+function parseGradientList(backgroundImage) {
+  if (!backgroundImage || backgroundImage === "none") return [];
+  return splitCssTopLevel(backgroundImage)
+    .map(parseGradient)
+    .filter(Boolean);
+}
+
+/**
+ * Parses one gradient function into { type, repeating, angle, shape, position, stops }
+ * angle is in degrees for linear (direction) and conic (from) gradients, shape is the
+ * raw radial-gradient shape / size / position, position the conic "at" position.
+ * Stops are { color, position } with position kept as written ("50%", "20px", null);
+ * a transition hint is a stop without a color. Returns null for non-gradients
+ */
+function parseGradient(text) {
+  const match = /^(repeating-)?(linear|radial|conic)-gradient\((.*)\)$/i.exec(
+    String(text || "").trim()
+  );
+  if (!match) return null;
+
+  const type = match[2].toLowerCase();
+  const args = splitCssTopLevel(match[3]);
+  const gradient = {
+    type,
+    repeating: !!match[1],
+    angle: type === "linear" ? 180 : type === "conic" ? 0 : null,
+    shape: null,
+    position: null,
+    stops: [],
+  };
+
+  // The first argument configures the gradient unless it is already a color stop
+  if (args.length > 0 && isGradientConfig(type, args[0])) {
+    const config = args.shift();
+    if (type === "linear") {
+      gradient.angle = parseGradientDirection(config);
+    } else if (type === "radial") {
+      gradient.shape = config;
+    } else {
+      const conic = /^(?:from\s+(\S+))?\s*(?:at\s+(.+))?$/i.exec(config);
+      if (conic && conic[1]) gradient.angle = parseGradientAngle(conic[1]);
+      if (conic && conic[2]) gradient.position = conic[2].trim();
+    }
+  }
+
+  args.forEach((arg) => {
+    const parts = splitCssTopLevel(arg, " ");
+    const positions = parts.filter(isGradientPosition);
+    const color = parts.find((part) => !isGradientPosition(part)) || null;
+    if (positions.length === 0) {
+      gradient.stops.push({ color, position: null });
+    } else {
+      // "red 10% 20%" is two stops of the same color
+      positions.forEach((position) => {
+        gradient.stops.push({ color, position });
+      });
+    }
+  });
+
+  return gradient.stops.some((stop) => stop.color) ? gradient : null;
+}
+
+/**
+ * Whether the first gradient argument is the direction / shape rather than a stop
+ */
+function isGradientConfig(type, arg) {
+  if (type === "linear") {
+    return /^to\s/i.test(arg) || parseGradientAngle(arg) !== null;
+  }
+  if (type === "conic") return /^(from|at)\s/i.test(arg);
+  const radialKeywords =
+    /\b(circle|ellipse|closest-side|closest-corner|farthest-side|farthest-corner)\b|(^|\s)at\s/i;
+  return (
+    radialKeywords.test(arg) ||
+    splitCssTopLevel(arg, " ").every(isGradientPosition)
+  );
+}
+
+/**
+ * Whether a stop part is a position (length, percentage, angle or calc()) rather
+ * than a color
+ */
+function isGradientPosition(part) {
+  return (
+    /^-?[\d.]+(%|px|em|rem|vw|vh|vmin|vmax|deg|grad|rad|turn)?$/i.test(part) ||
+    /^calc\(/i.test(part)
+  );
+}
+
+/**
+ * Converts an angle ("45deg", "0.25turn", "1.57rad", "50grad", "0") to degrees
+ */
+function parseGradientAngle(value) {
+  const match = /^(-?[\d.]+)(deg|grad|rad|turn)?$/i.exec(String(value).trim());
+  if (!match || (!match[2] && parseFloat(match[1]) !== 0)) return null;
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || "deg").toLowerCase();
+  if (unit === "turn") return number * 360;
+  if (unit === "rad") return (number * 180) / Math.PI;
+  if (unit === "grad") return number * 0.9;
+  return number;
+}
+
+/**
+ * Converts a linear-gradient direction to degrees
+ * Corner keywords ("to top right") depend on the box's aspect ratio in CSS; they
+ * are read as the 45deg diagonals, which is exact for square boxes
+ */
+function parseGradientDirection(value) {
+  const angle = parseGradientAngle(value);
+  if (angle !== null) return angle;
+
+  const sides = String(value).toLowerCase().replace(/^to\s+/, "").split(/\s+/);
+  const vertical = sides.includes("top")
+    ? 0
+    : sides.includes("bottom")
+    ? 180
+    : null;
+  const horizontal = sides.includes("right")
+    ? 90
+    : sides.includes("left")
+    ? 270
+    : null;
+  if (vertical === null) return horizontal === null ? 180 : horizontal;
+  if (horizontal === null) return vertical;
+  // Average the two sides, going the short way round for top-left (315deg)
+  return vertical === 0 && horizontal === 270
+    ? 315
+    : (vertical + horizontal) / 2;
+}
+
+/**
+ * Formats a parsed gradient back into CSS, colors passed through formatColor when given
+ */
+function formatGradient(gradient, formatColor = null) {
+  const args = [];
+  if (gradient.type === "linear" && gradient.angle !== 180) {
+    args.push(`${formatGradientNumber(gradient.angle)}deg`);
+  } else if (gradient.type === "radial" && gradient.shape) {
+    args.push(gradient.shape);
+  } else if (gradient.type === "conic") {
+    const config = [
+      gradient.angle ? `from ${formatGradientNumber(gradient.angle)}deg` : "",
+      gradient.position ? `at ${gradient.position}` : "",
+    ]
+      .filter(Boolean)
+      .join(" ");
+    if (config) args.push(config);
+  }
+
+  gradient.stops.forEach((stop) => {
+    const color = stop.color
+      ? (formatColor && formatColor(stop.color)) || stop.color
+      : "";
+    args.push([color, stop.position].filter(Boolean).join(" "));
+  });
+
+  return `${gradient.repeating ? "repeating-" : ""}${
+    gradient.type
+  }-gradient(${args.join(", ")})`;
+}
+
+/**
+ * Short description, e.g. "Linear · 135deg · 3 stops"
+ */
+function describeGradient(gradient) {
+  const colorStops = gradient.stops.filter((stop) => stop.color).length;
+  const parts = [
+    `${gradient.repeating ? "Repeating " : ""}${
+      gradient.type.charAt(0).toUpperCase() + gradient.type.slice(1)
+    }`,
+  ];
+  if (gradient.type === "radial") {
+    parts.push(gradient.shape || "ellipse");
+  } else {
+    parts.push(`${formatGradientNumber(gradient.angle)}deg`);
+  }
+  parts.push(`${colorStops} ${colorStops === 1 ? "stop" : "stops"}`);
+  return parts.join(" · ");
+}
+
+/**
+ * Resolves each color stop's offset along the gradient line as a percentage, the way
+ * browsers do: px positions are measured against lineLength (the line's length in px,
+ * when known), missing first / last positions become 0% / 100%, positions never go
+ * backwards and unpositioned stops are spread evenly between their neighbours.
+ * Transition hints are dropped. Returns [{ color, offset }]
+ */
+function resolveGradientStops(gradient, lineLength = null) {
+  const stops = gradient.stops
+    .filter((stop) => stop.color)
+    .map((stop) => ({
+      color: stop.color,
+      offset: gradientPositionToPercent(stop.position, lineLength),
+    }));
+  if (stops.length === 0) return stops;
+
+  if (stops[0].offset === null) stops[0].offset = 0;
+  const last = stops[stops.length - 1];
+  if (last.offset === null) last.offset = 100;
+
+  let max = -Infinity;
+  stops.forEach((stop) => {
+    if (stop.offset !== null) {
+      stop.offset = Math.max(stop.offset, max);
+      max = stop.offset;
+    }
+  });
+
+  for (let start = 0; start < stops.length; start++) {
+    if (stops[start].offset !== null) continue;
+    let end = start;
+    while (stops[end].offset === null) end++;
+    const from = stops[start - 1].offset;
+    const step = (stops[end].offset - from) / (end - start + 1);
+    for (let index = start; index < end; index++) {
+      stops[index].offset = from + step * (index - start + 1);
+    }
+    start = end;
+  }
+  return stops;
+}
+
+/**
+ * Converts a stop position to a percentage of the gradient line (null when unknown)
+ */
+function gradientPositionToPercent(position, lineLength) {
+  if (!position) return null;
+  const match = /^(-?[\d.]+)(%|px|deg|grad|rad|turn)?$/i.exec(position);
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  const unit = (match[2] || "").toLowerCase();
+  if (unit === "%") return number;
+  if (unit === "px" || unit === "") {
+    return lineLength ? (number / lineLength) * 100 : null;
+  }
+  // Conic stops are angles around the circle
+  return (parseGradientAngle(position) / 360) * 100;
+}
+
+/**
+ * Length of a linear gradient's line in a width × height box (CSS Images spec)
+ */
+function getGradientLineLength(angle, width, height) {
+  const radians = (angle * Math.PI) / 180;
+  return (
+    Math.abs(width * Math.sin(radians)) + Math.abs(height * Math.cos(radians))
+  );
+}
+
+/**
+ * SVG <linearGradient> for a linear gradient drawn in a width × height box, or null
+ * for radial and conic gradients (SVG has no conic gradient and radial sizing keywords
+ * don't map onto <radialGradient>)
+ * Uses userSpaceOnUse coordinates so the angle matches CSS at any aspect ratio;
+ * repeating gradients repeat their first-to-last stop span with spreadMethod="repeat"
+ */
+function gradientToSvgLinearGradient(gradient, id, width = 200, height = 100) {
+  if (gradient.type !== "linear") return null;
+
+  const length = getGradientLineLength(gradient.angle, width, height);
+  const stops = resolveGradientStops(gradient, length);
+  if (stops.length === 0) return null;
+
+  let startOffset = 0;
+  let endOffset = 100;
+  if (gradient.repeating && stops.length > 1) {
+    startOffset = stops[0].offset;
+    endOffset = stops[stops.length - 1].offset;
+  }
+  const span = endOffset - startOffset || 100;
+
+  // The gradient line runs through the box center along the CSS angle
+  const radians = (gradient.angle * Math.PI) / 180;
+  const dx = Math.sin(radians);
+  const dy = -Math.cos(radians);
+  const pointAt = (percent) => {
+    const distance = (percent / 100 - 0.5) * length;
+    return [width / 2 + dx * distance, height / 2 + dy * distance];
+  };
+  const [x1, y1] = pointAt(startOffset);
+  const [x2, y2] = pointAt(endOffset);
+
+  const stopElements = stops
+    .map((stop) => {
+      const offset = Math.min(
+        100,
+        Math.max(0, ((stop.offset - startOffset) / span) * 100)
+      );
+      const parsed = parseColor(stop.color);
+      const color = parsed ? formatHex({ ...parsed, alpha: 1 }) : stop.color;
+      const opacity =
+        parsed && parsed.alpha < 1
+          ? ` stop-opacity="${formatGradientNumber(parsed.alpha)}"`
+          : "";
+      return `    <stop offset="${formatGradientNumber(
+        offset
+      )}%" stop-color="${color}"${opacity} />`;
+    })
+    .join("\n");
+
+  return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${formatGradientNumber(
+    x1
+  )}" y1="${formatGradientNumber(y1)}" x2="${formatGradientNumber(
+    x2
+  )}" y2="${formatGradientNumber(y2)}"${
+    gradient.repeating ? ' spreadMethod="repeat"' : ""
+  }>\n${stopElements}\n  </linearGradient>`;
+}
+
+/**
+ * CSS variables (--gradient-1, ...) with a utility class for each
+ * gradients: [{ gradient, instances }] as returned by extractGradients()
+ */
+function exportGradientsAsCss(gradients) {
+  const entries = gradients || [];
+  const variables = entries
+    .map(
+      (entry, index) =>
+        `  /* ${describeGradientUsage(entry)} */\n  --gradient-${
+          index + 1
+        }: ${formatGradient(entry.gradient)};`
+    )
+    .join("\n");
+  const classes = entries
+    .map(
+      (entry, index) =>
+        `.bg-gradient-${index + 1} {\n  background-image: var(--gradient-${
+          index + 1
+        });\n}`
+    )
+    .join("\n\n");
+  return `:root {\n${variables}\n}\n\n${classes}\n`;
+}
+
+/**
+ * One SVG with a 200 × 100 swatch per linear gradient, stacked vertically
+ * Radial and conic gradients are listed in a comment since SVG can't express them
+ */
+function exportGradientsAsSvg(gradients) {
+  const width = 200;
+  const height = 100;
+  const gap = 16;
+  const definitions = [];
+  const swatches = [];
+  const skipped = [];
+
+  (gradients || []).forEach((entry, index) => {
+    const id = `gradient-${index + 1}`;
+    const definition = gradientToSvgLinearGradient(
+      entry.gradient,
+      id,
+      width,
+      height
+    );
+    if (!definition) {
+      skipped.push(`${id}: ${formatGradient(entry.gradient)}`);
+      return;
+    }
+    const y = swatches.length * (height + gap);
+    definitions.push(
+      `  ${definition.replace(
+        /gradientUnits="userSpaceOnUse"/,
+        `gradientUnits="userSpaceOnUse" gradientTransform="translate(0 ${y})"`
+      )}`
+    );
+    swatches.push(
+      `  <rect x="0" y="${y}" width="${width}" height="${height}" fill="url(#${id})" />`
+    );
+  });
+
+  const totalHeight = Math.max(0, swatches.length * (height + gap) - gap);
+  const comment =
+    skipped.length > 0
+      ? `<!-- Not expressible in SVG:\n${skipped
+          .map((line) => `  ${line.replace(/--/g, "- -")}`)
+          .join("\n")}\n-->\n`
+      : "";
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}">\n${comment}<defs>\n${definitions.join(
+    "\n"
+  )}\n</defs>\n${swatches.join("\n")}\n</svg>\n`;
+}
+
+/**
+ * Describes a gradient and its usage (for export comments)
+ */
+function describeGradientUsage(entry) {
+  const instances = entry.instances || 0;
+  return `${describeGradient(entry.gradient)} · ${instances} ${
+    instances === 1 ? "instance" : "instances"
+  }`;
+}
+
+/**
+ * Rounds to two decimals and drops trailing zeros
+ */
+function formatGradientNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getGradientExportFormats,
+    parseGradientList,
+    parseGradient,
+    parseGradientAngle,
+    parseGradientDirection,
+    formatGradient,
+    describeGradient,
+    resolveGradientStops,
+    getGradientLineLength,
+    gradientToSvgLinearGradient,
+    exportGradientsAsCss,
+    exportGradientsAsSvg,
+  };
+}
@@ -0,0 +1,178 @@
+// Flexbox and CSS Grid helper functions for CSS Inspector extension
+// Reads a container's layout from computed styles and works out where its grid
+// tracks and gaps sit for the on-page layout overlay
+
+/**
+ * Whether a display value makes a flex or grid container ("flex", "grid" or null)
+ */
+function getLayoutKind(display) {
+  const value = String(display || "");
+  if (/(^|\s|-)flex$/.test(value)) return "flex";
+  if (/(^|\s|-)grid$/.test(value)) return "grid";
+  return null;
+}
+
+/**
+ * Layout properties of a flex or grid container from its computed styles, or null
+ * for other elements. Grid track lists are the computed (resolved) track sizes
+ */
+function getElementLayout(styles) {
+  const kind = getLayoutKind(styles.display);
+  if (!kind) return null;
+
+  const layout = {
+    kind,
+    display: styles.display,
+    rowGap: styles.rowGap,
+    columnGap: styles.columnGap,
+    justifyContent: styles.justifyContent,
+    alignItems: styles.alignItems,
+    alignContent: styles.alignContent,
+  };
+
+  if (kind === "flex") {
+    layout.direction = styles.flexDirection;
+    layout.wrap = styles.flexWrap;
+    return layout;
+  }
+
+  layout.justifyItems = styles.justifyItems;
+  layout.autoFlow = styles.gridAutoFlow;
+  layout.columns = parseGridTrackList(styles.gridTemplateColumns);
+  layout.rows = parseGridTrackList(styles.gridTemplateRows);
+  layout.areas = parseGridTemplateAreas(styles.gridTemplateAreas);
+  return layout;
+}
+
+/**
+ * Parses a computed grid-template-columns / -rows value
+ * ("[full-start] 200px [content-start] 1fr [content-end]") into track sizes (px)
+ * and the names of each line. Returns { tracks, lineNames } where lineNames has one
+ * array per line (tracks.length + 1)
+ */
+function parseGridTrackList(value) {
+  const tracks = [];
+  const lineNames = [[]];
+  if (!value || value === "none") return { tracks, lineNames };
+
+  const tokens = String(value).match(/\[[^\]]*\]|[^\s[\]]+(\([^)]*\))?/g) || [];
+  tokens.forEach((token) => {
+    if (token.startsWith("[")) {
+      const names = token.slice(1, -1).trim().split(/\s+/).filter(Boolean);
+      lineNames[lineNames.length - 1].push(...names);
+    } else {
+      tracks.push(parseFloat(token) || 0);
+      lineNames.push([]);
+    }
+  });
+  return { tracks, lineNames };
+}
+
+/**
+ * Parses grid-template-areas ('"header header" "side main"') into named areas with
+ * their 1-based start / end lines: [{ name, rowStart, rowEnd, columnStart, columnEnd }]
+ */
+function parseGridTemplateAreas(value) {
+  if (!value || value === "none") return [];
+  const rows = (String(value).match(/"[^"]*"/g) || []).map((row) =>
+    row.slice(1, -1).trim().split(/\s+/)
+  );
+
+  const areas = new Map();
+  rows.forEach((cells, rowIndex) => {
+    cells.forEach((name, columnIndex) => {
+      // Runs of dots are unnamed cells
+      if (/^\.+$/.test(name)) return;
+      const area = areas.get(name) || {
+        name,
+        rowStart: rowIndex + 1,
+        rowEnd: rowIndex + 2,
+        columnStart: columnIndex + 1,
+        columnEnd: columnIndex + 2,
+      };
+      area.rowStart = Math.min(area.rowStart, rowIndex + 1);
+      area.rowEnd = Math.max(area.rowEnd, rowIndex + 2);
+      area.columnStart = Math.min(area.columnStart, columnIndex + 1);
+      area.columnEnd = Math.max(area.columnEnd, columnIndex + 2);
+      areas.set(name, area);
+    });
+  });
+  return Array.from(areas.values());
+}
+
+/**
+ * Positions of grid tracks along one axis, relative to the content box start
+ * tracks: sizes in px, gap: the row / column gap in px, available: the content box
+ * size and distribution: the align-content / justify-content value, which decides
+ * where leftover space goes. Returns [{ start, end }] per track
+ */
+function getGridTrackPositions(tracks, gap, available, distribution) {
+  const count = tracks.length;
+  if (count === 0) return [];
+
+  const used = tracks.reduce((sum, size) => sum + size, 0) + gap * (count - 1);
+  const free = Math.max(0, available - used);
+  const mode = String(distribution || "normal")
+    .replace(/^(safe|unsafe)\s+/, "")
+    .trim();
+
+  let offset = 0;
+  let extraGap = 0;
+  if (mode === "end" || mode === "flex-end" || mode === "right") {
+    offset = free;
+  } else if (mode === "center") {
+    offset = free / 2;
+  } else if (mode === "space-between") {
+    extraGap = count > 1 ? free / (count - 1) : 0;
+  } else if (mode === "space-around") {
+    extraGap = free / count;
+    offset = extraGap / 2;
+  } else if (mode === "space-evenly") {
+    extraGap = free / (count + 1);
+    offset = extraGap;
+  }
+
+  const positions = [];
+  let position = offset;
+  tracks.forEach((size) => {
+    positions.push({ start: position, end: position + size });
+    position += size + gap + extraGap;
+  });
+  return positions;
+}
+
+/**
+ * Short summary of a layout, e.g. "Flex row · wrap · 16px gap" or "Grid 3 × 2"
+ */
+function describeLayout(layout) {
+  if (!layout) return "";
+  const gap =
+    layout.rowGap === layout.columnGap
+      ? layout.rowGap
+      : `${layout.rowGap} / ${layout.columnGap}`;
+  const parts = [];
+  if (layout.kind === "flex") {
+    parts.push(`Flex ${layout.direction}`);
+    if (layout.wrap !== "nowrap") parts.push(layout.wrap);
+  } else {
+    parts.push(
+      `Grid ${layout.columns.tracks.length} × ${layout.rows.tracks.length}`
+    );
+  }
+  if (gap && gap !== "normal" && parseFloat(gap) !== 0) {
+    parts.push(`${gap} gap`);
+  }
+  return parts.join(" · ");
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getLayoutKind,
+    getElementLayout,
+    parseGridTrackList,
+    parseGridTemplateAreas,
+    getGridTrackPositions,
+    describeLayout,
+  };
+}
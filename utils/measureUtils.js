@@ -0,0 +1,108 @@
+// Distance measurement helper functions for CSS Inspector extension
+// Works out the redlines drawn between the locked element and a hovered one
+
+/**
+ * Whether rect a fully contains rect b (rects are { left, top, right, bottom })
+ */
+function rectContains(a, b) {
+  return (
+    a.left <= b.left &&
+    a.top <= b.top &&
+    a.right >= b.right &&
+    a.bottom >= b.bottom
+  );
+}
+
+/**
+ * Redlines between two boxes in viewport px
+ * Separate boxes get the gap between their facing edges on each axis; when one box
+ * is nested in the other (containerBox is then the outer box's padding box), each
+ * side of the inner box is measured to the container's padding edge; overlapping
+ * boxes are measured between their left edges and their top edges.
+ * Returns { lines: [{ x1, y1, x2, y2, value }], guides: [{ x1, y1, x2, y2 }] } where
+ * guides are the dashed extensions from a box edge to a line that misses it
+ */
+function getRedlines(a, b, containerBox = null) {
+  const lines = [];
+  const guides = [];
+  const centerX = (box) => (box.left + box.right) / 2;
+  const centerY = (box) => (box.top + box.bottom) / 2;
+  const addLine = (x1, y1, x2, y2) => {
+    const value = Math.abs(x2 - x1) + Math.abs(y2 - y1);
+    if (value >= 0.5) lines.push({ x1, y1, x2, y2, value });
+  };
+
+  const outer = rectContains(a, b) ? a : rectContains(b, a) ? b : null;
+  if (outer) {
+    const inner = outer === a ? b : a;
+    const container = containerBox || outer;
+    const x = centerX(inner);
+    const y = centerY(inner);
+    addLine(x, container.top, x, inner.top);
+    addLine(x, inner.bottom, x, container.bottom);
+    addLine(container.left, y, inner.left, y);
+    addLine(inner.right, y, container.right, y);
+    return { lines, guides };
+  }
+
+  const overlapsX = a.left < b.right && b.left < a.right;
+  const overlapsY = a.top < b.bottom && b.top < a.bottom;
+
+  if (overlapsX && overlapsY) {
+    // Intersecting boxes: offsets between the left and top edges
+    const y = Math.max(a.top, b.top);
+    const x = Math.max(a.left, b.left);
+    addLine(Math.min(a.left, b.left), y, x, y);
+    addLine(x, Math.min(a.top, b.top), x, y);
+    return { lines, guides };
+  }
+
+  if (!overlapsX) {
+    const [first, second] = a.right <= b.left ? [a, b] : [b, a];
+    // Along the shared vertical span, or level with the locked box's center
+    const y = overlapsY
+      ? (Math.max(a.top, b.top) + Math.min(a.bottom, b.bottom)) / 2
+      : centerY(a);
+    addLine(first.right, y, second.left, y);
+    [first, second].forEach((box) => {
+      if (y < box.top || y > box.bottom) {
+        const x = box === first ? first.right : second.left;
+        const edge = y < box.top ? box.top : box.bottom;
+        guides.push({ x1: x, y1: edge, x2: x, y2: y });
+      }
+    });
+  }
+
+  if (!overlapsY) {
+    const [first, second] = a.bottom <= b.top ? [a, b] : [b, a];
+    const x = overlapsX
+      ? (Math.max(a.left, b.left) + Math.min(a.right, b.right)) / 2
+      : centerX(a);
+    addLine(x, first.bottom, x, second.top);
+    [first, second].forEach((box) => {
+      if (x < box.left || x > box.right) {
+        const y = box === first ? first.bottom : second.top;
+        const edge = x < box.left ? box.left : box.right;
+        guides.push({ x1: edge, y1: y, x2: x, y2: y });
+      }
+    });
+  }
+
+  return { lines, guides };
+}
+
+/**
+ * Formats a measured distance for its label ("24", "12.5")
+ */
+function formatRedlineValue(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    rectContains,
+    getRedlines,
+    formatRedlineValue,
+  };
+}
@@ -0,0 +1,208 @@
+// Image and media helper functions for CSS Inspector extension
+// Parses srcset / background-image values and sizes up how an asset is shown
+// against the pixels it ships with
+
+/**
+ * Splits a srcset attribute into [{ url, descriptor }] ("hero-800.jpg 800w"
+ * → { url: "hero-800.jpg", descriptor: "800w" }); a candidate without a
+ * descriptor is "1x"
+ */
+function parseSrcset(srcset) {
+  const candidates = [];
+  const text = String(srcset || "");
+  let i = 0;
+  while (i < text.length) {
+    // Skip whitespace and stray commas between candidates
+    while (i < text.length && /[\s,]/.test(text[i])) i++;
+    if (i >= text.length) break;
+
+    const start = i;
+    while (i < text.length && !/\s/.test(text[i])) i++;
+    let url = text.slice(start, i);
+    let descriptor = "";
+    if (url.endsWith(",")) {
+      // A comma right after the URL ends the candidate
+      url = url.replace(/,+$/, "");
+    } else {
+      const end = text.indexOf(",", i);
+      descriptor = text.slice(i, end === -1 ? text.length : end).trim();
+      i = end === -1 ? text.length : end + 1;
+    }
+    if (url) candidates.push({ url, descriptor: descriptor || "1x" });
+  }
+  return candidates;
+}
+
+/**
+ * URLs referenced by a CSS value such as background-image, in order
+ * ('url("a.png"), linear-gradient(...)' → ["a.png"])
+ */
+function getCssUrls(value) {
+  const urls = [];
+  const pattern = /url\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/gi;
+  let match;
+  while ((match = pattern.exec(String(value || "")))) {
+    const url = match[1] || match[2] || match[3];
+    if (url) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * File type of an asset from its data: MIME type or URL extension ("PNG",
+ * "WebP", "SVG", ...), or "" when it can't be told
+ */
+function getAssetType(url) {
+  const text = String(url || "");
+  const types = {
+    png: "PNG",
+    jpg: "JPEG",
+    jpeg: "JPEG",
+    jfif: "JPEG",
+    gif: "GIF",
+    webp: "WebP",
+    avif: "AVIF",
+    svg: "SVG",
+    "svg+xml": "SVG",
+    ico: "ICO",
+    "x-icon": "ICO",
+    bmp: "BMP",
+    mp4: "MP4",
+    webm: "WebM",
+    ogg: "Ogg",
+    ogv: "Ogg",
+    mov: "QuickTime",
+    quicktime: "QuickTime",
+    m3u8: "HLS",
+  };
+
+  const mime = text.match(/^data:[a-z]+\/([a-z0-9.+-]+)[;,]/i);
+  if (mime) return types[mime[1].toLowerCase()] || mime[1].toUpperCase();
+  if (/^blob:/i.test(text)) return "";
+
+  const path = text.split(/[?#]/)[0];
+  const extension = path.match(/\.([a-z0-9]+)$/i);
+  return extension ? types[extension[1].toLowerCase()] || "" : "";
+}
+
+/**
+ * A file name safe to save or zip: no path separators, control characters or
+ * leading dots, so "..%2F..%2Fevil.png" can't climb out of the download folder
+ * ("../../evil.png" → "evil.png"). The fallback is used when nothing is left
+ */
+function sanitizeFileName(name, fallback = "asset") {
+  const safe = String(name || "")
+    .replace(/[\u0000-\u001f\u007f]/g, "")
+    .replace(/[/\\]/g, "")
+    .replace(/^[.\s]+/, "")
+    .trim();
+  return safe || fallback;
+}
+
+/**
+ * File name to save an asset as: the last path segment of its URL, or the
+ * fallback (with an extension for the type) for data: / blob: URLs and bare paths
+ */
+function getAssetFileName(url, fallback = "asset") {
+  const text = String(url || "");
+  if (!/^(data|blob):/i.test(text)) {
+    const path = text.split(/[?#]/)[0];
+    const name = path.slice(path.lastIndexOf("/") + 1);
+    if (name && /\.[a-z0-9]+$/i.test(name)) {
+      let decoded = name;
+      try {
+        decoded = decodeURIComponent(name);
+      } catch (error) {
+        // Malformed escapes; the name is kept as written
+      }
+      const safe = sanitizeFileName(decoded, "");
+      if (/\.[a-z0-9]+$/i.test(safe)) return safe;
+    }
+  }
+  const type = getAssetType(text).toLowerCase();
+  const extension =
+    type === "jpeg" ? "jpg" : type === "quicktime" ? "mov" : type;
+  return extension ? `${fallback}.${extension}` : fallback;
+}
+
+/**
+ * Size an image is drawn at as a background: background-size ("cover",
+ * "contain", or one or two lengths / percentages / auto) applied to its
+ * natural size within the background box
+ */
+function getBackgroundRenderedSize(natural, box, backgroundSize) {
+  const size = String(backgroundSize || "auto")
+    .split(",")[0]
+    .trim();
+  if (!natural.width || !natural.height) return null;
+  const ratio = natural.width / natural.height;
+
+  if (size === "cover" || size === "contain") {
+    const scale = (size === "cover" ? Math.max : Math.min)(
+      box.width / natural.width,
+      box.height / natural.height
+    );
+    return { width: natural.width * scale, height: natural.height * scale };
+  }
+
+  const resolve = (part, length) => {
+    if (!part || part === "auto") return null;
+    if (part.endsWith("%")) return (parseFloat(part) / 100) * length;
+    const value = parseFloat(part);
+    return Number.isNaN(value) ? null : value;
+  };
+  const parts = size.split(/\s+/);
+  let width = resolve(parts[0], box.width);
+  let height = resolve(parts[1], box.height);
+  if (width === null && height === null) {
+    width = natural.width;
+    height = natural.height;
+  } else if (width === null) {
+    width = height * ratio;
+  } else if (height === null) {
+    height = width / ratio;
+  }
+  return { width, height };
+}
+
+/**
+ * How many shipped pixels land on each device pixel: the natural width over
+ * the rendered width at the device pixel ratio (1 is a perfect fit, 3 ships
+ * nine times the pixels needed, below 1 is upscaled). Null without sizes
+ */
+function getOversampling(naturalWidth, renderedWidth, pixelRatio = 1) {
+  if (!naturalWidth || !renderedWidth) return null;
+  return naturalWidth / (renderedWidth * (pixelRatio || 1));
+}
+
+/**
+ * Byte count in a readable unit ("842 B", "12.4 KB", "3.1 MB")
+ */
+function formatByteSize(bytes) {
+  if (!Number.isFinite(bytes)) return "";
+  if (bytes < 1024) return `${Math.round(bytes)} B`;
+  const units = ["KB", "MB", "GB"];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value >= 100 ? Math.round(value) : value.toFixed(1)} ${
+    units[unit]
+  }`;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    parseSrcset,
+    getCssUrls,
+    getAssetType,
+    sanitizeFileName,
+    getAssetFileName,
+    getBackgroundRenderedSize,
+    getOversampling,
+    formatByteSize,
+  };
+}
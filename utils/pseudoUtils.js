@@ -0,0 +1,120 @@
+// Pseudo-element helper functions for CSS Inspector extension
+// Decides which pseudo-elements an element renders and reads their content
+
+/**
+ * Pseudo-elements the inspector reads, in tab order
+ */
+function getPseudoElementKinds() {
+  return [
+    { id: "before", selector: "::before" },
+    { id: "after", selector: "::after" },
+    { id: "marker", selector: "::marker" },
+    { id: "placeholder", selector: "::placeholder" },
+    { id: "selection", selector: "::selection" },
+  ];
+}
+
+/**
+ * Whether a content value generates a box ("none" and "normal" don't on
+ * ::before / ::after)
+ */
+function hasGeneratedContent(content) {
+  return !!content && content !== "none" && content !== "normal";
+}
+
+/**
+ * Whether the element renders (or, for ::selection, styles) a pseudo-element
+ * kind: a ::before / ::after with content, the ::marker of a list item,
+ * the ::placeholder of a form field showing one, a ::selection with its own
+ * colors. element is any object with tagName and getAttribute
+ */
+function isPseudoElementRendered(kind, pseudoStyles, elementStyles, element) {
+  if (!pseudoStyles) return false;
+  if (kind === "before" || kind === "after") {
+    return (
+      hasGeneratedContent(pseudoStyles.content) &&
+      pseudoStyles.display !== "none"
+    );
+  }
+  if (kind === "marker") {
+    return (
+      /list-item/.test(elementStyles.display) &&
+      (elementStyles.listStyleType !== "none" ||
+        hasGeneratedContent(pseudoStyles.content) ||
+        (elementStyles.listStyleImage &&
+          elementStyles.listStyleImage !== "none"))
+    );
+  }
+  if (kind === "placeholder") {
+    const tag = String(element.tagName || "").toLowerCase();
+    return (
+      (tag === "input" || tag === "textarea") &&
+      !!element.getAttribute("placeholder")
+    );
+  }
+  if (kind === "selection") {
+    const background = pseudoStyles.backgroundColor;
+    return (
+      !!background &&
+      background !== "rgba(0, 0, 0, 0)" &&
+      background !== "transparent"
+    );
+  }
+  return false;
+}
+
+/**
+ * Ids of the pseudo-element kinds a list of selectors targets; ::before and
+ * ::after count in their legacy single-colon form too, ::placeholder in its
+ * -webkit-input- one
+ */
+function getTargetedPseudoElements(selectors) {
+  const pattern = /(?<!\\)(?:::?(before|after)|::(marker|selection|placeholder|-webkit-input-placeholder))(?![\w-])/g;
+  const targeted = new Set();
+  selectors.forEach((selector) => {
+    let match;
+    while ((match = pattern.exec(String(selector || "")))) {
+      const id = match[1] || match[2];
+      targeted.add(id === "-webkit-input-placeholder" ? "placeholder" : id);
+    }
+  });
+  return targeted;
+}
+
+/**
+ * Readable form of a computed content value: quoted strings are unquoted and
+ * unescaped ('"\2192"' → "→"), functions such as counter(), attr() and url()
+ * are kept as written. Returns "" when the value generates nothing
+ */
+function parsePseudoContent(content) {
+  if (!hasGeneratedContent(content)) return "";
+  const parts = [];
+  const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s"']+\([^)]*\)|[^\s"']+)/g;
+  let match;
+  while ((match = pattern.exec(content))) {
+    const quoted = match[1] !== undefined ? match[1] : match[2];
+    if (quoted === undefined) {
+      parts.push(match[3]);
+      continue;
+    }
+    parts.push(
+      quoted
+        .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (_, hex) =>
+          String.fromCodePoint(parseInt(hex, 16))
+        )
+        .replace(/\\(.)/g, "$1")
+    );
+  }
+  return parts.join("");
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPseudoElementKinds,
+    hasGeneratedContent,
+    isPseudoElementRendered,
+    getTargetedPseudoElements,
+    parsePseudoContent,
+  };
+}
@@ -0,0 +1,435 @@
+// Matched rule helper functions for CSS Inspector extension
+// Collects the page's style rules with their stylesheet, at-rule context and
+// source line, and works out which declarations lose the cascade
+
+/**
+ * Path segments of a layer name ("base.reset" → ["base", "reset"]). @layer
+ * blocks and layered @imports without a name each get their own
+ * "(anonymous N)" from anonymousNames (a Map kept for the whole document)
+ */
+function getLayerSegments(name, rule, anonymousNames) {
+  if (name) return name.split(".").map((part) => part.trim());
+  if (!anonymousNames.has(rule)) {
+    anonymousNames.set(rule, `(anonymous ${anonymousNames.size + 1})`);
+  }
+  return [anonymousNames.get(rule)];
+}
+
+/**
+ * Full layer path of a rule, outermost first (["base", "reset"]), from the
+ * @layer blocks around it and the layered @import its sheet came from
+ * Returns [] for an unlayered rule
+ */
+function getRuleLayerPath(rule, anonymousNames) {
+  const path = [];
+  let node = rule;
+  while (node) {
+    let parent = node.parentRule;
+    if (!parent) {
+      // At the top of a sheet: continue from the @import that loaded it
+      const sheet = node.parentStyleSheet;
+      parent = sheet ? sheet.ownerRule : null;
+      if (
+        parent &&
+        parent.constructor &&
+        parent.constructor.name === "CSSImportRule" &&
+        typeof parent.layerName === "string"
+      ) {
+        path.unshift(
+          ...getLayerSegments(parent.layerName, parent, anonymousNames)
+        );
+      }
+    } else if (
+      parent.constructor &&
+      parent.constructor.name === "CSSLayerBlockRule"
+    ) {
+      path.unshift(...getLayerSegments(parent.name, parent, anonymousNames));
+    }
+    node = parent;
+  }
+  return path;
+}
+
+/**
+ * Records every layer a rule list declares, through @layer statements
+ * ("@layer reset, base;"), @layer blocks and layered @imports, nested ones
+ * included, in a tree of { children: Map } in first-declaration order
+ */
+function declareCssLayers(rules, tree, path, anonymousNames) {
+  const declare = (segments) => {
+    let node = tree;
+    segments.forEach((segment) => {
+      if (!node.children.has(segment)) {
+        node.children.set(segment, { children: new Map() });
+      }
+      node = node.children.get(segment);
+    });
+  };
+
+  Array.from(rules || []).forEach((rule) => {
+    const name = rule.constructor ? rule.constructor.name : "";
+    if (name === "CSSLayerStatementRule") {
+      Array.from(rule.nameList || []).forEach((layerName) =>
+        declare(path.concat(getLayerSegments(layerName, rule, anonymousNames)))
+      );
+      return;
+    }
+    if (name === "CSSLayerBlockRule") {
+      const layerPath = path.concat(
+        getLayerSegments(rule.name, rule, anonymousNames)
+      );
+      declare(layerPath);
+      declareCssLayers(rule.cssRules, tree, layerPath, anonymousNames);
+      return;
+    }
+    if (name === "CSSImportRule") {
+      const layered = typeof rule.layerName === "string";
+      const layerPath = layered
+        ? path.concat(getLayerSegments(rule.layerName, rule, anonymousNames))
+        : path;
+      if (layered) declare(layerPath);
+      try {
+        if (rule.styleSheet) {
+          declareCssLayers(
+            rule.styleSheet.cssRules,
+            tree,
+            layerPath,
+            anonymousNames
+          );
+        }
+      } catch (error) {
+        // Cross-origin @import - not readable
+      }
+      return;
+    }
+    if (rule.cssRules) {
+      declareCssLayers(rule.cssRules, tree, path, anonymousNames);
+    }
+  });
+}
+
+/**
+ * Layer paths of a declaration tree in cascade order, weakest first: the
+ * layers in declaration order, each one's sublayers before the layer's own
+ * rules ("a.x", "a.y", "a", "b"), as in CSS Cascade 5
+ */
+function flattenCssLayers(tree, prefix = []) {
+  const layers = [];
+  tree.children.forEach((child, segment) => {
+    const path = prefix.concat(segment);
+    layers.push(...flattenCssLayers(child, path), path.join("."));
+  });
+  return layers;
+}
+
+/**
+ * Every style rule in the document's readable stylesheets, in source order
+ * Returns {
+ *   rules: [{ rule, selector, conditions, layer, source, href, sheet, index, order }],
+ *   layers: layer paths in cascade order, weakest first (flattenCssLayers()),
+ *   sheets: { read, unreadable }
+ * }
+ * where index is the rule's position among its own stylesheet's style rules
+ * (the n-th rule prelude in its source text) and layer the rule's full layer
+ * path ("base.reset"), or null when it's unlayered
+ */
+function collectStyleRules(doc) {
+  const rules = [];
+  const layerTree = { children: new Map() };
+  const anonymousNames = new Map();
+  const sheets = { read: 0, unreadable: 0 };
+  const sheetCounts = new Map();
+  let order = 0;
+
+  const readSheet = (sheet, source) => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      // Cross-origin stylesheet without CORS headers
+      sheets.unreadable++;
+      return;
+    }
+    if (!cssRules) return;
+    sheets.read++;
+
+    const sheetConditions =
+      sheet.media && sheet.media.mediaText
+        ? [{ type: "media", text: sheet.media.mediaText }]
+        : [];
+    declareCssLayers(cssRules, layerTree, [], anonymousNames);
+    walkCssRules(
+      cssRules,
+      (rule, selectorText, conditions) => {
+        // @import'ed rules belong to (and are counted in) their own sheet
+        const ownSheet = rule.parentStyleSheet || sheet;
+        const index = sheetCounts.get(ownSheet) || 0;
+        sheetCounts.set(ownSheet, index + 1);
+
+        const layerPath = getRuleLayerPath(rule, anonymousNames);
+        const layer = layerPath.length > 0 ? layerPath.join(".") : null;
+
+        rules.push({
+          rule,
+          selector: selectorText,
+          conditions,
+          layer,
+          source:
+            ownSheet === sheet ? source : ownSheet.href || `${source} @import`,
+          href: ownSheet.href || null,
+          sheet: ownSheet,
+          index,
+          order: order++,
+        });
+      },
+      sheetConditions
+    );
+  };
+
+  Array.from(doc.styleSheets || []).forEach((sheet, index) => {
+    if (sheet.disabled) return;
+    const owner = sheet.ownerNode;
+    // Skip the inspector's own injected styles
+    if (owner && owner.id && owner.id.startsWith("css-inspector")) return;
+    readSheet(sheet, sheet.href || `<style> #${index + 1}`);
+  });
+
+  Array.from(doc.adoptedStyleSheets || []).forEach((sheet, index) => {
+    readSheet(sheet, `Constructed stylesheet #${index + 1}`);
+  });
+
+  return { rules, layers: flattenCssLayers(layerTree), sheets };
+}
+
+/**
+ * Selector text in a comparable form: no comments, single spaces, no spaces
+ * around combinators and commas, double quotes
+ */
+function normalizeSelectorText(text) {
+  return String(text || "")
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/'/g, '"')
+    .replace(/\s+/g, " ")
+    .replace(/\s*([>+~,])\s*/g, "$1")
+    .trim();
+}
+
+/**
+ * Scans stylesheet source for style rule preludes (the selector before "{"),
+ * skipping at-rule preludes and the bodies of @keyframes, @font-face and the
+ * like. Returns [{ selector, line }] in source order, line being 1-based
+ */
+function scanStyleRulePreludes(cssText) {
+  const text = String(cssText || "");
+  const preludes = [];
+  // Block kinds on the stack: "rules" (can hold style rules) or "skip"
+  const stack = [];
+  let line = 1;
+  let start = 0;
+  let startLine = 1;
+  let skipDepth = 0;
+
+  const beginPrelude = (index) => {
+    start = index;
+    startLine = line;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\n") {
+      line++;
+      continue;
+    }
+    if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      for (let j = i; j < stop; j++) if (text[j] === "\n") line++;
+      i = stop - 1;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      let j = i + 1;
+      while (j < text.length && text[j] !== char) {
+        if (text[j] === "\\") j++;
+        j++;
+      }
+      i = j;
+      continue;
+    }
+    if (skipDepth > 0) {
+      if (char === "{") skipDepth++;
+      if (char === "}") skipDepth--;
+      if (skipDepth === 0) beginPrelude(i + 1);
+      continue;
+    }
+    if (char === "{") {
+      const prelude = text.slice(start, i).trim();
+      // Lines of the prelude's first non-space character
+      const leading = text.slice(start, i).match(/^\s*/)[0];
+      const preludeLine = startLine + (leading.match(/\n/g) || []).length;
+      if (prelude.startsWith("@")) {
+        if (
+          /^@(media|supports|layer|container|scope|document|-moz-document|starting-style)\b/i.test(
+            prelude
+          )
+        ) {
+          stack.push("rules");
+        } else {
+          skipDepth = 1;
+          continue;
+        }
+      } else {
+        preludes.push({ selector: prelude, line: preludeLine });
+        stack.push("rules");
+      }
+      beginPrelude(i + 1);
+      continue;
+    }
+    if (char === "}") {
+      stack.pop();
+      beginPrelude(i + 1);
+      continue;
+    }
+    if (char === ";") {
+      beginPrelude(i + 1);
+    }
+  }
+  return preludes;
+}
+
+/**
+ * Line of each style rule given the sheet's source: the n-th rule normally is
+ * the n-th prelude, but rules the browser dropped shift that, so the prelude
+ * is looked up by selector from the expected position onwards
+ * selectorTexts: the rules' own selectorText in sheet order
+ * Returns an array of lines (null where no prelude matched)
+ */
+function matchRuleLines(preludes, selectorTexts) {
+  const normalized = preludes.map((prelude) =>
+    normalizeSelectorText(prelude.selector)
+  );
+  let cursor = 0;
+  return selectorTexts.map((selectorText) => {
+    const target = normalizeSelectorText(selectorText);
+    for (let i = cursor; i < normalized.length; i++) {
+      if (normalized[i] === target) {
+        cursor = i + 1;
+        return preludes[i].line;
+      }
+    }
+    return null;
+  });
+}
+
+/**
+ * Splits a declaration block's cssText into [{ property, value, important }]
+ * (authored shorthands stay whole)
+ */
+function parseDeclarations(cssText) {
+  const declarations = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+  const flush = () => {
+    const colon = current.indexOf(":");
+    if (colon > 0) {
+      const property = current.slice(0, colon).trim();
+      let value = current.slice(colon + 1).trim();
+      const important = /!\s*important$/i.test(value);
+      if (important) value = value.replace(/\s*!\s*important$/i, "");
+      if (property && value) declarations.push({ property, value, important });
+    }
+    current = "";
+  };
+
+  String(cssText || "")
+    .split("")
+    .forEach((char) => {
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "(") {
+        depth++;
+      } else if (char === ")") {
+        depth = Math.max(0, depth - 1);
+      } else if (char === ";" && depth === 0) {
+        flush();
+        return;
+      }
+      current += char;
+    });
+  flush();
+  return declarations;
+}
+
+/**
+ * Sort key for a declaration in the cascade (compare with compareCascadeRank):
+ * [important, layer, inline, specificity..., order]. Normal declarations rank
+ * later layers higher and unlayered ones highest; !important ones reverse
+ * that, and an inline style's !important beats every author !important.
+ * Otherwise the inline style only beats rules of its own (unlayered) level.
+ * layerIndex is the position in collectStyleRules()'s layers (-1 for
+ * unlayered), layerCount the number of layers
+ */
+function getCascadeRank(
+  important,
+  layerIndex,
+  layerCount,
+  specificity,
+  order,
+  inline = false
+) {
+  const unlayered = inline || layerIndex < 0;
+  let layer;
+  if (important) {
+    layer = inline ? layerCount + 1 : unlayered ? 0 : layerCount - layerIndex;
+  } else {
+    layer = unlayered ? layerCount + 1 : layerIndex + 1;
+  }
+  return [important ? 1 : 0, layer, inline ? 1 : 0].concat(specificity, [
+    order,
+  ]);
+}
+
+/**
+ * Compares two cascade ranks (positive when a wins)
+ */
+function compareCascadeRank(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const difference = (a[i] || 0) - (b[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Short label for a rule's source: the file name with its line
+ * ("https://example.com/css/site.css", 42 → "site.css:42")
+ */
+function formatRuleSource(source, line) {
+  let name = String(source || "");
+  if (/^[a-z]+:\/\//i.test(name)) {
+    const path = name.split(/[?#]/)[0];
+    name = path.slice(path.lastIndexOf("/") + 1) || path;
+  }
+  return line ? `${name}:${line}` : name;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getLayerSegments,
+    getRuleLayerPath,
+    declareCssLayers,
+    flattenCssLayers,
+    collectStyleRules,
+    normalizeSelectorText,
+    scanStyleRulePreludes,
+    matchRuleLines,
+    parseDeclarations,
+    getCascadeRank,
+    compareCascadeRank,
+    formatRuleSource,
+  };
+}
@@ -0,0 +1,103 @@
+// Ruler, guide and column grid helper functions for CSS Inspector extension
+// Pure geometry for the on-page rulers and the design grid overlay
+
+/**
+ * Default column grid: a 12-column grid with 24px gutters and margins, capped at
+ * 1200px and centered in the viewport
+ */
+function getDefaultColumnGrid() {
+  return {
+    enabled: false,
+    columns: 12,
+    gutter: 24,
+    margin: 24,
+    maxWidth: 1200,
+  };
+}
+
+/**
+ * Fills in and clamps column grid settings (e.g. read back from storage)
+ * maxWidth 0 means the grid spans the viewport
+ */
+function normalizeColumnGrid(settings) {
+  const defaults = getDefaultColumnGrid();
+  const source = settings && typeof settings === "object" ? settings : {};
+  const number = (value, fallback, min, max) => {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+  };
+  return {
+    enabled: Boolean(source.enabled),
+    columns: Math.round(number(source.columns, defaults.columns, 1, 48)),
+    gutter: number(source.gutter, defaults.gutter, 0, 400),
+    margin: number(source.margin, defaults.margin, 0, 800),
+    maxWidth: number(source.maxWidth, defaults.maxWidth, 0, 10000),
+  };
+}
+
+/**
+ * Column positions for a viewport width: the grid is viewportWidth minus the
+ * margins on each side, capped at maxWidth and centered
+ * Returns { left, width, columns: [{ left, width }] } in viewport px
+ */
+function getColumnGridLayout(settings, viewportWidth) {
+  const grid = normalizeColumnGrid(settings);
+  let width = Math.max(0, viewportWidth - grid.margin * 2);
+  if (grid.maxWidth > 0) width = Math.min(width, grid.maxWidth);
+  const left = (viewportWidth - width) / 2;
+  const columnWidth = Math.max(
+    0,
+    (width - grid.gutter * (grid.columns - 1)) / grid.columns
+  );
+
+  const columns = [];
+  for (let i = 0; i < grid.columns; i++) {
+    columns.push({
+      left: left + i * (columnWidth + grid.gutter),
+      width: columnWidth,
+    });
+  }
+  return { left, width, columns };
+}
+
+/**
+ * Snaps a position to the nearest edge within threshold px, or returns it as is
+ * Returns { position, snapped }
+ */
+function snapToEdges(position, edges, threshold = 6) {
+  let best = null;
+  (edges || []).forEach((edge) => {
+    const distance = Math.abs(edge - position);
+    if (distance <= threshold && (!best || distance < best.distance)) {
+      best = { edge, distance };
+    }
+  });
+  return best
+    ? { position: best.edge, snapped: true }
+    : { position, snapped: false };
+}
+
+/**
+ * Labelled ruler ticks for a visible span: the document offset where the ruler
+ * starts (scroll position) and its length. Returns [{ offset, value }] where
+ * offset is the tick's position on the ruler and value the document coordinate
+ */
+function getRulerTicks(start, length, step = 100) {
+  const ticks = [];
+  const first = Math.ceil(start / step) * step;
+  for (let value = first; value <= start + length; value += step) {
+    ticks.push({ offset: value - start, value });
+  }
+  return ticks;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getDefaultColumnGrid,
+    normalizeColumnGrid,
+    getColumnGridLayout,
+    snapToEdges,
+    getRulerTicks,
+  };
+}
@@ -0,0 +1,190 @@
+// Shadow helper functions for CSS Inspector extension
+// Parses box-shadow, text-shadow and filter: drop-shadow() values into layers
+
+/**
+ * Splits a CSS value on top-level separators (commas by default), ignoring
+ * separators inside parentheses such as rgba(0, 0, 0, 0.1)
+ */
+function splitCssTopLevel(value, separator = ",") {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of String(value || "")) {
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    const isSeparator =
+      depth === 0 &&
+      (separator === " " ? /\s/.test(char) : char === separator);
+    if (isSeparator) {
+      if (current.trim()) parts.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parses one shadow layer ("rgba(0, 0, 0, 0.1) 0px 4px 6px -1px", "inset 0 1px #fff")
+ * Lengths are offsetX, offsetY, blur and spread in that order; the color may come
+ * first (as in computed styles) or last. Returns { offsetX, offsetY, blur, spread,
+ * color, inset } with lengths in px, or null when the layer isn't a shadow
+ */
+function parseShadowLayer(text) {
+  const lengths = [];
+  let color = null;
+  let inset = false;
+
+  for (const part of splitCssTopLevel(text, " ")) {
+    if (part.toLowerCase() === "inset") {
+      inset = true;
+    } else if (/^-?[\d.]+(px)?$/i.test(part)) {
+      lengths.push(parseFloat(part));
+    } else if (color === null) {
+      color = part;
+    } else {
+      return null;
+    }
+  }
+
+  if (lengths.length < 2 || lengths.length > 4) return null;
+  return {
+    offsetX: lengths[0],
+    offsetY: lengths[1],
+    blur: lengths[2] || 0,
+    spread: lengths[3] || 0,
+    // Shadows without a color use currentcolor
+    color: color || "currentcolor",
+    inset,
+  };
+}
+
+/**
+ * Parses a box-shadow or text-shadow value into its layers (front to back)
+ * Returns [] for "none" or anything that doesn't parse
+ */
+function parseShadowList(value) {
+  if (!value || value === "none") return [];
+  const layers = splitCssTopLevel(value).map(parseShadowLayer);
+  return layers.every(Boolean) ? layers : [];
+}
+
+/**
+ * Drop shadows in a filter value, one layer per drop-shadow() function
+ */
+function parseDropShadows(filter) {
+  if (!filter || filter === "none") return [];
+  return splitCssTopLevel(filter, " ")
+    .filter((part) => /^drop-shadow\(/i.test(part))
+    .map((part) => parseShadowLayer(part.slice(12, -1)))
+    .filter(Boolean);
+}
+
+/**
+ * The shadow kinds the inspector reads, with the CSS property each is written with
+ * box-shadow layers have spread and inset; text-shadow and drop-shadow() don't
+ */
+function getShadowKinds() {
+  return [
+    { id: "box", label: "Box shadow", property: "box-shadow" },
+    { id: "text", label: "Text shadow", property: "text-shadow" },
+    { id: "drop", label: "Drop shadow", property: "filter" },
+  ];
+}
+
+/**
+ * Shadow layers of every kind for a computed style declaration
+ * Returns { box, text, drop } layer arrays
+ */
+function getElementShadows(styles) {
+  return {
+    box: parseShadowList(styles.boxShadow),
+    text: parseShadowList(styles.textShadow),
+    drop: parseDropShadows(styles.filter),
+  };
+}
+
+/**
+ * Formats one layer back into CSS, colors passed through formatColor when given
+ */
+function formatShadowLayer(layer, kind = "box", formatColor = null) {
+  const lengths = [layer.offsetX, layer.offsetY, layer.blur];
+  if (kind === "box" && layer.spread) lengths.push(layer.spread);
+  const color =
+    (formatColor && formatColor(layer.color)) || layer.color || "currentcolor";
+  return [
+    kind === "box" && layer.inset ? "inset" : "",
+    lengths.map(formatShadowLength).join(" "),
+    color,
+  ]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Formats the layers of one kind as a CSS value (box-shadow / text-shadow value,
+ * or a filter made of drop-shadow() functions)
+ */
+function formatShadowValue(layers, kind = "box", formatColor = null) {
+  if (!layers || layers.length === 0) return "none";
+  const formatted = layers.map((layer) =>
+    formatShadowLayer(layer, kind, formatColor)
+  );
+  return kind === "drop"
+    ? formatted.map((layer) => `drop-shadow(${layer})`).join(" ")
+    : formatted.join(", ");
+}
+
+/**
+ * Full CSS declaration for a kind's layers, e.g. "box-shadow: 0 1px 2px #0000001a;"
+ */
+function formatShadowCss(layers, kind = "box", formatColor = null) {
+  const shadowKind = getShadowKinds().find((entry) => entry.id === kind);
+  const property = shadowKind ? shadowKind.property : "box-shadow";
+  return `${property}: ${formatShadowValue(layers, kind, formatColor)};`;
+}
+
+/**
+ * Formats a px length without trailing zeros ("0", "4px", "-1.5px")
+ */
+function formatShadowLength(value) {
+  const rounded = Math.round(value * 100) / 100;
+  return rounded === 0 ? "0" : `${rounded}px`;
+}
+
+/**
+ * How far a shadow appears to lift its element, used to order elevations
+ * The deepest outer layer wins: its vertical offset plus half its blur and its
+ * spread. Inset layers don't raise the element and count as 0
+ */
+function getShadowElevation(layers) {
+  return (layers || []).reduce(
+    (elevation, layer) =>
+      layer.inset
+        ? elevation
+        : Math.max(
+            elevation,
+            Math.abs(layer.offsetY) + layer.blur / 2 + Math.max(layer.spread, 0)
+          ),
+    0
+  );
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    splitCssTopLevel,
+    parseShadowLayer,
+    parseShadowList,
+    parseDropShadows,
+    getShadowKinds,
+    getElementShadows,
+    formatShadowLayer,
+    formatShadowValue,
+    formatShadowCss,
+    formatShadowLength,
+    getShadowElevation,
+  };
+}
@@ -0,0 +1,231 @@
+// Interactive state helper functions for CSS Inspector extension
+// Rewrites the page's :hover / :focus / :active / :disabled rules onto an
+// attribute so the inspector can apply a state without the pointer or focus
+
+/**
+ * Attribute the rewritten state rules match on; it holds the forced states as a
+ * space-separated list
+ */
+function getStateAttribute() {
+  return "data-css-inspector-state";
+}
+
+/**
+ * Interactive states in switcher order. pseudoClasses are switched on for the
+ * element itself, ancestorPseudoClasses for each of its ancestors (hover and
+ * active apply up the tree, focus shows up as :focus-within)
+ */
+function getInteractiveStates() {
+  return [
+    { id: "default", label: "Default", pseudoClasses: [] },
+    {
+      id: "hover",
+      label: "Hover",
+      pseudoClasses: ["hover"],
+      ancestorPseudoClasses: ["hover"],
+    },
+    {
+      id: "focus",
+      label: "Focus",
+      pseudoClasses: ["focus", "focus-within"],
+      ancestorPseudoClasses: ["focus-within"],
+    },
+    {
+      id: "focus-visible",
+      label: "Focus-visible",
+      pseudoClasses: ["focus", "focus-visible", "focus-within"],
+      ancestorPseudoClasses: ["focus-within"],
+    },
+    {
+      id: "active",
+      label: "Active",
+      pseudoClasses: ["active"],
+      ancestorPseudoClasses: ["active"],
+    },
+    {
+      id: "disabled",
+      label: "Disabled",
+      pseudoClasses: ["disabled"],
+      formControlsOnly: true,
+    },
+  ];
+}
+
+/**
+ * Computed properties compared between states, grouped the way the diff lists them
+ */
+function getStateDiffProperties() {
+  return [
+    "color",
+    "background-color",
+    "background-image",
+    "border-top-color",
+    "border-right-color",
+    "border-bottom-color",
+    "border-left-color",
+    "box-shadow",
+    "text-shadow",
+    "transform",
+    "translate",
+    "scale",
+    "rotate",
+    "outline-color",
+    "outline-style",
+    "outline-width",
+    "outline-offset",
+    "opacity",
+    "filter",
+    "text-decoration-line",
+    "text-decoration-color",
+    "cursor",
+  ];
+}
+
+/**
+ * Matches the state pseudo-classes in a selector (a new RegExp per call, as the
+ * pattern is global). Escaped colons ("hover\:underline") are class names
+ */
+function getStatePseudoPattern() {
+  return /(?<!\\):(hover|active|focus-visible|focus-within|focus|disabled|enabled)(?![\w-])/g;
+}
+
+/**
+ * Whether a selector uses one of the interactive state pseudo-classes
+ */
+function hasStatePseudoClass(selector) {
+  return getStatePseudoPattern().test(String(selector || ""));
+}
+
+/**
+ * Replaces the state pseudo-classes in a selector with the state attribute
+ * ("a:hover .icon" → 'a[data-css-inspector-state~="hover"] .icon'); an attribute
+ * selector has the same specificity as the pseudo-class it stands in for
+ * :enabled becomes "a form control without the disabled state", which keeps
+ * its specificity too as :where() counts nothing
+ */
+function rewriteStateSelector(selector) {
+  const attribute = getStateAttribute();
+  return String(selector).replace(
+    getStatePseudoPattern(),
+    (match, pseudoClass) =>
+      pseudoClass === "enabled"
+        ? `:where(button, input, select, textarea, optgroup, option, fieldset):not([${attribute}~="disabled"])`
+        : `[${attribute}~="${pseudoClass}"]`
+  );
+}
+
+/**
+ * Every readable style rule of the document that uses a state pseudo-class,
+ * with its selector as written and rewritten onto the state attribute
+ * Swapping the selectors in place (see setStateRulesRewritten()) keeps each
+ * rule where it is in the cascade - same sheet, layer and source order - and
+ * stops the real pointer or focus from matching while states are measured
+ * Returns { rules: [{ rule, original, rewritten }], unreadable }
+ */
+function collectStateRules(doc) {
+  const rules = [];
+  let unreadable = 0;
+
+  const readSheet = (sheet) => {
+    let cssRules;
+    try {
+      cssRules = sheet.cssRules;
+    } catch (error) {
+      // Cross-origin stylesheet without CORS headers
+      unreadable++;
+      return;
+    }
+    walkCssRules(cssRules, (rule) => {
+      // The selector as written; nested rules keep their relative "&:hover"
+      const original = rule.selectorText;
+      if (!hasStatePseudoClass(original)) return;
+      rules.push({ rule, original, rewritten: rewriteStateSelector(original) });
+    });
+  };
+
+  Array.from(doc.styleSheets || []).forEach((sheet) => {
+    if (sheet.disabled) return;
+    const owner = sheet.ownerNode;
+    // Skip the inspector's own injected styles
+    if (owner && owner.id && owner.id.startsWith("css-inspector")) return;
+    readSheet(sheet);
+  });
+  Array.from(doc.adoptedStyleSheets || []).forEach(readSheet);
+
+  return { rules, unreadable };
+}
+
+/**
+ * Switches the collected state rules between their rewritten selectors and
+ * the page's own
+ */
+function setStateRulesRewritten(stateRules, rewritten) {
+  stateRules.rules.forEach((entry) => {
+    try {
+      entry.rule.selectorText = rewritten ? entry.rewritten : entry.original;
+    } catch (error) {
+      // The rule was removed from its sheet since it was collected
+    }
+  });
+}
+
+/**
+ * Rule that turns transitions off on elements carrying the state attribute,
+ * so forced values are read at once
+ */
+function getStateResetCss() {
+  return `[${getStateAttribute()}] { transition: none !important; }`;
+}
+
+/**
+ * Properties whose values differ between two snapshots ({ property: value })
+ * Returns [{ property, from, to }] in the order of getStateDiffProperties()
+ */
+function diffStateStyles(base, state) {
+  return getStateDiffProperties()
+    .filter((property) => base[property] !== state[property])
+    .map((property) => ({
+      property,
+      from: base[property],
+      to: state[property],
+    }));
+}
+
+/**
+ * CSS rule for a state's changes, e.g. "button:hover {\n  color: ...;\n}"
+ * The state goes on every selector of a list ("a, .b" → "a:hover, .b:hover").
+ * States measured with more than one pseudo-class forced say so in a comment,
+ * as the changes may come from rules for any of them
+ */
+function formatStateDiffCss(selector, state, changes) {
+  const body = changes
+    .map((change) => `  ${change.property}: ${change.to};`)
+    .join("\n");
+  const selectors = splitSelectorList(selector)
+    .map((part) => `${part}:${state.id}`)
+    .join(", ");
+  const pseudoClasses = (state.pseudoClasses || []).map((name) => `:${name}`);
+  const note =
+    pseudoClasses.length > 1
+      ? `/* Measured with ${pseudoClasses.slice(0, -1).join(", ")} and ${
+          pseudoClasses[pseudoClasses.length - 1]
+        } applied */\n`
+      : "";
+  return `${note}${selectors} {\n${body}\n}`;
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getStateAttribute,
+    getInteractiveStates,
+    getStateDiffProperties,
+    hasStatePseudoClass,
+    rewriteStateSelector,
+    collectStateRules,
+    setStateRulesRewritten,
+    getStateResetCss,
+    diffStateStyles,
+    formatStateDiffCss,
+  };
+}
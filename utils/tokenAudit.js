@@ -0,0 +1,336 @@
+// Design token compliance helpers for CSS Inspector extension
+// Reads a W3C Design Tokens (DTCG) or Style Dictionary JSON file and checks
+// the values in use on a page against it
+
+/**
+ * Value categories the audit checks, in report order
+ */
+function getTokenAuditCategories() {
+  return [
+    { id: "color", label: "Colors", unit: "ΔE" },
+    { id: "fontFamily", label: "Font families", unit: null },
+    { id: "fontSize", label: "Font sizes", unit: "px" },
+    { id: "fontWeight", label: "Font weights", unit: null },
+    { id: "spacing", label: "Spacing", unit: "px" },
+    { id: "radius", label: "Radius", unit: "px" },
+  ];
+}
+
+/**
+ * Parses a design token file into a flat token list
+ * DTCG files use $value / $type (with $type inherited from groups), Style Dictionary
+ * files use value / type; both reference other tokens as "{group.token}".
+ * Composite typography tokens are expanded into one token per sub-value.
+ * Returns { format, tokens: [{ path, type, value }] } or throws an Error
+ */
+function parseDesignTokenFile(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    throw new Error("Expected a JSON object of token groups");
+  }
+
+  const format = JSON.stringify(json).includes('"$value"')
+    ? "dtcg"
+    : "style-dictionary";
+  const tokens = [];
+  flattenDesignTokens(json, [], null, format, tokens);
+  if (tokens.length === 0) {
+    throw new Error("No tokens found (expected $value or value entries)");
+  }
+
+  resolveDesignTokenAliases(tokens);
+  return { format, tokens: expandCompositeTokens(tokens) };
+}
+
+/**
+ * Walks a token group tree, pushing { path, type, value } for every token
+ */
+function flattenDesignTokens(node, path, inheritedType, format, tokens) {
+  const valueKey = format === "dtcg" ? "$value" : "value";
+  const typeKey = format === "dtcg" ? "$type" : "type";
+
+  if (node && typeof node === "object" && valueKey in node) {
+    tokens.push({
+      path: path.join("."),
+      type: node[typeKey] || inheritedType || null,
+      value: node[valueKey],
+    });
+    return;
+  }
+
+  const groupType = (node && node[typeKey]) || inheritedType;
+  Object.keys(node || {}).forEach((key) => {
+    // $type, $description, $extensions ... are group metadata
+    if (key.startsWith("$")) return;
+    const child = node[key];
+    if (child && typeof child === "object" && !Array.isArray(child)) {
+      flattenDesignTokens(child, path.concat(key), groupType, format, tokens);
+    }
+  });
+}
+
+/**
+ * Replaces "{group.token}" references with the referenced token's value
+ * (following chains, leaving unresolvable or partial references as they are)
+ * Older Style Dictionary files point at the value itself
+ * ("{color.base.value}"), which refers to the same token
+ */
+function resolveDesignTokenAliases(tokens) {
+  const byPath = new Map(tokens.map((token) => [token.path, token]));
+  const getReference = (value) => {
+    const match =
+      typeof value === "string" && /^\{([^}]+)\}$/.exec(value.trim());
+    return match ? match[1].replace(/\.\$?value$/, "") : null;
+  };
+
+  const resolve = (value, depth) => {
+    if (typeof value === "string") {
+      const reference = getReference(value);
+      if (reference && byPath.has(reference) && depth < 10) {
+        const target = byPath.get(reference);
+        return resolve(target.value, depth + 1);
+      }
+      return value;
+    }
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      const resolved = {};
+      Object.keys(value).forEach((key) => {
+        resolved[key] = resolve(value[key], depth);
+      });
+      return resolved;
+    }
+    return value;
+  };
+
+  tokens.forEach((token) => {
+    const reference = getReference(token.value);
+    if (reference && !token.type && byPath.has(reference)) {
+      token.type = byPath.get(reference).type;
+    }
+    token.value = resolve(token.value, 0);
+  });
+}
+
+/**
+ * Splits composite typography tokens into fontFamily / fontSize / fontWeight
+ * tokens so each part can be matched on its own
+ */
+function expandCompositeTokens(tokens) {
+  const expanded = [];
+  tokens.forEach((token) => {
+    const value = token.value;
+    const isComposite =
+      value &&
+      typeof value === "object" &&
+      !Array.isArray(value) &&
+      ("fontFamily" in value || "fontSize" in value);
+    if (!isComposite) {
+      expanded.push(token);
+      return;
+    }
+    ["fontFamily", "fontSize", "fontWeight"].forEach((key) => {
+      if (value[key] !== undefined) {
+        expanded.push({
+          path: `${token.path}.${key}`,
+          type: key,
+          value: value[key],
+        });
+      }
+    });
+  });
+  return expanded;
+}
+
+/**
+ * Converts a dimension token value ("16px", "1.5rem", 12 or a DTCG
+ * { value, unit } object) to pixels, or null when it isn't a plain length
+ */
+function parseTokenDimension(value, rootFontSize = 16) {
+  if (typeof value === "number") return value;
+  if (value && typeof value === "object" && "value" in value) {
+    return parseTokenDimension(
+      `${value.value}${value.unit || "px"}`,
+      rootFontSize
+    );
+  }
+  const match = /^(-?[\d.]+)(px|rem|em)?$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  return match[2] === "rem" || match[2] === "em"
+    ? number * rootFontSize
+    : number;
+}
+
+/**
+ * Parses a color token value (CSS color string or a DTCG color object with
+ * hex / components) with parseColor()
+ */
+function parseTokenColor(value) {
+  if (value && typeof value === "object") {
+    if (value.hex) return parseColor(value.hex);
+    if (Array.isArray(value.components)) {
+      const space = value.colorSpace === "display-p3" ? "display-p3" : "srgb";
+      const alpha = value.alpha === undefined ? 1 : value.alpha;
+      return parseColor(
+        `color(${space} ${value.components.join(" ")} / ${alpha})`
+      );
+    }
+    return null;
+  }
+  return typeof value === "string" ? parseColor(value) : null;
+}
+
+/**
+ * Font family names in a token value (array or comma separated stack), lower cased
+ */
+function getTokenFontFamilies(value) {
+  const families = Array.isArray(value)
+    ? value
+    : String(value || "").split(",");
+  return families
+    .map((family) => String(family).replace(/['"]/g, "").trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Which audit category a token belongs to, from its type, path and value
+ * Returns a getTokenAuditCategories() id or null for tokens the audit ignores
+ */
+function getTokenAuditCategory(token) {
+  const type = (token.type || "").toLowerCase();
+  const path = token.path.toLowerCase();
+
+  if (type === "color") return "color";
+  if (type === "fontfamily" || type === "fontfamilies") return "fontFamily";
+  if (type === "fontweight" || type === "fontweights") return "fontWeight";
+  if (type === "fontsize" || type === "fontsizes") return "fontSize";
+  if (type === "borderradius" || type === "radius") return "radius";
+  if (type === "spacing") return "spacing";
+  if (type && !["dimension", "sizing", "size", "number"].includes(type)) {
+    return null;
+  }
+
+  // Untyped (or generic dimension) tokens are placed by their path
+  if (/family|families/.test(path)) return "fontFamily";
+  if (/weight/.test(path)) return "fontWeight";
+  if (!type && parseTokenColor(token.value)) return "color";
+  if (parseTokenDimension(token.value) === null) return null;
+  if (/radius|rounded|corner/.test(path)) return "radius";
+  if (/font-?size|text-?size|(^|\.)(font|text|type)(\.|$)/.test(path)) {
+    return "fontSize";
+  }
+  if (/space|gap|gutter|padding|margin|inset|size|dimension/.test(path)) {
+    return "spacing";
+  }
+  return null;
+}
+
+/**
+ * Checks page values against a token list
+ * values: { <category id>: [{ value, instances, elements }] } where value is a CSS color
+ * string for colors, a family name for fonts, a number (px or weight) otherwise.
+ * A value is on-token within tolerance (ΔE 2000 for colors, px for lengths);
+ * off-token values get the nearest token of their category and its distance.
+ * Returns [{ id, label, unit, tokenCount, checked, findings: [{ value, instances,
+ * elements, nearest: { path, value, distance } | null }] }]
+ */
+function auditValuesAgainstTokens(tokens, values, options = {}) {
+  const colorTolerance =
+    options.colorTolerance !== undefined ? options.colorTolerance : 1;
+  const lengthTolerance =
+    options.lengthTolerance !== undefined ? options.lengthTolerance : 0.5;
+  const rootFontSize = options.rootFontSize || 16;
+
+  const tokensByCategory = {};
+  tokens.forEach((token) => {
+    const category = getTokenAuditCategory(token);
+    if (!category) return;
+    let parsed = null;
+    if (category === "color") parsed = parseTokenColor(token.value);
+    else if (category === "fontFamily") {
+      parsed = getTokenFontFamilies(token.value);
+    } else if (category === "fontWeight") {
+      parsed = parseFloat(token.value);
+    } else parsed = parseTokenDimension(token.value, rootFontSize);
+    if (parsed === null || (typeof parsed === "number" && isNaN(parsed))) {
+      return;
+    }
+    (tokensByCategory[category] = tokensByCategory[category] || []).push({
+      ...token,
+      parsed,
+    });
+  });
+
+  const distanceTo = (category, value, token) => {
+    if (category === "color") {
+      const color = parseColor(value);
+      return color
+        ? getColorDistance(color, token.parsed, "ciede2000")
+        : Infinity;
+    }
+    if (category === "fontFamily") {
+      return token.parsed.includes(String(value).toLowerCase()) ? 0 : Infinity;
+    }
+    return Math.abs(value - token.parsed);
+  };
+  const toleranceFor = (category) =>
+    category === "color"
+      ? colorTolerance
+      : category === "fontSize" ||
+        category === "spacing" ||
+        category === "radius"
+      ? lengthTolerance
+      : 0;
+
+  return getTokenAuditCategories().map((category) => {
+    const categoryTokens = tokensByCategory[category.id] || [];
+    const categoryValues = values[category.id] || [];
+    const findings = [];
+
+    if (categoryTokens.length > 0) {
+      categoryValues.forEach((usage) => {
+        let nearest = null;
+        categoryTokens.forEach((token) => {
+          const distance = distanceTo(category.id, usage.value, token);
+          if (!nearest || distance < nearest.distance) {
+            nearest = { path: token.path, value: token.value, distance };
+          }
+        });
+        if (nearest && nearest.distance <= toleranceFor(category.id)) return;
+        findings.push({
+          ...usage,
+          nearest: nearest && isFinite(nearest.distance) ? nearest : null,
+        });
+      });
+    }
+
+    findings.sort((a, b) => b.instances - a.instances);
+    return {
+      ...category,
+      tokenCount: categoryTokens.length,
+      checked: categoryTokens.length > 0 ? categoryValues.length : 0,
+      findings,
+    };
+  });
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getTokenAuditCategories,
+    parseDesignTokenFile,
+    flattenDesignTokens,
+    resolveDesignTokenAliases,
+    expandCompositeTokens,
+    parseTokenDimension,
+    parseTokenColor,
+    getTokenFontFamilies,
+    getTokenAuditCategory,
+    auditValuesAgainstTokens,
+  };
+}
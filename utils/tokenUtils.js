@@ -0,0 +1,551 @@
+// CSS custom property (design token) helpers for CSS Inspector extension
+// Walks the page's readable stylesheets and builds an index of where every
+// custom property is defined and where var() references are used
+
+/**
+ * Properties whose var() references are reported for an element
+ * Each entry lists the authored properties (longhands and the shorthands that
+ * contain them) that can set the computed value; inherited ones are looked up
+ * on ancestors when the element doesn't set them itself
+ */
+function getTokenPropertyGroups() {
+  const sides = ["top", "right", "bottom", "left"];
+  const logicalSides = [
+    "block",
+    "block-start",
+    "block-end",
+    "inline",
+    "inline-start",
+    "inline-end",
+  ];
+  const corners = ["top-left", "top-right", "bottom-right", "bottom-left"];
+
+  return [
+    {
+      key: "color",
+      label: "Text",
+      computed: "color",
+      kind: "color",
+      inherited: true,
+      properties: ["color"],
+    },
+    {
+      key: "backgroundColor",
+      label: "Background",
+      computed: "background-color",
+      kind: "color",
+      inherited: false,
+      properties: ["background-color", "background"],
+    },
+    {
+      key: "borderColor",
+      label: "Border",
+      computed: "border-top-color",
+      kind: "color",
+      inherited: false,
+      properties: [
+        "border-color",
+        "border",
+        "border-top",
+        "border-top-color",
+        "border-block",
+        "border-block-start",
+      ],
+    },
+    {
+      key: "fontFamily",
+      label: "Font family",
+      computed: "font-family",
+      kind: "font",
+      inherited: true,
+      properties: ["font-family", "font"],
+    },
+    {
+      key: "fontSize",
+      label: "Font size",
+      computed: "font-size",
+      kind: "font",
+      inherited: true,
+      properties: ["font-size", "font"],
+    },
+    {
+      key: "fontWeight",
+      label: "Font weight",
+      computed: "font-weight",
+      kind: "font",
+      inherited: true,
+      properties: ["font-weight", "font"],
+    },
+    {
+      key: "lineHeight",
+      label: "Line height",
+      computed: "line-height",
+      kind: "font",
+      inherited: true,
+      properties: ["line-height", "font"],
+    },
+    {
+      key: "letterSpacing",
+      label: "Letter spacing",
+      computed: "letter-spacing",
+      kind: "font",
+      inherited: true,
+      properties: ["letter-spacing"],
+    },
+    {
+      key: "padding",
+      label: "Padding",
+      computed: null,
+      kind: "spacing",
+      inherited: false,
+      properties: ["padding"].concat(
+        sides.map((side) => `padding-${side}`),
+        logicalSides.map((side) => `padding-${side}`)
+      ),
+    },
+    {
+      key: "margin",
+      label: "Margin",
+      computed: null,
+      kind: "spacing",
+      inherited: false,
+      properties: ["margin"].concat(
+        sides.map((side) => `margin-${side}`),
+        logicalSides.map((side) => `margin-${side}`)
+      ),
+    },
+    {
+      key: "gap",
+      label: "Gap",
+      computed: null,
+      kind: "spacing",
+      inherited: false,
+      properties: ["gap", "row-gap", "column-gap"],
+    },
+    {
+      key: "borderRadius",
+      label: "Radius",
+      computed: null,
+      kind: "radius",
+      inherited: false,
+      properties: ["border-radius"].concat(
+        corners.map((corner) => `border-${corner}-radius`)
+      ),
+    },
+  ];
+}
+
+/**
+ * Returns the custom property names referenced by var() in a value, in order
+ */
+function getVarReferences(value) {
+  const names = [];
+  const pattern = /var\(\s*(--[\w-]+)/g;
+  let match;
+  while ((match = pattern.exec(value || "")) !== null) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+/**
+ * If a value is nothing but a single var() (with an optional fallback),
+ * returns the referenced name - that's an alias rather than a composed value
+ */
+function getAliasTarget(value) {
+  const match = /^var\(\s*(--[\w-]+)\s*(,[\s\S]*)?\)$/.exec(
+    (value || "").trim()
+  );
+  return match ? match[1] : null;
+}
+
+/**
+ * Splits a selector list on top-level commas (ignoring commas inside :is(), attributes, ...)
+ */
+function splitSelectorList(selectorText) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let escaped = false;
+  let current = "";
+
+  for (const char of selectorText || "") {
+    if (escaped) {
+      // An escaped comma or bracket is part of a name
+      escaped = false;
+    } else if (char === "\\") {
+      escaped = true;
+    } else if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "(" || char === "[") {
+      depth++;
+    } else if (char === ")" || char === "]") {
+      depth--;
+    } else if (char === "," && depth === 0) {
+      if (current.trim()) parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Selector specificity as [ids, classes, types] for a single complex selector
+ * :is(), :not() and :has() take their most specific argument, :where() counts nothing
+ */
+function calculateSpecificity(selector) {
+  const specificity = [0, 0, 0];
+  const add = (other) => {
+    specificity[0] += other[0];
+    specificity[1] += other[1];
+    specificity[2] += other[2];
+  };
+
+  // CSS escapes (".md\:px-4", ".w-\[10px\]", "#\31 0") belong to the name
+  // they sit in, so each one becomes a plain name character first
+  let source = (selector || "").replace(
+    /\\(?:[0-9a-fA-F]{1,6}\s?|[\s\S])/g,
+    "_"
+  );
+  // Attribute selectors and strings can hold anything, count and drop them first
+  source = source.replace(/\[[^\]]*\]/g, () => {
+    specificity[1]++;
+    return " ";
+  });
+
+  let index = 0;
+  while (index < source.length) {
+    const rest = source.slice(index);
+    let match;
+
+    if ((match = /^::?([\w-]+)\(/.exec(rest))) {
+      // Functional pseudo-class: find the matching closing parenthesis
+      let depth = 1;
+      let end = match[0].length;
+      while (end < rest.length && depth > 0) {
+        if (rest[end] === "(") depth++;
+        if (rest[end] === ")") depth--;
+        end++;
+      }
+      const name = match[1].toLowerCase();
+      const argument = rest.slice(match[0].length, end - 1);
+      if (["is", "not", "has", "matches"].includes(name)) {
+        const most = splitSelectorList(argument)
+          .map(calculateSpecificity)
+          .sort(compareSpecificity)
+          .pop();
+        if (most) add(most);
+      } else if (name === "nth-child" || name === "nth-last-child") {
+        specificity[1]++;
+        const ofMatch = /\bof\b([\s\S]*)$/.exec(argument);
+        if (ofMatch) {
+          const most = splitSelectorList(ofMatch[1])
+            .map(calculateSpecificity)
+            .sort(compareSpecificity)
+            .pop();
+          if (most) add(most);
+        }
+      } else if (name !== "where") {
+        // ::slotted(), ::part(), :lang(), :nth-of-type() ...
+        if (match[0].startsWith("::")) specificity[2]++;
+        else specificity[1]++;
+      }
+      index += end;
+    } else if ((match = /^::[\w-]+/.exec(rest))) {
+      specificity[2]++;
+      index += match[0].length;
+    } else if ((match = /^:[\w-]+/.exec(rest))) {
+      // Legacy single-colon pseudo-elements count as elements
+      const legacy = [":before", ":after", ":first-line", ":first-letter"];
+      if (legacy.includes(match[0].toLowerCase())) specificity[2]++;
+      else specificity[1]++;
+      index += match[0].length;
+    } else if ((match = /^#[\w-]+/.exec(rest))) {
+      specificity[0]++;
+      index += match[0].length;
+    } else if ((match = /^\.[\w-]+/.exec(rest))) {
+      specificity[1]++;
+      index += match[0].length;
+    } else if ((match = /^(?:[\w-]+\|)?[a-zA-Z][\w-]*/.exec(rest))) {
+      specificity[2]++;
+      index += match[0].length;
+    } else {
+      // Combinators, "*", "&" and whitespace don't count
+      index++;
+    }
+  }
+
+  return specificity;
+}
+
+/**
+ * Sort comparator for specificity arrays (ascending)
+ */
+function compareSpecificity(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const difference = (a[i] || 0) - (b[i] || 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * True when a selector list targets the document root (:root or html)
+ */
+function isRootSelector(selectorText) {
+  return splitSelectorList(selectorText).some((part) =>
+    /^(:root|html)$/i.test(part)
+  );
+}
+
+/**
+ * Describes the conditional at-rule wrapping a rule, or null for other rules
+ * Returns { type: "media" | "supports" | "container" | "layer" | "scope", text }
+ */
+function getCssRuleCondition(rule) {
+  const name = rule.constructor ? rule.constructor.name : "";
+  if (name === "CSSMediaRule") {
+    return { type: "media", text: rule.conditionText || rule.media.mediaText };
+  }
+  if (name === "CSSSupportsRule") {
+    return { type: "supports", text: rule.conditionText };
+  }
+  if (name === "CSSContainerRule") {
+    return {
+      type: "container",
+      text: [rule.containerName, rule.containerQuery || rule.conditionText]
+        .filter(Boolean)
+        .join(" "),
+    };
+  }
+  if (name === "CSSLayerBlockRule") {
+    return { type: "layer", text: rule.name || "(anonymous)" };
+  }
+  if (name === "CSSScopeRule") {
+    return { type: "scope", text: rule.start || "" };
+  }
+  return null;
+}
+
+/**
+ * Walks a rule list depth first, calling visit(styleRule, selectorText, conditions)
+ * for every style rule. Nested CSS rules get their parent selector resolved the
+ * way "&" would, and @import'ed sheets are followed when readable.
+ */
+function walkCssRules(rules, visit, conditions = [], parentSelector = null) {
+  Array.from(rules || []).forEach((rule) => {
+    const name = rule.constructor ? rule.constructor.name : "";
+
+    if (name === "CSSStyleRule") {
+      const selectorText = parentSelector
+        ? splitSelectorList(rule.selectorText)
+            .map((part) =>
+              part.includes("&")
+                ? part.replace(/&/g, `:is(${parentSelector})`)
+                : `:is(${parentSelector}) ${part}`
+            )
+            .join(", ")
+        : rule.selectorText;
+      visit(rule, selectorText, conditions);
+      if (rule.cssRules && rule.cssRules.length > 0) {
+        walkCssRules(rule.cssRules, visit, conditions, selectorText);
+      }
+      return;
+    }
+
+    if (name === "CSSImportRule") {
+      try {
+        if (rule.styleSheet) {
+          const importConditions =
+            rule.media && rule.media.mediaText
+              ? conditions.concat({ type: "media", text: rule.media.mediaText })
+              : conditions;
+          walkCssRules(rule.styleSheet.cssRules, visit, importConditions);
+        }
+      } catch (error) {
+        // Cross-origin @import - not readable
+      }
+      return;
+    }
+
+    const condition = getCssRuleCondition(rule);
+    if (rule.cssRules) {
+      walkCssRules(
+        rule.cssRules,
+        visit,
+        condition ? conditions.concat(condition) : conditions,
+        parentSelector
+      );
+    }
+  });
+}
+
+/**
+ * Collects custom property definitions and var() usages from every readable stylesheet,
+ * constructed (adopted) stylesheet and inline style attribute in the document
+ * Properties listed in trackedProperties are indexed even without var() so the
+ * cascade can be checked against the declarations that don't use a token.
+ * Returns {
+ *   definitions: [{ name, value, selector, conditions, source, order, important, element, isRoot }],
+ *   declarations: [{ property, value, refs, selector, conditions, source, order, important, element, rule }],
+ *   sheets: { read, unreadable }
+ * }
+ */
+function collectCustomProperties(doc, trackedProperties = []) {
+  const tracked = new Set(trackedProperties);
+  const definitions = [];
+  const declarations = [];
+  const sheets = { read: 0, unreadable: 0 };
+  let order = 0;
+
+  const readStyle = (style, selector, conditions, source, element, rule) => {
+    const seen = new Set();
+    const ruleStart = order;
+    const add = (property, value, important, position = order++) => {
+      const entry = {
+        selector,
+        conditions,
+        source,
+        order: position,
+        important,
+        element: element || null,
+        rule: rule || null,
+      };
+
+      if (property.startsWith("--")) {
+        definitions.push({
+          ...entry,
+          name: property,
+          value,
+          isRoot: !element && isRootSelector(selector),
+        });
+        return;
+      }
+
+      const refs = getVarReferences(value);
+      if (refs.length > 0 || tracked.has(property)) {
+        declarations.push({ ...entry, property, value, refs });
+      }
+    };
+
+    for (let i = 0; i < style.length; i++) {
+      const property = style[i];
+      const value = style.getPropertyValue(property).trim();
+      seen.add(property);
+      // Longhands of a shorthand written with var() are pending substitution
+      // and read back empty - the shorthand itself is picked up below
+      if (!value) continue;
+      add(property, value, style.getPropertyPriority(property) === "important");
+    }
+
+    // Shorthands never show up in the enumeration, so read the tracked ones directly
+    // Their position within the rule is lost; they're ordered before the rule's
+    // longhands as in the usual "padding: ...; padding-top: ..." pattern
+    tracked.forEach((property) => {
+      if (seen.has(property)) return;
+      const value = style.getPropertyValue(property).trim();
+      if (!value) return;
+      add(
+        property,
+        value,
+        style.getPropertyPriority(property) === "important",
+        ruleStart - 0.5
+      );
+    });
+  };
+
+  const readSheet = (sheet, source) => {
+    let rules;
+    try {
+      rules = sheet.cssRules;
+    } catch (error) {
+      // Cross-origin stylesheet without CORS headers
+      sheets.unreadable++;
+      return;
+    }
+    if (!rules) return;
+    sheets.read++;
+
+    const sheetConditions =
+      sheet.media && sheet.media.mediaText
+        ? [{ type: "media", text: sheet.media.mediaText }]
+        : [];
+    walkCssRules(
+      rules,
+      (rule, selectorText, conditions) =>
+        readStyle(rule.style, selectorText, conditions, source, null, rule),
+      sheetConditions
+    );
+  };
+
+  Array.from(doc.styleSheets || []).forEach((sheet, index) => {
+    if (sheet.disabled) return;
+    const owner = sheet.ownerNode;
+    // Skip the inspector's own injected styles
+    if (owner && owner.id && owner.id.startsWith("css-inspector")) return;
+    readSheet(sheet, sheet.href || `<style> #${index + 1}`);
+  });
+
+  Array.from(doc.adoptedStyleSheets || []).forEach((sheet, index) => {
+    readSheet(sheet, `Constructed stylesheet #${index + 1}`);
+  });
+
+  doc.querySelectorAll("[style]").forEach((element) => {
+    // The inspector's panel and overlays aren't part of the page
+    if (element.closest('[id^="css-inspector"], .css-inspector-overlay')) {
+      return;
+    }
+    if (element.style && element.style.length > 0) {
+      readStyle(element.style, null, [], "Inline style", element);
+    }
+  });
+
+  return { definitions, declarations, sheets };
+}
+
+/**
+ * Guesses what kind of token a custom property holds from its name and value
+ * Returns "color", "spacing", "radius", "font" or "other"
+ */
+function classifyTokenValue(name, value) {
+  const lowerName = (name || "").toLowerCase();
+  const trimmed = (value || "").trim();
+
+  const isColor =
+    trimmed && !/^-?[\d.]+$/.test(trimmed) && isValidColor(trimmed);
+
+  if (/radius|rounded|corner/.test(lowerName)) return "radius";
+  if (
+    /font|family|weight|leading|tracking|letter|line-height/.test(lowerName)
+  ) {
+    return "font";
+  }
+  if (isColor) return "color";
+  if (/space|spacing|gap|gutter|padding|margin|inset|size/.test(lowerName)) {
+    return "spacing";
+  }
+  if (/^-?[\d.]+(px|rem|em|%|vw|vh|ch)$/.test(trimmed)) return "spacing";
+  return "other";
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getTokenPropertyGroups,
+    getVarReferences,
+    getAliasTarget,
+    splitSelectorList,
+    calculateSpecificity,
+    compareSpecificity,
+    isRootSelector,
+    getCssRuleCondition,
+    walkCssRules,
+    collectCustomProperties,
+    classifyTokenValue,
+  };
+}
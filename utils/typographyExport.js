@@ -0,0 +1,203 @@
+// Typography export helpers for CSS Inspector extension
+// Turns the extractTextStyles() result into text-style tokens and CSS
+
+/**
+ * Lists the available typography export formats
+ */
+function getTypographyExportFormats() {
+  return [
+    {
+      id: "w3c",
+      label: "Design Tokens (W3C)",
+      extension: "tokens.json",
+      mimeType: "application/json",
+      build: exportTypographyAsW3CTokens,
+    },
+    {
+      id: "css",
+      label: "CSS Classes",
+      extension: "css",
+      mimeType: "text/css",
+      build: exportTypographyAsCssClasses,
+    },
+    {
+      id: "tailwind",
+      label: "Tailwind Config",
+      extension: "tailwind.config.js",
+      mimeType: "text/javascript",
+      build: exportTypographyAsTailwindConfig,
+    },
+    {
+      id: "tokens-studio",
+      label: "Tokens Studio (Figma)",
+      extension: "tokens-studio.json",
+      mimeType: "application/json",
+      build: exportTypographyAsTokensStudio,
+    },
+  ];
+}
+
+/**
+ * Splits a computed font-family stack into unquoted family names
+ */
+function splitFontStack(fontStack) {
+  return (fontStack || "")
+    .split(",")
+    .map((family) => family.replace(/['"]/g, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalizes a text style into the values every format needs
+ * lineHeight is kept in px (null for "normal") alongside a unitless ratio,
+ * letterSpacing in px (0 for "normal")
+ */
+function buildTypographyTokenEntries(textStyles) {
+  return (textStyles || []).map((style) => {
+    const lineHeightPx =
+      style.lineHeight && style.lineHeight !== "normal"
+        ? parseFloat(style.lineHeight)
+        : null;
+    const letterSpacingPx =
+      style.letterSpacing && style.letterSpacing !== "normal"
+        ? parseFloat(style.letterSpacing) || 0
+        : 0;
+
+    return {
+      name: style.name,
+      fontFamilies: splitFontStack(style.fontStack || style.fontFamily),
+      fontSize: style.fontSize,
+      fontWeight: parseInt(style.fontWeight, 10) || 400,
+      lineHeightPx: lineHeightPx,
+      // "normal" is roughly 1.2 in most fonts - formats that need a number get that
+      lineHeight: lineHeightPx
+        ? Math.round((lineHeightPx / style.fontSize) * 1000) / 1000
+        : 1.2,
+      letterSpacingPx: letterSpacingPx,
+      textTransform: style.textTransform || "none",
+      style: style,
+    };
+  });
+}
+
+/**
+ * Describes how a text style is used (for token descriptions and comments)
+ */
+function describeTypographyUsage(style) {
+  const instances = style.instances || 0;
+  return `${describeTextStyle(style)} · ${instances} ${
+    instances === 1 ? "instance" : "instances"
+  }`;
+}
+
+/**
+ * W3C Design Tokens Community Group composite typography tokens (typography.<name>)
+ */
+function exportTypographyAsW3CTokens(textStyles) {
+  const tokens = { typography: {} };
+
+  buildTypographyTokenEntries(textStyles).forEach((entry) => {
+    tokens.typography[entry.name] = {
+      $type: "typography",
+      $value: {
+        fontFamily: entry.fontFamilies,
+        fontSize: `${formatTypographyNumber(entry.fontSize)}px`,
+        fontWeight: entry.fontWeight,
+        lineHeight: entry.lineHeight,
+        letterSpacing: `${formatTypographyNumber(entry.letterSpacingPx)}px`,
+      },
+      $description: describeTypographyUsage(entry.style),
+    };
+  });
+
+  return JSON.stringify(tokens, null, 2);
+}
+
+/**
+ * One utility class per text style (.text-h1, .text-body, ...)
+ */
+function exportTypographyAsCssClasses(textStyles) {
+  const blocks = buildTypographyTokenEntries(textStyles).map(
+    (entry) =>
+      `/* ${describeTypographyUsage(entry.style)} */\n.text-${
+        entry.name
+      } {\n${formatTextStyleCss(entry.style, "  ")}\n}`
+  );
+  return `${blocks.join("\n\n")}\n`;
+}
+
+/**
+ * Tailwind theme.fontFamily and theme.fontSize (text-h1 with its line height,
+ * letter spacing and weight, font-inter, ...)
+ */
+function exportTypographyAsTailwindConfig(textStyles) {
+  const entries = buildTypographyTokenEntries(textStyles);
+  const fontFamily = {};
+  const fontSize = {};
+
+  entries.forEach((entry) => {
+    const primary = entry.fontFamilies[0];
+    if (primary) {
+      const key = primary.toLowerCase().replace(/[^a-z0-9]+/g, "-");
+      fontFamily[key] = entry.fontFamilies;
+    }
+
+    const options = { fontWeight: String(entry.fontWeight) };
+    if (entry.lineHeightPx) {
+      options.lineHeight = `${formatTypographyNumber(entry.lineHeightPx)}px`;
+    }
+    if (entry.letterSpacingPx) {
+      options.letterSpacing = `${formatTypographyNumber(
+        entry.letterSpacingPx
+      )}px`;
+    }
+    fontSize[entry.name] = [
+      `${formatTypographyNumber(entry.fontSize)}px`,
+      options,
+    ];
+  });
+
+  const body = JSON.stringify({ theme: { fontFamily, fontSize } }, null, 2);
+  return `/** @type {import('tailwindcss').Config} */\nmodule.exports = ${body};\n`;
+}
+
+/**
+ * Tokens Studio for Figma (global.typography.<name>) - values are unitless strings
+ * as the plugin expects, with "AUTO" for a normal line height
+ */
+function exportTypographyAsTokensStudio(textStyles) {
+  const typography = {};
+
+  buildTypographyTokenEntries(textStyles).forEach((entry) => {
+    typography[entry.name] = {
+      value: {
+        fontFamily: entry.fontFamilies[0] || "",
+        fontWeight: String(entry.fontWeight),
+        fontSize: formatTypographyNumber(entry.fontSize),
+        lineHeight: entry.lineHeightPx
+          ? formatTypographyNumber(entry.lineHeightPx)
+          : "AUTO",
+        letterSpacing: formatTypographyNumber(entry.letterSpacingPx),
+        paragraphSpacing: "0",
+        textCase: entry.textTransform,
+        textDecoration: "none",
+      },
+      type: "typography",
+      description: describeTypographyUsage(entry.style),
+    };
+  });
+
+  return JSON.stringify({ global: { typography } }, null, 2);
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getTypographyExportFormats,
+    buildTypographyTokenEntries,
+    exportTypographyAsW3CTokens,
+    exportTypographyAsCssClasses,
+    exportTypographyAsTailwindConfig,
+    exportTypographyAsTokensStudio,
+  };
+}
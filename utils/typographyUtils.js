@@ -0,0 +1,249 @@
+// Shared typography helper functions for CSS Inspector extension
+
+/**
+ * Cleans a computed font-family stack down to its first family name
+ */
+function getPrimaryFontFamily(fontFamilyStack) {
+  if (!fontFamilyStack) return "";
+  return fontFamilyStack.split(",")[0].replace(/['"]/g, "").trim();
+}
+
+/**
+ * Key for a text style: the full (family, size, weight, line-height,
+ * letter-spacing, text-transform) tuple from computed styles
+ */
+function getTextStyleKey(styles) {
+  return [
+    styles.fontFamily,
+    styles.fontSize,
+    styles.fontWeight,
+    styles.lineHeight,
+    styles.letterSpacing,
+    styles.textTransform,
+  ].join("|");
+}
+
+/**
+ * Gives each text style a semantic name from the tags that use it
+ * Headings keep their tag (h1-h6), buttons/labels/links keep theirs and everything else
+ * is named relative to the most used body style (body, body-large, caption).
+ * Repeated names get a numeric suffix in order of use (h2, h2-2, ...).
+ * Styles are expected with { fontSize (px number), instances, tags: { tag: count } }
+ */
+function nameTextStyles(textStyles) {
+  const headingTags = ["h1", "h2", "h3", "h4", "h5", "h6"];
+  const namedTags = ["button", "label", "a"];
+
+  const dominantTag = (style) =>
+    Object.entries(style.tags || {}).sort((a, b) => b[1] - a[1])[0]?.[0] || "";
+
+  // The most used non-heading style sets the body size
+  const bodyStyle = textStyles
+    .filter((style) => !headingTags.includes(dominantTag(style)))
+    .sort((a, b) => b.instances - a.instances)[0];
+  const bodySize = bodyStyle ? bodyStyle.fontSize : 16;
+
+  const baseNames = textStyles.map((style) => {
+    const tag = dominantTag(style);
+    if (headingTags.includes(tag)) return tag;
+    if (namedTags.includes(tag)) return tag === "a" ? "link" : tag;
+    if (style.fontSize > bodySize) return "body-large";
+    if (style.fontSize < bodySize) return "caption";
+    return "body";
+  });
+
+  // Number duplicates by popularity so the most used one keeps the plain name
+  const order = textStyles
+    .map((style, index) => index)
+    .sort((a, b) => textStyles[b].instances - textStyles[a].instances);
+  const seen = {};
+  const names = [];
+  order.forEach((index) => {
+    const base = baseNames[index];
+    seen[base] = (seen[base] || 0) + 1;
+    names[index] = seen[base] === 1 ? base : `${base}-${seen[base]}`;
+  });
+  return names;
+}
+
+/**
+ * Short human readable spec for a text style, e.g. "Inter · 16px/24px · 400"
+ */
+function describeTextStyle(style) {
+  const parts = [
+    style.fontFamily,
+    `${formatTypographyNumber(style.fontSize)}px/${formatLineHeight(
+      style.lineHeight
+    )}`,
+    style.fontWeight,
+  ];
+  if (style.letterSpacing && style.letterSpacing !== "normal") {
+    parts.push(`${style.letterSpacing} tracking`);
+  }
+  if (style.textTransform && style.textTransform !== "none") {
+    parts.push(style.textTransform);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Common modular scale ratios, smallest first
+ */
+function getTypeScaleRatios() {
+  return [
+    { ratio: 1.067, label: "Minor second" },
+    { ratio: 1.125, label: "Major second" },
+    { ratio: 1.2, label: "Minor third" },
+    { ratio: 1.25, label: "Major third" },
+    { ratio: 1.333, label: "Perfect fourth" },
+    { ratio: 1.414, label: "Augmented fourth" },
+    { ratio: 1.5, label: "Perfect fifth" },
+    { ratio: 1.618, label: "Golden ratio" },
+  ];
+}
+
+/**
+ * Infers the page's type scale from the font sizes in use
+ * sizeUsages: [{ size (px), instances, elements }]
+ * The base is the most used size in the body range (12-20px). Each ratio is scored by the
+ * instance-weighted distance of every size from its nearest step, measured as a fraction of
+ * a step in log space (0 = on a step, 0.5 = halfway between) so small ratios don't win just
+ * by having denser steps. Pass a ratio to skip the fit and measure against it instead.
+ * Returns { base, ratio, label, fit (0-1), candidates, steps, sizes } or null with no sizes
+ */
+function analyzeTypeScale(sizeUsages, forcedRatio = null) {
+  const usages = (sizeUsages || []).filter((usage) => usage.size > 0);
+  if (usages.length === 0) return null;
+
+  const byUse = usages.slice().sort((a, b) => b.instances - a.instances);
+  const bodyRange = byUse.filter(
+    (usage) => usage.size >= 12 && usage.size <= 20
+  );
+  const base = (bodyRange[0] || byUse[0]).size;
+  const totalInstances = usages.reduce(
+    (sum, usage) => sum + usage.instances,
+    0
+  );
+
+  const measure = (ratio) => {
+    const logRatio = Math.log(ratio);
+    return usages.map((usage) => {
+      const exactStep = Math.log(usage.size / base) / logRatio;
+      const step = Math.round(exactStep);
+      const expected = base * Math.pow(ratio, step);
+      return {
+        usage,
+        step,
+        expected,
+        stepDistance: Math.abs(exactStep - step),
+        // Within 3% (or half a pixel for small sizes) counts as on the scale
+        onScale:
+          Math.abs(usage.size - expected) <= Math.max(0.5, expected * 0.03),
+      };
+    });
+  };
+  const score = (matches) =>
+    matches.reduce(
+      (sum, match) => sum + match.stepDistance * match.usage.instances,
+      0
+    ) / (totalInstances || 1);
+
+  const candidates = getTypeScaleRatios()
+    .map((candidate) => ({
+      ...candidate,
+      fit: 1 - 2 * score(measure(candidate.ratio)),
+    }))
+    .sort((a, b) => b.fit - a.fit);
+
+  const chosen = forcedRatio
+    ? candidates.find((candidate) => candidate.ratio === forcedRatio) || {
+        ratio: forcedRatio,
+        label: "Custom",
+        fit: 1 - 2 * score(measure(forcedRatio)),
+      }
+    : candidates[0];
+  const matches = measure(chosen.ratio);
+
+  // Every step between the smallest and largest size in use, largest first
+  const stepNumbers = matches.map((match) => match.step);
+  const steps = [];
+  const minStep = Math.min(...stepNumbers);
+  for (let step = Math.max(...stepNumbers); step >= minStep; step--) {
+    steps.push({
+      step,
+      size: base * Math.pow(chosen.ratio, step),
+      sizes: matches.filter((match) => match.step === step && match.onScale),
+    });
+  }
+
+  return {
+    base,
+    ratio: chosen.ratio,
+    label: chosen.label,
+    fit: chosen.fit,
+    candidates,
+    steps,
+    sizes: matches
+      .map((match) => ({
+        size: match.usage.size,
+        instances: match.usage.instances,
+        elements: match.usage.elements || [],
+        step: match.step,
+        expected: match.expected,
+        deviation: (match.usage.size - match.expected) / match.expected,
+        onScale: match.onScale,
+      }))
+      .sort((a, b) => b.size - a.size),
+  };
+}
+
+/**
+ * CSS declarations for a text style (one per line, no selector)
+ * letter-spacing and text-transform are only included when they differ from the defaults
+ */
+function formatTextStyleCss(style, indent = "") {
+  const declarations = [
+    `font-family: ${style.fontStack || style.fontFamily};`,
+    `font-size: ${formatTypographyNumber(style.fontSize)}px;`,
+    `font-weight: ${style.fontWeight};`,
+    `line-height: ${formatLineHeight(style.lineHeight)};`,
+  ];
+  if (style.letterSpacing && style.letterSpacing !== "normal") {
+    declarations.push(`letter-spacing: ${style.letterSpacing};`);
+  }
+  if (style.textTransform && style.textTransform !== "none") {
+    declarations.push(`text-transform: ${style.textTransform};`);
+  }
+  return declarations.map((line) => `${indent}${line}`).join("\n");
+}
+
+/**
+ * Formats a computed line-height ("normal" or "24px") without trailing zeros
+ */
+function formatLineHeight(lineHeight) {
+  if (!lineHeight || lineHeight === "normal") return "normal";
+  const px = parseFloat(lineHeight);
+  return isNaN(px) ? lineHeight : `${formatTypographyNumber(px)}px`;
+}
+
+/**
+ * Rounds to two decimals and drops trailing zeros (16.50 -> 16.5)
+ */
+function formatTypographyNumber(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Export functions for use in modules
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    getPrimaryFontFamily,
+    getTextStyleKey,
+    nameTextStyles,
+    describeTextStyle,
+    getTypeScaleRatios,
+    analyzeTypeScale,
+    formatTextStyleCss,
+    formatLineHeight,
+    formatTypographyNumber,
+  };
+}